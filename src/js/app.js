@@ -11,6 +11,10 @@ import { renderActivitiesView } from './views/activities.js';
 import { renderCategoriesView } from './views/categories.js';
 import { renderSettingsView } from './views/settings.js';
 import { renderDashboardView } from './views/dashboard.js';
+import { showToast } from './components/toast.js';
+import { startTabSync, onRemoteChange } from './services/sync.js';
+import { createDailyBackup } from './services/backup.js';
+import { getLocalDateString, setDayStartHour } from './utils/date.js';
 import { t, setLocale, detectLocale, getLocale } from './i18n/i18n.js';
 import { iconCalendarCheck, iconList, iconGrid, iconBarChart, iconGear } from './utils/icons.js';
 
@@ -41,24 +45,67 @@ if (navigator.webdriver) {
   document.documentElement.classList.add('is-automated');
 }
 
+// How often to check whether a new day has started while the app stays open
+const ROLLOVER_CHECK_INTERVAL = 60 * 1000;
+
+// How long to show the notice that another tab is holding up an upgrade
+const BLOCKED_NOTICE_DURATION = 10 * 1000;
+
+// Stores each view shows; changes other tabs make to any other store leave it as it is
+const VIEW_STORES = {
+  daily: [
+    'settings',
+    'categories',
+    'activities',
+    'completions',
+    'scoreHistory',
+    'scoreAdjustments',
+    'pauses',
+    'excusedDays',
+    'streakFreezes',
+  ],
+  activities: ['categories', 'activities'],
+  categories: ['categories', 'activities'],
+  dashboard: [
+    'settings',
+    'activities',
+    'completions',
+    'scoreHistory',
+    'achievements',
+    'pauses',
+    'excusedDays',
+    'streakFreezes',
+  ],
+  settings: ['settings', 'pauses', 'backups'],
+};
+
 // Application initialization
 class App {
   constructor() {
     this.currentView = 'daily';
     this.decayInfo = null;
+    this.today = null;
+    this.outdated = false;
     this.renderQueue = Promise.resolve();
     this.shouldFocusMain = false;
+    this.staleView = false;
     this.ready = this.init();
   }
 
   async init() {
     console.log('YourScore initializing...');
 
+    this.initTabSync();
     await db.init();
     await this.applyLanguage();
+    this.showStorageWarning();
     await CategoryModel.getUncategorized();
 
+    // The snapshot is dated by the configured day boundary, like everything after it
+    setDayStartHour(await SettingsModel.getDayStartHour());
+    await this.backUpDaily();
     this.decayInfo = await DecayService.checkAndApplyDecay();
+    this.today = getLocalDateString();
 
     await this.applyTheme();
     await this.applyUIScale();
@@ -67,10 +114,172 @@ class App {
     // Render initial view
     this.renderNav();
     await this.renderCurrentView();
+    this.initRolloverDetection();
 
     console.log('YourScore initialized');
   }
 
+  initTabSync() {
+    db.onBlocked = () => {
+      showToast(t('sync.upgradeBlocked'), 'warning', BLOCKED_NOTICE_DURATION);
+    };
+    db.onVersionChange = (newVersion) => {
+      // A deleted database is recreated on the next read; an upgraded one
+      // can only be opened by the newer code, so ask for a reload
+      if (newVersion !== null) {
+        this.showUpdateBanner();
+      }
+    };
+
+    startTabSync();
+    onRemoteChange((storeNames) =>
+      this.handleRemoteChange(storeNames).catch((error) => {
+        console.error('Applying changes from another tab failed:', error);
+      })
+    );
+    this.initIdleRefresh();
+  }
+
+  /**
+   * Pick up changes made in another tab and re-render
+   * Only a view that shows one of the changed stores is re-rendered, and not
+   * while it holds input a re-render would throw away; it is re-rendered once
+   * that input is saved or dismissed. The history editor stays on its day.
+   * @param {string[]} storeNames - Stores the other tab changed
+   */
+  async handleRemoteChange(storeNames) {
+    if (this.outdated) {
+      return;
+    }
+
+    if (storeNames.includes('settings')) {
+      setDayStartHour(await SettingsModel.getDayStartHour());
+      await this.applyTheme();
+      await this.applyUIScale();
+    }
+    if (await this.checkForRollover()) {
+      return;
+    }
+    if (!storeNames.some((name) => VIEW_STORES[this.currentView]?.includes(name))) {
+      return;
+    }
+    if (this.isViewBusy()) {
+      this.staleView = true;
+      return;
+    }
+    await this.renderCurrentView({ keepDate: true });
+  }
+
+  /**
+   * Whether the current view holds input a re-render would throw away
+   * Views mark such elements with data-busy: a form with unsaved edits, an
+   * import waiting to be confirmed or a passphrase prompt.
+   * @returns {boolean}
+   */
+  isViewBusy() {
+    return document.querySelector('#app-main [data-busy]') !== null;
+  }
+
+  /**
+   * Re-render a view held back for other tabs' changes once it is no longer busy
+   */
+  initIdleRefresh() {
+    const main = document.getElementById('app-main');
+    if (!main) {
+      return;
+    }
+
+    const observer = new MutationObserver(() => {
+      if (this.staleView && !this.isViewBusy()) {
+        this.renderCurrentView({ keepDate: true }).catch((error) => {
+          console.error('Re-rendering the view failed:', error);
+        });
+      }
+    });
+    observer.observe(main, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      attributeFilter: ['data-busy'],
+    });
+  }
+
+  showUpdateBanner() {
+    this.outdated = true;
+    const banner = document.getElementById('update-banner');
+    if (!banner) {
+      return;
+    }
+
+    banner.querySelector('[data-action="reload"]').onclick = () => window.location.reload();
+    banner.removeAttribute('hidden');
+  }
+
+  /**
+   * Warn that data won't persist, or has little room, when the browser
+   * doesn't let us use IndexedDB
+   */
+  showStorageWarning() {
+    const banner = document.getElementById('storage-banner');
+    if (!banner || db.backend === 'indexeddb') {
+      return;
+    }
+    banner.removeAttribute('hidden');
+  }
+
+  initRolloverDetection() {
+    setInterval(() => this.checkForRollover(), ROLLOVER_CHECK_INTERVAL);
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.checkForRollover();
+      }
+    });
+    window.addEventListener('focus', () => this.checkForRollover());
+  }
+
+  /**
+   * Apply decay and re-render if a new day started since the last check
+   * Safe to call often: the date is claimed before decay is checked, so
+   * overlapping calls for the same rollover only apply decay once. It never
+   * rejects; a failure is shown and the rollover is tried again on the next check.
+   * @returns {Promise<boolean>} True if a new day had started
+   */
+  async checkForRollover() {
+    const today = getLocalDateString();
+    if (this.outdated || today === this.today) {
+      return false;
+    }
+    const previous = this.today;
+    this.today = today;
+
+    try {
+      await this.backUpDaily();
+      this.decayInfo = await DecayService.checkAndApplyDecay();
+      if (this.decayInfo.applied && this.currentView !== 'daily') {
+        showToast(this.decayInfo.message, 'warning');
+      }
+      await this.renderCurrentView();
+    } catch (error) {
+      console.error('Day rollover failed:', error);
+      this.today = previous;
+      showToast(t('toasts.rolloverFailed', { error: error.message }), 'error');
+    }
+    return true;
+  }
+
+  /**
+   * Take the day's snapshot before decay is charged
+   * A failed snapshot is logged rather than keeping the app from starting.
+   */
+  async backUpDaily() {
+    try {
+      await createDailyBackup();
+    } catch (error) {
+      console.warn('Daily backup failed:', error);
+    }
+  }
+
   initInstallPrompt() {
     const banner = document.getElementById('install-banner');
     if (!banner) {
@@ -182,6 +391,21 @@ class App {
         ?.replaceChildren(document.createTextNode(t('install.dismiss')));
     }
 
+    const updateBanner = document.getElementById('update-banner');
+    if (updateBanner) {
+      updateBanner.querySelector('span').textContent = t('sync.updatedElsewhere');
+      updateBanner
+        .querySelector('[data-action="reload"]')
+        ?.replaceChildren(document.createTextNode(t('sync.reload')));
+    }
+
+    const storageBanner = document.getElementById('storage-banner');
+    if (storageBanner) {
+      storageBanner.querySelector('span').textContent = t(
+        db.persistent ? 'storage.limited' : 'storage.notSaved'
+      );
+    }
+
     const nav = document.getElementById('app-nav');
     if (nav) {
       nav.setAttribute('aria-label', t('nav.primaryLabel'));
@@ -234,18 +458,26 @@ class App {
     await this.renderCurrentView();
   }
 
-  async renderCurrentView() {
-    this.renderQueue = this.renderQueue.then(async () => {
+  /**
+   * Render the current view, replacing what is shown
+   * @param {Object} [options]
+   * @param {boolean} [options.keepDate=false] - Keep the daily view on the day it shows
+   * @returns {Promise<void>}
+   */
+  async renderCurrentView({ keepDate = false } = {}) {
+    this.staleView = false;
+    const render = this.renderQueue.then(async () => {
       const main = document.getElementById('app-main');
       if (!main) {
         return;
       }
+      const date = keepDate ? main.querySelector('.daily-view')?.dataset.date : undefined;
 
       // Force cleanup of prior view's DOM tree
       main.textContent = '';
 
       if (this.currentView === 'daily') {
-        await renderDailyView(main, { decayInfo: this.decayInfo });
+        await renderDailyView(main, { decayInfo: this.decayInfo, date });
       } else if (this.currentView === 'activities') {
         await renderActivitiesView(main);
       } else if (this.currentView === 'categories') {
@@ -268,7 +500,9 @@ class App {
         this.shouldFocusMain = false;
       }
     });
-    return this.renderQueue;
+    // A failed render must not keep the ones queued after it from running
+    this.renderQueue = render.catch(() => {});
+    return render;
   }
 }
 
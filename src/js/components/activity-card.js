@@ -2,22 +2,51 @@
  * Activity Card Component
  */
 
+import { ActivityModel } from '../models/activity.js';
 import { formatTimestamp } from '../utils/date.js';
 import { t, formatNumber } from '../i18n/i18n.js';
 
+/**
+ * Get the checkbox mark for a completed activity
+ * Bad habits are marked with a cross instead of a check
+ * @param {Object} activity - Activity record
+ * @returns {string}
+ */
+function getCompletionMark(activity) {
+  return ActivityModel.isBadHabit(activity) ? '✕' : '✓';
+}
+
+function formatPointsLabel(activity) {
+  const isBadHabit = ActivityModel.isBadHabit(activity);
+  const points = isBadHabit ? formatNumber(activity.points) : `+${formatNumber(activity.points)}`;
+  const label = ActivityModel.isCounter(activity)
+    ? t('daily.pointsPerUnit', { points, unit: t('units.pointsShort') })
+    : `${points} ${t('units.pointsShort')}`;
+  return isBadHabit ? `${label} · ${t('common.badHabit')}` : label;
+}
+
 function createActivityCard(activity, completion) {
-  const card = document.createElement('button');
-  card.type = 'button';
+  const isCounter = ActivityModel.isCounter(activity);
+
+  // Counters hold their own +/- buttons, so the card itself cannot be a button
+  const card = document.createElement(isCounter ? 'div' : 'button');
   card.className = 'activity-card';
   card.dataset.activityId = activity.id;
 
-  if (completion) {
-    card.classList.add('completed');
+  if (isCounter) {
+    card.classList.add('activity-card--counter');
+    card.setAttribute('role', 'group');
+    card.setAttribute('aria-label', activity.name);
+  } else {
+    card.type = 'button';
+  }
+
+  if (ActivityModel.isBadHabit(activity)) {
+    card.classList.add('activity-card--bad-habit');
   }
 
   const checkbox = document.createElement('div');
   checkbox.className = 'activity-card-checkbox';
-  checkbox.textContent = completion ? '✓' : '';
 
   const content = document.createElement('div');
   content.className = 'activity-card-content';
@@ -28,11 +57,10 @@ function createActivityCard(activity, completion) {
 
   const points = document.createElement('div');
   points.className = 'activity-card-points';
-  points.textContent = `+${formatNumber(activity.points)} ${t('units.pointsShort')}`;
+  points.textContent = formatPointsLabel(activity);
 
   const timestamp = document.createElement('div');
   timestamp.className = 'activity-card-timestamp';
-  timestamp.textContent = completion ? formatTimestamp(completion.completedAt) : '';
 
   content.appendChild(name);
   content.appendChild(points);
@@ -41,8 +69,69 @@ function createActivityCard(activity, completion) {
   card.appendChild(checkbox);
   card.appendChild(content);
 
-  return { card, checkbox, timestamp };
+  const parts = { card, checkbox, timestamp };
+
+  if (isCounter) {
+    const controls = document.createElement('div');
+    controls.className = 'activity-card-controls';
+
+    parts.decrementButton = createCounterButton(
+      '−',
+      t('daily.counterDecrement', { name: activity.name }),
+      'counter-decrement'
+    );
+    parts.incrementButton = createCounterButton(
+      '+',
+      t('daily.counterIncrement', { name: activity.name }),
+      'counter-increment'
+    );
+
+    controls.appendChild(parts.decrementButton);
+    controls.appendChild(parts.incrementButton);
+    card.appendChild(controls);
+  }
+
+  updateActivityCard(parts, activity, completion);
+
+  return parts;
+}
+
+function createCounterButton(label, ariaLabel, testId) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'activity-card-counter-button';
+  button.dataset.testid = testId;
+  button.setAttribute('aria-label', ariaLabel);
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Sync an activity card with the current completion state
+ * @param {Object} parts - Parts returned by createActivityCard
+ * @param {Object} activity - Activity record
+ * @param {Object|null|undefined} completion - Completion for the card's date
+ */
+function updateActivityCard(parts, activity, completion) {
+  const { card, checkbox, timestamp } = parts;
+  card.classList.toggle('completed', Boolean(completion));
+  timestamp.textContent = completion ? formatTimestamp(completion.completedAt) : '';
+
+  if (!ActivityModel.isCounter(activity)) {
+    checkbox.textContent = completion ? getCompletionMark(activity) : '';
+    return;
+  }
+
+  const count = completion?.count || 0;
+  checkbox.textContent = activity.dailyMax
+    ? t('daily.counterOfMax', {
+        count: formatNumber(count),
+        max: formatNumber(activity.dailyMax),
+      })
+    : formatNumber(count);
+  parts.decrementButton.disabled = count === 0;
+  parts.incrementButton.disabled = Boolean(activity.dailyMax) && count >= activity.dailyMax;
 }
 
 // Re-export formatTimestamp from date.js for backwards compatibility
-export { createActivityCard, formatTimestamp };
+export { createActivityCard, updateActivityCard, getCompletionMark, formatTimestamp };
@@ -14,7 +14,13 @@ function getScoreClass(score) {
   return 'score-neutral';
 }
 
-function createScoreDisplay({ score, earnedToday, decayAmount }) {
+function createScoreDisplay({
+  score,
+  earnedToday,
+  decayAmount,
+  earnedLabel = t('score.todayLabel'),
+  decayNote = '',
+}) {
   const wrapper = document.createElement('section');
   wrapper.className = 'card score-display';
 
@@ -29,7 +35,7 @@ function createScoreDisplay({ score, earnedToday, decayAmount }) {
   const meta = document.createElement('div');
   meta.className = 'score-meta';
   meta.innerHTML = `
-    <span>${t('score.todayLabel')}: <strong>${formatNumber(earnedToday)}</strong></span>
+    <span>${earnedLabel}: <strong>${formatNumber(earnedToday)}</strong></span>
     <span>${t('score.decayLabel')}: <strong>${formatNumber(decayAmount)}</strong></span>
   `;
 
@@ -37,6 +43,14 @@ function createScoreDisplay({ score, earnedToday, decayAmount }) {
   wrapper.appendChild(scoreValue);
   wrapper.appendChild(meta);
 
+  if (decayNote) {
+    const note = document.createElement('div');
+    note.className = 'score-decay-rule';
+    note.dataset.testid = 'decay-rule';
+    note.textContent = decayNote;
+    wrapper.appendChild(note);
+  }
+
   return { wrapper, scoreValue, meta };
 }
 
@@ -103,6 +103,13 @@ function t(key, params) {
   return value ?? key;
 }
 
+// For reading text that may have been written in another language
+function tAllLocales(key) {
+  return SUPPORTED_LOCALES.map((locale) => getTranslation(locale, key)).filter(
+    (value) => value !== undefined
+  );
+}
+
 function tPlural(key, count, params = {}) {
   const value = getTranslation(currentLocale, key) ?? getTranslation('en', key);
   if (!value || typeof value !== 'object') {
@@ -133,6 +140,7 @@ export {
   getSupportedLocales,
   getLocaleLabel,
   t,
+  tAllLocales,
   tPlural,
   formatNumber,
   onLocaleChange,
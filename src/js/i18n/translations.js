@@ -22,6 +22,7 @@ const TRANSLATIONS = {
       uncategorized: 'Uncategorized',
       unknown: 'Unknown',
       comingSoon: 'Coming soon.',
+      badHabit: 'Bad habit',
     },
     nav: {
       primaryLabel: 'Primary',
@@ -51,6 +52,7 @@ const TRANSLATIONS = {
       mainLabel: 'Main Score',
       todayLabel: 'Today',
       decayLabel: 'Decay',
+      dayLabel: 'That day',
     },
     daily: {
       emptyTitle: 'No activities yet',
@@ -60,6 +62,28 @@ const TRANSLATIONS = {
       breakEvenProgressLabel: 'Break-even progress',
       breakEvenAchievedAria: 'Break-even achieved',
       breakEvenRemainingAria: '{{points}} {{pointsLabel}} remaining',
+      pointsPerUnit: '{{points}} {{unit}} each',
+      counterIncrement: 'Add one: {{name}}',
+      counterDecrement: 'Remove one: {{name}}',
+      counterOfMax: '{{count}}/{{max}}',
+      nothingDueTitle: 'Nothing due today',
+      nothingDueMessage: 'None of your activities are scheduled for today. Enjoy the break!',
+      previousDay: 'Previous day',
+      nextDay: 'Next day',
+      backToToday: 'Back to today',
+      editingPastDay: 'Editing a past day. Changes update that day’s history and your score.',
+      pausedDay: 'Decay paused',
+      excusedDay: 'Excused, decay refunded',
+      excuse: {
+        button: 'Excuse this day',
+        remove: 'Remove excuse',
+        description:
+          'Had a legitimate reason? Excusing a day gives back its decay and keeps your streaks intact.',
+        excused:
+          'This day is excused. Its decay was given back and it does not count against your streaks.',
+        remaining: 'Excused days left this month: {{count}} of {{allowance}}',
+      },
+      dayEndsAt: 'Day ends at {{time}}',
     },
     decay: {
       firstDayWelcome: 'Welcome! No decay on your first day.',
@@ -72,6 +96,27 @@ const TRANSLATIONS = {
       previewAlreadyActive: 'Already active today',
       previewDaysAway: '{{days}} days since last active',
       previewNone: 'No decay needed',
+      rules: {
+        flat: 'Flat decay of {{amount}} per day',
+        percentage: '{{percent}}% of a positive score',
+        escalating:
+          '{{amount}} per day plus {{step}} for each of the {{days}} missed or failed days before it',
+        capped: '{{amount}} per day, at most {{max}} per absence',
+        withFloor: '{{rule}}, never below {{floor}}',
+      },
+      paused: {
+        one: 'Decay was paused for the {{count}} day since your last visit.',
+        other: 'Decay was paused for all {{count}} days since your last visit.',
+      },
+      pausedDaysSkipped: {
+        one: '{{count}} paused day was skipped.',
+        other: '{{count}} paused days were skipped.',
+      },
+      streakFreezeEarned: 'You earned a streak freeze for {{days}} successful days in a row!',
+      streakFreezesUsed: {
+        one: 'A streak freeze kept your streak going.',
+        other: '{{count}} streak freezes kept your streak going.',
+      },
     },
     celebrations: {
       continue: 'Continue',
@@ -102,6 +147,21 @@ const TRANSLATIONS = {
       importFailed: 'Import failed',
       resetSuccess: 'All data has been reset',
       resetFailed: 'Reset failed: {{error}}',
+      badHabitLogged: 'Logged {{name}}',
+      counterChanged: '{{name}}: {{count}}',
+      templatesAdded: { one: 'Added {{count}} activity.', other: 'Added {{count}} activities.' },
+      recalculated: 'Score repaired',
+      recalculateFailed: 'Score repair failed: {{error}}',
+      pauseScheduled: 'Pause scheduled',
+      pauseStarted: 'Decay paused',
+      pauseEnded: 'Decay resumes tomorrow',
+      pauseCancelled: 'Pause cancelled',
+      dayExcused: 'Day excused',
+      excuseRemoved: 'Excuse removed',
+      backupRestored: 'Backup restored',
+      backupRestoreFailed: 'Restore failed: {{error}}',
+      exportEncryptedDownloaded: 'Encrypted backup downloaded',
+      rolloverFailed: "Couldn't start the new day: {{error}}",
     },
     activities: {
       title: 'Activities',
@@ -117,6 +177,21 @@ const TRANSLATIONS = {
         addButton: 'Add Activity',
         saveButton: 'Save Changes',
         cancelButton: 'Cancel',
+        badHabitLabel: 'Bad habit (subtracts points when logged)',
+        typeLabel: 'Type',
+        typeCheck: 'Once per day',
+        typeCounter: 'Counter (points per unit)',
+        dailyMaxLabel: 'Daily maximum',
+        dailyMaxPlaceholder: 'No limit',
+        scheduleLabel: 'Schedule',
+        scheduleDaily: 'Every day',
+        scheduleWeekdays: 'Specific weekdays',
+        scheduleInterval: 'Every few days',
+        scheduleWeekly: 'Times per week',
+        scheduleDaysLabel: 'Days',
+        scheduleEveryLabel: 'Repeat every (days)',
+        scheduleStartLabel: 'Starting on',
+        scheduleTimesLabel: 'Times per week',
       },
       sections: {
         activeTitle: 'Active',
@@ -134,10 +209,26 @@ const TRANSLATIONS = {
         edit: 'Edit',
         archive: 'Archive',
         restore: 'Restore',
+        counter: 'Counter',
+        counterWithMax: 'Counter · max {{max}}/day',
+        scheduleWeekdays: '{{days}}',
+        scheduleInterval: { one: 'Every day', other: 'Every {{count}} days' },
+        scheduleWeekly: { one: '{{count}}× per week', other: '{{count}}× per week' },
       },
       errors: {
         nameRequired: 'Activity name is required.',
         pointsPositive: 'Points must be a positive number.',
+        dailyMaxPositive: 'Daily maximum must be a positive number.',
+        scheduleDaysRequired: 'Pick at least one day.',
+        scheduleEveryInvalid: 'Repeat interval must be between 1 and {{max}} days.',
+        scheduleTimesInvalid: 'Times per week must be between 1 and 7.',
+      },
+      templates: {
+        title: 'Start from templates',
+        subtitle: 'Pick common habits to add them with suggested categories and points.',
+        addButton: 'Add selected',
+        added: 'Already added',
+        noneSelected: 'Select at least one template.',
       },
     },
     categories: {
@@ -174,6 +265,7 @@ const TRANSLATIONS = {
         scoreDecay: 'Score & Decay',
         appearance: 'Appearance',
         data: 'Data Management',
+        pause: 'Pause',
       },
       fields: {
         dailyDecay: 'Daily decay amount',
@@ -184,24 +276,61 @@ const TRANSLATIONS = {
         uiScale: 'UI scale',
         language: 'Language',
         languageAuto: 'Auto (browser)',
+        decayStrategy: 'Decay strategy',
+        decayPercent: 'Percentage of score per day',
+        decayStep: 'Extra decay per missed day',
+        decayMax: 'Maximum decay per absence',
+        decayFloor: 'Decay floor',
+        decayFloorPlaceholder: 'No floor',
+        excusedDaysPerMonth: 'Excused days per month',
+        excusedDaysPerMonthPlaceholder: 'No limit',
+        dayStartHour: 'Day starts at',
+        dayStartHourHint: 'Activities completed before this time count toward the previous day.',
       },
       saveButton: 'Save Settings',
       errors: {
         decayNonNegative: 'Decay amount must be 0 or more.',
         mainScoreNumber: 'Main score must be a number.',
+        decayPercentRange: 'Percentage must be between 1 and 100.',
+        decayStepPositive: 'Extra decay per missed day must be 1 or more.',
+        decayMaxPositive: 'Maximum decay per absence must be 1 or more.',
+        decayFloorNumber: 'Decay floor must be a whole number.',
+        excusedDaysPerMonthRange: 'Excused days per month must be between 0 and 31.',
+        passphraseTooShort: 'Passphrase must be at least {{min}} characters.',
+        passphraseMismatch: 'The passphrases do not match.',
       },
       data: {
         exportTitle: 'Export',
-        exportDescription: 'Download your data for backup or transfer.',
+        exportDescription:
+          'Download your data for backup or transfer. An encrypted export can only be opened with its passphrase.',
         exportJson: 'Export JSON',
         exportCsv: 'Export CSV',
         importTitle: 'Import',
-        importDescription: 'Restore data from a JSON backup file.',
-        importMerge: 'Merge with existing data',
-        importJson: 'Import JSON',
+        importDescription:
+          'Restore data from a JSON backup file, or merge in an export from another device or a CSV file of completions or activities. You will see what changes before anything is saved.',
         resetTitle: 'Reset Data',
-        resetDescription: 'Permanently delete all your data. This cannot be undone.',
+        resetDescription:
+          'Delete all your data. A backup is saved first, so you can restore it from Backups.',
         resetButton: 'Reset All Data',
+        recalculateTitle: 'Check Score',
+        recalculateDescription:
+          'Rebuild your score and history from your completions, decay settings and manual score changes.',
+        recalculateCheck: 'Check Score',
+        recalculateApply: 'Repair Score',
+        backupsTitle: 'Backups',
+        backupsDescription:
+          'A copy of your data is saved on this device once a day and before every import, reset or restore. The last {{count}} are kept.',
+        exportEncrypted: 'Export encrypted',
+        importFile: 'Import File',
+        csvDescription:
+          'CSV files open in spreadsheets. Stable keys read the same in every language, and semicolons suit spreadsheets that use decimal commas.',
+        csvTable: 'CSV table',
+        csvHeaders: 'Column headers',
+        csvHeadersLocalized: 'Translated names',
+        csvHeadersKeys: 'Stable keys',
+        csvDelimiter: 'Separator',
+        csvDelimiterComma: 'Comma (,)',
+        csvDelimiterSemicolon: 'Semicolon (;)',
       },
       import: {
         importing: 'Importing...',
@@ -214,6 +343,111 @@ const TRANSLATIONS = {
           'Are you sure you want to delete ALL your data?\n\nThis includes all activities, completions, score history, and settings.\n\nThis action CANNOT be undone!',
         resetSecondary:
           'Please confirm again.\n\nAll your YourScore data will be permanently deleted.',
+        recalculate: 'Replace your main score and score history with the recalculated values?',
+        restoreBackup:
+          'Replace all your data with the backup from {{date}}?\n\nYour current data is backed up first.',
+        continueWithoutBackup: "{{error}}\n\nContinue without a backup? This can't be undone.",
+      },
+      recalculate: {
+        upToDate: 'Your score and history match your activity log.',
+        mainScore: 'Main score: {{current}} → {{expected}}.',
+        daysChanged: {
+          one: '{{count}} day of history differs.',
+          other: '{{count}} days of history differ.',
+        },
+        change: '{{date}}: {{current}} → {{expected}}',
+        more: '…and {{count}} more',
+      },
+      decayStrategies: {
+        flat: 'Flat',
+        percentage: 'Percentage of score',
+        escalating: 'Escalating',
+        capped: 'Capped per absence',
+      },
+      decayPreview:
+        'Missing {{days}} days in a row would cost {{daily}} = {{total}}, leaving {{score}}.',
+      pause: {
+        description:
+          'Going away? No decay is charged on paused days, and they neither break nor extend your streak.',
+        startDate: 'First paused day',
+        endDate: 'Last paused day',
+        endDateHint: 'Leave the last day empty to stay paused until you resume.',
+        schedule: 'Schedule pause',
+        pauseNow: 'Pause now',
+        end: 'Resume',
+        cancel: 'Cancel',
+        empty: 'No pauses scheduled.',
+        range: '{{start}} – {{end}}',
+        openRange: 'From {{start}} until you resume',
+        status: {
+          active: 'Paused',
+          upcoming: 'Upcoming',
+          past: 'Ended',
+        },
+      },
+      backups: {
+        empty: 'No backups yet.',
+        preview: 'Preview',
+        download: 'Download',
+        restore: 'Restore',
+        mainScore: 'Main score: {{score}}',
+        reasons: {
+          daily: 'Daily backup',
+          import: 'Before import',
+          reset: 'Before reset',
+          restore: 'Before restore',
+        },
+      },
+      merge: {
+        duplicates: {
+          one: '{{count}} completion is already logged here and is skipped.',
+          other: '{{count}} completions are already logged here and are skipped.',
+        },
+        noConflicts: 'No conflicts.',
+        conflicts: { one: '{{count}} conflict:', other: '{{count}} conflicts:' },
+        conflict: {
+          activityPoints:
+            '{{name}}: {{local}} points here, {{incoming}} in the file. Keeping {{local}}.',
+          activityType:
+            '{{name}}: “{{local}}” here, “{{incoming}}” in the file. Keeping “{{local}}”.',
+          completion:
+            '{{name}} on {{date}}: logged {{local}} here, {{incoming}} in the file. Keeping {{kept}}.',
+          pause: 'The pause {{incoming}} overlaps the pause {{local}} here and is skipped.',
+          setting: '{{setting}} differs from the file. Keeping the value on this device.',
+          completionCapped:
+            '{{name}} on {{date}}: logged {{local}} here, {{incoming}} in the file. Keeping {{kept}}, the daily max.',
+        },
+        more: '…and {{count}} more',
+      },
+      passphrase: {
+        label: 'Passphrase',
+        confirmLabel: 'Repeat passphrase',
+        exportPrompt:
+          'Choose a passphrase for the export. It cannot be recovered if you forget it.',
+        importPrompt: 'This file is encrypted. Enter its passphrase to open it.',
+        submit: 'Continue',
+        cancel: 'Cancel',
+      },
+      importPreview: {
+        range: 'The file covers {{from}} to {{to}}.',
+        noRange: 'The file has no dated records.',
+        warnings: 'Before you import:',
+        mainScore: 'Main score: {{current}} → {{result}}',
+        change: '{{store}}: {{added}} added, {{updated}} updated, {{removed}} removed',
+        noChanges: 'Nothing changes.',
+        replaceTitle: 'Replace',
+        replaceDescription: 'Everything on this device is replaced with the file.',
+        mergeTitle: 'Merge',
+        mergeDescription: 'The file is combined with the data on this device.',
+        replace: 'Replace all data',
+        merge: 'Merge',
+        cancel: 'Cancel',
+        repairDescription:
+          'These can be repaired: activities whose category is missing move to Uncategorized, and repeated completions are dropped.',
+        repair: 'Repair and continue',
+        more: '…and {{count}} more',
+        csvMergeOnly:
+          'A CSV file only holds completions or activities, so it can only be merged in. Activities and categories are matched by name, and any that are missing are created.',
       },
     },
     dashboard: {
@@ -236,6 +470,7 @@ const TRANSLATIONS = {
         activitiesLabel: 'Activities',
         activitiesAria: 'Activity completion',
         percentComplete: '{{percent}}% complete',
+        breakEvenStatusPaused: 'Paused',
       },
       streaksTitle: 'Streaks',
       streaks: {
@@ -258,6 +493,25 @@ const TRANSLATIONS = {
       achievementsUnlocked: 'unlocked',
       achievementsRecent: 'Recently Unlocked',
       achievementsNext: 'Next Goals',
+      recentDays: {
+        title: 'Last {{days}} days',
+        success: 'Broke even',
+        missed: 'Missed',
+        paused: 'Paused',
+        pending: 'In progress',
+        none: 'No record',
+        excused: 'Excused',
+        frozen: 'Frozen',
+      },
+      streakFreezes: {
+        available: {
+          one: '{{count}} streak freeze ready (up to {{max}})',
+          other: '{{count}} streak freezes ready (up to {{max}})',
+        },
+        hint: 'Earn one every {{days}} successful days in a row. It is used up automatically on a missed or failed day.',
+        used: 'Used: {{count}} (latest: {{dates}})',
+        noneUsed: 'None used yet',
+      },
     },
     achievements: {
       notificationTitle: 'Achievement Unlocked!',
@@ -317,9 +571,31 @@ const TRANSLATIONS = {
       },
     },
     export: {
-      csvHeaders: ['Date', 'Activity', 'Category', 'Points', 'Completed At'],
       filenameBackup: 'yourscore-backup-{{date}}.json',
-      filenameCsv: 'yourscore-completions-{{date}}.csv',
+      filenameEncrypted: 'yourscore-backup-{{date}}.encrypted.json',
+      csvColumns: {
+        date: 'Date',
+        activity: 'Activity',
+        category: 'Category',
+        points: 'Points',
+        completedAt: 'Completed At',
+        count: 'Count',
+        score: 'Score',
+        earned: 'Earned',
+        decay: 'Decay',
+        paused: 'Paused',
+        excused: 'Excused',
+        frozen: 'Frozen',
+        name: 'Name',
+        type: 'Type',
+        dailyMax: 'Daily Max',
+        archived: 'Archived',
+      },
+      csvFilenames: {
+        completions: 'yourscore-completions-{{date}}.csv',
+        scoreHistory: 'yourscore-score-history-{{date}}.csv',
+        activities: 'yourscore-activities-{{date}}.csv',
+      },
     },
     import: {
       storeLabels: {
@@ -329,11 +605,27 @@ const TRANSLATIONS = {
         completions: 'Completions',
         scoreHistory: 'Score history',
         achievements: 'Achievements',
+        scoreAdjustments: 'Score adjustments',
+        pauses: 'Pauses',
+        excusedDays: 'Excused days',
+        streakFreezes: 'Streak freezes',
+      },
+      warnings: {
+        upgraded:
+          'This file was made by an older version (format {{version}}) and has been upgraded.',
+        unknownStore: '“{{store}}” is not part of YourScore data and will be skipped.',
+        duplicateKeys: {
+          one: '{{count}} record in {{store}} repeats an earlier one; only the last is kept.',
+          other: '{{count}} records in {{store}} repeat earlier ones; only the last is kept.',
+        },
+      },
+      repairs: {
+        category: '{{name}} was moved to Uncategorized because its category is missing.',
+        duplicate: 'A second completion of {{name}} on {{date}} was dropped.',
       },
     },
     errors: {
       activityNameRequired: 'Activity name is required',
-      activityPointsPositive: 'Points must be a positive number',
       activityNotFound: 'Activity not found',
       categoryNotFound: 'Category not found',
       categoryCannotRenameUncategorized: 'Cannot rename Uncategorized category',
@@ -356,10 +648,87 @@ const TRANSLATIONS = {
       importInvalidJson: 'Invalid JSON: {{error}}',
       importReadFailed: 'Failed to read file: {{error}}',
       importNoFile: 'No file provided',
-      importInvalidFileType: 'Invalid file type: expected .json',
+      importInvalidFileType: 'Invalid file type: expected .json or .csv',
       importValueOutOfRange: '"{{field}}" value out of range at {{store}}[{{index}}]',
       importValueTooLong: '"{{field}}" value too long at {{store}}[{{index}}]',
       fileReadFailed: 'Failed to read file',
+      activityPointsNonZero: 'Points must be a non-zero number',
+      activityTypeInvalid: 'Invalid activity type',
+      activityDailyMaxInvalid: 'Daily maximum must be a positive whole number',
+      completionCountInvalid: 'Count must be a whole number of at least 0',
+      activityScheduleInvalid: 'Invalid activity schedule',
+      completionPointsInvalid: 'Completion points must be a whole number',
+      historyDateOutOfRange: 'Completions can only be changed between your first day and today',
+      decayStrategyInvalid: 'Invalid decay strategy',
+      pauseDateInvalid: 'Enter a valid date',
+      pauseStartInPast: 'A pause cannot start in the past',
+      pauseEndBeforeStart: 'The last paused day cannot be before the first',
+      pauseOverlap: 'This pause overlaps another pause',
+      pauseNotFound: 'Pause not found',
+      pauseNotActive: 'This pause is not under way',
+      pauseAlreadyStarted: 'A pause that has started cannot be cancelled, only resumed',
+      excuseDateInvalid: 'Only past days can be excused',
+      excuseDayPaused: 'Paused days have no decay to excuse',
+      dayAlreadyExcused: 'This day is already excused',
+      dayNotExcused: 'This day is not excused',
+      excuseAllowanceUsed: 'No excused days left for this month (allowance: {{allowance}})',
+      streakFreezeNotFound: 'Streak freeze not found',
+      streakFreezeUsed: 'This streak freeze has already been used',
+      backupFailed: "Couldn't save a backup first: {{error}}",
+      backupNotFound: 'Backup not found',
+      encryptionUnavailable: 'Encryption is not available in this browser',
+      encryptedVersion: 'This encrypted file was made by a newer version of YourScore',
+      encryptedInvalid: 'This encrypted file is damaged or incomplete',
+      wrongPassphrase: 'Wrong passphrase',
+      encryptedTampered: 'This encrypted file has been changed or damaged and cannot be opened',
+      passphraseRequired: 'Enter the passphrase to open this encrypted file',
+      importNewerVersion:
+        'This file was exported by a newer version of YourScore. Update the app to import it',
+      importInvalidDate: 'Invalid date in "{{field}}" at {{store}}[{{index}}]: expected YYYY-MM-DD',
+      importFutureDate: '"{{field}}" is in the future at {{store}}[{{index}}]',
+      importUnknownActivity: 'Unknown activity "{{activity}}" at completions[{{index}}]',
+      importUnknownCategory: 'Unknown category "{{category}}" at activities[{{index}}]',
+      importDuplicateCompletion:
+        'completions[{{index}}] logs the same activity and day as completions[{{first}}]',
+      csvEmpty: 'The CSV file is empty',
+      csvUnknownTable:
+        'This CSV file has none of the columns of a completions or activities export',
+      csvInvalidValue: 'Invalid "{{column}}" value in row {{row}}',
+      csvUnevenPoints:
+        "{{points}} points in row {{row}} can't be split evenly over a count of {{count}}",
+    },
+    templates: {
+      categories: {
+        health: 'Health',
+        mind: 'Mind',
+        routine: 'Routine',
+        bad_habits: 'Habits to break',
+      },
+      activities: {
+        exercise: 'Exercise 30 min',
+        steps: 'Walk 10,000 steps',
+        water: 'Glass of water',
+        sleep: 'In bed by 11 pm',
+        meditation: 'Meditation',
+        read: 'Read 30 min',
+        journal: 'Journal',
+        early_wake_up: 'Early wake up',
+        make_bed: 'Make the bed',
+        plan_tomorrow: 'Plan tomorrow',
+        doomscrolling: 'Doomscrolling',
+        junk_food: 'Junk food',
+      },
+    },
+    sync: {
+      upgradeBlocked: 'Close YourScore in your other tabs to finish updating.',
+      updatedElsewhere: 'YourScore was updated in another tab. Reload to keep going.',
+      reload: 'Reload',
+    },
+    storage: {
+      notSaved:
+        "This browser won't let YourScore save data. Changes are lost when you close this tab.",
+      limited:
+        "This browser won't let YourScore use its usual storage. Your data is kept in limited space, so export a backup now and then.",
     },
   },
   de: {
@@ -372,6 +741,7 @@ const TRANSLATIONS = {
       uncategorized: 'Ohne Kategorie',
       unknown: 'Unbekannt',
       comingSoon: 'Demnächst.',
+      badHabit: 'Schlechte Angewohnheit',
     },
     nav: {
       primaryLabel: 'Primär',
@@ -401,6 +771,7 @@ const TRANSLATIONS = {
       mainLabel: 'Hauptpunktestand',
       todayLabel: 'Heute',
       decayLabel: 'Verfall',
+      dayLabel: 'An dem Tag',
     },
     daily: {
       emptyTitle: 'Noch keine Aktivitäten',
@@ -410,6 +781,29 @@ const TRANSLATIONS = {
       breakEvenProgressLabel: 'Break-even-Fortschritt',
       breakEvenAchievedAria: 'Break-even erreicht',
       breakEvenRemainingAria: '{{points}} {{pointsLabel}} verbleibend',
+      pointsPerUnit: '{{points}} {{unit}} pro Einheit',
+      counterIncrement: 'Eins hinzufügen: {{name}}',
+      counterDecrement: 'Eins entfernen: {{name}}',
+      counterOfMax: '{{count}}/{{max}}',
+      nothingDueTitle: 'Heute nichts fällig',
+      nothingDueMessage: 'Für heute ist keine deiner Aktivitäten geplant. Genieß die Pause!',
+      previousDay: 'Vorheriger Tag',
+      nextDay: 'Nächster Tag',
+      backToToday: 'Zurück zu heute',
+      editingPastDay:
+        'Du bearbeitest einen vergangenen Tag. Änderungen aktualisieren den Verlauf dieses Tages und deinen Punktestand.',
+      pausedDay: 'Verfall pausiert',
+      excusedDay: 'Entschuldigt, Verfall erstattet',
+      excuse: {
+        button: 'Tag entschuldigen',
+        remove: 'Entschuldigung aufheben',
+        description:
+          'Gab es einen triftigen Grund? Ein entschuldigter Tag bekommt seinen Verfall zurück und unterbricht keine Serien.',
+        excused:
+          'Dieser Tag ist entschuldigt. Sein Verfall wurde erstattet und er zählt nicht gegen deine Serien.',
+        remaining: 'Verbleibende entschuldigte Tage in diesem Monat: {{count}} von {{allowance}}',
+      },
+      dayEndsAt: 'Tag endet um {{time}}',
     },
     decay: {
       firstDayWelcome: 'Willkommen! Am ersten Tag gibt es keinen Verfall.',
@@ -422,6 +816,28 @@ const TRANSLATIONS = {
       previewAlreadyActive: 'Heute bereits aktiv',
       previewDaysAway: '{{days}} Tage seit letzter Aktivität',
       previewNone: 'Kein Verfall nötig',
+      rules: {
+        flat: 'Gleichbleibender Verfall von {{amount}} pro Tag',
+        percentage: '{{percent}} % eines positiven Punktestands',
+        escalating:
+          '{{amount}} pro Tag plus {{step}} für jeden verpassten oder nicht geschafften Tag davor ({{days}})',
+        capped: '{{amount}} pro Tag, höchstens {{max}} pro Abwesenheit',
+        withFloor: '{{rule}}, nie unter {{floor}}',
+      },
+      paused: {
+        one: 'Der Verfall war für {{count}} Tag seit deinem letzten Besuch pausiert.',
+        other: 'Der Verfall war für alle {{count}} Tage seit deinem letzten Besuch pausiert.',
+      },
+      pausedDaysSkipped: {
+        one: '{{count}} pausierter Tag wurde übersprungen.',
+        other: '{{count}} pausierte Tage wurden übersprungen.',
+      },
+      streakFreezeEarned:
+        'Du hast einen Serienretter für {{days}} erfolgreiche Tage in Folge verdient!',
+      streakFreezesUsed: {
+        one: 'Ein Serienretter hat deine Serie gerettet.',
+        other: '{{count}} Serienretter haben deine Serie gerettet.',
+      },
     },
     celebrations: {
       continue: 'Weiter',
@@ -452,6 +868,24 @@ const TRANSLATIONS = {
       importFailed: 'Import fehlgeschlagen',
       resetSuccess: 'Alle Daten wurden zurückgesetzt',
       resetFailed: 'Zurücksetzen fehlgeschlagen: {{error}}',
+      badHabitLogged: '{{name}} erfasst',
+      counterChanged: '{{name}}: {{count}}',
+      templatesAdded: {
+        one: '{{count}} Aktivität hinzugefügt.',
+        other: '{{count}} Aktivitäten hinzugefügt.',
+      },
+      recalculated: 'Punktestand repariert',
+      recalculateFailed: 'Reparatur fehlgeschlagen: {{error}}',
+      pauseScheduled: 'Pause geplant',
+      pauseStarted: 'Verfall pausiert',
+      pauseEnded: 'Verfall geht morgen weiter',
+      pauseCancelled: 'Pause abgebrochen',
+      dayExcused: 'Tag entschuldigt',
+      excuseRemoved: 'Entschuldigung aufgehoben',
+      backupRestored: 'Sicherung wiederhergestellt',
+      backupRestoreFailed: 'Wiederherstellen fehlgeschlagen: {{error}}',
+      exportEncryptedDownloaded: 'Verschlüsselte Sicherung heruntergeladen',
+      rolloverFailed: 'Der neue Tag konnte nicht begonnen werden: {{error}}',
     },
     activities: {
       title: 'Aktivitäten',
@@ -467,6 +901,21 @@ const TRANSLATIONS = {
         addButton: 'Aktivität hinzufügen',
         saveButton: 'Änderungen speichern',
         cancelButton: 'Abbrechen',
+        badHabitLabel: 'Schlechte Angewohnheit (zieht beim Erfassen Punkte ab)',
+        typeLabel: 'Typ',
+        typeCheck: 'Einmal pro Tag',
+        typeCounter: 'Zähler (Punkte pro Einheit)',
+        dailyMaxLabel: 'Tagesmaximum',
+        dailyMaxPlaceholder: 'Kein Limit',
+        scheduleLabel: 'Zeitplan',
+        scheduleDaily: 'Jeden Tag',
+        scheduleWeekdays: 'Bestimmte Wochentage',
+        scheduleInterval: 'Alle paar Tage',
+        scheduleWeekly: 'Mal pro Woche',
+        scheduleDaysLabel: 'Tage',
+        scheduleEveryLabel: 'Wiederholen alle (Tage)',
+        scheduleStartLabel: 'Beginnt am',
+        scheduleTimesLabel: 'Mal pro Woche',
       },
       sections: {
         activeTitle: 'Aktiv',
@@ -484,10 +933,27 @@ const TRANSLATIONS = {
         edit: 'Bearbeiten',
         archive: 'Archivieren',
         restore: 'Wiederherstellen',
+        counter: 'Zähler',
+        counterWithMax: 'Zähler · max. {{max}}/Tag',
+        scheduleWeekdays: '{{days}}',
+        scheduleInterval: { one: 'Jeden Tag', other: 'Alle {{count}} Tage' },
+        scheduleWeekly: { one: '{{count}}× pro Woche', other: '{{count}}× pro Woche' },
       },
       errors: {
         nameRequired: 'Aktivitätsname ist erforderlich.',
         pointsPositive: 'Punkte müssen eine positive Zahl sein.',
+        dailyMaxPositive: 'Das Tagesmaximum muss eine positive Zahl sein.',
+        scheduleDaysRequired: 'Wähle mindestens einen Tag.',
+        scheduleEveryInvalid: 'Das Intervall muss zwischen 1 und {{max}} Tagen liegen.',
+        scheduleTimesInvalid: 'Mal pro Woche muss zwischen 1 und 7 liegen.',
+      },
+      templates: {
+        title: 'Mit Vorlagen starten',
+        subtitle:
+          'Wähle typische Gewohnheiten aus, um sie mit vorgeschlagenen Kategorien und Punkten hinzuzufügen.',
+        addButton: 'Auswahl hinzufügen',
+        added: 'Bereits hinzugefügt',
+        noneSelected: 'Wähle mindestens eine Vorlage aus.',
       },
     },
     categories: {
@@ -524,6 +990,7 @@ const TRANSLATIONS = {
         scoreDecay: 'Punktestand & Verfall',
         appearance: 'Darstellung',
         data: 'Datenverwaltung',
+        pause: 'Pause',
       },
       fields: {
         dailyDecay: 'Täglicher Verfall',
@@ -534,24 +1001,61 @@ const TRANSLATIONS = {
         uiScale: 'UI-Skalierung',
         language: 'Sprache',
         languageAuto: 'Automatisch (Browser)',
+        decayStrategy: 'Verfallsart',
+        decayPercent: 'Prozent des Punktestands pro Tag',
+        decayStep: 'Zusätzlicher Verfall pro verpasstem Tag',
+        decayMax: 'Maximaler Verfall pro Abwesenheit',
+        decayFloor: 'Untergrenze',
+        decayFloorPlaceholder: 'Keine Untergrenze',
+        excusedDaysPerMonth: 'Entschuldigte Tage pro Monat',
+        excusedDaysPerMonthPlaceholder: 'Keine Begrenzung',
+        dayStartHour: 'Tag beginnt um',
+        dayStartHourHint: 'Aktivitäten, die vor dieser Uhrzeit erledigt werden, zählen zum Vortag.',
       },
       saveButton: 'Einstellungen speichern',
       errors: {
         decayNonNegative: 'Verfall muss 0 oder größer sein.',
         mainScoreNumber: 'Hauptpunktestand muss eine Zahl sein.',
+        decayPercentRange: 'Der Prozentsatz muss zwischen 1 und 100 liegen.',
+        decayStepPositive: 'Der zusätzliche Verfall pro verpasstem Tag muss mindestens 1 sein.',
+        decayMaxPositive: 'Der maximale Verfall pro Abwesenheit muss mindestens 1 sein.',
+        decayFloorNumber: 'Die Untergrenze muss eine ganze Zahl sein.',
+        excusedDaysPerMonthRange: 'Entschuldigte Tage pro Monat müssen zwischen 0 und 31 liegen.',
+        passphraseTooShort: 'Die Passphrase muss mindestens {{min}} Zeichen lang sein.',
+        passphraseMismatch: 'Die Passphrasen stimmen nicht überein.',
       },
       data: {
         exportTitle: 'Export',
-        exportDescription: 'Lade deine Daten zur Sicherung oder zum Transfer herunter.',
+        exportDescription:
+          'Lade deine Daten zur Sicherung oder zum Transfer herunter. Ein verschlüsselter Export lässt sich nur mit seiner Passphrase öffnen.',
         exportJson: 'JSON exportieren',
         exportCsv: 'CSV exportieren',
         importTitle: 'Import',
-        importDescription: 'Daten aus einer JSON-Sicherungsdatei wiederherstellen.',
-        importMerge: 'Mit vorhandenen Daten zusammenführen',
-        importJson: 'JSON importieren',
+        importDescription:
+          'Stelle Daten aus einer JSON-Sicherung wieder her oder führe einen Export von einem anderen Gerät oder eine CSV-Datei mit Abschlüssen oder Aktivitäten zusammen. Du siehst vor dem Speichern, was sich ändert.',
         resetTitle: 'Daten zurücksetzen',
-        resetDescription: 'Lösche alle Daten dauerhaft. Das kann nicht rückgängig gemacht werden.',
+        resetDescription:
+          'Alle deine Daten löschen. Vorher wird eine Sicherung gespeichert, die du unter Sicherungen wiederherstellen kannst.',
         resetButton: 'Alle Daten löschen',
+        recalculateTitle: 'Punktestand prüfen',
+        recalculateDescription:
+          'Punktestand und Verlauf aus deinen Erledigungen, Verfallseinstellungen und manuellen Änderungen neu berechnen.',
+        recalculateCheck: 'Punktestand prüfen',
+        recalculateApply: 'Punktestand reparieren',
+        backupsTitle: 'Sicherungen',
+        backupsDescription:
+          'Eine Kopie deiner Daten wird einmal täglich und vor jedem Import, Zurücksetzen oder Wiederherstellen auf diesem Gerät gespeichert. Die letzten {{count}} werden aufbewahrt.',
+        exportEncrypted: 'Verschlüsselt exportieren',
+        importFile: 'Datei importieren',
+        csvDescription:
+          'CSV-Dateien lassen sich in Tabellenkalkulationen öffnen. Feste Schlüssel lauten in jeder Sprache gleich, und Semikolons passen zu Tabellenkalkulationen mit Dezimalkomma.',
+        csvTable: 'CSV-Tabelle',
+        csvHeaders: 'Spaltenüberschriften',
+        csvHeadersLocalized: 'Übersetzte Namen',
+        csvHeadersKeys: 'Feste Schlüssel',
+        csvDelimiter: 'Trennzeichen',
+        csvDelimiterComma: 'Komma (,)',
+        csvDelimiterSemicolon: 'Semikolon (;)',
       },
       import: {
         importing: 'Importiere...',
@@ -564,6 +1068,114 @@ const TRANSLATIONS = {
           'Möchtest du wirklich ALLE Daten löschen?\n\nDas umfasst alle Aktivitäten, Abschlüsse, Verlauf und Einstellungen.\n\nDiese Aktion kann NICHT rückgängig gemacht werden!',
         resetSecondary:
           'Bitte erneut bestätigen.\n\nAlle YourScore-Daten werden dauerhaft gelöscht.',
+        recalculate: 'Hauptpunktestand und Verlauf durch die neu berechneten Werte ersetzen?',
+        restoreBackup:
+          'Alle deine Daten durch die Sicherung vom {{date}} ersetzen?\n\nDeine aktuellen Daten werden vorher gesichert.',
+        continueWithoutBackup:
+          '{{error}}\n\nOhne Sicherung fortfahren? Das kann nicht rückgängig gemacht werden.',
+      },
+      recalculate: {
+        upToDate: 'Punktestand und Verlauf stimmen mit deinem Aktivitätsprotokoll überein.',
+        mainScore: 'Hauptpunktestand: {{current}} → {{expected}}.',
+        daysChanged: {
+          one: '{{count}} Tag im Verlauf weicht ab.',
+          other: '{{count}} Tage im Verlauf weichen ab.',
+        },
+        change: '{{date}}: {{current}} → {{expected}}',
+        more: '…und {{count}} weitere',
+      },
+      decayStrategies: {
+        flat: 'Gleichbleibend',
+        percentage: 'Prozent des Punktestands',
+        escalating: 'Steigend',
+        capped: 'Begrenzt pro Abwesenheit',
+      },
+      decayPreview:
+        '{{days}} verpasste Tage in Folge würden {{daily}} = {{total}} kosten, danach bleiben {{score}}.',
+      pause: {
+        description:
+          'Unterwegs? An pausierten Tagen gibt es keinen Verfall, und sie unterbrechen oder verlängern deine Serie nicht.',
+        startDate: 'Erster Pausentag',
+        endDate: 'Letzter Pausentag',
+        endDateHint: 'Lass den letzten Tag leer, um pausiert zu bleiben, bis du fortsetzt.',
+        schedule: 'Pause planen',
+        pauseNow: 'Jetzt pausieren',
+        end: 'Fortsetzen',
+        cancel: 'Abbrechen',
+        empty: 'Keine Pausen geplant.',
+        range: '{{start}} – {{end}}',
+        openRange: 'Ab {{start}}, bis du fortsetzt',
+        status: {
+          active: 'Pausiert',
+          upcoming: 'Geplant',
+          past: 'Beendet',
+        },
+      },
+      backups: {
+        empty: 'Noch keine Sicherungen.',
+        preview: 'Vorschau',
+        download: 'Herunterladen',
+        restore: 'Wiederherstellen',
+        mainScore: 'Hauptpunktestand: {{score}}',
+        reasons: {
+          daily: 'Tägliche Sicherung',
+          import: 'Vor dem Import',
+          reset: 'Vor dem Zurücksetzen',
+          restore: 'Vor dem Wiederherstellen',
+        },
+      },
+      merge: {
+        duplicates: {
+          one: '{{count}} Erledigung ist hier bereits erfasst und wird übersprungen.',
+          other: '{{count}} Erledigungen sind hier bereits erfasst und werden übersprungen.',
+        },
+        noConflicts: 'Keine Konflikte.',
+        conflicts: { one: '{{count}} Konflikt:', other: '{{count}} Konflikte:' },
+        conflict: {
+          activityPoints:
+            '{{name}}: hier {{local}} Punkte, in der Datei {{incoming}}. {{local}} wird beibehalten.',
+          activityType:
+            '{{name}}: hier „{{local}}“, in der Datei „{{incoming}}“. „{{local}}“ wird beibehalten.',
+          completion:
+            '{{name}} am {{date}}: hier {{local}}-mal erfasst, in der Datei {{incoming}}-mal. {{kept}} wird beibehalten.',
+          pause:
+            'Die Pause {{incoming}} überschneidet sich mit der Pause {{local}} und wird übersprungen.',
+          setting:
+            '{{setting}} weicht von der Datei ab. Der Wert auf diesem Gerät wird beibehalten.',
+          completionCapped:
+            '{{name}} am {{date}}: hier {{local}}-mal erfasst, in der Datei {{incoming}}-mal. {{kept}} wird beibehalten, das Tagesmaximum.',
+        },
+        more: '…und {{count}} weitere',
+      },
+      passphrase: {
+        label: 'Passphrase',
+        confirmLabel: 'Passphrase wiederholen',
+        exportPrompt:
+          'Wähle eine Passphrase für den Export. Sie kann nicht wiederhergestellt werden, wenn du sie vergisst.',
+        importPrompt: 'Diese Datei ist verschlüsselt. Gib ihre Passphrase ein, um sie zu öffnen.',
+        submit: 'Weiter',
+        cancel: 'Abbrechen',
+      },
+      importPreview: {
+        range: 'Die Datei umfasst {{from}} bis {{to}}.',
+        noRange: 'Die Datei enthält keine datierten Einträge.',
+        warnings: 'Vor dem Import:',
+        mainScore: 'Hauptpunktzahl: {{current}} → {{result}}',
+        change: '{{store}}: {{added}} neu, {{updated}} geändert, {{removed}} entfernt',
+        noChanges: 'Nichts ändert sich.',
+        replaceTitle: 'Ersetzen',
+        replaceDescription: 'Alle Daten auf diesem Gerät werden durch die Datei ersetzt.',
+        mergeTitle: 'Zusammenführen',
+        mergeDescription: 'Die Datei wird mit den Daten auf diesem Gerät kombiniert.',
+        replace: 'Alle Daten ersetzen',
+        merge: 'Zusammenführen',
+        cancel: 'Abbrechen',
+        repairDescription:
+          'Das lässt sich reparieren: Aktivitäten ohne vorhandene Kategorie kommen nach „Ohne Kategorie“, doppelte Erledigungen werden entfernt.',
+        repair: 'Reparieren und fortfahren',
+        more: '…und {{count}} weitere',
+        csvMergeOnly:
+          'Eine CSV-Datei enthält nur Abschlüsse oder Aktivitäten und kann daher nur zusammengeführt werden. Aktivitäten und Kategorien werden über ihren Namen zugeordnet, fehlende werden angelegt.',
       },
     },
     dashboard: {
@@ -586,6 +1198,7 @@ const TRANSLATIONS = {
         activitiesLabel: 'Aktivitäten',
         activitiesAria: 'Aktivitätsabschluss',
         percentComplete: '{{percent}}% abgeschlossen',
+        breakEvenStatusPaused: 'Pausiert',
       },
       streaksTitle: 'Serien',
       streaks: {
@@ -609,6 +1222,25 @@ const TRANSLATIONS = {
       achievementsUnlocked: 'freigeschaltet',
       achievementsRecent: 'Kürzlich freigeschaltet',
       achievementsNext: 'Nächste Ziele',
+      recentDays: {
+        title: 'Letzte {{days}} Tage',
+        success: 'Ausgeglichen',
+        missed: 'Verpasst',
+        paused: 'Pausiert',
+        pending: 'Läuft',
+        none: 'Kein Eintrag',
+        excused: 'Entschuldigt',
+        frozen: 'Gerettet',
+      },
+      streakFreezes: {
+        available: {
+          one: '{{count}} Serienretter bereit (höchstens {{max}})',
+          other: '{{count}} Serienretter bereit (höchstens {{max}})',
+        },
+        hint: 'Du verdienst einen alle {{days}} erfolgreichen Tage in Folge. Er wird an einem verpassten oder verfehlten Tag automatisch eingesetzt.',
+        used: 'Eingesetzt: {{count}} (zuletzt: {{dates}})',
+        noneUsed: 'Noch keiner eingesetzt',
+      },
     },
     achievements: {
       notificationTitle: 'Erfolg freigeschaltet!',
@@ -668,9 +1300,31 @@ const TRANSLATIONS = {
       },
     },
     export: {
-      csvHeaders: ['Datum', 'Aktivität', 'Kategorie', 'Punkte', 'Erledigt um'],
       filenameBackup: 'yourscore-backup-{{date}}.json',
-      filenameCsv: 'yourscore-abschluesse-{{date}}.csv',
+      filenameEncrypted: 'yourscore-backup-{{date}}.encrypted.json',
+      csvColumns: {
+        date: 'Datum',
+        activity: 'Aktivität',
+        category: 'Kategorie',
+        points: 'Punkte',
+        completedAt: 'Erledigt um',
+        count: 'Anzahl',
+        score: 'Punktestand',
+        earned: 'Verdient',
+        decay: 'Abbau',
+        paused: 'Pausiert',
+        excused: 'Entschuldigt',
+        frozen: 'Eingefroren',
+        name: 'Name',
+        type: 'Typ',
+        dailyMax: 'Tagesmaximum',
+        archived: 'Archiviert',
+      },
+      csvFilenames: {
+        completions: 'yourscore-abschluesse-{{date}}.csv',
+        scoreHistory: 'yourscore-punkteverlauf-{{date}}.csv',
+        activities: 'yourscore-aktivitaeten-{{date}}.csv',
+      },
     },
     import: {
       storeLabels: {
@@ -680,11 +1334,28 @@ const TRANSLATIONS = {
         completions: 'Abschlüsse',
         scoreHistory: 'Punktverlauf',
         achievements: 'Erfolge',
+        scoreAdjustments: 'Punkteanpassungen',
+        pauses: 'Pausen',
+        excusedDays: 'Entschuldigte Tage',
+        streakFreezes: 'Serienretter',
+      },
+      warnings: {
+        upgraded:
+          'Diese Datei stammt von einer älteren Version (Format {{version}}) und wurde aktualisiert.',
+        unknownStore: '„{{store}}“ gehört nicht zu den YourScore-Daten und wird übersprungen.',
+        duplicateKeys: {
+          one: '{{count}} Eintrag in {{store}} wiederholt einen früheren; nur der letzte wird behalten.',
+          other:
+            '{{count}} Einträge in {{store}} wiederholen frühere; nur der letzte wird behalten.',
+        },
+      },
+      repairs: {
+        category: '{{name}} wurde nach „Ohne Kategorie“ verschoben, weil die Kategorie fehlt.',
+        duplicate: 'Eine zweite Erledigung von {{name}} am {{date}} wurde entfernt.',
       },
     },
     errors: {
       activityNameRequired: 'Aktivitätsname ist erforderlich',
-      activityPointsPositive: 'Punkte müssen eine positive Zahl sein',
       activityNotFound: 'Aktivität nicht gefunden',
       categoryNotFound: 'Kategorie nicht gefunden',
       categoryCannotRenameUncategorized: 'Kategorie „Ohne Kategorie“ kann nicht umbenannt werden',
@@ -707,8 +1378,90 @@ const TRANSLATIONS = {
       importInvalidJson: 'Ungültiges JSON: {{error}}',
       importReadFailed: 'Datei konnte nicht gelesen werden: {{error}}',
       importNoFile: 'Keine Datei angegeben',
-      importInvalidFileType: 'Ungültiger Dateityp: .json erwartet',
+      importInvalidFileType: 'Ungültiger Dateityp: .json oder .csv erwartet',
       fileReadFailed: 'Datei konnte nicht gelesen werden',
+      activityPointsNonZero: 'Punkte dürfen nicht null sein',
+      activityTypeInvalid: 'Ungültiger Aktivitätstyp',
+      activityDailyMaxInvalid: 'Das Tagesmaximum muss eine positive ganze Zahl sein',
+      completionCountInvalid: 'Die Anzahl muss eine ganze Zahl ab 0 sein',
+      activityScheduleInvalid: 'Ungültiger Aktivitätszeitplan',
+      completionPointsInvalid: 'Die Punkte einer Erledigung müssen eine ganze Zahl sein',
+      historyDateOutOfRange:
+        'Erledigungen können nur zwischen deinem ersten Tag und heute geändert werden',
+      decayStrategyInvalid: 'Ungültige Verfallsart',
+      pauseDateInvalid: 'Gib ein gültiges Datum ein',
+      pauseStartInPast: 'Eine Pause kann nicht in der Vergangenheit beginnen',
+      pauseEndBeforeStart: 'Der letzte Pausentag darf nicht vor dem ersten liegen',
+      pauseOverlap: 'Diese Pause überschneidet sich mit einer anderen',
+      pauseNotFound: 'Pause nicht gefunden',
+      pauseNotActive: 'Diese Pause läuft gerade nicht',
+      pauseAlreadyStarted: 'Eine begonnene Pause kann nicht abgebrochen, nur fortgesetzt werden',
+      excuseDateInvalid: 'Nur vergangene Tage können entschuldigt werden',
+      excuseDayPaused: 'Pausierte Tage haben keinen Verfall, der entschuldigt werden könnte',
+      dayAlreadyExcused: 'Dieser Tag ist bereits entschuldigt',
+      dayNotExcused: 'Dieser Tag ist nicht entschuldigt',
+      excuseAllowanceUsed:
+        'Keine entschuldigten Tage mehr in diesem Monat (Kontingent: {{allowance}})',
+      streakFreezeNotFound: 'Serienretter nicht gefunden',
+      streakFreezeUsed: 'Dieser Serienretter wurde bereits eingesetzt',
+      backupFailed: 'Sicherung konnte vorher nicht gespeichert werden: {{error}}',
+      backupNotFound: 'Sicherung nicht gefunden',
+      encryptionUnavailable: 'Verschlüsselung ist in diesem Browser nicht verfügbar',
+      encryptedVersion: 'Diese verschlüsselte Datei stammt von einer neueren Version von YourScore',
+      encryptedInvalid: 'Diese verschlüsselte Datei ist beschädigt oder unvollständig',
+      wrongPassphrase: 'Falsche Passphrase',
+      encryptedTampered:
+        'Diese verschlüsselte Datei wurde verändert oder beschädigt und kann nicht geöffnet werden',
+      passphraseRequired: 'Gib die Passphrase ein, um diese verschlüsselte Datei zu öffnen',
+      importNewerVersion:
+        'Diese Datei wurde mit einer neueren Version von YourScore exportiert. Aktualisiere die App, um sie zu importieren',
+      importInvalidDate:
+        'Ungültiges Datum in „{{field}}“ bei {{store}}[{{index}}]: erwartet JJJJ-MM-TT',
+      importFutureDate: '„{{field}}“ liegt in der Zukunft bei {{store}}[{{index}}]',
+      importUnknownActivity: 'Unbekannte Aktivität „{{activity}}“ bei completions[{{index}}]',
+      importUnknownCategory: 'Unbekannte Kategorie „{{category}}“ bei activities[{{index}}]',
+      importDuplicateCompletion:
+        'completions[{{index}}] erfasst dieselbe Aktivität am selben Tag wie completions[{{first}}]',
+      csvEmpty: 'Die CSV-Datei ist leer',
+      csvUnknownTable:
+        'Diese CSV-Datei hat keine der Spalten eines Abschluss- oder Aktivitätenexports',
+      csvInvalidValue: 'Ungültiger Wert für „{{column}}“ in Zeile {{row}}',
+      csvUnevenPoints:
+        '{{points}} Punkte in Zeile {{row}} lassen sich nicht gleichmäßig auf die Anzahl {{count}} aufteilen',
+    },
+    templates: {
+      categories: {
+        health: 'Gesundheit',
+        mind: 'Geist',
+        routine: 'Routine',
+        bad_habits: 'Abgewöhnen',
+      },
+      activities: {
+        exercise: '30 Min. Sport',
+        steps: '10.000 Schritte gehen',
+        water: 'Glas Wasser',
+        sleep: 'Um 23 Uhr im Bett',
+        meditation: 'Meditation',
+        read: '30 Min. lesen',
+        journal: 'Tagebuch',
+        early_wake_up: 'Früh aufstehen',
+        make_bed: 'Bett machen',
+        plan_tomorrow: 'Morgen planen',
+        doomscrolling: 'Doomscrolling',
+        junk_food: 'Junkfood',
+      },
+    },
+    sync: {
+      upgradeBlocked: 'Schließe YourScore in deinen anderen Tabs, um das Update abzuschließen.',
+      updatedElsewhere:
+        'YourScore wurde in einem anderen Tab aktualisiert. Lade neu, um weiterzumachen.',
+      reload: 'Neu laden',
+    },
+    storage: {
+      notSaved:
+        'Dieser Browser lässt YourScore keine Daten speichern. Änderungen gehen beim Schließen dieses Tabs verloren.',
+      limited:
+        'Dieser Browser lässt YourScore seinen üblichen Speicher nicht nutzen. Deine Daten liegen in begrenztem Speicherplatz, exportiere also ab und zu ein Backup.',
     },
   },
   es: {
@@ -721,6 +1474,7 @@ const TRANSLATIONS = {
       uncategorized: 'Sin categoría',
       unknown: 'Desconocido',
       comingSoon: 'Próximamente.',
+      badHabit: 'Mal hábito',
     },
     nav: {
       primaryLabel: 'Principal',
@@ -750,6 +1504,7 @@ const TRANSLATIONS = {
       mainLabel: 'Puntuación principal',
       todayLabel: 'Hoy',
       decayLabel: 'Decaimiento',
+      dayLabel: 'Ese día',
     },
     daily: {
       emptyTitle: 'Aún no hay actividades',
@@ -759,6 +1514,30 @@ const TRANSLATIONS = {
       breakEvenProgressLabel: 'Progreso de equilibrio',
       breakEvenAchievedAria: 'Equilibrio logrado',
       breakEvenRemainingAria: 'Quedan {{points}} {{pointsLabel}}',
+      pointsPerUnit: '{{points}} {{unit}} por unidad',
+      counterIncrement: 'Añadir uno: {{name}}',
+      counterDecrement: 'Quitar uno: {{name}}',
+      counterOfMax: '{{count}}/{{max}}',
+      nothingDueTitle: 'Nada pendiente hoy',
+      nothingDueMessage:
+        'Ninguna de tus actividades está programada para hoy. ¡Disfruta del descanso!',
+      previousDay: 'Día anterior',
+      nextDay: 'Día siguiente',
+      backToToday: 'Volver a hoy',
+      editingPastDay:
+        'Estás editando un día pasado. Los cambios actualizan el historial de ese día y tu puntuación.',
+      pausedDay: 'Decaimiento en pausa',
+      excusedDay: 'Justificado, decaimiento devuelto',
+      excuse: {
+        button: 'Justificar este día',
+        remove: 'Quitar justificación',
+        description:
+          '¿Hubo un motivo legítimo? Justificar un día devuelve su decaimiento y no rompe tus rachas.',
+        excused:
+          'Este día está justificado. Se devolvió su decaimiento y no cuenta contra tus rachas.',
+        remaining: 'Días justificados restantes este mes: {{count}} de {{allowance}}',
+      },
+      dayEndsAt: 'El día termina a las {{time}}',
     },
     decay: {
       firstDayWelcome: '¡Bienvenido! Sin decaimiento en tu primer día.',
@@ -772,6 +1551,27 @@ const TRANSLATIONS = {
       previewAlreadyActive: 'Ya estuviste activo hoy',
       previewDaysAway: '{{days}} días desde la última actividad',
       previewNone: 'No se necesita decaimiento',
+      rules: {
+        flat: 'Decaimiento fijo de {{amount}} por día',
+        percentage: '{{percent}} % de una puntuación positiva',
+        escalating:
+          '{{amount}} por día más {{step}} por cada día perdido o fallido anterior ({{days}})',
+        capped: '{{amount}} por día, como máximo {{max}} por ausencia',
+        withFloor: '{{rule}}, nunca por debajo de {{floor}}',
+      },
+      paused: {
+        one: 'El decaimiento estuvo en pausa el {{count}} día desde tu última visita.',
+        other: 'El decaimiento estuvo en pausa los {{count}} días desde tu última visita.',
+      },
+      pausedDaysSkipped: {
+        one: 'Se omitió {{count}} día en pausa.',
+        other: 'Se omitieron {{count}} días en pausa.',
+      },
+      streakFreezeEarned: '¡Ganaste un protector de racha por {{days}} días exitosos seguidos!',
+      streakFreezesUsed: {
+        one: 'Un protector de racha mantuvo tu racha.',
+        other: '{{count}} protectores de racha mantuvieron tu racha.',
+      },
     },
     celebrations: {
       continue: 'Continuar',
@@ -802,6 +1602,24 @@ const TRANSLATIONS = {
       importFailed: 'Error al importar',
       resetSuccess: 'Todos los datos se han restablecido',
       resetFailed: 'Error al restablecer: {{error}}',
+      badHabitLogged: 'Registrado {{name}}',
+      counterChanged: '{{name}}: {{count}}',
+      templatesAdded: {
+        one: 'Se añadió {{count}} actividad.',
+        other: 'Se añadieron {{count}} actividades.',
+      },
+      recalculated: 'Puntuación reparada',
+      recalculateFailed: 'No se pudo reparar la puntuación: {{error}}',
+      pauseScheduled: 'Pausa programada',
+      pauseStarted: 'Decaimiento en pausa',
+      pauseEnded: 'El decaimiento se reanuda mañana',
+      pauseCancelled: 'Pausa cancelada',
+      dayExcused: 'Día justificado',
+      excuseRemoved: 'Justificación eliminada',
+      backupRestored: 'Copia de seguridad restaurada',
+      backupRestoreFailed: 'Error al restaurar: {{error}}',
+      exportEncryptedDownloaded: 'Copia cifrada descargada',
+      rolloverFailed: 'No se pudo empezar el nuevo día: {{error}}',
     },
     activities: {
       title: 'Actividades',
@@ -817,6 +1635,21 @@ const TRANSLATIONS = {
         addButton: 'Añadir actividad',
         saveButton: 'Guardar cambios',
         cancelButton: 'Cancelar',
+        badHabitLabel: 'Mal hábito (resta puntos al registrarlo)',
+        typeLabel: 'Tipo',
+        typeCheck: 'Una vez al día',
+        typeCounter: 'Contador (puntos por unidad)',
+        dailyMaxLabel: 'Máximo diario',
+        dailyMaxPlaceholder: 'Sin límite',
+        scheduleLabel: 'Programación',
+        scheduleDaily: 'Todos los días',
+        scheduleWeekdays: 'Días concretos',
+        scheduleInterval: 'Cada pocos días',
+        scheduleWeekly: 'Veces por semana',
+        scheduleDaysLabel: 'Días',
+        scheduleEveryLabel: 'Repetir cada (días)',
+        scheduleStartLabel: 'A partir del',
+        scheduleTimesLabel: 'Veces por semana',
       },
       sections: {
         activeTitle: 'Activas',
@@ -834,10 +1667,26 @@ const TRANSLATIONS = {
         edit: 'Editar',
         archive: 'Archivar',
         restore: 'Restaurar',
+        counter: 'Contador',
+        counterWithMax: 'Contador · máx. {{max}}/día',
+        scheduleWeekdays: '{{days}}',
+        scheduleInterval: { one: 'Todos los días', other: 'Cada {{count}} días' },
+        scheduleWeekly: { one: '{{count}} vez por semana', other: '{{count}} veces por semana' },
       },
       errors: {
         nameRequired: 'El nombre de la actividad es obligatorio.',
         pointsPositive: 'Los puntos deben ser un número positivo.',
+        dailyMaxPositive: 'El máximo diario debe ser un número positivo.',
+        scheduleDaysRequired: 'Elige al menos un día.',
+        scheduleEveryInvalid: 'El intervalo debe estar entre 1 y {{max}} días.',
+        scheduleTimesInvalid: 'Las veces por semana deben estar entre 1 y 7.',
+      },
+      templates: {
+        title: 'Empezar con plantillas',
+        subtitle: 'Elige hábitos comunes para añadirlos con categorías y puntos sugeridos.',
+        addButton: 'Añadir selección',
+        added: 'Ya añadida',
+        noneSelected: 'Selecciona al menos una plantilla.',
       },
     },
     categories: {
@@ -874,6 +1723,7 @@ const TRANSLATIONS = {
         scoreDecay: 'Puntuación y decaimiento',
         appearance: 'Apariencia',
         data: 'Gestión de datos',
+        pause: 'Pausa',
       },
       fields: {
         dailyDecay: 'Decaimiento diario',
@@ -884,24 +1734,62 @@ const TRANSLATIONS = {
         uiScale: 'Escala de UI',
         language: 'Idioma',
         languageAuto: 'Auto (navegador)',
+        decayStrategy: 'Tipo de decaimiento',
+        decayPercent: 'Porcentaje de la puntuación por día',
+        decayStep: 'Decaimiento extra por día perdido',
+        decayMax: 'Decaimiento máximo por ausencia',
+        decayFloor: 'Límite inferior',
+        decayFloorPlaceholder: 'Sin límite',
+        excusedDaysPerMonth: 'Días justificados por mes',
+        excusedDaysPerMonthPlaceholder: 'Sin límite',
+        dayStartHour: 'El día empieza a las',
+        dayStartHourHint:
+          'Las actividades completadas antes de esta hora cuentan para el día anterior.',
       },
       saveButton: 'Guardar ajustes',
       errors: {
         decayNonNegative: 'El decaimiento debe ser 0 o mayor.',
         mainScoreNumber: 'La puntuación principal debe ser un número.',
+        decayPercentRange: 'El porcentaje debe estar entre 1 y 100.',
+        decayStepPositive: 'El decaimiento extra por día perdido debe ser 1 o más.',
+        decayMaxPositive: 'El decaimiento máximo por ausencia debe ser 1 o más.',
+        decayFloorNumber: 'El límite inferior debe ser un número entero.',
+        excusedDaysPerMonthRange: 'Los días justificados por mes deben estar entre 0 y 31.',
+        passphraseTooShort: 'La frase de contraseña debe tener al menos {{min}} caracteres.',
+        passphraseMismatch: 'Las frases de contraseña no coinciden.',
       },
       data: {
         exportTitle: 'Exportar',
-        exportDescription: 'Descarga tus datos para copia o transferencia.',
+        exportDescription:
+          'Descarga tus datos como copia o para transferirlos. Una exportación cifrada solo se puede abrir con su frase de contraseña.',
         exportJson: 'Exportar JSON',
         exportCsv: 'Exportar CSV',
         importTitle: 'Importar',
-        importDescription: 'Restaura datos desde un archivo JSON de copia.',
-        importMerge: 'Combinar con datos existentes',
-        importJson: 'Importar JSON',
+        importDescription:
+          'Restaura datos desde una copia de seguridad JSON o combina una exportación de otro dispositivo o un archivo CSV de completadas o actividades. Verás qué cambia antes de guardar nada.',
         resetTitle: 'Restablecer datos',
-        resetDescription: 'Elimina permanentemente todos tus datos. No se puede deshacer.',
+        resetDescription:
+          'Elimina todos tus datos. Antes se guarda una copia de seguridad que puedes restaurar desde Copias de seguridad.',
         resetButton: 'Restablecer todos los datos',
+        recalculateTitle: 'Comprobar puntuación',
+        recalculateDescription:
+          'Recalcula tu puntuación e historial a partir de tus actividades completadas, los ajustes de decaimiento y los cambios manuales.',
+        recalculateCheck: 'Comprobar puntuación',
+        recalculateApply: 'Reparar puntuación',
+        backupsTitle: 'Copias de seguridad',
+        backupsDescription:
+          'Se guarda una copia de tus datos en este dispositivo una vez al día y antes de cada importación, restablecimiento o restauración. Se conservan las últimas {{count}}.',
+        exportEncrypted: 'Exportar cifrado',
+        importFile: 'Importar archivo',
+        csvDescription:
+          'Los archivos CSV se abren en hojas de cálculo. Las claves fijas son iguales en todos los idiomas, y el punto y coma conviene a las hojas de cálculo que usan coma decimal.',
+        csvTable: 'Tabla CSV',
+        csvHeaders: 'Encabezados de columna',
+        csvHeadersLocalized: 'Nombres traducidos',
+        csvHeadersKeys: 'Claves fijas',
+        csvDelimiter: 'Separador',
+        csvDelimiterComma: 'Coma (,)',
+        csvDelimiterSemicolon: 'Punto y coma (;)',
       },
       import: {
         importing: 'Importando...',
@@ -914,6 +1802,113 @@ const TRANSLATIONS = {
           '¿Seguro que quieres borrar TODOS tus datos?\n\nEsto incluye actividades, completados, historial de puntuación y ajustes.\n\n¡Esta acción NO se puede deshacer!',
         resetSecondary:
           'Por favor confirma de nuevo.\n\nTodos tus datos de YourScore se eliminarán permanentemente.',
+        recalculate:
+          '¿Reemplazar tu puntuación principal y tu historial por los valores recalculados?',
+        restoreBackup:
+          '¿Reemplazar todos tus datos por la copia de seguridad del {{date}}?\n\nAntes se hace una copia de tus datos actuales.',
+        continueWithoutBackup:
+          '{{error}}\n\n¿Continuar sin copia de seguridad? No se podrá deshacer.',
+      },
+      recalculate: {
+        upToDate: 'Tu puntuación y tu historial coinciden con tu registro de actividad.',
+        mainScore: 'Puntuación principal: {{current}} → {{expected}}.',
+        daysChanged: {
+          one: '{{count}} día del historial no coincide.',
+          other: '{{count}} días del historial no coinciden.',
+        },
+        change: '{{date}}: {{current}} → {{expected}}',
+        more: '…y {{count}} más',
+      },
+      decayStrategies: {
+        flat: 'Fijo',
+        percentage: 'Porcentaje de la puntuación',
+        escalating: 'Creciente',
+        capped: 'Limitado por ausencia',
+      },
+      decayPreview:
+        'Perder {{days}} días seguidos costaría {{daily}} = {{total}} y te dejaría en {{score}}.',
+      pause: {
+        description:
+          '¿Te vas de viaje? Los días en pausa no tienen decaimiento y no rompen ni alargan tu racha.',
+        startDate: 'Primer día en pausa',
+        endDate: 'Último día en pausa',
+        endDateHint: 'Deja vacío el último día para seguir en pausa hasta que la reanudes.',
+        schedule: 'Programar pausa',
+        pauseNow: 'Pausar ahora',
+        end: 'Reanudar',
+        cancel: 'Cancelar',
+        empty: 'No hay pausas programadas.',
+        range: '{{start}} – {{end}}',
+        openRange: 'Desde el {{start}} hasta que la reanudes',
+        status: {
+          active: 'En pausa',
+          upcoming: 'Próxima',
+          past: 'Terminada',
+        },
+      },
+      backups: {
+        empty: 'Aún no hay copias de seguridad.',
+        preview: 'Vista previa',
+        download: 'Descargar',
+        restore: 'Restaurar',
+        mainScore: 'Puntuación principal: {{score}}',
+        reasons: {
+          daily: 'Copia diaria',
+          import: 'Antes de importar',
+          reset: 'Antes de restablecer',
+          restore: 'Antes de restaurar',
+        },
+      },
+      merge: {
+        duplicates: {
+          one: '{{count}} registro ya está anotado aquí y se omite.',
+          other: '{{count}} registros ya están anotados aquí y se omiten.',
+        },
+        noConflicts: 'Sin conflictos.',
+        conflicts: { one: '{{count}} conflicto:', other: '{{count}} conflictos:' },
+        conflict: {
+          activityPoints:
+            '{{name}}: {{local}} puntos aquí, {{incoming}} en el archivo. Se mantiene {{local}}.',
+          activityType:
+            '{{name}}: «{{local}}» aquí, «{{incoming}}» en el archivo. Se mantiene «{{local}}».',
+          completion:
+            '{{name}} el {{date}}: {{local}} aquí, {{incoming}} en el archivo. Se mantiene {{kept}}.',
+          pause: 'La pausa {{incoming}} se solapa con la pausa {{local}} y se omite.',
+          setting: '{{setting}} difiere del archivo. Se mantiene el valor de este dispositivo.',
+          completionCapped:
+            '{{name}} el {{date}}: {{local}} aquí, {{incoming}} en el archivo. Se mantiene {{kept}}, el máximo diario.',
+        },
+        more: '…y {{count}} más',
+      },
+      passphrase: {
+        label: 'Frase de contraseña',
+        confirmLabel: 'Repite la frase de contraseña',
+        exportPrompt:
+          'Elige una frase de contraseña para la exportación. No se puede recuperar si la olvidas.',
+        importPrompt: 'Este archivo está cifrado. Introduce su frase de contraseña para abrirlo.',
+        submit: 'Continuar',
+        cancel: 'Cancelar',
+      },
+      importPreview: {
+        range: 'El archivo abarca del {{from}} al {{to}}.',
+        noRange: 'El archivo no tiene registros con fecha.',
+        warnings: 'Antes de importar:',
+        mainScore: 'Puntuación principal: {{current}} → {{result}}',
+        change: '{{store}}: {{added}} añadidos, {{updated}} actualizados, {{removed}} eliminados',
+        noChanges: 'No cambia nada.',
+        replaceTitle: 'Reemplazar',
+        replaceDescription: 'Todos los datos de este dispositivo se reemplazan por el archivo.',
+        mergeTitle: 'Combinar',
+        mergeDescription: 'El archivo se combina con los datos de este dispositivo.',
+        replace: 'Reemplazar todos los datos',
+        merge: 'Combinar',
+        cancel: 'Cancelar',
+        repairDescription:
+          'Esto se puede reparar: las actividades cuya categoría falta pasan a Sin categoría y se descartan los registros repetidos.',
+        repair: 'Reparar y continuar',
+        more: '…y {{count}} más',
+        csvMergeOnly:
+          'Un archivo CSV solo contiene completadas o actividades, así que solo se puede combinar. Las actividades y categorías se emparejan por nombre, y se crean las que falten.',
       },
     },
     dashboard: {
@@ -936,6 +1931,7 @@ const TRANSLATIONS = {
         activitiesLabel: 'Actividades',
         activitiesAria: 'Compleción de actividades',
         percentComplete: '{{percent}}% completado',
+        breakEvenStatusPaused: 'En pausa',
       },
       streaksTitle: 'Rachas',
       streaks: {
@@ -958,6 +1954,25 @@ const TRANSLATIONS = {
       achievementsUnlocked: 'desbloqueados',
       achievementsRecent: 'Desbloqueados recientemente',
       achievementsNext: 'Siguientes metas',
+      recentDays: {
+        title: 'Últimos {{days}} días',
+        success: 'Equilibrado',
+        missed: 'Perdido',
+        paused: 'En pausa',
+        pending: 'En curso',
+        none: 'Sin registro',
+        excused: 'Justificado',
+        frozen: 'Protegido',
+      },
+      streakFreezes: {
+        available: {
+          one: '{{count}} protector de racha disponible (máximo {{max}})',
+          other: '{{count}} protectores de racha disponibles (máximo {{max}})',
+        },
+        hint: 'Ganas uno cada {{days}} días exitosos seguidos. Se usa automáticamente en un día perdido o fallido.',
+        used: 'Usados: {{count}} (últimos: {{dates}})',
+        noneUsed: 'Aún no se ha usado ninguno',
+      },
     },
     achievements: {
       notificationTitle: '¡Logro desbloqueado!',
@@ -1017,9 +2032,31 @@ const TRANSLATIONS = {
       },
     },
     export: {
-      csvHeaders: ['Fecha', 'Actividad', 'Categoría', 'Puntos', 'Completado a las'],
       filenameBackup: 'yourscore-copia-{{date}}.json',
-      filenameCsv: 'yourscore-completadas-{{date}}.csv',
+      filenameEncrypted: 'yourscore-backup-{{date}}.encrypted.json',
+      csvColumns: {
+        date: 'Fecha',
+        activity: 'Actividad',
+        category: 'Categoría',
+        points: 'Puntos',
+        completedAt: 'Completado a las',
+        count: 'Cantidad',
+        score: 'Puntuación',
+        earned: 'Ganado',
+        decay: 'Decaimiento',
+        paused: 'En pausa',
+        excused: 'Justificado',
+        frozen: 'Congelado',
+        name: 'Nombre',
+        type: 'Tipo',
+        dailyMax: 'Máximo diario',
+        archived: 'Archivada',
+      },
+      csvFilenames: {
+        completions: 'yourscore-completadas-{{date}}.csv',
+        scoreHistory: 'yourscore-historial-puntuacion-{{date}}.csv',
+        activities: 'yourscore-actividades-{{date}}.csv',
+      },
     },
     import: {
       storeLabels: {
@@ -1029,11 +2066,28 @@ const TRANSLATIONS = {
         completions: 'Completadas',
         scoreHistory: 'Historial de puntuación',
         achievements: 'Logros',
+        scoreAdjustments: 'Ajustes de puntuación',
+        pauses: 'Pausas',
+        excusedDays: 'Días justificados',
+        streakFreezes: 'Protectores de racha',
+      },
+      warnings: {
+        upgraded:
+          'Este archivo se creó con una versión anterior (formato {{version}}) y se ha actualizado.',
+        unknownStore: '«{{store}}» no forma parte de los datos de YourScore y se omitirá.',
+        duplicateKeys: {
+          one: '{{count}} registro en {{store}} repite uno anterior; solo se conserva el último.',
+          other:
+            '{{count}} registros en {{store}} repiten otros anteriores; solo se conserva el último.',
+        },
+      },
+      repairs: {
+        category: '{{name}} se movió a Sin categoría porque falta su categoría.',
+        duplicate: 'Se descartó un segundo registro de {{name}} el {{date}}.',
       },
     },
     errors: {
       activityNameRequired: 'El nombre de la actividad es obligatorio',
-      activityPointsPositive: 'Los puntos deben ser un número positivo',
       activityNotFound: 'Actividad no encontrada',
       categoryNotFound: 'Categoría no encontrada',
       categoryCannotRenameUncategorized: 'No se puede renombrar la categoría Sin categoría',
@@ -1057,8 +2111,87 @@ const TRANSLATIONS = {
       importInvalidJson: 'JSON inválido: {{error}}',
       importReadFailed: 'No se pudo leer el archivo: {{error}}',
       importNoFile: 'No se proporcionó ningún archivo',
-      importInvalidFileType: 'Tipo de archivo inválido: se esperaba .json',
+      importInvalidFileType: 'Tipo de archivo inválido: se esperaba .json o .csv',
       fileReadFailed: 'No se pudo leer el archivo',
+      activityPointsNonZero: 'Los puntos deben ser un número distinto de cero',
+      activityTypeInvalid: 'Tipo de actividad no válido',
+      activityDailyMaxInvalid: 'El máximo diario debe ser un número entero positivo',
+      completionCountInvalid: 'La cantidad debe ser un número entero mayor o igual a 0',
+      activityScheduleInvalid: 'Programación de actividad no válida',
+      completionPointsInvalid: 'Los puntos de la actividad completada deben ser un número entero',
+      historyDateOutOfRange:
+        'Solo puedes cambiar actividades completadas entre tu primer día y hoy',
+      decayStrategyInvalid: 'Tipo de decaimiento no válido',
+      pauseDateInvalid: 'Introduce una fecha válida',
+      pauseStartInPast: 'Una pausa no puede empezar en el pasado',
+      pauseEndBeforeStart: 'El último día en pausa no puede ser anterior al primero',
+      pauseOverlap: 'Esta pausa se superpone con otra',
+      pauseNotFound: 'Pausa no encontrada',
+      pauseNotActive: 'Esta pausa no está en curso',
+      pauseAlreadyStarted: 'Una pausa ya iniciada no se puede cancelar, solo reanudar',
+      excuseDateInvalid: 'Solo se pueden justificar días pasados',
+      excuseDayPaused: 'Los días en pausa no tienen decaimiento que justificar',
+      dayAlreadyExcused: 'Este día ya está justificado',
+      dayNotExcused: 'Este día no está justificado',
+      excuseAllowanceUsed: 'No quedan días justificados este mes (límite: {{allowance}})',
+      streakFreezeNotFound: 'Protector de racha no encontrado',
+      streakFreezeUsed: 'Este protector de racha ya se usó',
+      backupFailed: 'No se pudo guardar antes una copia de seguridad: {{error}}',
+      backupNotFound: 'Copia de seguridad no encontrada',
+      encryptionUnavailable: 'El cifrado no está disponible en este navegador',
+      encryptedVersion: 'Este archivo cifrado se creó con una versión más reciente de YourScore',
+      encryptedInvalid: 'Este archivo cifrado está dañado o incompleto',
+      wrongPassphrase: 'Frase de contraseña incorrecta',
+      encryptedTampered: 'Este archivo cifrado se ha modificado o dañado y no se puede abrir',
+      passphraseRequired: 'Introduce la frase de contraseña para abrir este archivo cifrado',
+      importNewerVersion:
+        'Este archivo se exportó con una versión más reciente de YourScore. Actualiza la aplicación para importarlo',
+      importInvalidDate:
+        'Fecha no válida en "{{field}}" en {{store}}[{{index}}]: se esperaba AAAA-MM-DD',
+      importFutureDate: '"{{field}}" está en el futuro en {{store}}[{{index}}]',
+      importUnknownActivity: 'Actividad desconocida "{{activity}}" en completions[{{index}}]',
+      importUnknownCategory: 'Categoría desconocida "{{category}}" en activities[{{index}}]',
+      importDuplicateCompletion:
+        'completions[{{index}}] registra la misma actividad y día que completions[{{first}}]',
+      csvEmpty: 'El archivo CSV está vacío',
+      csvUnknownTable:
+        'Este archivo CSV no tiene ninguna de las columnas de una exportación de completadas o de actividades',
+      csvInvalidValue: 'Valor de "{{column}}" inválido en la fila {{row}}',
+      csvUnevenPoints:
+        'Los {{points}} puntos de la fila {{row}} no se pueden repartir por igual entre una cantidad de {{count}}',
+    },
+    templates: {
+      categories: {
+        health: 'Salud',
+        mind: 'Mente',
+        routine: 'Rutina',
+        bad_habits: 'Hábitos a dejar',
+      },
+      activities: {
+        exercise: 'Ejercicio 30 min',
+        steps: 'Caminar 10.000 pasos',
+        water: 'Vaso de agua',
+        sleep: 'En la cama a las 23:00',
+        meditation: 'Meditación',
+        read: 'Leer 30 min',
+        journal: 'Diario',
+        early_wake_up: 'Madrugar',
+        make_bed: 'Hacer la cama',
+        plan_tomorrow: 'Planificar mañana',
+        doomscrolling: 'Doomscrolling',
+        junk_food: 'Comida basura',
+      },
+    },
+    sync: {
+      upgradeBlocked: 'Cierra YourScore en tus otras pestañas para terminar la actualización.',
+      updatedElsewhere: 'YourScore se actualizó en otra pestaña. Recarga para continuar.',
+      reload: 'Recargar',
+    },
+    storage: {
+      notSaved:
+        'Este navegador no permite que YourScore guarde datos. Los cambios se pierden al cerrar esta pestaña.',
+      limited:
+        'Este navegador no permite que YourScore use su almacenamiento habitual. Tus datos se guardan en un espacio limitado, así que exporta una copia de seguridad de vez en cuando.',
     },
   },
   fr: {
@@ -1071,6 +2204,7 @@ const TRANSLATIONS = {
       uncategorized: 'Sans catégorie',
       unknown: 'Inconnu',
       comingSoon: 'Bientôt.',
+      badHabit: 'Mauvaise habitude',
     },
     nav: {
       primaryLabel: 'Principal',
@@ -1100,6 +2234,7 @@ const TRANSLATIONS = {
       mainLabel: 'Score principal',
       todayLabel: "Aujourd'hui",
       decayLabel: 'Déclin',
+      dayLabel: 'Ce jour-là',
     },
     daily: {
       emptyTitle: "Pas d'activités pour l'instant",
@@ -1109,6 +2244,29 @@ const TRANSLATIONS = {
       breakEvenProgressLabel: "Progression de l'équilibre",
       breakEvenAchievedAria: 'Équilibre atteint',
       breakEvenRemainingAria: '{{points}} {{pointsLabel}} restants',
+      pointsPerUnit: '{{points}} {{unit}} par unité',
+      counterIncrement: 'Ajouter un : {{name}}',
+      counterDecrement: 'Retirer un : {{name}}',
+      counterOfMax: '{{count}}/{{max}}',
+      nothingDueTitle: "Rien de prévu aujourd'hui",
+      nothingDueMessage: "Aucune de vos activités n'est prévue aujourd'hui. Profitez de la pause !",
+      previousDay: 'Jour précédent',
+      nextDay: 'Jour suivant',
+      backToToday: "Revenir à aujourd'hui",
+      editingPastDay:
+        "Vous modifiez un jour passé. Les changements mettent à jour l'historique de ce jour et votre score.",
+      pausedDay: 'Déclin en pause',
+      excusedDay: 'Excusé, déclin remboursé',
+      excuse: {
+        button: 'Excuser ce jour',
+        remove: "Retirer l'excuse",
+        description:
+          'Une raison légitime ? Excuser un jour rembourse son déclin et préserve vos séries.',
+        excused:
+          'Ce jour est excusé. Son déclin a été remboursé et il ne compte pas contre vos séries.',
+        remaining: 'Jours excusés restants ce mois-ci : {{count}} sur {{allowance}}',
+      },
+      dayEndsAt: 'La journée se termine à {{time}}',
     },
     decay: {
       firstDayWelcome: 'Bienvenue ! Pas de déclin le premier jour.',
@@ -1121,6 +2279,27 @@ const TRANSLATIONS = {
       previewAlreadyActive: 'Déjà actif aujourd’hui',
       previewDaysAway: '{{days}} jours depuis la dernière activité',
       previewNone: 'Aucun déclin nécessaire',
+      rules: {
+        flat: 'Déclin fixe de {{amount}} par jour',
+        percentage: '{{percent}} % d’un score positif',
+        escalating:
+          '{{amount}} par jour plus {{step}} pour chaque jour manqué ou raté avant ({{days}})',
+        capped: '{{amount}} par jour, au plus {{max}} par absence',
+        withFloor: '{{rule}}, jamais sous {{floor}}',
+      },
+      paused: {
+        one: 'Le déclin était en pause pendant le {{count}} jour depuis votre dernière visite.',
+        other: 'Le déclin était en pause pendant les {{count}} jours depuis votre dernière visite.',
+      },
+      pausedDaysSkipped: {
+        one: '{{count}} jour en pause a été ignoré.',
+        other: '{{count}} jours en pause ont été ignorés.',
+      },
+      streakFreezeEarned: 'Vous avez gagné un gel de série pour {{days}} jours réussis d’affilée !',
+      streakFreezesUsed: {
+        one: 'Un gel de série a préservé votre série.',
+        other: '{{count}} gels de série ont préservé votre série.',
+      },
     },
     celebrations: {
       continue: 'Continuer',
@@ -1151,6 +2330,24 @@ const TRANSLATIONS = {
       importFailed: 'Échec de l’import',
       resetSuccess: 'Toutes les données ont été réinitialisées',
       resetFailed: 'Échec de la réinitialisation : {{error}}',
+      badHabitLogged: 'Enregistré : {{name}}',
+      counterChanged: '{{name}} : {{count}}',
+      templatesAdded: {
+        one: '{{count}} activité ajoutée.',
+        other: '{{count}} activités ajoutées.',
+      },
+      recalculated: 'Score réparé',
+      recalculateFailed: 'Échec de la réparation du score : {{error}}',
+      pauseScheduled: 'Pause planifiée',
+      pauseStarted: 'Déclin en pause',
+      pauseEnded: 'Le déclin reprend demain',
+      pauseCancelled: 'Pause annulée',
+      dayExcused: 'Jour excusé',
+      excuseRemoved: 'Excuse retirée',
+      backupRestored: 'Sauvegarde restaurée',
+      backupRestoreFailed: 'Échec de la restauration : {{error}}',
+      exportEncryptedDownloaded: 'Sauvegarde chiffrée téléchargée',
+      rolloverFailed: 'Impossible de commencer la nouvelle journée : {{error}}',
     },
     activities: {
       title: 'Activités',
@@ -1166,6 +2363,21 @@ const TRANSLATIONS = {
         addButton: 'Ajouter une activité',
         saveButton: 'Enregistrer',
         cancelButton: 'Annuler',
+        badHabitLabel: 'Mauvaise habitude (retire des points une fois enregistrée)',
+        typeLabel: 'Type',
+        typeCheck: 'Une fois par jour',
+        typeCounter: 'Compteur (points par unité)',
+        dailyMaxLabel: 'Maximum quotidien',
+        dailyMaxPlaceholder: 'Aucune limite',
+        scheduleLabel: 'Planning',
+        scheduleDaily: 'Tous les jours',
+        scheduleWeekdays: 'Jours précis',
+        scheduleInterval: 'Tous les quelques jours',
+        scheduleWeekly: 'Fois par semaine',
+        scheduleDaysLabel: 'Jours',
+        scheduleEveryLabel: 'Répéter tous les (jours)',
+        scheduleStartLabel: 'À partir du',
+        scheduleTimesLabel: 'Fois par semaine',
       },
       sections: {
         activeTitle: 'Actives',
@@ -1183,10 +2395,27 @@ const TRANSLATIONS = {
         edit: 'Modifier',
         archive: 'Archiver',
         restore: 'Restaurer',
+        counter: 'Compteur',
+        counterWithMax: 'Compteur · max {{max}}/jour',
+        scheduleWeekdays: '{{days}}',
+        scheduleInterval: { one: 'Tous les jours', other: 'Tous les {{count}} jours' },
+        scheduleWeekly: { one: '{{count}} fois par semaine', other: '{{count}} fois par semaine' },
       },
       errors: {
         nameRequired: 'Le nom de l’activité est obligatoire.',
         pointsPositive: 'Les points doivent être un nombre positif.',
+        dailyMaxPositive: 'Le maximum quotidien doit être un nombre positif.',
+        scheduleDaysRequired: 'Choisissez au moins un jour.',
+        scheduleEveryInvalid: "L'intervalle doit être compris entre 1 et {{max}} jours.",
+        scheduleTimesInvalid: 'Le nombre de fois par semaine doit être compris entre 1 et 7.',
+      },
+      templates: {
+        title: 'Partir de modèles',
+        subtitle:
+          'Choisissez des habitudes courantes pour les ajouter avec des catégories et des points suggérés.',
+        addButton: 'Ajouter la sélection',
+        added: 'Déjà ajouté',
+        noneSelected: 'Sélectionnez au moins un modèle.',
       },
     },
     categories: {
@@ -1223,6 +2452,7 @@ const TRANSLATIONS = {
         scoreDecay: 'Score & déclin',
         appearance: 'Apparence',
         data: 'Gestion des données',
+        pause: 'Pause',
       },
       fields: {
         dailyDecay: 'Déclin quotidien',
@@ -1233,24 +2463,61 @@ const TRANSLATIONS = {
         uiScale: 'Échelle UI',
         language: 'Langue',
         languageAuto: 'Auto (navigateur)',
+        decayStrategy: 'Type de déclin',
+        decayPercent: 'Pourcentage du score par jour',
+        decayStep: 'Déclin supplémentaire par jour manqué',
+        decayMax: 'Déclin maximal par absence',
+        decayFloor: 'Plancher',
+        decayFloorPlaceholder: 'Aucun plancher',
+        excusedDaysPerMonth: 'Jours excusés par mois',
+        excusedDaysPerMonthPlaceholder: 'Sans limite',
+        dayStartHour: 'La journée commence à',
+        dayStartHourHint: 'Les activités terminées avant cette heure comptent pour la veille.',
       },
       saveButton: 'Enregistrer',
       errors: {
         decayNonNegative: 'Le déclin doit être égal ou supérieur à 0.',
         mainScoreNumber: 'Le score principal doit être un nombre.',
+        decayPercentRange: 'Le pourcentage doit être compris entre 1 et 100.',
+        decayStepPositive: 'Le déclin supplémentaire par jour manqué doit être d’au moins 1.',
+        decayMaxPositive: 'Le déclin maximal par absence doit être d’au moins 1.',
+        decayFloorNumber: 'Le plancher doit être un nombre entier.',
+        excusedDaysPerMonthRange: 'Les jours excusés par mois doivent être compris entre 0 et 31.',
+        passphraseTooShort: 'La phrase secrète doit contenir au moins {{min}} caractères.',
+        passphraseMismatch: 'Les phrases secrètes ne correspondent pas.',
       },
       data: {
         exportTitle: 'Exporter',
-        exportDescription: 'Téléchargez vos données pour sauvegarde ou transfert.',
+        exportDescription:
+          'Téléchargez vos données pour une sauvegarde ou un transfert. Un export chiffré ne peut être ouvert qu’avec sa phrase secrète.',
         exportJson: 'Exporter JSON',
         exportCsv: 'Exporter CSV',
         importTitle: 'Importer',
-        importDescription: 'Restaurez les données à partir d’un fichier JSON.',
-        importMerge: 'Fusionner avec les données existantes',
-        importJson: 'Importer JSON',
+        importDescription:
+          'Restaurez des données depuis une sauvegarde JSON, ou fusionnez un export d’un autre appareil ou un fichier CSV de complétions ou d’activités. Vous verrez ce qui change avant tout enregistrement.',
         resetTitle: 'Réinitialiser les données',
-        resetDescription: 'Supprime définitivement toutes vos données. Action irréversible.',
+        resetDescription:
+          'Supprimer toutes vos données. Une sauvegarde est enregistrée avant, que vous pouvez restaurer depuis Sauvegardes.',
         resetButton: 'Tout supprimer',
+        recalculateTitle: 'Vérifier le score',
+        recalculateDescription:
+          'Recalcule votre score et votre historique à partir de vos activités terminées, des réglages de déclin et des modifications manuelles.',
+        recalculateCheck: 'Vérifier le score',
+        recalculateApply: 'Réparer le score',
+        backupsTitle: 'Sauvegardes',
+        backupsDescription:
+          'Une copie de vos données est enregistrée sur cet appareil une fois par jour et avant chaque importation, réinitialisation ou restauration. Les {{count}} dernières sont conservées.',
+        exportEncrypted: 'Exporter chiffré',
+        importFile: 'Importer un fichier',
+        csvDescription:
+          'Les fichiers CSV s’ouvrent dans un tableur. Les clés fixes sont les mêmes dans toutes les langues, et le point-virgule convient aux tableurs qui utilisent la virgule décimale.',
+        csvTable: 'Table CSV',
+        csvHeaders: 'En-têtes de colonnes',
+        csvHeadersLocalized: 'Noms traduits',
+        csvHeadersKeys: 'Clés fixes',
+        csvDelimiter: 'Séparateur',
+        csvDelimiterComma: 'Virgule (,)',
+        csvDelimiterSemicolon: 'Point-virgule (;)',
       },
       import: {
         importing: 'Importation...',
@@ -1263,6 +2530,113 @@ const TRANSLATIONS = {
           'Voulez-vous vraiment supprimer TOUTES vos données ?\n\nCela inclut activités, validations, historique du score et paramètres.\n\nCette action est IRRÉVERSIBLE !',
         resetSecondary:
           'Merci de confirmer à nouveau.\n\nToutes vos données YourScore seront supprimées définitivement.',
+        recalculate:
+          'Remplacer votre score principal et votre historique par les valeurs recalculées ?',
+        restoreBackup:
+          'Remplacer toutes vos données par la sauvegarde du {{date}} ?\n\nVos données actuelles sont sauvegardées avant.',
+        continueWithoutBackup:
+          '{{error}}\n\nContinuer sans sauvegarde ? Cette action est irréversible.',
+      },
+      recalculate: {
+        upToDate: "Votre score et votre historique correspondent à votre journal d'activité.",
+        mainScore: 'Score principal : {{current}} → {{expected}}.',
+        daysChanged: {
+          one: "{{count}} jour de l'historique diffère.",
+          other: "{{count}} jours de l'historique diffèrent.",
+        },
+        change: '{{date}} : {{current}} → {{expected}}',
+        more: '…et {{count}} de plus',
+      },
+      decayStrategies: {
+        flat: 'Fixe',
+        percentage: 'Pourcentage du score',
+        escalating: 'Croissant',
+        capped: 'Plafonné par absence',
+      },
+      decayPreview:
+        'Manquer {{days}} jours d’affilée coûterait {{daily}} = {{total}}, pour un score de {{score}}.',
+      pause: {
+        description:
+          'Vous partez ? Aucun déclin n’est appliqué les jours en pause, qui n’interrompent ni ne prolongent votre série.',
+        startDate: 'Premier jour de pause',
+        endDate: 'Dernier jour de pause',
+        endDateHint: 'Laissez le dernier jour vide pour rester en pause jusqu’à la reprise.',
+        schedule: 'Planifier une pause',
+        pauseNow: 'Mettre en pause',
+        end: 'Reprendre',
+        cancel: 'Annuler',
+        empty: 'Aucune pause planifiée.',
+        range: '{{start}} – {{end}}',
+        openRange: 'Depuis le {{start}} jusqu’à la reprise',
+        status: {
+          active: 'En pause',
+          upcoming: 'À venir',
+          past: 'Terminée',
+        },
+      },
+      backups: {
+        empty: 'Aucune sauvegarde pour le moment.',
+        preview: 'Aperçu',
+        download: 'Télécharger',
+        restore: 'Restaurer',
+        mainScore: 'Score principal : {{score}}',
+        reasons: {
+          daily: 'Sauvegarde quotidienne',
+          import: "Avant l'importation",
+          reset: 'Avant la réinitialisation',
+          restore: 'Avant la restauration',
+        },
+      },
+      merge: {
+        duplicates: {
+          one: '{{count}} réalisation est déjà enregistrée ici et est ignorée.',
+          other: '{{count}} réalisations sont déjà enregistrées ici et sont ignorées.',
+        },
+        noConflicts: 'Aucun conflit.',
+        conflicts: { one: '{{count}} conflit :', other: '{{count}} conflits :' },
+        conflict: {
+          activityPoints:
+            '{{name}} : {{local}} points ici, {{incoming}} dans le fichier. {{local}} est conservé.',
+          activityType:
+            '{{name}} : « {{local}} » ici, « {{incoming}} » dans le fichier. « {{local}} » est conservé.',
+          completion:
+            '{{name}} le {{date}} : {{local}} ici, {{incoming}} dans le fichier. {{kept}} est conservé.',
+          pause: 'La pause {{incoming}} chevauche la pause {{local}} et est ignorée.',
+          setting: '{{setting}} diffère du fichier. La valeur de cet appareil est conservée.',
+          completionCapped:
+            '{{name}} le {{date}} : {{local}} ici, {{incoming}} dans le fichier. {{kept}}, le maximum quotidien, est conservé.',
+        },
+        more: '…et {{count}} de plus',
+      },
+      passphrase: {
+        label: 'Phrase secrète',
+        confirmLabel: 'Répétez la phrase secrète',
+        exportPrompt:
+          'Choisissez une phrase secrète pour l’export. Elle ne peut pas être récupérée si vous l’oubliez.',
+        importPrompt: 'Ce fichier est chiffré. Saisissez sa phrase secrète pour l’ouvrir.',
+        submit: 'Continuer',
+        cancel: 'Annuler',
+      },
+      importPreview: {
+        range: 'Le fichier couvre du {{from}} au {{to}}.',
+        noRange: 'Le fichier ne contient aucun enregistrement daté.',
+        warnings: 'Avant d’importer :',
+        mainScore: 'Score principal : {{current}} → {{result}}',
+        change: '{{store}} : {{added}} ajoutés, {{updated}} modifiés, {{removed}} supprimés',
+        noChanges: 'Rien ne change.',
+        replaceTitle: 'Remplacer',
+        replaceDescription: 'Toutes les données de cet appareil sont remplacées par le fichier.',
+        mergeTitle: 'Fusionner',
+        mergeDescription: 'Le fichier est combiné avec les données de cet appareil.',
+        replace: 'Remplacer toutes les données',
+        merge: 'Fusionner',
+        cancel: 'Annuler',
+        repairDescription:
+          'Ces problèmes peuvent être réparés : les activités dont la catégorie manque passent dans Sans catégorie et les enregistrements répétés sont supprimés.',
+        repair: 'Réparer et continuer',
+        more: '…et {{count}} de plus',
+        csvMergeOnly:
+          'Un fichier CSV ne contient que des complétions ou des activités, il ne peut donc qu’être fusionné. Les activités et catégories sont associées par nom, et celles qui manquent sont créées.',
       },
     },
     dashboard: {
@@ -1285,6 +2659,7 @@ const TRANSLATIONS = {
         activitiesLabel: 'Activités',
         activitiesAria: 'Avancement des activités',
         percentComplete: '{{percent}}% terminé',
+        breakEvenStatusPaused: 'En pause',
       },
       streaksTitle: 'Séries',
       streaks: {
@@ -1307,6 +2682,25 @@ const TRANSLATIONS = {
       achievementsUnlocked: 'débloqués',
       achievementsRecent: 'Récemment débloqués',
       achievementsNext: 'Objectifs suivants',
+      recentDays: {
+        title: '{{days}} derniers jours',
+        success: 'Équilibré',
+        missed: 'Manqué',
+        paused: 'En pause',
+        pending: 'En cours',
+        none: 'Aucune donnée',
+        excused: 'Excusé',
+        frozen: 'Gelé',
+      },
+      streakFreezes: {
+        available: {
+          one: '{{count}} gel de série disponible (jusqu’à {{max}})',
+          other: '{{count}} gels de série disponibles (jusqu’à {{max}})',
+        },
+        hint: 'Vous en gagnez un tous les {{days}} jours réussis d’affilée. Il est utilisé automatiquement lors d’un jour manqué ou raté.',
+        used: 'Utilisés : {{count}} (derniers : {{dates}})',
+        noneUsed: 'Aucun utilisé pour l’instant',
+      },
     },
     achievements: {
       notificationTitle: 'Succès débloqué !',
@@ -1366,9 +2760,31 @@ const TRANSLATIONS = {
       },
     },
     export: {
-      csvHeaders: ['Date', 'Activité', 'Catégorie', 'Points', 'Terminé à'],
       filenameBackup: 'yourscore-sauvegarde-{{date}}.json',
-      filenameCsv: 'yourscore-completions-{{date}}.csv',
+      filenameEncrypted: 'yourscore-backup-{{date}}.encrypted.json',
+      csvColumns: {
+        date: 'Date',
+        activity: 'Activité',
+        category: 'Catégorie',
+        points: 'Points',
+        completedAt: 'Terminé à',
+        count: 'Quantité',
+        score: 'Score',
+        earned: 'Gagné',
+        decay: 'Déclin',
+        paused: 'En pause',
+        excused: 'Excusé',
+        frozen: 'Gelé',
+        name: 'Nom',
+        type: 'Type',
+        dailyMax: 'Maximum quotidien',
+        archived: 'Archivée',
+      },
+      csvFilenames: {
+        completions: 'yourscore-completions-{{date}}.csv',
+        scoreHistory: 'yourscore-historique-score-{{date}}.csv',
+        activities: 'yourscore-activites-{{date}}.csv',
+      },
     },
     import: {
       storeLabels: {
@@ -1378,11 +2794,28 @@ const TRANSLATIONS = {
         completions: 'Validations',
         scoreHistory: 'Historique du score',
         achievements: 'Succès',
+        scoreAdjustments: 'Ajustements du score',
+        pauses: 'Pauses',
+        excusedDays: 'Jours excusés',
+        streakFreezes: 'Gels de série',
+      },
+      warnings: {
+        upgraded:
+          'Ce fichier provient d’une version antérieure (format {{version}}) et a été mis à niveau.',
+        unknownStore: '« {{store}} » ne fait pas partie des données YourScore et sera ignoré.',
+        duplicateKeys: {
+          one: '{{count}} enregistrement dans {{store}} répète un précédent ; seul le dernier est conservé.',
+          other:
+            '{{count}} enregistrements dans {{store}} répètent des précédents ; seul le dernier est conservé.',
+        },
+      },
+      repairs: {
+        category: '{{name}} a été déplacé dans Sans catégorie car sa catégorie est manquante.',
+        duplicate: 'Un second enregistrement de {{name}} le {{date}} a été supprimé.',
       },
     },
     errors: {
       activityNameRequired: 'Le nom de l’activité est obligatoire',
-      activityPointsPositive: 'Les points doivent être un nombre positif',
       activityNotFound: 'Activité introuvable',
       categoryNotFound: 'Catégorie introuvable',
       categoryCannotRenameUncategorized: 'Impossible de renommer la catégorie Sans catégorie',
@@ -1405,8 +2838,88 @@ const TRANSLATIONS = {
       importInvalidJson: 'JSON invalide : {{error}}',
       importReadFailed: 'Impossible de lire le fichier : {{error}}',
       importNoFile: 'Aucun fichier fourni',
-      importInvalidFileType: 'Type de fichier invalide : .json attendu',
+      importInvalidFileType: 'Type de fichier invalide : .json ou .csv attendu',
       fileReadFailed: 'Impossible de lire le fichier',
+      activityPointsNonZero: 'Les points doivent être un nombre non nul',
+      activityTypeInvalid: "Type d'activité invalide",
+      activityDailyMaxInvalid: 'Le maximum quotidien doit être un nombre entier positif',
+      completionCountInvalid: 'La quantité doit être un nombre entier supérieur ou égal à 0',
+      activityScheduleInvalid: "Planning d'activité invalide",
+      completionPointsInvalid: "Les points d'une activité terminée doivent être un nombre entier",
+      historyDateOutOfRange:
+        "Les activités terminées ne peuvent être modifiées qu'entre votre premier jour et aujourd'hui",
+      decayStrategyInvalid: 'Type de déclin invalide',
+      pauseDateInvalid: 'Saisissez une date valide',
+      pauseStartInPast: 'Une pause ne peut pas commencer dans le passé',
+      pauseEndBeforeStart: 'Le dernier jour de pause ne peut pas précéder le premier',
+      pauseOverlap: 'Cette pause chevauche une autre pause',
+      pauseNotFound: 'Pause introuvable',
+      pauseNotActive: 'Cette pause n’est pas en cours',
+      pauseAlreadyStarted: 'Une pause commencée ne peut pas être annulée, seulement reprise',
+      excuseDateInvalid: 'Seuls les jours passés peuvent être excusés',
+      excuseDayPaused: "Les jours en pause n'ont pas de déclin à excuser",
+      dayAlreadyExcused: 'Ce jour est déjà excusé',
+      dayNotExcused: "Ce jour n'est pas excusé",
+      excuseAllowanceUsed: 'Plus aucun jour excusé ce mois-ci (limite : {{allowance}})',
+      streakFreezeNotFound: 'Gel de série introuvable',
+      streakFreezeUsed: 'Ce gel de série a déjà été utilisé',
+      backupFailed: "Impossible d'enregistrer une sauvegarde avant : {{error}}",
+      backupNotFound: 'Sauvegarde introuvable',
+      encryptionUnavailable: 'Le chiffrement n’est pas disponible dans ce navigateur',
+      encryptedVersion: 'Ce fichier chiffré a été créé par une version plus récente de YourScore',
+      encryptedInvalid: 'Ce fichier chiffré est endommagé ou incomplet',
+      wrongPassphrase: 'Phrase secrète incorrecte',
+      encryptedTampered: 'Ce fichier chiffré a été modifié ou endommagé et ne peut pas être ouvert',
+      passphraseRequired: 'Saisissez la phrase secrète pour ouvrir ce fichier chiffré',
+      importNewerVersion:
+        "Ce fichier a été exporté par une version plus récente de YourScore. Mettez l'application à jour pour l'importer",
+      importInvalidDate:
+        'Date invalide dans « {{field}} » à {{store}}[{{index}}] : format attendu AAAA-MM-JJ',
+      importFutureDate: '« {{field}} » est dans le futur à {{store}}[{{index}}]',
+      importUnknownActivity: 'Activité inconnue « {{activity}} » à completions[{{index}}]',
+      importUnknownCategory: 'Catégorie inconnue « {{category}} » à activities[{{index}}]',
+      importDuplicateCompletion:
+        'completions[{{index}}] enregistre la même activité le même jour que completions[{{first}}]',
+      csvEmpty: 'Le fichier CSV est vide',
+      csvUnknownTable:
+        'Ce fichier CSV n’a aucune des colonnes d’un export de complétions ou d’activités',
+      csvInvalidValue: 'Valeur de « {{column}} » invalide à la ligne {{row}}',
+      csvUnevenPoints:
+        'Les {{points}} points de la ligne {{row}} ne se répartissent pas également sur un nombre de {{count}}',
+    },
+    templates: {
+      categories: {
+        health: 'Santé',
+        mind: 'Esprit',
+        routine: 'Routine',
+        bad_habits: 'Habitudes à perdre',
+      },
+      activities: {
+        exercise: 'Sport 30 min',
+        steps: 'Marcher 10 000 pas',
+        water: "Verre d'eau",
+        sleep: 'Au lit avant 23 h',
+        meditation: 'Méditation',
+        read: 'Lire 30 min',
+        journal: 'Journal',
+        early_wake_up: 'Se lever tôt',
+        make_bed: 'Faire son lit',
+        plan_tomorrow: 'Planifier demain',
+        doomscrolling: 'Doomscrolling',
+        junk_food: 'Malbouffe',
+      },
+    },
+    sync: {
+      upgradeBlocked: 'Fermez YourScore dans vos autres onglets pour terminer la mise à jour.',
+      updatedElsewhere:
+        'YourScore a été mis à jour dans un autre onglet. Rechargez pour continuer.',
+      reload: 'Recharger',
+    },
+    storage: {
+      notSaved:
+        "Ce navigateur ne permet pas à YourScore d'enregistrer des données. Les modifications seront perdues à la fermeture de cet onglet.",
+      limited:
+        "Ce navigateur ne permet pas à YourScore d'utiliser son stockage habituel. Vos données sont conservées dans un espace limité, alors exportez une sauvegarde de temps en temps.",
     },
   },
   it: {
@@ -1420,6 +2933,7 @@ const TRANSLATIONS = {
       uncategorized: 'Senza categoria',
       unknown: 'Sconosciuto',
       comingSoon: 'In arrivo.',
+      badHabit: 'Cattiva abitudine',
     },
     nav: {
       primaryLabel: 'Principale',
@@ -1449,6 +2963,7 @@ const TRANSLATIONS = {
       mainLabel: 'Punteggio principale',
       todayLabel: 'Oggi',
       decayLabel: 'Decadimento',
+      dayLabel: 'Quel giorno',
     },
     daily: {
       emptyTitle: 'Nessuna attività ancora',
@@ -1458,6 +2973,29 @@ const TRANSLATIONS = {
       breakEvenProgressLabel: 'Progresso del pareggio',
       breakEvenAchievedAria: 'Pareggio raggiunto',
       breakEvenRemainingAria: '{{points}} {{pointsLabel}} rimanenti',
+      pointsPerUnit: '{{points}} {{unit}} per unità',
+      counterIncrement: 'Aggiungi uno: {{name}}',
+      counterDecrement: 'Rimuovi uno: {{name}}',
+      counterOfMax: '{{count}}/{{max}}',
+      nothingDueTitle: 'Niente da fare oggi',
+      nothingDueMessage: 'Nessuna delle tue attività è programmata per oggi. Goditi la pausa!',
+      previousDay: 'Giorno precedente',
+      nextDay: 'Giorno successivo',
+      backToToday: 'Torna a oggi',
+      editingPastDay:
+        'Stai modificando un giorno passato. Le modifiche aggiornano la cronologia di quel giorno e il tuo punteggio.',
+      pausedDay: 'Decadimento in pausa',
+      excusedDay: 'Giustificato, decadimento rimborsato',
+      excuse: {
+        button: 'Giustifica questo giorno',
+        remove: 'Rimuovi giustificazione',
+        description:
+          "C'è stato un motivo valido? Giustificare un giorno ne rimborsa il decadimento e non interrompe le tue serie.",
+        excused:
+          'Questo giorno è giustificato. Il decadimento è stato rimborsato e non conta contro le tue serie.',
+        remaining: 'Giorni giustificati rimasti questo mese: {{count}} su {{allowance}}',
+      },
+      dayEndsAt: 'La giornata finisce alle {{time}}',
     },
     decay: {
       firstDayWelcome: 'Benvenuto! Nessun decadimento il primo giorno.',
@@ -1471,6 +3009,28 @@ const TRANSLATIONS = {
       previewAlreadyActive: 'Già attivo oggi',
       previewDaysAway: "{{days}} giorni dall'ultima attività",
       previewNone: 'Nessun decadimento necessario',
+      rules: {
+        flat: 'Decadimento fisso di {{amount}} al giorno',
+        percentage: '{{percent}}% di un punteggio positivo',
+        escalating:
+          '{{amount}} al giorno più {{step}} per ogni giorno saltato o fallito prima ({{days}})',
+        capped: '{{amount}} al giorno, al massimo {{max}} per assenza',
+        withFloor: '{{rule}}, mai sotto {{floor}}',
+      },
+      paused: {
+        one: 'Il decadimento è stato in pausa per {{count}} giorno dalla tua ultima visita.',
+        other:
+          'Il decadimento è stato in pausa per tutti i {{count}} giorni dalla tua ultima visita.',
+      },
+      pausedDaysSkipped: {
+        one: '{{count}} giorno in pausa è stato saltato.',
+        other: '{{count}} giorni in pausa sono stati saltati.',
+      },
+      streakFreezeEarned: 'Hai guadagnato un blocco serie per {{days}} giorni di successo di fila!',
+      streakFreezesUsed: {
+        one: 'Un blocco serie ha salvato la tua serie.',
+        other: '{{count}} blocchi serie hanno salvato la tua serie.',
+      },
     },
     celebrations: {
       continue: 'Continua',
@@ -1501,6 +3061,24 @@ const TRANSLATIONS = {
       importFailed: 'Importazione non riuscita',
       resetSuccess: 'Tutti i dati sono stati ripristinati',
       resetFailed: 'Ripristino non riuscito: {{error}}',
+      badHabitLogged: 'Registrato {{name}}',
+      counterChanged: '{{name}}: {{count}}',
+      templatesAdded: {
+        one: '{{count}} attività aggiunta.',
+        other: '{{count}} attività aggiunte.',
+      },
+      recalculated: 'Punteggio riparato',
+      recalculateFailed: 'Riparazione del punteggio non riuscita: {{error}}',
+      pauseScheduled: 'Pausa pianificata',
+      pauseStarted: 'Decadimento in pausa',
+      pauseEnded: 'Il decadimento riprende domani',
+      pauseCancelled: 'Pausa annullata',
+      dayExcused: 'Giorno giustificato',
+      excuseRemoved: 'Giustificazione rimossa',
+      backupRestored: 'Backup ripristinato',
+      backupRestoreFailed: 'Ripristino non riuscito: {{error}}',
+      exportEncryptedDownloaded: 'Backup cifrato scaricato',
+      rolloverFailed: 'Impossibile iniziare il nuovo giorno: {{error}}',
     },
     activities: {
       title: 'Attività',
@@ -1516,6 +3094,21 @@ const TRANSLATIONS = {
         addButton: 'Aggiungi attività',
         saveButton: 'Salva modifiche',
         cancelButton: 'Annulla',
+        badHabitLabel: 'Cattiva abitudine (sottrae punti quando registrata)',
+        typeLabel: 'Tipo',
+        typeCheck: 'Una volta al giorno',
+        typeCounter: 'Contatore (punti per unità)',
+        dailyMaxLabel: 'Massimo giornaliero',
+        dailyMaxPlaceholder: 'Nessun limite',
+        scheduleLabel: 'Programmazione',
+        scheduleDaily: 'Ogni giorno',
+        scheduleWeekdays: 'Giorni specifici',
+        scheduleInterval: 'Ogni tot giorni',
+        scheduleWeekly: 'Volte a settimana',
+        scheduleDaysLabel: 'Giorni',
+        scheduleEveryLabel: 'Ripeti ogni (giorni)',
+        scheduleStartLabel: 'A partire dal',
+        scheduleTimesLabel: 'Volte a settimana',
       },
       sections: {
         activeTitle: 'Attive',
@@ -1533,10 +3126,29 @@ const TRANSLATIONS = {
         edit: 'Modifica',
         archive: 'Archivia',
         restore: 'Ripristina',
+        counter: 'Contatore',
+        counterWithMax: 'Contatore · max {{max}}/giorno',
+        scheduleWeekdays: '{{days}}',
+        scheduleInterval: { one: 'Ogni giorno', other: 'Ogni {{count}} giorni' },
+        scheduleWeekly: {
+          one: '{{count}} volta a settimana',
+          other: '{{count}} volte a settimana',
+        },
       },
       errors: {
         nameRequired: 'Il nome dell’attività è obbligatorio.',
         pointsPositive: 'I punti devono essere un numero positivo.',
+        dailyMaxPositive: 'Il massimo giornaliero deve essere un numero positivo.',
+        scheduleDaysRequired: 'Scegli almeno un giorno.',
+        scheduleEveryInvalid: "L'intervallo deve essere compreso tra 1 e {{max}} giorni.",
+        scheduleTimesInvalid: 'Le volte a settimana devono essere comprese tra 1 e 7.',
+      },
+      templates: {
+        title: 'Inizia dai modelli',
+        subtitle: 'Scegli abitudini comuni per aggiungerle con categorie e punti suggeriti.',
+        addButton: 'Aggiungi selezionati',
+        added: 'Già aggiunto',
+        noneSelected: 'Seleziona almeno un modello.',
       },
     },
     categories: {
@@ -1573,6 +3185,7 @@ const TRANSLATIONS = {
         scoreDecay: 'Punteggio e decadimento',
         appearance: 'Aspetto',
         data: 'Gestione dati',
+        pause: 'Pausa',
       },
       fields: {
         dailyDecay: 'Decadimento giornaliero',
@@ -1583,24 +3196,62 @@ const TRANSLATIONS = {
         uiScale: 'Scala UI',
         language: 'Lingua',
         languageAuto: 'Auto (browser)',
+        decayStrategy: 'Tipo di decadimento',
+        decayPercent: 'Percentuale del punteggio al giorno',
+        decayStep: 'Decadimento extra per giorno saltato',
+        decayMax: 'Decadimento massimo per assenza',
+        decayFloor: 'Soglia minima',
+        decayFloorPlaceholder: 'Nessuna soglia',
+        excusedDaysPerMonth: 'Giorni giustificati al mese',
+        excusedDaysPerMonthPlaceholder: 'Nessun limite',
+        dayStartHour: 'La giornata inizia alle',
+        dayStartHourHint:
+          'Le attività completate prima di questo orario contano per il giorno precedente.',
       },
       saveButton: 'Salva impostazioni',
       errors: {
         decayNonNegative: 'Il decadimento deve essere 0 o maggiore.',
         mainScoreNumber: 'Il punteggio principale deve essere un numero.',
+        decayPercentRange: 'La percentuale deve essere tra 1 e 100.',
+        decayStepPositive: 'Il decadimento extra per giorno saltato deve essere almeno 1.',
+        decayMaxPositive: 'Il decadimento massimo per assenza deve essere almeno 1.',
+        decayFloorNumber: 'La soglia minima deve essere un numero intero.',
+        excusedDaysPerMonthRange: 'I giorni giustificati al mese devono essere tra 0 e 31.',
+        passphraseTooShort: 'La passphrase deve avere almeno {{min}} caratteri.',
+        passphraseMismatch: 'Le passphrase non coincidono.',
       },
       data: {
         exportTitle: 'Esporta',
-        exportDescription: 'Scarica i dati per backup o trasferimento.',
+        exportDescription:
+          'Scarica i tuoi dati per backup o trasferimento. Un’esportazione cifrata si apre solo con la sua passphrase.',
         exportJson: 'Esporta JSON',
         exportCsv: 'Esporta CSV',
         importTitle: 'Importa',
-        importDescription: 'Ripristina i dati da un file JSON di backup.',
-        importMerge: 'Unisci ai dati esistenti',
-        importJson: 'Importa JSON',
+        importDescription:
+          'Ripristina i dati da un backup JSON, o unisci un’esportazione da un altro dispositivo o un file CSV di completamenti o attività. Vedrai cosa cambia prima di salvare.',
         resetTitle: 'Reimposta dati',
-        resetDescription: 'Elimina definitivamente tutti i dati. Non può essere annullato.',
+        resetDescription:
+          'Elimina tutti i tuoi dati. Prima viene salvato un backup che puoi ripristinare da Backup.',
         resetButton: 'Reimposta tutti i dati',
+        recalculateTitle: 'Controlla punteggio',
+        recalculateDescription:
+          'Ricalcola punteggio e cronologia dalle attività completate, dalle impostazioni di decadimento e dalle modifiche manuali.',
+        recalculateCheck: 'Controlla punteggio',
+        recalculateApply: 'Ripara punteggio',
+        backupsTitle: 'Backup',
+        backupsDescription:
+          'Una copia dei tuoi dati viene salvata su questo dispositivo una volta al giorno e prima di ogni importazione, reimpostazione o ripristino. Vengono conservati gli ultimi {{count}}.',
+        exportEncrypted: 'Esporta cifrato',
+        importFile: 'Importa file',
+        csvDescription:
+          'I file CSV si aprono nei fogli di calcolo. Le chiavi fisse sono uguali in ogni lingua, e il punto e virgola è adatto ai fogli di calcolo che usano la virgola decimale.',
+        csvTable: 'Tabella CSV',
+        csvHeaders: 'Intestazioni di colonna',
+        csvHeadersLocalized: 'Nomi tradotti',
+        csvHeadersKeys: 'Chiavi fisse',
+        csvDelimiter: 'Separatore',
+        csvDelimiterComma: 'Virgola (,)',
+        csvDelimiterSemicolon: 'Punto e virgola (;)',
       },
       import: {
         importing: 'Importazione...',
@@ -1613,6 +3264,109 @@ const TRANSLATIONS = {
           'Sei sicuro di voler eliminare TUTTI i dati?\n\nInclude attività, completamenti, storico punteggio e impostazioni.\n\nQuesta azione NON può essere annullata!',
         resetSecondary:
           'Conferma di nuovo.\n\nTutti i dati di YourScore verranno eliminati definitivamente.',
+        recalculate: 'Sostituire il punteggio principale e la cronologia con i valori ricalcolati?',
+        restoreBackup:
+          'Sostituire tutti i tuoi dati con il backup del {{date}}?\n\nPrima viene fatto un backup dei dati attuali.',
+        continueWithoutBackup:
+          '{{error}}\n\nContinuare senza backup? Non sarà possibile annullare.',
+      },
+      recalculate: {
+        upToDate: 'Punteggio e cronologia corrispondono al registro delle attività.',
+        mainScore: 'Punteggio principale: {{current}} → {{expected}}.',
+        daysChanged: {
+          one: '{{count}} giorno della cronologia è diverso.',
+          other: '{{count}} giorni della cronologia sono diversi.',
+        },
+        change: '{{date}}: {{current}} → {{expected}}',
+        more: '…e altri {{count}}',
+      },
+      decayStrategies: {
+        flat: 'Fisso',
+        percentage: 'Percentuale del punteggio',
+        escalating: 'Crescente',
+        capped: 'Limitato per assenza',
+      },
+      decayPreview:
+        'Saltare {{days}} giorni di fila costerebbe {{daily}} = {{total}}, lasciando {{score}}.',
+      pause: {
+        description:
+          'Parti? Nei giorni in pausa non c’è decadimento e la tua serie non si interrompe né si allunga.',
+        startDate: 'Primo giorno di pausa',
+        endDate: 'Ultimo giorno di pausa',
+        endDateHint: 'Lascia vuoto l’ultimo giorno per restare in pausa finché non riprendi.',
+        schedule: 'Pianifica pausa',
+        pauseNow: 'Metti in pausa ora',
+        end: 'Riprendi',
+        cancel: 'Annulla',
+        empty: 'Nessuna pausa pianificata.',
+        range: '{{start}} – {{end}}',
+        openRange: 'Dal {{start}} finché non riprendi',
+        status: {
+          active: 'In pausa',
+          upcoming: 'In programma',
+          past: 'Terminata',
+        },
+      },
+      backups: {
+        empty: 'Nessun backup per ora.',
+        preview: 'Anteprima',
+        download: 'Scarica',
+        restore: 'Ripristina',
+        mainScore: 'Punteggio principale: {{score}}',
+        reasons: {
+          daily: 'Backup giornaliero',
+          import: "Prima dell'importazione",
+          reset: 'Prima della reimpostazione',
+          restore: 'Prima del ripristino',
+        },
+      },
+      merge: {
+        duplicates: {
+          one: '{{count}} completamento è già registrato qui e viene saltato.',
+          other: '{{count}} completamenti sono già registrati qui e vengono saltati.',
+        },
+        noConflicts: 'Nessun conflitto.',
+        conflicts: { one: '{{count}} conflitto:', other: '{{count}} conflitti:' },
+        conflict: {
+          activityPoints: '{{name}}: {{local}} punti qui, {{incoming}} nel file. Resta {{local}}.',
+          activityType: '{{name}}: «{{local}}» qui, «{{incoming}}» nel file. Resta «{{local}}».',
+          completion: '{{name}} il {{date}}: {{local}} qui, {{incoming}} nel file. Resta {{kept}}.',
+          pause: 'La pausa {{incoming}} si sovrappone alla pausa {{local}} e viene saltata.',
+          setting: '{{setting}} è diverso dal file. Resta il valore di questo dispositivo.',
+          completionCapped:
+            '{{name}} il {{date}}: {{local}} qui, {{incoming}} nel file. Resta {{kept}}, il massimo giornaliero.',
+        },
+        more: '…e altri {{count}}',
+      },
+      passphrase: {
+        label: 'Passphrase',
+        confirmLabel: 'Ripeti la passphrase',
+        exportPrompt:
+          'Scegli una passphrase per l’esportazione. Non può essere recuperata se la dimentichi.',
+        importPrompt: 'Questo file è cifrato. Inserisci la sua passphrase per aprirlo.',
+        submit: 'Continua',
+        cancel: 'Annulla',
+      },
+      importPreview: {
+        range: 'Il file copre dal {{from}} al {{to}}.',
+        noRange: 'Il file non ha record con data.',
+        warnings: 'Prima di importare:',
+        mainScore: 'Punteggio principale: {{current}} → {{result}}',
+        change: '{{store}}: {{added}} aggiunti, {{updated}} aggiornati, {{removed}} rimossi',
+        noChanges: 'Non cambia nulla.',
+        replaceTitle: 'Sostituisci',
+        replaceDescription: 'Tutti i dati su questo dispositivo vengono sostituiti dal file.',
+        mergeTitle: 'Unisci',
+        mergeDescription: 'Il file viene combinato con i dati su questo dispositivo.',
+        replace: 'Sostituisci tutti i dati',
+        merge: 'Unisci',
+        cancel: 'Annulla',
+        repairDescription:
+          'Si può riparare: le attività la cui categoria manca passano in Senza categoria e i completamenti ripetuti vengono scartati.',
+        repair: 'Ripara e continua',
+        more: '…e altri {{count}}',
+        csvMergeOnly:
+          'Un file CSV contiene solo completamenti o attività, quindi può solo essere unito. Attività e categorie vengono abbinate per nome, e quelle mancanti vengono create.',
       },
     },
     dashboard: {
@@ -1635,6 +3389,7 @@ const TRANSLATIONS = {
         activitiesLabel: 'Attività',
         activitiesAria: 'Completamento attività',
         percentComplete: '{{percent}}% completato',
+        breakEvenStatusPaused: 'In pausa',
       },
       streaksTitle: 'Serie',
       streaks: {
@@ -1657,6 +3412,25 @@ const TRANSLATIONS = {
       achievementsUnlocked: 'sbloccati',
       achievementsRecent: 'Sbloccati di recente',
       achievementsNext: 'Prossimi obiettivi',
+      recentDays: {
+        title: 'Ultimi {{days}} giorni',
+        success: 'In pari',
+        missed: 'Mancato',
+        paused: 'In pausa',
+        pending: 'In corso',
+        none: 'Nessun dato',
+        excused: 'Giustificato',
+        frozen: 'Bloccato',
+      },
+      streakFreezes: {
+        available: {
+          one: '{{count}} blocco serie disponibile (fino a {{max}})',
+          other: '{{count}} blocchi serie disponibili (fino a {{max}})',
+        },
+        hint: 'Ne guadagni uno ogni {{days}} giorni di successo di fila. Viene usato automaticamente in un giorno mancato o fallito.',
+        used: 'Usati: {{count}} (ultimi: {{dates}})',
+        noneUsed: 'Nessuno usato finora',
+      },
     },
     achievements: {
       notificationTitle: 'Obiettivo sbloccato!',
@@ -1716,9 +3490,31 @@ const TRANSLATIONS = {
       },
     },
     export: {
-      csvHeaders: ['Data', 'Attività', 'Categoria', 'Punti', 'Completato alle'],
       filenameBackup: 'yourscore-backup-{{date}}.json',
-      filenameCsv: 'yourscore-completamenti-{{date}}.csv',
+      filenameEncrypted: 'yourscore-backup-{{date}}.encrypted.json',
+      csvColumns: {
+        date: 'Data',
+        activity: 'Attività',
+        category: 'Categoria',
+        points: 'Punti',
+        completedAt: 'Completato alle',
+        count: 'Quantità',
+        score: 'Punteggio',
+        earned: 'Guadagnati',
+        decay: 'Decadimento',
+        paused: 'In pausa',
+        excused: 'Giustificato',
+        frozen: 'Congelato',
+        name: 'Nome',
+        type: 'Tipo',
+        dailyMax: 'Massimo giornaliero',
+        archived: 'Archiviata',
+      },
+      csvFilenames: {
+        completions: 'yourscore-completamenti-{{date}}.csv',
+        scoreHistory: 'yourscore-storico-punteggio-{{date}}.csv',
+        activities: 'yourscore-attivita-{{date}}.csv',
+      },
     },
     import: {
       storeLabels: {
@@ -1728,11 +3524,28 @@ const TRANSLATIONS = {
         completions: 'Completamenti',
         scoreHistory: 'Storico punteggio',
         achievements: 'Obiettivi',
+        scoreAdjustments: 'Modifiche al punteggio',
+        pauses: 'Pause',
+        excusedDays: 'Giorni giustificati',
+        streakFreezes: 'Blocchi serie',
+      },
+      warnings: {
+        upgraded:
+          'Questo file proviene da una versione precedente (formato {{version}}) ed è stato aggiornato.',
+        unknownStore: '«{{store}}» non fa parte dei dati di YourScore e verrà ignorato.',
+        duplicateKeys: {
+          one: '{{count}} record in {{store}} ripete uno precedente; viene mantenuto solo l’ultimo.',
+          other:
+            '{{count}} record in {{store}} ripetono record precedenti; viene mantenuto solo l’ultimo.',
+        },
+      },
+      repairs: {
+        category: '{{name}} è stata spostata in Senza categoria perché la sua categoria manca.',
+        duplicate: 'È stato scartato un secondo completamento di {{name}} il {{date}}.',
       },
     },
     errors: {
       activityNameRequired: 'Il nome dell’attività è obbligatorio',
-      activityPointsPositive: 'I punti devono essere un numero positivo',
       activityNotFound: 'Attività non trovata',
       categoryNotFound: 'Categoria non trovata',
       categoryCannotRenameUncategorized: 'Impossibile rinominare la categoria Senza categoria',
@@ -1756,8 +3569,89 @@ const TRANSLATIONS = {
       importInvalidJson: 'JSON non valido: {{error}}',
       importReadFailed: 'Impossibile leggere il file: {{error}}',
       importNoFile: 'Nessun file fornito',
-      importInvalidFileType: 'Tipo di file non valido: atteso .json',
+      importInvalidFileType: 'Tipo di file non valido: atteso .json o .csv',
       fileReadFailed: 'Impossibile leggere il file',
+      activityPointsNonZero: 'I punti devono essere un numero diverso da zero',
+      activityTypeInvalid: 'Tipo di attività non valido',
+      activityDailyMaxInvalid: 'Il massimo giornaliero deve essere un numero intero positivo',
+      completionCountInvalid: 'La quantità deve essere un numero intero pari o superiore a 0',
+      activityScheduleInvalid: 'Programmazione attività non valida',
+      completionPointsInvalid: "I punti di un'attività completata devono essere un numero intero",
+      historyDateOutOfRange:
+        'Le attività completate possono essere modificate solo tra il tuo primo giorno e oggi',
+      decayStrategyInvalid: 'Tipo di decadimento non valido',
+      pauseDateInvalid: 'Inserisci una data valida',
+      pauseStartInPast: 'Una pausa non può iniziare nel passato',
+      pauseEndBeforeStart: 'L’ultimo giorno di pausa non può precedere il primo',
+      pauseOverlap: 'Questa pausa si sovrappone a un’altra',
+      pauseNotFound: 'Pausa non trovata',
+      pauseNotActive: 'Questa pausa non è in corso',
+      pauseAlreadyStarted: 'Una pausa già iniziata non può essere annullata, solo ripresa',
+      excuseDateInvalid: 'Solo i giorni passati possono essere giustificati',
+      excuseDayPaused: 'I giorni in pausa non hanno decadimento da giustificare',
+      dayAlreadyExcused: 'Questo giorno è già giustificato',
+      dayNotExcused: 'Questo giorno non è giustificato',
+      excuseAllowanceUsed: 'Nessun giorno giustificato rimasto questo mese (limite: {{allowance}})',
+      streakFreezeNotFound: 'Blocco serie non trovato',
+      streakFreezeUsed: 'Questo blocco serie è già stato usato',
+      backupFailed: 'Impossibile salvare prima un backup: {{error}}',
+      backupNotFound: 'Backup non trovato',
+      encryptionUnavailable: 'La cifratura non è disponibile in questo browser',
+      encryptedVersion:
+        'Questo file cifrato è stato creato da una versione più recente di YourScore',
+      encryptedInvalid: 'Questo file cifrato è danneggiato o incompleto',
+      wrongPassphrase: 'Passphrase errata',
+      encryptedTampered:
+        'Questo file cifrato è stato modificato o danneggiato e non può essere aperto',
+      passphraseRequired: 'Inserisci la passphrase per aprire questo file cifrato',
+      importNewerVersion:
+        "Questo file è stato esportato da una versione più recente di YourScore. Aggiorna l'app per importarlo",
+      importInvalidDate:
+        'Data non valida in "{{field}}" in {{store}}[{{index}}]: atteso AAAA-MM-GG',
+      importFutureDate: '"{{field}}" è nel futuro in {{store}}[{{index}}]',
+      importUnknownActivity: 'Attività sconosciuta "{{activity}}" in completions[{{index}}]',
+      importUnknownCategory: 'Categoria sconosciuta "{{category}}" in activities[{{index}}]',
+      importDuplicateCompletion:
+        'completions[{{index}}] registra la stessa attività nello stesso giorno di completions[{{first}}]',
+      csvEmpty: 'Il file CSV è vuoto',
+      csvUnknownTable:
+        'Questo file CSV non ha nessuna delle colonne di un’esportazione di completamenti o attività',
+      csvInvalidValue: 'Valore di "{{column}}" non valido alla riga {{row}}',
+      csvUnevenPoints:
+        'I {{points}} punti della riga {{row}} non si possono dividere in parti uguali per un conteggio di {{count}}',
+    },
+    templates: {
+      categories: {
+        health: 'Salute',
+        mind: 'Mente',
+        routine: 'Routine',
+        bad_habits: 'Abitudini da perdere',
+      },
+      activities: {
+        exercise: 'Esercizio 30 min',
+        steps: 'Camminare 10.000 passi',
+        water: "Bicchiere d'acqua",
+        sleep: 'A letto entro le 23',
+        meditation: 'Meditazione',
+        read: 'Leggere 30 min',
+        journal: 'Diario',
+        early_wake_up: 'Sveglia presto',
+        make_bed: 'Rifare il letto',
+        plan_tomorrow: 'Pianificare domani',
+        doomscrolling: 'Doomscrolling',
+        junk_food: 'Cibo spazzatura',
+      },
+    },
+    sync: {
+      upgradeBlocked: "Chiudi YourScore nelle altre schede per completare l'aggiornamento.",
+      updatedElsewhere: 'YourScore è stato aggiornato in un’altra scheda. Ricarica per continuare.',
+      reload: 'Ricarica',
+    },
+    storage: {
+      notSaved:
+        'Questo browser non consente a YourScore di salvare i dati. Le modifiche andranno perse alla chiusura di questa scheda.',
+      limited:
+        'Questo browser non consente a YourScore di usare la sua memoria abituale. I tuoi dati sono conservati in uno spazio limitato, quindi esporta un backup di tanto in tanto.',
     },
   },
   ru: {
@@ -1770,6 +3664,7 @@ const TRANSLATIONS = {
       uncategorized: 'Без категории',
       unknown: 'Неизвестно',
       comingSoon: 'Скоро.',
+      badHabit: 'Вредная привычка',
     },
     nav: {
       primaryLabel: 'Основная',
@@ -1804,6 +3699,7 @@ const TRANSLATIONS = {
       mainLabel: 'Основной счет',
       todayLabel: 'Сегодня',
       decayLabel: 'Убыль',
+      dayLabel: 'В тот день',
     },
     daily: {
       emptyTitle: 'Пока нет активностей',
@@ -1813,6 +3709,29 @@ const TRANSLATIONS = {
       breakEvenProgressLabel: 'Прогресс баланса',
       breakEvenAchievedAria: 'Баланс достигнут',
       breakEvenRemainingAria: 'Осталось {{points}} {{pointsLabel}}',
+      pointsPerUnit: '{{points}} {{unit}} за единицу',
+      counterIncrement: 'Добавить: {{name}}',
+      counterDecrement: 'Убрать: {{name}}',
+      counterOfMax: '{{count}}/{{max}}',
+      nothingDueTitle: 'На сегодня ничего нет',
+      nothingDueMessage: 'На сегодня ни одна активность не запланирована. Отдохните!',
+      previousDay: 'Предыдущий день',
+      nextDay: 'Следующий день',
+      backToToday: 'Вернуться к сегодня',
+      editingPastDay:
+        'Вы редактируете прошедший день. Изменения обновят историю этого дня и ваш счёт.',
+      pausedDay: 'Убыль приостановлена',
+      excusedDay: 'Уважительный день, убыль возвращена',
+      excuse: {
+        button: 'Отметить как уважительный',
+        remove: 'Снять отметку',
+        description:
+          'Была уважительная причина? Для уважительного дня убыль возвращается, а серии не прерываются.',
+        excused:
+          'Этот день отмечен как уважительный. Его убыль возвращена, и он не прерывает серии.',
+        remaining: 'Осталось уважительных дней в этом месяце: {{count}} из {{allowance}}',
+      },
+      dayEndsAt: 'День заканчивается в {{time}}',
     },
     decay: {
       firstDayWelcome: 'Добро пожаловать! В первый день убыль не применяется.',
@@ -1825,6 +3744,33 @@ const TRANSLATIONS = {
       previewAlreadyActive: 'Сегодня уже были активны',
       previewDaysAway: '{{days}} дней с последней активности',
       previewNone: 'Убыль не требуется',
+      rules: {
+        flat: 'Постоянная убыль {{amount}} в день',
+        percentage: '{{percent}}% от положительного счёта',
+        escalating:
+          '{{amount}} в день плюс {{step}} за каждый пропущенный или неудачный день перед ним ({{days}})',
+        capped: '{{amount}} в день, не больше {{max}} за отсутствие',
+        withFloor: '{{rule}}, не ниже {{floor}}',
+      },
+      paused: {
+        one: 'Убыль была приостановлена на {{count}} день с вашего последнего визита.',
+        few: 'Убыль была приостановлена на все {{count}} дня с вашего последнего визита.',
+        many: 'Убыль была приостановлена на все {{count}} дней с вашего последнего визита.',
+        other: 'Убыль была приостановлена на все {{count}} дня с вашего последнего визита.',
+      },
+      pausedDaysSkipped: {
+        one: 'Пропущен {{count}} день паузы.',
+        few: 'Пропущено {{count}} дня паузы.',
+        many: 'Пропущено {{count}} дней паузы.',
+        other: 'Пропущено {{count}} дня паузы.',
+      },
+      streakFreezeEarned: 'Вы получили заморозку серии за {{days}} успешных дней подряд!',
+      streakFreezesUsed: {
+        one: '{{count}} заморозка сохранила вашу серию.',
+        few: '{{count}} заморозки сохранили вашу серию.',
+        many: '{{count}} заморозок сохранили вашу серию.',
+        other: '{{count}} заморозки сохранили вашу серию.',
+      },
     },
     celebrations: {
       continue: 'Продолжить',
@@ -1855,6 +3801,26 @@ const TRANSLATIONS = {
       importFailed: 'Ошибка импорта',
       resetSuccess: 'Все данные сброшены',
       resetFailed: 'Сброс не удался: {{error}}',
+      badHabitLogged: 'Отмечено: {{name}}',
+      counterChanged: '{{name}}: {{count}}',
+      templatesAdded: {
+        one: 'Добавлена {{count}} активность.',
+        few: 'Добавлено {{count}} активности.',
+        many: 'Добавлено {{count}} активностей.',
+        other: 'Добавлено {{count}} активности.',
+      },
+      recalculated: 'Счёт исправлен',
+      recalculateFailed: 'Не удалось исправить счёт: {{error}}',
+      pauseScheduled: 'Пауза запланирована',
+      pauseStarted: 'Убыль приостановлена',
+      pauseEnded: 'Убыль возобновится завтра',
+      pauseCancelled: 'Пауза отменена',
+      dayExcused: 'День отмечен как уважительный',
+      excuseRemoved: 'Отметка снята',
+      backupRestored: 'Резервная копия восстановлена',
+      backupRestoreFailed: 'Не удалось восстановить: {{error}}',
+      exportEncryptedDownloaded: 'Зашифрованная копия скачана',
+      rolloverFailed: 'Не удалось начать новый день: {{error}}',
     },
     activities: {
       title: 'Активности',
@@ -1870,6 +3836,21 @@ const TRANSLATIONS = {
         addButton: 'Добавить активность',
         saveButton: 'Сохранить изменения',
         cancelButton: 'Отмена',
+        badHabitLabel: 'Вредная привычка (отнимает очки при отметке)',
+        typeLabel: 'Тип',
+        typeCheck: 'Раз в день',
+        typeCounter: 'Счётчик (очки за единицу)',
+        dailyMaxLabel: 'Дневной максимум',
+        dailyMaxPlaceholder: 'Без ограничения',
+        scheduleLabel: 'Расписание',
+        scheduleDaily: 'Каждый день',
+        scheduleWeekdays: 'Определённые дни недели',
+        scheduleInterval: 'Раз в несколько дней',
+        scheduleWeekly: 'Раз в неделю',
+        scheduleDaysLabel: 'Дни',
+        scheduleEveryLabel: 'Повторять каждые (дней)',
+        scheduleStartLabel: 'Начиная с',
+        scheduleTimesLabel: 'Раз в неделю',
       },
       sections: {
         activeTitle: 'Активные',
@@ -1887,10 +3868,37 @@ const TRANSLATIONS = {
         edit: 'Редактировать',
         archive: 'Архивировать',
         restore: 'Восстановить',
+        counter: 'Счётчик',
+        counterWithMax: 'Счётчик · макс. {{max}}/день',
+        scheduleWeekdays: '{{days}}',
+        scheduleInterval: {
+          one: 'Каждый {{count}} день',
+          few: 'Каждые {{count}} дня',
+          many: 'Каждые {{count}} дней',
+          other: 'Каждые {{count}} дня',
+        },
+        scheduleWeekly: {
+          one: '{{count}} раз в неделю',
+          few: '{{count}} раза в неделю',
+          many: '{{count}} раз в неделю',
+          other: '{{count}} раза в неделю',
+        },
       },
       errors: {
         nameRequired: 'Название активности обязательно.',
         pointsPositive: 'Очки должны быть положительным числом.',
+        dailyMaxPositive: 'Дневной максимум должен быть положительным числом.',
+        scheduleDaysRequired: 'Выберите хотя бы один день.',
+        scheduleEveryInvalid: 'Интервал должен быть от 1 до {{max}} дней.',
+        scheduleTimesInvalid: 'Число раз в неделю должно быть от 1 до 7.',
+      },
+      templates: {
+        title: 'Начать с шаблонов',
+        subtitle:
+          'Выберите популярные привычки, чтобы добавить их с предложенными категориями и очками.',
+        addButton: 'Добавить выбранные',
+        added: 'Уже добавлено',
+        noneSelected: 'Выберите хотя бы один шаблон.',
       },
     },
     categories: {
@@ -1927,6 +3935,7 @@ const TRANSLATIONS = {
         scoreDecay: 'Счет и убыль',
         appearance: 'Внешний вид',
         data: 'Управление данными',
+        pause: 'Пауза',
       },
       fields: {
         dailyDecay: 'Ежедневная убыль',
@@ -1937,24 +3946,62 @@ const TRANSLATIONS = {
         uiScale: 'Масштаб интерфейса',
         language: 'Язык',
         languageAuto: 'Авто (браузер)',
+        decayStrategy: 'Тип убыли',
+        decayPercent: 'Процент от счёта в день',
+        decayStep: 'Дополнительная убыль за пропущенный день',
+        decayMax: 'Максимальная убыль за отсутствие',
+        decayFloor: 'Нижняя граница',
+        decayFloorPlaceholder: 'Без границы',
+        excusedDaysPerMonth: 'Уважительных дней в месяц',
+        excusedDaysPerMonthPlaceholder: 'Без ограничения',
+        dayStartHour: 'День начинается в',
+        dayStartHourHint:
+          'Активности, выполненные до этого времени, засчитываются в предыдущий день.',
       },
       saveButton: 'Сохранить настройки',
       errors: {
         decayNonNegative: 'Убыль должна быть 0 или больше.',
         mainScoreNumber: 'Основной счет должен быть числом.',
+        decayPercentRange: 'Процент должен быть от 1 до 100.',
+        decayStepPositive: 'Дополнительная убыль за пропущенный день должна быть не меньше 1.',
+        decayMaxPositive: 'Максимальная убыль за отсутствие должна быть не меньше 1.',
+        decayFloorNumber: 'Нижняя граница должна быть целым числом.',
+        excusedDaysPerMonthRange: 'Число уважительных дней в месяц должно быть от 0 до 31.',
+        passphraseTooShort: 'Парольная фраза должна содержать не менее {{min}} символов.',
+        passphraseMismatch: 'Парольные фразы не совпадают.',
       },
       data: {
         exportTitle: 'Экспорт',
-        exportDescription: 'Скачайте данные для резервного копирования или переноса.',
+        exportDescription:
+          'Скачайте данные для резервной копии или переноса. Зашифрованный экспорт можно открыть только с его парольной фразой.',
         exportJson: 'Экспорт JSON',
         exportCsv: 'Экспорт CSV',
         importTitle: 'Импорт',
-        importDescription: 'Восстановите данные из JSON-резервной копии.',
-        importMerge: 'Объединить с существующими данными',
-        importJson: 'Импорт JSON',
+        importDescription:
+          'Восстановите данные из резервной копии JSON или объедините экспорт с другого устройства либо CSV-файл выполнений или активностей. Перед сохранением вы увидите, что изменится.',
         resetTitle: 'Сброс данных',
-        resetDescription: 'Полностью удаляет все данные. Это нельзя отменить.',
+        resetDescription:
+          'Удалить все ваши данные. Перед этим сохраняется резервная копия, которую можно восстановить в разделе «Резервные копии».',
         resetButton: 'Сбросить все данные',
+        recalculateTitle: 'Проверить счёт',
+        recalculateDescription:
+          'Пересчитать счёт и историю по выполнениям, настройкам убыли и ручным изменениям.',
+        recalculateCheck: 'Проверить счёт',
+        recalculateApply: 'Исправить счёт',
+        backupsTitle: 'Резервные копии',
+        backupsDescription:
+          'Копия ваших данных сохраняется на этом устройстве раз в день, а также перед каждым импортом, сбросом или восстановлением. Хранятся последние {{count}}.',
+        exportEncrypted: 'Экспорт с шифрованием',
+        importFile: 'Импорт файла',
+        csvDescription:
+          'CSV-файлы открываются в электронных таблицах. Постоянные ключи одинаковы на всех языках, а точка с запятой подходит для таблиц с десятичной запятой.',
+        csvTable: 'Таблица CSV',
+        csvHeaders: 'Заголовки столбцов',
+        csvHeadersLocalized: 'Переведённые названия',
+        csvHeadersKeys: 'Постоянные ключи',
+        csvDelimiter: 'Разделитель',
+        csvDelimiterComma: 'Запятая (,)',
+        csvDelimiterSemicolon: 'Точка с запятой (;)',
       },
       import: {
         importing: 'Импорт...',
@@ -1966,6 +4013,122 @@ const TRANSLATIONS = {
         resetPrimary:
           'Вы уверены, что хотите удалить ВСЕ данные?\n\nЭто включает активности, выполнения, историю и настройки.\n\nДействие НЕОБРАТИМО!',
         resetSecondary: 'Пожалуйста, подтвердите еще раз.\n\nВсе данные YourScore будут удалены.',
+        recalculate: 'Заменить основной счёт и историю пересчитанными значениями?',
+        restoreBackup:
+          'Заменить все ваши данные резервной копией от {{date}}?\n\nСначала будет сохранена копия текущих данных.',
+        continueWithoutBackup:
+          '{{error}}\n\nПродолжить без резервной копии? Это нельзя будет отменить.',
+      },
+      recalculate: {
+        upToDate: 'Счёт и история совпадают с журналом активности.',
+        mainScore: 'Основной счёт: {{current}} → {{expected}}.',
+        daysChanged: {
+          one: 'Отличается {{count}} день истории.',
+          few: 'Отличаются {{count}} дня истории.',
+          many: 'Отличаются {{count}} дней истории.',
+          other: 'Отличаются {{count}} дня истории.',
+        },
+        change: '{{date}}: {{current}} → {{expected}}',
+        more: '…и ещё {{count}}',
+      },
+      decayStrategies: {
+        flat: 'Постоянная',
+        percentage: 'Процент от счёта',
+        escalating: 'Нарастающая',
+        capped: 'С ограничением за отсутствие',
+      },
+      decayPreview:
+        'Пропуск {{days}} дней подряд обойдётся в {{daily}} = {{total}}, останется {{score}}.',
+      pause: {
+        description:
+          'Уезжаете? В дни паузы убыль не начисляется, а серия не прерывается и не продлевается.',
+        startDate: 'Первый день паузы',
+        endDate: 'Последний день паузы',
+        endDateHint: 'Оставьте последний день пустым, чтобы пауза длилась до возобновления.',
+        schedule: 'Запланировать паузу',
+        pauseNow: 'Поставить на паузу',
+        end: 'Возобновить',
+        cancel: 'Отменить',
+        empty: 'Пауз не запланировано.',
+        range: '{{start}} – {{end}}',
+        openRange: 'С {{start}} до возобновления',
+        status: {
+          active: 'На паузе',
+          upcoming: 'Запланирована',
+          past: 'Завершена',
+        },
+      },
+      backups: {
+        empty: 'Резервных копий пока нет.',
+        preview: 'Просмотр',
+        download: 'Скачать',
+        restore: 'Восстановить',
+        mainScore: 'Основной счёт: {{score}}',
+        reasons: {
+          daily: 'Ежедневная копия',
+          import: 'Перед импортом',
+          reset: 'Перед сбросом',
+          restore: 'Перед восстановлением',
+        },
+      },
+      merge: {
+        duplicates: {
+          one: '{{count}} выполнение уже записано здесь и будет пропущено.',
+          few: '{{count}} выполнения уже записаны здесь и будут пропущены.',
+          many: '{{count}} выполнений уже записаны здесь и будут пропущены.',
+          other: '{{count}} выполнения уже записаны здесь и будут пропущены.',
+        },
+        noConflicts: 'Конфликтов нет.',
+        conflicts: {
+          one: '{{count}} конфликт:',
+          few: '{{count}} конфликта:',
+          many: '{{count}} конфликтов:',
+          other: '{{count}} конфликта:',
+        },
+        conflict: {
+          activityPoints:
+            '{{name}}: здесь {{local}} очков, в файле {{incoming}}. Остаётся {{local}}.',
+          activityType:
+            '{{name}}: здесь «{{local}}», в файле «{{incoming}}». Остаётся «{{local}}».',
+          completion:
+            '{{name}}, {{date}}: здесь {{local}}, в файле {{incoming}}. Остаётся {{kept}}.',
+          pause: 'Пауза {{incoming}} пересекается с паузой {{local}} и будет пропущена.',
+          setting:
+            '{{setting}}: значение отличается от файла. Остаётся значение на этом устройстве.',
+          completionCapped:
+            '{{name}}, {{date}}: здесь {{local}}, в файле {{incoming}}. Остаётся {{kept}} — дневной максимум.',
+        },
+        more: '…и ещё {{count}}',
+      },
+      passphrase: {
+        label: 'Парольная фраза',
+        confirmLabel: 'Повторите парольную фразу',
+        exportPrompt:
+          'Выберите парольную фразу для экспорта. Если вы её забудете, восстановить её нельзя.',
+        importPrompt: 'Этот файл зашифрован. Введите его парольную фразу, чтобы открыть его.',
+        submit: 'Продолжить',
+        cancel: 'Отмена',
+      },
+      importPreview: {
+        range: 'Файл охватывает период с {{from}} по {{to}}.',
+        noRange: 'В файле нет записей с датами.',
+        warnings: 'Перед импортом:',
+        mainScore: 'Основной счёт: {{current}} → {{result}}',
+        change: '{{store}}: добавлено {{added}}, изменено {{updated}}, удалено {{removed}}',
+        noChanges: 'Ничего не изменится.',
+        replaceTitle: 'Заменить',
+        replaceDescription: 'Все данные на этом устройстве будут заменены данными из файла.',
+        mergeTitle: 'Объединить',
+        mergeDescription: 'Файл будет объединён с данными на этом устройстве.',
+        replace: 'Заменить все данные',
+        merge: 'Объединить',
+        cancel: 'Отмена',
+        repairDescription:
+          'Это можно исправить: активности без существующей категории перейдут в «Без категории», а повторные отметки будут удалены.',
+        repair: 'Исправить и продолжить',
+        more: '…и ещё {{count}}',
+        csvMergeOnly:
+          'CSV-файл содержит только выполнения или активности, поэтому его можно только объединить. Активности и категории сопоставляются по названию, недостающие создаются.',
       },
     },
     dashboard: {
@@ -1988,6 +4151,7 @@ const TRANSLATIONS = {
         activitiesLabel: 'Активности',
         activitiesAria: 'Выполнение активностей',
         percentComplete: '{{percent}}% выполнено',
+        breakEvenStatusPaused: 'Пауза',
       },
       streaksTitle: 'Серии',
       streaks: {
@@ -2010,6 +4174,27 @@ const TRANSLATIONS = {
       achievementsUnlocked: 'открыто',
       achievementsRecent: 'Недавно открыты',
       achievementsNext: 'Следующие цели',
+      recentDays: {
+        title: 'Последние {{days}} дней',
+        success: 'Без потерь',
+        missed: 'Пропущен',
+        paused: 'Пауза',
+        pending: 'Идёт',
+        none: 'Нет записи',
+        excused: 'Уважительный',
+        frozen: 'Заморожен',
+      },
+      streakFreezes: {
+        available: {
+          one: 'Доступна {{count}} заморозка серии (не более {{max}})',
+          few: 'Доступно {{count}} заморозки серии (не более {{max}})',
+          many: 'Доступно {{count}} заморозок серии (не более {{max}})',
+          other: 'Доступно {{count}} заморозки серии (не более {{max}})',
+        },
+        hint: 'Заморозка начисляется за каждые {{days}} успешных дней подряд и автоматически тратится на пропущенный или проваленный день.',
+        used: 'Использовано: {{count}} (последние: {{dates}})',
+        noneUsed: 'Пока не использовались',
+      },
     },
     achievements: {
       notificationTitle: 'Достижение открыто!',
@@ -2069,9 +4254,31 @@ const TRANSLATIONS = {
       },
     },
     export: {
-      csvHeaders: ['Дата', 'Активность', 'Категория', 'Очки', 'Выполнено в'],
       filenameBackup: 'yourscore-backup-{{date}}.json',
-      filenameCsv: 'yourscore-activity-{{date}}.csv',
+      filenameEncrypted: 'yourscore-backup-{{date}}.encrypted.json',
+      csvColumns: {
+        date: 'Дата',
+        activity: 'Активность',
+        category: 'Категория',
+        points: 'Очки',
+        completedAt: 'Выполнено в',
+        count: 'Количество',
+        score: 'Счёт',
+        earned: 'Заработано',
+        decay: 'Снижение',
+        paused: 'Пауза',
+        excused: 'Уважительный',
+        frozen: 'Заморожено',
+        name: 'Название',
+        type: 'Тип',
+        dailyMax: 'Максимум в день',
+        archived: 'В архиве',
+      },
+      csvFilenames: {
+        completions: 'yourscore-activity-{{date}}.csv',
+        scoreHistory: 'yourscore-score-history-{{date}}.csv',
+        activities: 'yourscore-activities-{{date}}.csv',
+      },
     },
     import: {
       storeLabels: {
@@ -2081,11 +4288,28 @@ const TRANSLATIONS = {
         completions: 'Выполнения',
         scoreHistory: 'История счета',
         achievements: 'Достижения',
+        scoreAdjustments: 'Ручные изменения счёта',
+        pauses: 'Паузы',
+        excusedDays: 'Уважительные дни',
+        streakFreezes: 'Заморозки серии',
+      },
+      warnings: {
+        upgraded: 'Этот файл создан более старой версией (формат {{version}}) и был обновлён.',
+        unknownStore: '«{{store}}» не относится к данным YourScore и будет пропущено.',
+        duplicateKeys: {
+          one: '{{count}} запись в {{store}} повторяет предыдущую; сохраняется только последняя.',
+          few: '{{count}} записи в {{store}} повторяют предыдущие; сохраняется только последняя.',
+          many: '{{count}} записей в {{store}} повторяют предыдущие; сохраняется только последняя.',
+          other: '{{count}} записи в {{store}} повторяют предыдущие; сохраняется только последняя.',
+        },
+      },
+      repairs: {
+        category: '{{name}} перемещена в «Без категории», так как её категория отсутствует.',
+        duplicate: 'Повторная отметка {{name}} за {{date}} удалена.',
       },
     },
     errors: {
       activityNameRequired: 'Название активности обязательно',
-      activityPointsPositive: 'Очки должны быть положительным числом',
       activityNotFound: 'Активность не найдена',
       categoryNotFound: 'Категория не найдена',
       categoryCannotRenameUncategorized: 'Нельзя переименовать категорию «Без категории»',
@@ -2109,8 +4333,85 @@ const TRANSLATIONS = {
       importInvalidJson: 'Неверный JSON: {{error}}',
       importReadFailed: 'Не удалось прочитать файл: {{error}}',
       importNoFile: 'Файл не выбран',
-      importInvalidFileType: 'Неверный тип файла: ожидается .json',
+      importInvalidFileType: 'Неверный тип файла: ожидается .json или .csv',
       fileReadFailed: 'Не удалось прочитать файл',
+      activityPointsNonZero: 'Очки должны быть ненулевым числом',
+      activityTypeInvalid: 'Недопустимый тип активности',
+      activityDailyMaxInvalid: 'Дневной максимум должен быть положительным целым числом',
+      completionCountInvalid: 'Количество должно быть целым числом не меньше 0',
+      activityScheduleInvalid: 'Недопустимое расписание активности',
+      completionPointsInvalid: 'Очки за выполнение должны быть целым числом',
+      historyDateOutOfRange: 'Выполнения можно менять только в период с первого дня до сегодня',
+      decayStrategyInvalid: 'Неверный тип убыли',
+      pauseDateInvalid: 'Введите корректную дату',
+      pauseStartInPast: 'Пауза не может начинаться в прошлом',
+      pauseEndBeforeStart: 'Последний день паузы не может быть раньше первого',
+      pauseOverlap: 'Эта пауза пересекается с другой',
+      pauseNotFound: 'Пауза не найдена',
+      pauseNotActive: 'Эта пауза сейчас не идёт',
+      pauseAlreadyStarted: 'Начавшуюся паузу нельзя отменить, только возобновить',
+      excuseDateInvalid: 'Уважительными можно отметить только прошедшие дни',
+      excuseDayPaused: 'У дней на паузе нет убыли, которую можно вернуть',
+      dayAlreadyExcused: 'Этот день уже отмечен как уважительный',
+      dayNotExcused: 'Этот день не отмечен как уважительный',
+      excuseAllowanceUsed: 'Все уважительные дни этого месяца использованы (лимит: {{allowance}})',
+      streakFreezeNotFound: 'Заморозка серии не найдена',
+      streakFreezeUsed: 'Эта заморозка серии уже использована',
+      backupFailed: 'Не удалось сначала сохранить резервную копию: {{error}}',
+      backupNotFound: 'Резервная копия не найдена',
+      encryptionUnavailable: 'Шифрование недоступно в этом браузере',
+      encryptedVersion: 'Этот зашифрованный файл создан более новой версией YourScore',
+      encryptedInvalid: 'Этот зашифрованный файл повреждён или неполон',
+      wrongPassphrase: 'Неверная парольная фраза',
+      encryptedTampered: 'Этот зашифрованный файл был изменён или повреждён и не может быть открыт',
+      passphraseRequired: 'Введите парольную фразу, чтобы открыть этот зашифрованный файл',
+      importNewerVersion:
+        'Этот файл экспортирован более новой версией YourScore. Обновите приложение, чтобы импортировать его',
+      importInvalidDate: 'Неверная дата в «{{field}}» в {{store}}[{{index}}]: ожидается ГГГГ-ММ-ДД',
+      importFutureDate: '«{{field}}» указывает на будущую дату в {{store}}[{{index}}]',
+      importUnknownActivity: 'Неизвестная активность «{{activity}}» в completions[{{index}}]',
+      importUnknownCategory: 'Неизвестная категория «{{category}}» в activities[{{index}}]',
+      importDuplicateCompletion:
+        'completions[{{index}}] отмечает ту же активность в тот же день, что и completions[{{first}}]',
+      csvEmpty: 'CSV-файл пуст',
+      csvUnknownTable: 'В этом CSV-файле нет ни одного столбца экспорта выполнений или активностей',
+      csvInvalidValue: 'Неверное значение «{{column}}» в строке {{row}}',
+      csvUnevenPoints:
+        '{{points}} очк. в строке {{row}} нельзя поровну разделить на количество {{count}}',
+    },
+    templates: {
+      categories: {
+        health: 'Здоровье',
+        mind: 'Разум',
+        routine: 'Распорядок',
+        bad_habits: 'Вредные привычки',
+      },
+      activities: {
+        exercise: 'Тренировка 30 мин',
+        steps: 'Пройти 10 000 шагов',
+        water: 'Стакан воды',
+        sleep: 'В постели до 23:00',
+        meditation: 'Медитация',
+        read: 'Чтение 30 мин',
+        journal: 'Дневник',
+        early_wake_up: 'Ранний подъём',
+        make_bed: 'Заправить кровать',
+        plan_tomorrow: 'Спланировать завтра',
+        doomscrolling: 'Думскроллинг',
+        junk_food: 'Фастфуд',
+      },
+    },
+    sync: {
+      upgradeBlocked: 'Закройте YourScore в других вкладках, чтобы завершить обновление.',
+      updatedElsewhere:
+        'YourScore обновлён в другой вкладке. Перезагрузите страницу, чтобы продолжить.',
+      reload: 'Перезагрузить',
+    },
+    storage: {
+      notSaved:
+        'Этот браузер не позволяет YourScore сохранять данные. Изменения пропадут, когда вы закроете эту вкладку.',
+      limited:
+        'Этот браузер не позволяет YourScore использовать обычное хранилище. Данные хранятся в ограниченном пространстве, поэтому время от времени экспортируйте резервную копию.',
     },
   },
   'zh-CN': {
@@ -2123,6 +4424,7 @@ const TRANSLATIONS = {
       uncategorized: '未分类',
       unknown: '未知',
       comingSoon: '即将推出。',
+      badHabit: '坏习惯',
     },
     nav: {
       primaryLabel: '主导航',
@@ -2152,6 +4454,7 @@ const TRANSLATIONS = {
       mainLabel: '主积分',
       todayLabel: '今天',
       decayLabel: '衰减',
+      dayLabel: '当天',
     },
     daily: {
       emptyTitle: '暂无活动',
@@ -2161,6 +4464,26 @@ const TRANSLATIONS = {
       breakEvenProgressLabel: '持平进度',
       breakEvenAchievedAria: '已持平',
       breakEvenRemainingAria: '还剩 {{points}}{{pointsLabel}}',
+      pointsPerUnit: '每单位 {{points}} {{unit}}',
+      counterIncrement: '增加一次：{{name}}',
+      counterDecrement: '减少一次：{{name}}',
+      counterOfMax: '{{count}}/{{max}}',
+      nothingDueTitle: '今天没有待办',
+      nothingDueMessage: '今天没有安排任何活动，好好休息吧！',
+      previousDay: '前一天',
+      nextDay: '后一天',
+      backToToday: '回到今天',
+      editingPastDay: '正在编辑过去的日期。更改会更新当天的记录和你的分数。',
+      pausedDay: '衰减已暂停',
+      excusedDay: '请假，衰减已退还',
+      excuse: {
+        button: '将这天设为请假',
+        remove: '取消请假',
+        description: '有正当理由？请假日会退还当天的衰减，且不会中断连胜。',
+        excused: '这天已设为请假。当天的衰减已退还，不会中断你的连胜。',
+        remaining: '本月剩余请假天数：{{count}}/{{allowance}}',
+      },
+      dayEndsAt: '今天在 {{time}} 结束',
     },
     decay: {
       firstDayWelcome: '欢迎！首次使用不扣减。',
@@ -2173,6 +4496,17 @@ const TRANSLATIONS = {
       previewAlreadyActive: '今天已使用',
       previewDaysAway: '距上次使用 {{days}} 天',
       previewNone: '无需扣减',
+      rules: {
+        flat: '每天固定衰减 {{amount}}',
+        percentage: '正分数的 {{percent}}%',
+        escalating: '每天 {{amount}}，之前每个连续错过或未达标的日子再加 {{step}}（{{days}} 天）',
+        capped: '每天 {{amount}}，每次缺席最多 {{max}}',
+        withFloor: '{{rule}}，不低于 {{floor}}',
+      },
+      paused: { other: '自上次访问以来的 {{count}} 天衰减均已暂停。' },
+      pausedDaysSkipped: { other: '跳过了 {{count}} 个暂停日。' },
+      streakFreezeEarned: '连续 {{days}} 天成功，你获得了一个连胜冻结！',
+      streakFreezesUsed: { other: '{{count}} 个连胜冻结保住了你的连胜。' },
     },
     celebrations: {
       continue: '继续',
@@ -2203,6 +4537,21 @@ const TRANSLATIONS = {
       importFailed: '导入失败',
       resetSuccess: '所有数据已重置',
       resetFailed: '重置失败：{{error}}',
+      badHabitLogged: '已记录 {{name}}',
+      counterChanged: '{{name}}：{{count}}',
+      templatesAdded: { other: '已添加 {{count}} 个活动。' },
+      recalculated: '分数已修复',
+      recalculateFailed: '修复分数失败：{{error}}',
+      pauseScheduled: '已安排暂停',
+      pauseStarted: '衰减已暂停',
+      pauseEnded: '衰减将于明天恢复',
+      pauseCancelled: '已取消暂停',
+      dayExcused: '已设为请假',
+      excuseRemoved: '已取消请假',
+      backupRestored: '备份已恢复',
+      backupRestoreFailed: '恢复失败：{{error}}',
+      exportEncryptedDownloaded: '加密备份已下载',
+      rolloverFailed: '无法开始新的一天：{{error}}',
     },
     activities: {
       title: '活动',
@@ -2218,6 +4567,21 @@ const TRANSLATIONS = {
         addButton: '添加活动',
         saveButton: '保存更改',
         cancelButton: '取消',
+        badHabitLabel: '坏习惯（记录时扣除积分）',
+        typeLabel: '类型',
+        typeCheck: '每天一次',
+        typeCounter: '计数（按单位计分）',
+        dailyMaxLabel: '每日上限',
+        dailyMaxPlaceholder: '无上限',
+        scheduleLabel: '计划',
+        scheduleDaily: '每天',
+        scheduleWeekdays: '每周指定几天',
+        scheduleInterval: '每隔几天',
+        scheduleWeekly: '每周次数',
+        scheduleDaysLabel: '日期',
+        scheduleEveryLabel: '每隔（天）重复',
+        scheduleStartLabel: '开始日期',
+        scheduleTimesLabel: '每周次数',
       },
       sections: {
         activeTitle: '进行中',
@@ -2235,10 +4599,26 @@ const TRANSLATIONS = {
         edit: '编辑',
         archive: '归档',
         restore: '恢复',
+        counter: '计数',
+        counterWithMax: '计数 · 每天最多 {{max}}',
+        scheduleWeekdays: '{{days}}',
+        scheduleInterval: { other: '每 {{count}} 天' },
+        scheduleWeekly: { other: '每周 {{count}} 次' },
       },
       errors: {
         nameRequired: '活动名称为必填项。',
         pointsPositive: '积分必须为正数。',
+        dailyMaxPositive: '每日上限必须为正数。',
+        scheduleDaysRequired: '请至少选择一天。',
+        scheduleEveryInvalid: '间隔必须在 1 到 {{max}} 天之间。',
+        scheduleTimesInvalid: '每周次数必须在 1 到 7 之间。',
+      },
+      templates: {
+        title: '从模板开始',
+        subtitle: '选择常见习惯，按建议的分类和积分一键添加。',
+        addButton: '添加所选',
+        added: '已添加',
+        noneSelected: '请至少选择一个模板。',
       },
     },
     categories: {
@@ -2275,6 +4655,7 @@ const TRANSLATIONS = {
         scoreDecay: '积分与衰减',
         appearance: '外观',
         data: '数据管理',
+        pause: '暂停',
       },
       fields: {
         dailyDecay: '每日衰减',
@@ -2285,24 +4666,58 @@ const TRANSLATIONS = {
         uiScale: '界面缩放',
         language: '语言',
         languageAuto: '自动（浏览器）',
+        decayStrategy: '衰减方式',
+        decayPercent: '每天扣除分数的百分比',
+        decayStep: '每个错过的日子额外衰减',
+        decayMax: '每次缺席的最大衰减',
+        decayFloor: '衰减下限',
+        decayFloorPlaceholder: '无下限',
+        excusedDaysPerMonth: '每月请假天数',
+        excusedDaysPerMonthPlaceholder: '不限',
+        dayStartHour: '每天开始时间',
+        dayStartHourHint: '在此时间之前完成的活动计入前一天。',
       },
       saveButton: '保存设置',
       errors: {
         decayNonNegative: '衰减必须大于或等于 0。',
         mainScoreNumber: '主积分必须为数字。',
+        decayPercentRange: '百分比必须在 1 到 100 之间。',
+        decayStepPositive: '每个错过的日子额外衰减必须至少为 1。',
+        decayMaxPositive: '每次缺席的最大衰减必须至少为 1。',
+        decayFloorNumber: '衰减下限必须是整数。',
+        excusedDaysPerMonthRange: '每月请假天数必须在 0 到 31 之间。',
+        passphraseTooShort: '密码短语至少需要 {{min}} 个字符。',
+        passphraseMismatch: '两次输入的密码短语不一致。',
       },
       data: {
         exportTitle: '导出',
-        exportDescription: '下载数据用于备份或迁移。',
+        exportDescription: '下载数据用于备份或迁移。加密导出只能用其密码短语打开。',
         exportJson: '导出 JSON',
         exportCsv: '导出 CSV',
         importTitle: '导入',
-        importDescription: '从 JSON 备份文件恢复数据。',
-        importMerge: '与现有数据合并',
-        importJson: '导入 JSON',
+        importDescription:
+          '从 JSON 备份文件恢复数据，或合并来自其他设备的导出或包含完成记录或活动的 CSV 文件。保存前会显示将发生的更改。',
         resetTitle: '重置数据',
-        resetDescription: '永久删除所有数据，无法撤销。',
+        resetDescription: '删除你的所有数据。删除前会先保存一份备份，你可以在“备份”中恢复。',
         resetButton: '重置所有数据',
+        recalculateTitle: '检查分数',
+        recalculateDescription: '根据完成记录、衰减设置和手动修改重新计算分数和历史记录。',
+        recalculateCheck: '检查分数',
+        recalculateApply: '修复分数',
+        backupsTitle: '备份',
+        backupsDescription:
+          '每天一次，以及每次导入、重置或恢复之前，都会在此设备上保存一份数据副本。保留最近 {{count}} 份。',
+        exportEncrypted: '加密导出',
+        importFile: '导入文件',
+        csvDescription:
+          'CSV 文件可在电子表格中打开。固定键在所有语言中都相同，分号适用于使用小数逗号的电子表格。',
+        csvTable: 'CSV 表格',
+        csvHeaders: '列标题',
+        csvHeadersLocalized: '翻译名称',
+        csvHeadersKeys: '固定键',
+        csvDelimiter: '分隔符',
+        csvDelimiterComma: '逗号 (,)',
+        csvDelimiterSemicolon: '分号 (;)',
       },
       import: {
         importing: '正在导入...',
@@ -2314,6 +4729,98 @@ const TRANSLATIONS = {
         resetPrimary:
           '确定要删除所有数据吗？\n\n包括所有活动、完成记录、积分历史和设置。\n\n此操作无法撤销！',
         resetSecondary: '请再次确认。\n\n所有 YourScore 数据将被永久删除。',
+        recalculate: '要用重新计算的值替换主分数和分数历史吗？',
+        restoreBackup: '用 {{date}} 的备份替换你的所有数据？\n\n会先备份你当前的数据。',
+        continueWithoutBackup: '{{error}}\n\n不备份继续吗？此操作无法撤销。',
+      },
+      recalculate: {
+        upToDate: '分数和历史记录与活动记录一致。',
+        mainScore: '主分数：{{current}} → {{expected}}。',
+        daysChanged: { other: '有 {{count}} 天的历史记录不一致。' },
+        change: '{{date}}：{{current}} → {{expected}}',
+        more: '…还有 {{count}} 项',
+      },
+      decayStrategies: {
+        flat: '固定',
+        percentage: '按分数百分比',
+        escalating: '递增',
+        capped: '每次缺席封顶',
+      },
+      decayPreview: '连续错过 {{days}} 天将扣除 {{daily}} = {{total}}，剩余 {{score}}。',
+      pause: {
+        description: '要出门？暂停期间不会扣除衰减，也不会中断或延长你的连续记录。',
+        startDate: '暂停第一天',
+        endDate: '暂停最后一天',
+        endDateHint: '最后一天留空则一直暂停，直到你恢复。',
+        schedule: '安排暂停',
+        pauseNow: '立即暂停',
+        end: '恢复',
+        cancel: '取消',
+        empty: '没有安排暂停。',
+        range: '{{start}} – {{end}}',
+        openRange: '从 {{start}} 起直到恢复',
+        status: {
+          active: '暂停中',
+          upcoming: '即将开始',
+          past: '已结束',
+        },
+      },
+      backups: {
+        empty: '暂无备份。',
+        preview: '预览',
+        download: '下载',
+        restore: '恢复',
+        mainScore: '主分数：{{score}}',
+        reasons: {
+          daily: '每日备份',
+          import: '导入前',
+          reset: '重置前',
+          restore: '恢复前',
+        },
+      },
+      merge: {
+        duplicates: { other: '{{count}} 条完成记录已存在，将跳过。' },
+        noConflicts: '没有冲突。',
+        conflicts: { other: '{{count}} 处冲突：' },
+        conflict: {
+          activityPoints: '{{name}}：此处 {{local}} 分，文件中 {{incoming}} 分。保留 {{local}}。',
+          activityType: '{{name}}：此处为“{{local}}”，文件中为“{{incoming}}”。保留“{{local}}”。',
+          completion: '{{name}}（{{date}}）：此处 {{local}}，文件中 {{incoming}}。保留 {{kept}}。',
+          pause: '暂停 {{incoming}} 与此处的暂停 {{local}} 重叠，将跳过。',
+          setting: '{{setting}} 与文件不同。保留此设备上的值。',
+          completionCapped:
+            '{{name}}（{{date}}）：此处 {{local}}，文件中 {{incoming}}。保留每日上限 {{kept}}。',
+        },
+        more: '…还有 {{count}} 项',
+      },
+      passphrase: {
+        label: '密码短语',
+        confirmLabel: '再次输入密码短语',
+        exportPrompt: '为导出设置密码短语。忘记后无法找回。',
+        importPrompt: '此文件已加密。请输入其密码短语以打开。',
+        submit: '继续',
+        cancel: '取消',
+      },
+      importPreview: {
+        range: '文件涵盖 {{from}} 至 {{to}}。',
+        noRange: '文件中没有带日期的记录。',
+        warnings: '导入前请注意：',
+        mainScore: '主分数：{{current}} → {{result}}',
+        change: '{{store}}：新增 {{added}}，更新 {{updated}}，删除 {{removed}}',
+        noChanges: '没有任何更改。',
+        replaceTitle: '替换',
+        replaceDescription: '此设备上的所有数据将被文件替换。',
+        mergeTitle: '合并',
+        mergeDescription: '文件将与此设备上的数据合并。',
+        replace: '替换全部数据',
+        merge: '合并',
+        cancel: '取消',
+        repairDescription:
+          '这些问题可以修复：分类缺失的活动将移至“未分类”，重复的完成记录将被删除。',
+        repair: '修复并继续',
+        more: '…还有 {{count}} 项',
+        csvMergeOnly:
+          'CSV 文件只包含完成记录或活动，因此只能合并。活动和分类按名称匹配，缺少的会被创建。',
       },
     },
     dashboard: {
@@ -2336,6 +4843,7 @@ const TRANSLATIONS = {
         activitiesLabel: '活动',
         activitiesAria: '活动完成度',
         percentComplete: '{{percent}}% 完成',
+        breakEvenStatusPaused: '已暂停',
       },
       streaksTitle: '连胜',
       streaks: {
@@ -2358,6 +4866,22 @@ const TRANSLATIONS = {
       achievementsUnlocked: '已解锁',
       achievementsRecent: '最近解锁',
       achievementsNext: '下一目标',
+      recentDays: {
+        title: '最近 {{days}} 天',
+        success: '已持平',
+        missed: '未达标',
+        paused: '已暂停',
+        pending: '进行中',
+        none: '无记录',
+        excused: '请假',
+        frozen: '已冻结',
+      },
+      streakFreezes: {
+        available: { other: '可用连胜冻结：{{count}} 个（最多 {{max}} 个）' },
+        hint: '每连续成功 {{days}} 天获得一个。错过或未达标的日子会自动使用。',
+        used: '已使用：{{count}} 个（最近：{{dates}}）',
+        noneUsed: '尚未使用',
+      },
     },
     achievements: {
       notificationTitle: '成就已解锁！',
@@ -2417,9 +4941,31 @@ const TRANSLATIONS = {
       },
     },
     export: {
-      csvHeaders: ['日期', '活动', '分类', '积分', '完成时间'],
       filenameBackup: 'yourscore-backup-{{date}}.json',
-      filenameCsv: 'yourscore-completions-{{date}}.csv',
+      filenameEncrypted: 'yourscore-backup-{{date}}.encrypted.json',
+      csvColumns: {
+        date: '日期',
+        activity: '活动',
+        category: '分类',
+        points: '积分',
+        completedAt: '完成时间',
+        count: '数量',
+        score: '分数',
+        earned: '获得',
+        decay: '衰减',
+        paused: '已暂停',
+        excused: '已请假',
+        frozen: '已冻结',
+        name: '名称',
+        type: '类型',
+        dailyMax: '每日上限',
+        archived: '已归档',
+      },
+      csvFilenames: {
+        completions: 'yourscore-completions-{{date}}.csv',
+        scoreHistory: 'yourscore-score-history-{{date}}.csv',
+        activities: 'yourscore-activities-{{date}}.csv',
+      },
     },
     import: {
       storeLabels: {
@@ -2429,11 +4975,25 @@ const TRANSLATIONS = {
         completions: '完成记录',
         scoreHistory: '积分历史',
         achievements: '成就',
+        scoreAdjustments: '分数调整',
+        pauses: '暂停',
+        excusedDays: '请假日',
+        streakFreezes: '连胜冻结',
+      },
+      warnings: {
+        upgraded: '此文件由旧版本创建（格式 {{version}}），已自动升级。',
+        unknownStore: '“{{store}}”不属于 YourScore 数据，将被跳过。',
+        duplicateKeys: {
+          other: '{{store}} 中有 {{count}} 条记录与之前的记录重复；只保留最后一条。',
+        },
+      },
+      repairs: {
+        category: '{{name}} 的分类不存在，已移至“未分类”。',
+        duplicate: '已删除 {{name}} 在 {{date}} 的重复完成记录。',
       },
     },
     errors: {
       activityNameRequired: '活动名称为必填项',
-      activityPointsPositive: '积分必须为正数',
       activityNotFound: '未找到活动',
       categoryNotFound: '未找到分类',
       categoryCannotRenameUncategorized: '无法重命名“未分类”',
@@ -2455,8 +5015,81 @@ const TRANSLATIONS = {
       importInvalidJson: 'JSON 无效：{{error}}',
       importReadFailed: '无法读取文件：{{error}}',
       importNoFile: '未提供文件',
-      importInvalidFileType: '文件类型无效：需要 .json',
+      importInvalidFileType: '文件类型无效：需要 .json 或 .csv',
       fileReadFailed: '无法读取文件',
+      activityPointsNonZero: '积分必须为非零数',
+      activityTypeInvalid: '活动类型无效',
+      activityDailyMaxInvalid: '每日上限必须为正整数',
+      completionCountInvalid: '数量必须为不小于 0 的整数',
+      activityScheduleInvalid: '活动计划无效',
+      completionPointsInvalid: '完成记录的积分必须为整数',
+      historyDateOutOfRange: '只能修改从第一天到今天之间的完成记录',
+      decayStrategyInvalid: '无效的衰减方式',
+      pauseDateInvalid: '请输入有效日期',
+      pauseStartInPast: '暂停不能从过去开始',
+      pauseEndBeforeStart: '暂停最后一天不能早于第一天',
+      pauseOverlap: '此暂停与其他暂停重叠',
+      pauseNotFound: '未找到暂停',
+      pauseNotActive: '此暂停未在进行中',
+      pauseAlreadyStarted: '已开始的暂停不能取消，只能恢复',
+      excuseDateInvalid: '只能为过去的日期请假',
+      excuseDayPaused: '暂停日没有可退还的衰减',
+      dayAlreadyExcused: '这天已经设为请假',
+      dayNotExcused: '这天未设为请假',
+      excuseAllowanceUsed: '本月的 {{allowance}} 天请假额度已用完',
+      streakFreezeNotFound: '未找到连胜冻结',
+      streakFreezeUsed: '这个连胜冻结已经用过了',
+      backupFailed: '无法先保存备份：{{error}}',
+      backupNotFound: '找不到备份',
+      encryptionUnavailable: '此浏览器不支持加密',
+      encryptedVersion: '此加密文件由更新版本的 YourScore 创建',
+      encryptedInvalid: '此加密文件已损坏或不完整',
+      wrongPassphrase: '密码短语错误',
+      encryptedTampered: '此加密文件已被修改或损坏，无法打开',
+      passphraseRequired: '请输入密码短语以打开此加密文件',
+      importNewerVersion: '此文件由较新版本的 YourScore 导出。请更新应用后再导入',
+      importInvalidDate: '{{store}}[{{index}}] 的“{{field}}”日期无效：应为 YYYY-MM-DD',
+      importFutureDate: '{{store}}[{{index}}] 的“{{field}}”是未来日期',
+      importUnknownActivity: 'completions[{{index}}] 中的活动“{{activity}}”不存在',
+      importUnknownCategory: 'activities[{{index}}] 中的分类“{{category}}”不存在',
+      importDuplicateCompletion:
+        'completions[{{index}}] 与 completions[{{first}}] 记录了同一天的同一活动',
+      csvEmpty: 'CSV 文件为空',
+      csvUnknownTable: '此 CSV 文件没有完成记录或活动导出中的任何列',
+      csvInvalidValue: '第 {{row}} 行的“{{column}}”值无效',
+      csvUnevenPoints: '第 {{row}} 行的 {{points}} 分无法按次数 {{count}} 平均分配',
+    },
+    templates: {
+      categories: {
+        health: '健康',
+        mind: '心智',
+        routine: '日常',
+        bad_habits: '要戒掉的习惯',
+      },
+      activities: {
+        exercise: '运动 30 分钟',
+        steps: '步行 10,000 步',
+        water: '一杯水',
+        sleep: '23 点前上床',
+        meditation: '冥想',
+        read: '阅读 30 分钟',
+        journal: '写日记',
+        early_wake_up: '早起',
+        make_bed: '整理床铺',
+        plan_tomorrow: '计划明天',
+        doomscrolling: '无休止刷手机',
+        junk_food: '垃圾食品',
+      },
+    },
+    sync: {
+      upgradeBlocked: '请关闭其他标签页中的 YourScore 以完成更新。',
+      updatedElsewhere: 'YourScore 已在另一个标签页中更新。请重新加载以继续。',
+      reload: '重新加载',
+    },
+    storage: {
+      notSaved: '此浏览器不允许 YourScore 保存数据。关闭此标签页后，更改将丢失。',
+      limited:
+        '此浏览器不允许 YourScore 使用常规存储。你的数据保存在有限的空间中，请不时导出备份。',
     },
   },
   ja: {
@@ -2469,6 +5102,7 @@ const TRANSLATIONS = {
       uncategorized: '未分類',
       unknown: '不明',
       comingSoon: '近日公開。',
+      badHabit: '悪い習慣',
     },
     nav: {
       primaryLabel: 'メイン',
@@ -2498,6 +5132,7 @@ const TRANSLATIONS = {
       mainLabel: 'メインスコア',
       todayLabel: '今日',
       decayLabel: '減衰',
+      dayLabel: 'その日',
     },
     daily: {
       emptyTitle: 'まだアクティビティがありません',
@@ -2507,6 +5142,27 @@ const TRANSLATIONS = {
       breakEvenProgressLabel: 'トントン進捗',
       breakEvenAchievedAria: 'トントン達成',
       breakEvenRemainingAria: '残り {{points}}{{pointsLabel}}',
+      pointsPerUnit: '1単位あたり {{points}} {{unit}}',
+      counterIncrement: '1つ追加: {{name}}',
+      counterDecrement: '1つ減らす: {{name}}',
+      counterOfMax: '{{count}}/{{max}}',
+      nothingDueTitle: '今日の予定はありません',
+      nothingDueMessage: '今日予定されているアクティビティはありません。ゆっくり休みましょう！',
+      previousDay: '前の日',
+      nextDay: '次の日',
+      backToToday: '今日に戻る',
+      editingPastDay: '過去の日を編集しています。変更はその日の履歴とスコアに反映されます。',
+      pausedDay: '減衰は一時停止中',
+      excusedDay: '免除、減衰を払い戻し済み',
+      excuse: {
+        button: 'この日を免除する',
+        remove: '免除を取り消す',
+        description:
+          '正当な理由がありましたか？免除した日は減衰が払い戻され、ストリークも途切れません。',
+        excused: 'この日は免除されています。減衰は払い戻され、ストリークには影響しません。',
+        remaining: '今月の残り免除日数：{{count}}/{{allowance}}',
+      },
+      dayEndsAt: '今日は {{time}} に終わります',
     },
     decay: {
       firstDayWelcome: 'ようこそ！初日は減衰なし。',
@@ -2519,6 +5175,18 @@ const TRANSLATIONS = {
       previewAlreadyActive: '今日はすでに利用済み',
       previewDaysAway: '最終利用から {{days}} 日',
       previewNone: '減衰は不要です',
+      rules: {
+        flat: '1日 {{amount}} の一定の減衰',
+        percentage: 'プラスのスコアの {{percent}}%',
+        escalating:
+          '1日 {{amount}}、それまでに続けて休んだか未達成の日ごとに {{step}} 追加（{{days}} 日）',
+        capped: '1日 {{amount}}、不在1回につき最大 {{max}}',
+        withFloor: '{{rule}}、{{floor}} 未満にはならない',
+      },
+      paused: { other: '前回の訪問から {{count}} 日間、減衰は一時停止されていました。' },
+      pausedDaysSkipped: { other: '一時停止中の {{count}} 日はスキップされました。' },
+      streakFreezeEarned: '{{days}}日連続で達成し、ストリークフリーズを獲得しました！',
+      streakFreezesUsed: { other: 'ストリークフリーズ {{count}} 個でストリークを守りました。' },
     },
     celebrations: {
       continue: '続ける',
@@ -2549,6 +5217,21 @@ const TRANSLATIONS = {
       importFailed: 'インポートに失敗しました',
       resetSuccess: 'すべてのデータをリセットしました',
       resetFailed: 'リセットに失敗しました: {{error}}',
+      badHabitLogged: '{{name}} を記録しました',
+      counterChanged: '{{name}}: {{count}}',
+      templatesAdded: { other: '{{count}}件のアクティビティを追加しました。' },
+      recalculated: 'スコアを修復しました',
+      recalculateFailed: 'スコアの修復に失敗しました：{{error}}',
+      pauseScheduled: '一時停止を予約しました',
+      pauseStarted: '減衰を一時停止しました',
+      pauseEnded: '減衰は明日から再開します',
+      pauseCancelled: '一時停止をキャンセルしました',
+      dayExcused: '免除しました',
+      excuseRemoved: '免除を取り消しました',
+      backupRestored: 'バックアップを復元しました',
+      backupRestoreFailed: '復元に失敗しました：{{error}}',
+      exportEncryptedDownloaded: '暗号化バックアップをダウンロードしました',
+      rolloverFailed: '新しい日を開始できませんでした：{{error}}',
     },
     activities: {
       title: 'アクティビティ',
@@ -2564,6 +5247,21 @@ const TRANSLATIONS = {
         addButton: 'アクティビティを追加',
         saveButton: '変更を保存',
         cancelButton: 'キャンセル',
+        badHabitLabel: '悪い習慣（記録するとポイントが減ります）',
+        typeLabel: '種類',
+        typeCheck: '1日1回',
+        typeCounter: 'カウンター（単位ごとにポイント）',
+        dailyMaxLabel: '1日の上限',
+        dailyMaxPlaceholder: '上限なし',
+        scheduleLabel: 'スケジュール',
+        scheduleDaily: '毎日',
+        scheduleWeekdays: '特定の曜日',
+        scheduleInterval: '数日おき',
+        scheduleWeekly: '週の回数',
+        scheduleDaysLabel: '曜日',
+        scheduleEveryLabel: '繰り返し間隔（日）',
+        scheduleStartLabel: '開始日',
+        scheduleTimesLabel: '週の回数',
       },
       sections: {
         activeTitle: 'アクティブ',
@@ -2581,10 +5279,26 @@ const TRANSLATIONS = {
         edit: '編集',
         archive: 'アーカイブ',
         restore: '復元',
+        counter: 'カウンター',
+        counterWithMax: 'カウンター · 1日最大 {{max}}',
+        scheduleWeekdays: '{{days}}',
+        scheduleInterval: { other: '{{count}}日ごと' },
+        scheduleWeekly: { other: '週{{count}}回' },
       },
       errors: {
         nameRequired: 'アクティビティ名は必須です。',
         pointsPositive: 'ポイントは正の数である必要があります。',
+        dailyMaxPositive: '1日の上限は正の数である必要があります。',
+        scheduleDaysRequired: '少なくとも1日を選んでください。',
+        scheduleEveryInvalid: '間隔は 1〜{{max}} 日の範囲で指定してください。',
+        scheduleTimesInvalid: '週の回数は 1〜7 の範囲で指定してください。',
+      },
+      templates: {
+        title: 'テンプレートから始める',
+        subtitle: 'よくある習慣を選ぶと、おすすめのカテゴリーとポイントで追加されます。',
+        addButton: '選択項目を追加',
+        added: '追加済み',
+        noneSelected: 'テンプレートを1つ以上選んでください。',
       },
     },
     categories: {
@@ -2621,6 +5335,7 @@ const TRANSLATIONS = {
         scoreDecay: 'スコアと減衰',
         appearance: '外観',
         data: 'データ管理',
+        pause: '一時停止',
       },
       fields: {
         dailyDecay: '日次減衰',
@@ -2631,24 +5346,60 @@ const TRANSLATIONS = {
         uiScale: 'UIスケール',
         language: '言語',
         languageAuto: '自動（ブラウザ）',
+        decayStrategy: '減衰の方式',
+        decayPercent: '1日あたりのスコアの割合',
+        decayStep: '休んだ日ごとの追加減衰',
+        decayMax: '不在1回あたりの最大減衰',
+        decayFloor: '減衰の下限',
+        decayFloorPlaceholder: '下限なし',
+        excusedDaysPerMonth: '月あたりの免除日数',
+        excusedDaysPerMonthPlaceholder: '上限なし',
+        dayStartHour: '1日の開始時刻',
+        dayStartHourHint: 'この時刻より前に完了したアクティビティは前日に記録されます。',
       },
       saveButton: '設定を保存',
       errors: {
         decayNonNegative: '減衰は 0 以上である必要があります。',
         mainScoreNumber: 'メインスコアは数値である必要があります。',
+        decayPercentRange: '割合は1〜100の範囲で指定してください。',
+        decayStepPositive: '休んだ日ごとの追加減衰は1以上にしてください。',
+        decayMaxPositive: '不在1回あたりの最大減衰は1以上にしてください。',
+        decayFloorNumber: '減衰の下限は整数にしてください。',
+        excusedDaysPerMonthRange: '月あたりの免除日数は0〜31の間で指定してください。',
+        passphraseTooShort: 'パスフレーズは {{min}} 文字以上にしてください。',
+        passphraseMismatch: 'パスフレーズが一致しません。',
       },
       data: {
         exportTitle: 'エクスポート',
-        exportDescription: 'バックアップまたは移行のためにデータをダウンロード。',
+        exportDescription:
+          'バックアップや移行のためにデータをダウンロードします。暗号化したエクスポートはパスフレーズがないと開けません。',
         exportJson: 'JSON をエクスポート',
         exportCsv: 'CSV をエクスポート',
         importTitle: 'インポート',
-        importDescription: 'JSON バックアップファイルから復元します。',
-        importMerge: '既存データと統合',
-        importJson: 'JSON をインポート',
+        importDescription:
+          'JSON バックアップからデータを復元するか、別の端末のエクスポートや完了記録・アクティビティの CSV ファイルを統合します。保存前に変更内容を確認できます。',
         resetTitle: 'データをリセット',
-        resetDescription: 'すべてのデータを完全に削除します。元に戻せません。',
+        resetDescription:
+          'すべてのデータを削除します。削除の前にバックアップが保存され、「バックアップ」から復元できます。',
         resetButton: 'すべてのデータをリセット',
+        recalculateTitle: 'スコアを確認',
+        recalculateDescription: '完了記録、減衰設定、手動での変更からスコアと履歴を再計算します。',
+        recalculateCheck: 'スコアを確認',
+        recalculateApply: 'スコアを修復',
+        backupsTitle: 'バックアップ',
+        backupsDescription:
+          'データのコピーは 1 日 1 回、およびインポート、リセット、復元の前にこのデバイスに保存されます。最新の {{count}} 件が保持されます。',
+        exportEncrypted: '暗号化してエクスポート',
+        importFile: 'ファイルをインポート',
+        csvDescription:
+          'CSV ファイルは表計算ソフトで開けます。固定キーはどの言語でも同じで、セミコロンは小数点にカンマを使う表計算ソフトに適しています。',
+        csvTable: 'CSV の表',
+        csvHeaders: '列見出し',
+        csvHeadersLocalized: '翻訳された名前',
+        csvHeadersKeys: '固定キー',
+        csvDelimiter: '区切り文字',
+        csvDelimiterComma: 'カンマ (,)',
+        csvDelimiterSemicolon: 'セミコロン (;)',
       },
       import: {
         importing: 'インポート中...',
@@ -2660,6 +5411,106 @@ const TRANSLATIONS = {
         resetPrimary:
           'すべてのデータを削除しますか？\n\nアクティビティ、完了、履歴、設定を含みます。\n\nこの操作は取り消せません！',
         resetSecondary: 'もう一度確認してください。\n\nYourScore のデータは完全に削除されます。',
+        recalculate: 'メインスコアとスコア履歴を再計算した値に置き換えますか？',
+        restoreBackup:
+          'すべてのデータを {{date}} のバックアップに置き換えますか？\n\n現在のデータは先にバックアップされます。',
+        continueWithoutBackup:
+          '{{error}}\n\nバックアップなしで続行しますか？元に戻すことはできません。',
+      },
+      recalculate: {
+        upToDate: 'スコアと履歴はアクティビティの記録と一致しています。',
+        mainScore: 'メインスコア：{{current}} → {{expected}}。',
+        daysChanged: { other: '{{count}} 日分の履歴が一致しません。' },
+        change: '{{date}}：{{current}} → {{expected}}',
+        more: '…ほか {{count}} 件',
+      },
+      decayStrategies: {
+        flat: '一定',
+        percentage: 'スコアの割合',
+        escalating: '段階的に増加',
+        capped: '不在ごとに上限',
+      },
+      decayPreview:
+        '{{days}}日続けて休むと {{daily}} = {{total}} 減り、スコアは {{score}} になります。',
+      pause: {
+        description:
+          'お出かけですか？一時停止中の日は減衰がなく、連続記録も途切れたり延びたりしません。',
+        startDate: '停止の初日',
+        endDate: '停止の最終日',
+        endDateHint: '最終日を空欄にすると、再開するまで一時停止が続きます。',
+        schedule: '一時停止を予約',
+        pauseNow: '今すぐ一時停止',
+        end: '再開',
+        cancel: 'キャンセル',
+        empty: '予約された一時停止はありません。',
+        range: '{{start}} – {{end}}',
+        openRange: '{{start}} から再開するまで',
+        status: {
+          active: '一時停止中',
+          upcoming: '予定',
+          past: '終了',
+        },
+      },
+      backups: {
+        empty: 'バックアップはまだありません。',
+        preview: 'プレビュー',
+        download: 'ダウンロード',
+        restore: '復元',
+        mainScore: 'メインスコア：{{score}}',
+        reasons: {
+          daily: '毎日のバックアップ',
+          import: 'インポート前',
+          reset: 'リセット前',
+          restore: '復元前',
+        },
+      },
+      merge: {
+        duplicates: { other: '{{count}} 件の記録はすでにあるためスキップします。' },
+        noConflicts: '競合はありません。',
+        conflicts: { other: '{{count}} 件の競合：' },
+        conflict: {
+          activityPoints:
+            '{{name}}：この端末は {{local}} ポイント、ファイルは {{incoming}} ポイント。{{local}} を保持します。',
+          activityType:
+            '{{name}}：この端末は「{{local}}」、ファイルは「{{incoming}}」。「{{local}}」を保持します。',
+          completion:
+            '{{name}}（{{date}}）：この端末は {{local}}、ファイルは {{incoming}}。{{kept}} を保持します。',
+          pause:
+            '一時停止 {{incoming}} はこの端末の一時停止 {{local}} と重なるためスキップします。',
+          setting: '{{setting}} がファイルと異なります。この端末の値を保持します。',
+          completionCapped:
+            '{{name}}（{{date}}）：この端末は {{local}}、ファイルは {{incoming}}。1日の上限の {{kept}} を保持します。',
+        },
+        more: '…ほか {{count}} 件',
+      },
+      passphrase: {
+        label: 'パスフレーズ',
+        confirmLabel: 'パスフレーズ（確認）',
+        exportPrompt: 'エクスポート用のパスフレーズを決めてください。忘れると復元できません。',
+        importPrompt: 'このファイルは暗号化されています。開くにはパスフレーズを入力してください。',
+        submit: '続行',
+        cancel: 'キャンセル',
+      },
+      importPreview: {
+        range: 'ファイルの期間は {{from}} から {{to}} までです。',
+        noRange: 'ファイルに日付のあるレコードはありません。',
+        warnings: 'インポートの前に：',
+        mainScore: 'メインスコア：{{current}} → {{result}}',
+        change: '{{store}}：追加 {{added}}、更新 {{updated}}、削除 {{removed}}',
+        noChanges: '変更はありません。',
+        replaceTitle: '置き換え',
+        replaceDescription: 'この端末のすべてのデータがファイルの内容に置き換えられます。',
+        mergeTitle: '統合',
+        mergeDescription: 'ファイルをこの端末のデータと統合します。',
+        replace: 'すべてのデータを置き換え',
+        merge: '統合',
+        cancel: 'キャンセル',
+        repairDescription:
+          'これらは修復できます：カテゴリが見つからないアクティビティは「未分類」に移動し、重複した記録は削除されます。',
+        repair: '修復して続行',
+        more: '…ほか {{count}} 件',
+        csvMergeOnly:
+          'CSV ファイルには完了記録またはアクティビティしか含まれないため、統合のみできます。アクティビティとカテゴリーは名前で照合され、足りないものは作成されます。',
       },
     },
     dashboard: {
@@ -2682,6 +5533,7 @@ const TRANSLATIONS = {
         activitiesLabel: 'アクティビティ',
         activitiesAria: 'アクティビティの完了率',
         percentComplete: '{{percent}}% 完了',
+        breakEvenStatusPaused: '一時停止中',
       },
       streaksTitle: 'ストリーク',
       streaks: {
@@ -2704,6 +5556,22 @@ const TRANSLATIONS = {
       achievementsUnlocked: '解除済み',
       achievementsRecent: '最近解除',
       achievementsNext: '次の目標',
+      recentDays: {
+        title: '過去 {{days}} 日',
+        success: '達成',
+        missed: '未達成',
+        paused: '一時停止',
+        pending: '進行中',
+        none: '記録なし',
+        excused: '免除',
+        frozen: 'フリーズ',
+      },
+      streakFreezes: {
+        available: { other: '使えるストリークフリーズ：{{count}} 個（最大 {{max}} 個）' },
+        hint: '{{days}}日連続で達成するごとに1個獲得できます。未達成の日に自動で使われます。',
+        used: '使用済み：{{count}} 個（最近：{{dates}}）',
+        noneUsed: 'まだ使用していません',
+      },
     },
     achievements: {
       notificationTitle: '実績解除！',
@@ -2763,9 +5631,31 @@ const TRANSLATIONS = {
       },
     },
     export: {
-      csvHeaders: ['日付', 'アクティビティ', 'カテゴリー', 'ポイント', '完了時刻'],
       filenameBackup: 'yourscore-backup-{{date}}.json',
-      filenameCsv: 'yourscore-completions-{{date}}.csv',
+      filenameEncrypted: 'yourscore-backup-{{date}}.encrypted.json',
+      csvColumns: {
+        date: '日付',
+        activity: 'アクティビティ',
+        category: 'カテゴリー',
+        points: 'ポイント',
+        completedAt: '完了時刻',
+        count: '数量',
+        score: 'スコア',
+        earned: '獲得',
+        decay: '減衰',
+        paused: '一時停止',
+        excused: '免除',
+        frozen: 'フリーズ',
+        name: '名前',
+        type: '種類',
+        dailyMax: '1日の上限',
+        archived: 'アーカイブ済み',
+      },
+      csvFilenames: {
+        completions: 'yourscore-completions-{{date}}.csv',
+        scoreHistory: 'yourscore-score-history-{{date}}.csv',
+        activities: 'yourscore-activities-{{date}}.csv',
+      },
     },
     import: {
       storeLabels: {
@@ -2775,11 +5665,27 @@ const TRANSLATIONS = {
         completions: '完了',
         scoreHistory: 'スコア履歴',
         achievements: '実績',
+        scoreAdjustments: 'スコアの調整',
+        pauses: '一時停止',
+        excusedDays: '免除日',
+        streakFreezes: 'ストリークフリーズ',
+      },
+      warnings: {
+        upgraded:
+          'このファイルは以前のバージョン（形式 {{version}}）で作成されたため、アップグレードしました。',
+        unknownStore: '「{{store}}」は YourScore のデータではないため、スキップされます。',
+        duplicateKeys: {
+          other:
+            '{{store}} の {{count}} 件のレコードが以前のものと重複しています。最後のものだけが保持されます。',
+        },
+      },
+      repairs: {
+        category: '{{name}} はカテゴリが見つからないため「未分類」に移動しました。',
+        duplicate: '{{date}} の {{name}} の重複した記録を削除しました。',
       },
     },
     errors: {
       activityNameRequired: 'アクティビティ名は必須です',
-      activityPointsPositive: 'ポイントは正の数である必要があります',
       activityNotFound: 'アクティビティが見つかりません',
       categoryNotFound: 'カテゴリーが見つかりません',
       categoryCannotRenameUncategorized: '未分類カテゴリは名前変更できません',
@@ -2802,8 +5708,86 @@ const TRANSLATIONS = {
       importInvalidJson: 'JSON が無効です: {{error}}',
       importReadFailed: 'ファイルを読み取れません: {{error}}',
       importNoFile: 'ファイルが指定されていません',
-      importInvalidFileType: 'ファイル形式が無効です: .json が必要です',
+      importInvalidFileType: 'ファイル形式が無効です: .json または .csv が必要です',
       fileReadFailed: 'ファイルを読み取れません',
+      activityPointsNonZero: 'ポイントは 0 以外の数である必要があります',
+      activityTypeInvalid: 'アクティビティの種類が無効です',
+      activityDailyMaxInvalid: '1日の上限は正の整数である必要があります',
+      completionCountInvalid: '数量は 0 以上の整数である必要があります',
+      activityScheduleInvalid: 'アクティビティのスケジュールが無効です',
+      completionPointsInvalid: '完了記録のポイントは整数である必要があります',
+      historyDateOutOfRange: '完了記録を変更できるのは最初の日から今日までです',
+      decayStrategyInvalid: '無効な減衰の方式です',
+      pauseDateInvalid: '有効な日付を入力してください',
+      pauseStartInPast: '一時停止を過去から始めることはできません',
+      pauseEndBeforeStart: '停止の最終日を初日より前にすることはできません',
+      pauseOverlap: 'この一時停止は別の一時停止と重なっています',
+      pauseNotFound: '一時停止が見つかりません',
+      pauseNotActive: 'この一時停止は進行中ではありません',
+      pauseAlreadyStarted: '始まった一時停止はキャンセルできません。再開のみ可能です',
+      excuseDateInvalid: '免除できるのは過去の日だけです',
+      excuseDayPaused: '一時停止中の日には免除する減衰がありません',
+      dayAlreadyExcused: 'この日はすでに免除されています',
+      dayNotExcused: 'この日は免除されていません',
+      excuseAllowanceUsed: '今月の免除日（{{allowance}}日）はすべて使用済みです',
+      streakFreezeNotFound: 'ストリークフリーズが見つかりません',
+      streakFreezeUsed: 'このストリークフリーズはすでに使用済みです',
+      backupFailed: '先にバックアップを保存できませんでした：{{error}}',
+      backupNotFound: 'バックアップが見つかりません',
+      encryptionUnavailable: 'このブラウザでは暗号化を利用できません',
+      encryptedVersion: 'この暗号化ファイルは新しいバージョンの YourScore で作成されています',
+      encryptedInvalid: 'この暗号化ファイルは破損しているか不完全です',
+      wrongPassphrase: 'パスフレーズが違います',
+      encryptedTampered: 'この暗号化ファイルは変更または破損しているため開けません',
+      passphraseRequired: 'この暗号化ファイルを開くにはパスフレーズを入力してください',
+      importNewerVersion:
+        'このファイルは新しいバージョンの YourScore でエクスポートされています。インポートするにはアプリを更新してください',
+      importInvalidDate:
+        '{{store}}[{{index}}] の「{{field}}」の日付が無効です（YYYY-MM-DD 形式が必要です）',
+      importFutureDate: '{{store}}[{{index}}] の「{{field}}」が未来の日付です',
+      importUnknownActivity:
+        'completions[{{index}}] のアクティビティ「{{activity}}」が見つかりません',
+      importUnknownCategory: 'activities[{{index}}] のカテゴリ「{{category}}」が見つかりません',
+      importDuplicateCompletion:
+        'completions[{{index}}] は completions[{{first}}] と同じ日に同じアクティビティを記録しています',
+      csvEmpty: 'CSV ファイルが空です',
+      csvUnknownTable:
+        'この CSV ファイルには完了記録やアクティビティのエクスポートの列がありません',
+      csvInvalidValue: '{{row}} 行目の「{{column}}」の値が無効です',
+      csvUnevenPoints: '{{row}} 行目の {{points}} ポイントは回数 {{count}} で均等に分けられません',
+    },
+    templates: {
+      categories: {
+        health: '健康',
+        mind: 'こころ',
+        routine: '生活リズム',
+        bad_habits: 'やめたい習慣',
+      },
+      activities: {
+        exercise: '運動 30分',
+        steps: '1万歩歩く',
+        water: '水を1杯',
+        sleep: '23時までに就寝',
+        meditation: '瞑想',
+        read: '読書 30分',
+        journal: '日記',
+        early_wake_up: '早起き',
+        make_bed: 'ベッドメイキング',
+        plan_tomorrow: '明日の計画',
+        doomscrolling: 'だらだらスマホ',
+        junk_food: 'ジャンクフード',
+      },
+    },
+    sync: {
+      upgradeBlocked: '更新を完了するには、他のタブで開いている YourScore を閉じてください。',
+      updatedElsewhere: 'YourScore が別のタブで更新されました。続けるには再読み込みしてください。',
+      reload: '再読み込み',
+    },
+    storage: {
+      notSaved:
+        'このブラウザーでは YourScore がデータを保存できません。このタブを閉じると変更は失われます。',
+      limited:
+        'このブラウザーでは YourScore が通常のストレージを使えません。データは限られた容量に保存されるため、ときどきバックアップをエクスポートしてください。',
     },
   },
 };
@@ -4,12 +4,49 @@
  */
 
 import { db, generateId } from '../storage/db.js';
-import { getTimestamp } from '../utils/date.js';
-import { UNCATEGORIZED_ID } from './category.js';
+import { getLocalDateString, getTimestamp } from '../utils/date.js';
+import {
+  isValidSchedule,
+  normalizeSchedule,
+  isFlexible,
+  isScheduledOn,
+  isDueOn,
+  isRequiredOn,
+} from '../utils/schedule.js';
+import { CategoryModel, UNCATEGORIZED_ID } from './category.js';
+import { CompletionModel } from './completion.js';
 import { t } from '../i18n/i18n.js';
 
 const STORE_NAME = 'activities';
 
+/**
+ * Activity types
+ * - check: completed at most once per day
+ * - counter: logged in units, each unit earning the activity's points
+ */
+const ACTIVITY_TYPES = ['check', 'counter'];
+
+/**
+ * Check that a points value is a non-zero whole number
+ * Positive values are rewards, negative values are bad-habit penalties
+ * @param {*} points - Points value to check
+ * @returns {boolean}
+ */
+function isValidPoints(points) {
+  return Number.isFinite(points) && Math.trunc(points) !== 0;
+}
+
+/**
+ * Check that a daily maximum is either unset or a positive whole number
+ * @param {*} dailyMax - Daily maximum to check
+ * @returns {boolean}
+ */
+function isValidDailyMax(dailyMax) {
+  return (
+    dailyMax === null || dailyMax === undefined || (Number.isInteger(dailyMax) && dailyMax > 0)
+  );
+}
+
 /**
  * Activity model for managing trackable activities
  */
@@ -18,8 +55,11 @@ class ActivityModel {
    * Create a new activity
    * @param {Object} data - Activity data
    * @param {string} data.name - Activity name
-   * @param {number} data.points - Points earned when completed
+   * @param {number} data.points - Points earned when completed (negative for bad habits)
    * @param {string} [data.categoryId] - Category ID (defaults to Uncategorized)
+   * @param {string} [data.type] - 'check' (default) or 'counter'
+   * @param {number|null} [data.dailyMax] - Maximum units per day for counters (null for no limit)
+   * @param {Object} [data.schedule] - Days the activity is due (defaults to daily)
    * @returns {Promise<Object>} Created activity with id
    */
   static async create(data) {
@@ -27,8 +67,21 @@ class ActivityModel {
       throw new Error(t('errors.activityNameRequired'));
     }
 
-    if (!data.points || data.points < 1) {
-      throw new Error(t('errors.activityPointsPositive'));
+    if (!isValidPoints(data.points)) {
+      throw new Error(t('errors.activityPointsNonZero'));
+    }
+
+    const type = data.type || 'check';
+    if (!ACTIVITY_TYPES.includes(type)) {
+      throw new Error(t('errors.activityTypeInvalid'));
+    }
+
+    if (!isValidDailyMax(data.dailyMax)) {
+      throw new Error(t('errors.activityDailyMaxInvalid'));
+    }
+
+    if (!isValidSchedule(data.schedule)) {
+      throw new Error(t('errors.activityScheduleInvalid'));
     }
 
     const categoryId = data.categoryId || UNCATEGORIZED_ID;
@@ -40,7 +93,10 @@ class ActivityModel {
     const activity = {
       id: generateId(),
       name: data.name.trim(),
-      points: Math.floor(data.points),
+      points: Math.trunc(data.points),
+      type,
+      dailyMax: type === 'counter' ? (data.dailyMax ?? null) : null,
+      schedule: normalizeSchedule(data.schedule),
       categoryId,
       order: data.order !== undefined ? data.order : maxOrder + 1,
       archived: false,
@@ -89,10 +145,11 @@ class ActivityModel {
 
   /**
    * Get activities grouped by category
+   * @param {Array} [activities] - Activities to group (defaults to all active activities)
    * @returns {Promise<Object>} Object with categoryId keys and activity arrays
    */
-  static async getGroupedByCategory() {
-    const activities = await this.getAll();
+  static async getGroupedByCategory(activities) {
+    activities = activities || (await this.getAll());
     const grouped = {};
 
     for (const activity of activities) {
@@ -123,8 +180,20 @@ class ActivityModel {
     }
 
     // Validate if points is being updated
-    if (data.points !== undefined && data.points < 1) {
-      throw new Error(t('errors.activityPointsPositive'));
+    if (data.points !== undefined && !isValidPoints(data.points)) {
+      throw new Error(t('errors.activityPointsNonZero'));
+    }
+
+    if (data.type !== undefined && !ACTIVITY_TYPES.includes(data.type)) {
+      throw new Error(t('errors.activityTypeInvalid'));
+    }
+
+    if (!isValidDailyMax(data.dailyMax)) {
+      throw new Error(t('errors.activityDailyMaxInvalid'));
+    }
+
+    if (!isValidSchedule(data.schedule)) {
+      throw new Error(t('errors.activityScheduleInvalid'));
     }
 
     let nextOrder = activity.order;
@@ -136,12 +205,18 @@ class ActivityModel {
       nextOrder = maxOrder + 1;
     }
 
+    const type = data.type ?? activity.type ?? 'check';
+    const dailyMax = data.dailyMax !== undefined ? data.dailyMax : (activity.dailyMax ?? null);
+
     const updated = {
       ...activity,
       ...data,
       id, // Ensure ID cannot be changed
       name: data.name?.trim() || activity.name,
-      points: data.points !== undefined ? Math.floor(data.points) : activity.points,
+      points: data.points !== undefined ? Math.trunc(data.points) : activity.points,
+      type,
+      dailyMax: type === 'counter' ? dailyMax : null,
+      schedule: data.schedule !== undefined ? normalizeSchedule(data.schedule) : activity.schedule,
       order: data.order !== undefined ? data.order : nextOrder,
     };
 
@@ -219,12 +294,93 @@ class ActivityModel {
   }
 
   /**
-   * Calculate total possible points per day
-   * @returns {Promise<number>} Sum of all activity points
+   * Check if an activity is a bad habit (subtracts points when logged)
+   * @param {Object} activity - Activity record
+   * @returns {boolean}
+   */
+  static isBadHabit(activity) {
+    return activity.points < 0;
+  }
+
+  /**
+   * Get the values to record on a completion of this activity
+   * @param {Object} activity - Activity record
+   * @returns {Promise<Object>} Points, activity name and category
+   */
+  static async getCompletionSnapshot(activity) {
+    const categoryId = activity.categoryId || UNCATEGORIZED_ID;
+    const category = await CategoryModel.getById(categoryId);
+    return {
+      points: activity.points,
+      activityName: activity.name,
+      categoryId,
+      categoryName: category ? category.name : t('common.uncategorized'),
+    };
+  }
+
+  /**
+   * Check if an activity is a counter (logged in units rather than once)
+   * @param {Object} activity - Activity record
+   * @returns {boolean}
+   */
+  static isCounter(activity) {
+    return activity.type === 'counter';
+  }
+
+  /**
+   * Get activities with a fixed schedule that falls on a date
+   * Weekly quota activities are left out because they have no fixed days.
+   * @param {string} [date] - Date (YYYY-MM-DD), defaults to today
+   * @returns {Promise<Array>} Scheduled activities
+   */
+  static async getScheduledFor(date = getLocalDateString()) {
+    const activities = await this.getAll();
+    return activities.filter((a) => isScheduledOn(a, date));
+  }
+
+  /**
+   * Get activities that are due on a date
+   * Includes weekly quota activities whose quota was not yet met earlier that week.
+   * @param {string} [date] - Date (YYYY-MM-DD), defaults to today
+   * @returns {Promise<Array>} Due activities
+   */
+  static async getDueOn(date = getLocalDateString()) {
+    const activities = await this.getAll();
+    const daysThisWeek = await CompletionModel.getDaysCompletedEarlierInWeek(date);
+    return activities.filter((activity) => isDueOn(activity, date, daysThisWeek[activity.id] || 0));
+  }
+
+  /**
+   * Get the activities that must be done on a date for the day to be perfect
+   * Weekly quota activities are included once the rest of their week is too
+   * short to meet the quota otherwise.
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Array} [activities] - Activities to choose from; all when omitted
+   * @returns {Promise<Array>} Required activities
+   */
+  static async getRequiredOn(date, activities) {
+    const candidates = activities ?? (await this.getAll());
+    const daysThisWeek = candidates.some(isFlexible)
+      ? await CompletionModel.getDaysCompletedEarlierInWeek(date)
+      : {};
+    return candidates.filter((activity) =>
+      isRequiredOn(activity, date, daysThisWeek[activity.id] || 0)
+    );
+  }
+
+  /**
+   * Calculate total possible points for a day
+   * Bad habits are excluded since they can only take points away.
+   * Counters count up to their daily maximum, or a single unit when uncapped.
+   * Activities not scheduled that day are skipped; weekly quotas are always possible.
+   * @param {string} [date] - Date (YYYY-MM-DD), defaults to today
+   * @returns {Promise<number>} Sum of all positive activity points
    */
-  static async getTotalPossiblePoints() {
+  static async getTotalPossiblePoints(date = getLocalDateString()) {
     const activities = await this.getAll();
-    return activities.reduce((sum, a) => sum + a.points, 0);
+    return activities
+      .filter((a) => !this.isBadHabit(a) && (isScheduledOn(a, date) || isFlexible(a)))
+      .reduce((sum, a) => sum + a.points * (this.isCounter(a) ? a.dailyMax || 1 : 1), 0);
   }
 
   /**
@@ -288,5 +444,5 @@ class ActivityModel {
   }
 }
 
-export { ActivityModel };
+export { ActivityModel, ACTIVITY_TYPES };
 export default ActivityModel;
@@ -0,0 +1,155 @@
+/**
+ * Backup Model for YourScore
+ * Manages snapshots of all user data kept on the device
+ *
+ * A snapshot holds the same JSON a manual export produces, stored as a string
+ * so listing snapshots doesn't rebuild every record they contain. Only the
+ * newest MAX_BACKUPS are kept, or MAX_LIMITED_BACKUPS on the localStorage
+ * backend, where every snapshot counts against a quota of a few megabytes.
+ */
+
+import { db, generateId } from '../storage/db.js';
+import { getLocalDateString, getTimestamp } from '../utils/date.js';
+
+const STORE_NAME = 'backups';
+
+const MAX_BACKUPS = 10;
+
+const MAX_LIMITED_BACKUPS = 3;
+
+/**
+ * Why a snapshot was taken
+ */
+const BACKUP_REASONS = ['daily', 'import', 'reset', 'restore'];
+
+/**
+ * Check whether a write failed because storage is full
+ * Adapters wrap the browser's error and keep it as the cause.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isQuotaExceeded(error) {
+  for (let cause = error; cause; cause = cause.cause) {
+    if (cause.name === 'QuotaExceededError') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Backup model for managing data snapshots
+ */
+class BackupModel {
+  /**
+   * Number of snapshots kept on the backend in use
+   * @returns {number}
+   */
+  static getLimit() {
+    return db.backend === 'localstorage' ? MAX_LIMITED_BACKUPS : MAX_BACKUPS;
+  }
+
+  /**
+   * Save a snapshot, removing the oldest ones to make room for it
+   * Old snapshots beyond the limit are removed once the new one is saved, so a
+   * failed save leaves them all in place. If storage is too full for the new
+   * one, older snapshots are dropped one at a time until it fits.
+   * @param {string} reason - One of BACKUP_REASONS
+   * @param {Object} exportData - Export object from exportToJSON()
+   * @returns {Promise<Object>} Created snapshot
+   */
+  static async create(reason, exportData) {
+    const counts = {};
+    for (const [storeName, records] of Object.entries(exportData.data)) {
+      counts[storeName] = records.length;
+    }
+    const mainScore = exportData.data.settings?.find((setting) => setting.key === 'mainScore');
+
+    const backup = {
+      id: generateId(),
+      createdAt: getTimestamp(),
+      date: getLocalDateString(),
+      reason,
+      counts,
+      mainScore: mainScore?.value ?? 0,
+      json: JSON.stringify(exportData),
+    };
+
+    for (;;) {
+      try {
+        await db.put(STORE_NAME, backup);
+        break;
+      } catch (error) {
+        const [oldest] = (await this.getAll()).slice(-1);
+        if (!isQuotaExceeded(error) || !oldest) {
+          throw error;
+        }
+        await this.delete(oldest.id);
+      }
+    }
+    await this.prune();
+    return backup;
+  }
+
+  /**
+   * Get a snapshot by ID
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object|undefined>}
+   */
+  static async get(id) {
+    return db.get(STORE_NAME, id);
+  }
+
+  /**
+   * Get all snapshots, newest first
+   * @returns {Promise<Array>}
+   */
+  static async getAll() {
+    return db.getRange(STORE_NAME, { index: 'createdAt', reverse: true });
+  }
+
+  /**
+   * Get the newest snapshot taken for a reason
+   * @param {string} reason - One of BACKUP_REASONS
+   * @returns {Promise<Object|undefined>}
+   */
+  static async getLatest(reason) {
+    const backups = await this.getAll();
+    return backups.find((backup) => backup.reason === reason);
+  }
+
+  /**
+   * Get the export object a snapshot holds
+   * @param {Object} backup - Snapshot record
+   * @returns {Object} Export object, as from exportToJSON()
+   */
+  static getData(backup) {
+    return JSON.parse(backup.json);
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<void>}
+   */
+  static async delete(id) {
+    await db.delete(STORE_NAME, id);
+  }
+
+  /**
+   * Remove the oldest snapshots beyond a limit
+   * @param {number} [limit] - Snapshots to keep, getLimit() by default
+   * @returns {Promise<number>} Number of snapshots removed
+   */
+  static async prune(limit = this.getLimit()) {
+    const backups = await this.getAll();
+    const expired = backups.slice(limit);
+    for (const backup of expired) {
+      await this.delete(backup.id);
+    }
+    return expired.length;
+  }
+}
+
+export { BackupModel, MAX_BACKUPS, MAX_LIMITED_BACKUPS, BACKUP_REASONS };
+export default BackupModel;
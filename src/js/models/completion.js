@@ -4,11 +4,18 @@
  */
 
 import { db, generateId } from '../storage/db.js';
-import { getLocalDateString, getTimestamp } from '../utils/date.js';
+import { getLocalDateString, getTimestamp, subtractDays, getWeekStart } from '../utils/date.js';
+import { isFlexible, isRequiredOn } from '../utils/schedule.js';
 import { t } from '../i18n/i18n.js';
 
 const STORE_NAME = 'completions';
 
+/**
+ * Fields copied from the activity when a completion is logged, so history
+ * keeps the values that were awarded even if the activity is edited later
+ */
+const SNAPSHOT_FIELDS = ['points', 'activityName', 'categoryId', 'categoryName'];
+
 /**
  * Completion model for tracking activity completions
  */
@@ -18,32 +25,117 @@ class CompletionModel {
    * @param {Object} data - Completion data
    * @param {string} data.activityId - Activity ID
    * @param {string} [data.date] - Date (YYYY-MM-DD), defaults to today
+   * @param {number} [data.count] - Units logged (counter activities), defaults to 1
+   * @param {number} [data.points] - Points awarded per unit
+   * @param {string} [data.activityName] - Activity name when logged
+   * @param {string} [data.categoryId] - Activity category ID when logged
+   * @param {string} [data.categoryName] - Activity category name when logged
    * @returns {Promise<Object>} Created completion with id
    */
   static async create(data) {
+    const completion = this.build(data);
+
+    // Check if already completed today
+    const existing = await this.findByActivityAndDate(completion.activityId, completion.date);
+    if (existing) {
+      throw new Error(t('errors.completionAlready'));
+    }
+
+    await db.put(STORE_NAME, completion);
+    return completion;
+  }
+
+  /**
+   * Build a new completion record without saving it
+   * Takes the same data as create().
+   * @param {Object} data - Completion data
+   * @returns {Object} Completion with id
+   */
+  static build(data) {
     if (!data.activityId) {
       throw new Error(t('errors.completionActivityRequired'));
     }
 
-    const date = data.date || getLocalDateString();
+    const count = data.count ?? 1;
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(t('errors.completionCountInvalid'));
+    }
 
-    // Check if already completed today
-    const existing = await this.findByActivityAndDate(data.activityId, date);
-    if (existing) {
-      throw new Error(t('errors.completionAlready'));
+    if (data.points !== undefined && !Number.isInteger(data.points)) {
+      throw new Error(t('errors.completionPointsInvalid'));
     }
 
     const completion = {
       id: generateId(),
       activityId: data.activityId,
-      date: date,
+      date: data.date || getLocalDateString(),
+      count,
       completedAt: getTimestamp(),
     };
 
-    await db.put(STORE_NAME, completion);
+    for (const field of SNAPSHOT_FIELDS) {
+      if (data[field] !== undefined) {
+        completion[field] = data[field];
+      }
+    }
+
     return completion;
   }
 
+  /**
+   * Set the number of units logged for an activity on a date
+   * A count of zero removes the completion. The snapshot is only used when a
+   * new completion is created; existing ones keep the values they were logged with.
+   * @param {string} activityId - Activity ID
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} count - Units logged (0 or more)
+   * @param {Object} [snapshot] - Points, activity name and category to record
+   * @returns {Promise<Object|null>} Updated completion, or null if removed
+   */
+  static async setCount(activityId, date, count, snapshot = {}) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(t('errors.completionCountInvalid'));
+    }
+
+    const existing = await this.findByActivityAndDate(activityId, date);
+
+    if (count === 0) {
+      if (existing) {
+        await this.delete(existing.id);
+      }
+      return null;
+    }
+
+    if (!existing) {
+      return this.create({ ...snapshot, activityId, date, count });
+    }
+
+    const updated = this.withCount(existing, count);
+    await db.put(STORE_NAME, updated);
+    return updated;
+  }
+
+  /**
+   * Get a copy of a completion with a new count, logged now
+   * @param {Object} completion - Completion record
+   * @param {number} count - Units logged (1 or more)
+   * @returns {Object} Updated completion
+   */
+  static withCount(completion, count) {
+    return { ...completion, count, completedAt: getTimestamp() };
+  }
+
+  /**
+   * Get the total points a completion awarded
+   * Falls back to the given per-unit points for records logged without a snapshot.
+   * @param {Object} completion - Completion record
+   * @param {number} [fallbackPoints=0] - Per-unit points to use when none were recorded
+   * @returns {number}
+   */
+  static getAwardedPoints(completion, fallbackPoints = 0) {
+    return (completion.points ?? fallbackPoints) * (completion.count || 1);
+  }
+
   /**
    * Get a completion by ID
    * @param {string} id - Completion ID
@@ -96,11 +188,20 @@ class CompletionModel {
    * Get completions for a date range
    * @param {string} startDate - Start date (YYYY-MM-DD)
    * @param {string} endDate - End date (YYYY-MM-DD)
-   * @returns {Promise<Array>} Array of completions
+   * @returns {Promise<Array>} Array of completions, sorted by date
    */
   static async getByDateRange(startDate, endDate) {
-    const allCompletions = await db.getAll(STORE_NAME);
-    return allCompletions.filter((c) => c.date >= startDate && c.date <= endDate);
+    return db.getRange(STORE_NAME, { index: 'date', lower: startDate, upper: endDate });
+  }
+
+  /**
+   * Count completions in a date range without loading them
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Promise<number>}
+   */
+  static async countByDateRange(startDate, endDate) {
+    return db.countRange(STORE_NAME, { index: 'date', lower: startDate, upper: endDate });
   }
 
   /**
@@ -139,16 +240,17 @@ class CompletionModel {
    * Toggle completion for an activity
    * @param {string} activityId - Activity ID
    * @param {string} [date] - Date (YYYY-MM-DD), defaults to today
+   * @param {Object} [snapshot] - Points, activity name and category to record when completing
    * @returns {Promise<{completed: boolean, completion: Object|null}>}
    */
-  static async toggle(activityId, date = getLocalDateString()) {
+  static async toggle(activityId, date = getLocalDateString(), snapshot = {}) {
     const existing = await this.findByActivityAndDate(activityId, date);
 
     if (existing) {
       await this.delete(existing.id);
       return { completed: false, completion: null };
     } else {
-      const completion = await this.create({ activityId, date });
+      const completion = await this.create({ ...snapshot, activityId, date });
       return { completed: true, completion };
     }
   }
@@ -170,16 +272,46 @@ class CompletionModel {
    * @returns {Promise<Object>} Object with activityId keys and count values
    */
   static async getCompletionCountsByActivity(startDate, endDate) {
-    const completions = await this.getByDateRange(startDate, endDate);
     const counts = {};
 
-    for (const completion of completions) {
-      counts[completion.activityId] = (counts[completion.activityId] || 0) + 1;
-    }
+    await db.iterate(
+      STORE_NAME,
+      { index: 'date', lower: startDate, upper: endDate },
+      (completion) => {
+        counts[completion.activityId] = (counts[completion.activityId] || 0) + 1;
+      }
+    );
 
     return counts;
   }
 
+  /**
+   * Count the days each activity was completed earlier in a date's week
+   * Each day counts once, however many completions it has.
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<Object>} Object with activityId keys and day counts
+   */
+  static async getDaysCompletedEarlierInWeek(date) {
+    const weekStart = getWeekStart(date);
+    if (weekStart >= date) {
+      return {};
+    }
+
+    const days = new Map();
+    await db.iterate(
+      STORE_NAME,
+      { index: 'date', lower: weekStart, upper: subtractDays(date, 1) },
+      (completion) => {
+        if (!days.has(completion.activityId)) {
+          days.set(completion.activityId, new Set());
+        }
+        days.get(completion.activityId).add(completion.date);
+      }
+    );
+
+    return Object.fromEntries([...days].map(([activityId, dates]) => [activityId, dates.size]));
+  }
+
   /**
    * Get dates with completions in a range
    * @param {string} startDate - Start date (YYYY-MM-DD)
@@ -193,19 +325,33 @@ class CompletionModel {
 
   /**
    * Check if all activities were completed on a date
+   * Activity records only count when they are required on that date (see
+   * isRequiredOn()); plain IDs are always required.
    * @param {string} date - Date (YYYY-MM-DD)
-   * @param {string[]} activityIds - Array of activity IDs to check
+   * @param {Array<string|Object>} activities - Activity IDs or records to check
    * @returns {Promise<boolean>}
    */
-  static async allCompleted(date, activityIds) {
-    if (activityIds.length === 0) {
+  static async allCompleted(date, activities) {
+    const records = activities.filter((activity) => typeof activity !== 'string');
+    const daysThisWeek = records.some(isFlexible)
+      ? await this.getDaysCompletedEarlierInWeek(date)
+      : {};
+    const requiredIds = activities
+      .filter(
+        (activity) =>
+          typeof activity === 'string' ||
+          isRequiredOn(activity, date, daysThisWeek[activity.id] || 0)
+      )
+      .map((activity) => (typeof activity === 'string' ? activity : activity.id));
+
+    if (requiredIds.length === 0) {
       return false; // No activities means can't complete all
     }
 
     const completions = await this.getByDate(date);
     const completedIds = new Set(completions.map((c) => c.activityId));
 
-    return activityIds.every((id) => completedIds.has(id));
+    return requiredIds.every((id) => completedIds.has(id));
   }
 
   /**
@@ -214,19 +360,20 @@ class CompletionModel {
    * @returns {Promise<number>} Number of consecutive days
    */
   static async getCompletionStreak(endDate = getLocalDateString()) {
-    const allCompletions = await this.getAll();
-    const datesWithCompletions = new Set(allCompletions.map((c) => c.date));
-
     let streak = 0;
     let currentDate = endDate;
 
-    while (datesWithCompletions.has(currentDate)) {
-      streak++;
-      // Go back one day
-      const date = new Date(currentDate + 'T00:00:00');
-      date.setDate(date.getDate() - 1);
-      currentDate = getLocalDateString(date);
-    }
+    // Walk completions newest first, stopping at the first day without any
+    await db.iterate(STORE_NAME, { index: 'date', upper: endDate, reverse: true }, (completion) => {
+      if (completion.date === currentDate) {
+        streak++;
+        // Go back one day
+        currentDate = subtractDays(currentDate, 1);
+        return true;
+      }
+      // Keep going through the other completions of the day just counted
+      return streak > 0 && completion.date === subtractDays(currentDate, -1);
+    });
 
     return streak;
   }
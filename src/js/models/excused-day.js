@@ -0,0 +1,100 @@
+/**
+ * Excused Day Model for YourScore
+ * Manages past days marked as excused, whose decay was given back
+ *
+ * Each record keeps the decay that was refunded and the rule it was worked out
+ * with, so removing the excuse can charge it again.
+ */
+
+import { db } from '../storage/db.js';
+import { getTimestamp } from '../utils/date.js';
+import { t } from '../i18n/i18n.js';
+
+const STORE_NAME = 'excusedDays';
+
+/**
+ * Excused day model for managing excused days
+ */
+class ExcusedDayModel {
+  /**
+   * Record an excused day
+   * @param {Object} data - Excused day data
+   * @param {string} data.date - Excused day (YYYY-MM-DD)
+   * @param {number} data.refunded - Decay given back
+   * @param {Object} [data.decayRule] - Rule the refunded decay was worked out with
+   * @returns {Promise<Object>} Created record
+   */
+  static async create({ date, refunded, decayRule }) {
+    if (await this.getByDate(date)) {
+      throw new Error(t('errors.dayAlreadyExcused'));
+    }
+
+    const record = this.build({ date, refunded, decayRule });
+    await db.put(STORE_NAME, record);
+    return record;
+  }
+
+  /**
+   * Build an excused day record without saving it
+   * Takes the same data as create().
+   * @param {Object} data - Excused day data
+   * @returns {Object} Excused day record
+   */
+  static build({ date, refunded, decayRule }) {
+    return {
+      date,
+      refunded,
+      ...(decayRule && { decayRule }),
+      excusedAt: getTimestamp(),
+    };
+  }
+
+  /**
+   * Get the excused day record for a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<Object|undefined>} Record or undefined
+   */
+  static async getByDate(date) {
+    return db.get(STORE_NAME, date);
+  }
+
+  /**
+   * Get all excused days
+   * @returns {Promise<Array>} Records, sorted by date
+   */
+  static async getAll() {
+    const records = await db.getAll(STORE_NAME);
+    return records.sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Count the excused days in a calendar month
+   * @param {string} date - Any date (YYYY-MM-DD) in the month
+   * @returns {Promise<number>}
+   */
+  static async countInMonth(date) {
+    const month = date.slice(0, 7);
+    const records = await this.getAll();
+    return records.filter((record) => record.date.startsWith(month)).length;
+  }
+
+  /**
+   * Remove the excused day record for a date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<void>}
+   */
+  static async delete(date) {
+    await db.delete(STORE_NAME, date);
+  }
+
+  /**
+   * Clear all excused days (for testing/reset)
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    await db.clear(STORE_NAME);
+  }
+}
+
+export { ExcusedDayModel };
+export default ExcusedDayModel;
@@ -0,0 +1,169 @@
+/**
+ * Pause Model for YourScore
+ * Manages date ranges during which decay is suspended
+ *
+ * A pause covers startDate through endDate, both inclusive. A pause without an
+ * end date lasts until it is ended.
+ */
+
+import { db, generateId } from '../storage/db.js';
+import { getLocalDateString, getTimestamp } from '../utils/date.js';
+import { t } from '../i18n/i18n.js';
+
+const STORE_NAME = 'pauses';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Pause model for managing paused date ranges
+ */
+class PauseModel {
+  /**
+   * Schedule a pause
+   * Pauses cannot start in the past or overlap another pause.
+   * @param {Object} data - Pause data
+   * @param {string} data.startDate - First paused day (YYYY-MM-DD)
+   * @param {string|null} [data.endDate] - Last paused day (YYYY-MM-DD), or null until ended
+   * @returns {Promise<Object>} Created pause with id
+   */
+  static async create(data) {
+    const startDate = data.startDate;
+    const endDate = data.endDate || null;
+
+    if (!DATE_PATTERN.test(startDate || '') || (endDate && !DATE_PATTERN.test(endDate))) {
+      throw new Error(t('errors.pauseDateInvalid'));
+    }
+    if (startDate < getLocalDateString()) {
+      throw new Error(t('errors.pauseStartInPast'));
+    }
+    if (endDate && endDate < startDate) {
+      throw new Error(t('errors.pauseEndBeforeStart'));
+    }
+
+    const pauses = await this.getAll();
+    if (pauses.some((pause) => this.overlaps(pause, { startDate, endDate }))) {
+      throw new Error(t('errors.pauseOverlap'));
+    }
+
+    const pause = {
+      id: generateId(),
+      startDate,
+      endDate,
+      createdAt: getTimestamp(),
+    };
+
+    await db.put(STORE_NAME, pause);
+    return pause;
+  }
+
+  /**
+   * Get a pause by ID
+   * @param {string} id - Pause ID
+   * @returns {Promise<Object|undefined>} Pause or undefined
+   */
+  static async getById(id) {
+    return db.get(STORE_NAME, id);
+  }
+
+  /**
+   * Get all pauses
+   * @returns {Promise<Array>} Pauses, sorted by start date
+   */
+  static async getAll() {
+    const pauses = await db.getAll(STORE_NAME);
+    return pauses.sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  /**
+   * Check if a pause covers a date
+   * @param {Object} pause - Pause record
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {boolean}
+   */
+  static covers(pause, date) {
+    return date >= pause.startDate && (pause.endDate === null || date <= pause.endDate);
+  }
+
+  /**
+   * Check if two date ranges share at least one day
+   * @param {Object} a - Pause or range
+   * @param {Object} b - Pause or range
+   * @returns {boolean}
+   */
+  static overlaps(a, b) {
+    return (
+      (a.endDate === null || b.startDate <= a.endDate) &&
+      (b.endDate === null || a.startDate <= b.endDate)
+    );
+  }
+
+  /**
+   * Find the pause covering a date
+   * @param {Array} pauses - Pause records
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Object|undefined} Pause or undefined
+   */
+  static findOn(pauses, date) {
+    return pauses.find((pause) => this.covers(pause, date));
+  }
+
+  /**
+   * Get the pause covering a date
+   * @param {string} [date] - Date (YYYY-MM-DD), defaults to today
+   * @returns {Promise<Object|undefined>} Pause or undefined
+   */
+  static async getOn(date = getLocalDateString()) {
+    return this.findOn(await this.getAll(), date);
+  }
+
+  /**
+   * End a pause that is under way
+   * Today stays paused; decay resumes tomorrow.
+   * @param {string} id - Pause ID
+   * @returns {Promise<Object>} Updated pause
+   */
+  static async end(id) {
+    const pause = await this.getById(id);
+    if (!pause) {
+      throw new Error(t('errors.pauseNotFound'));
+    }
+
+    const today = getLocalDateString();
+    if (!this.covers(pause, today)) {
+      throw new Error(t('errors.pauseNotActive'));
+    }
+
+    const updated = { ...pause, endDate: today };
+    await db.put(STORE_NAME, updated);
+    return updated;
+  }
+
+  /**
+   * Cancel a pause that has not started yet
+   * Pauses that have started are part of the score history and can only be ended.
+   * @param {string} id - Pause ID
+   * @returns {Promise<void>}
+   */
+  static async delete(id) {
+    const pause = await this.getById(id);
+    if (!pause) {
+      throw new Error(t('errors.pauseNotFound'));
+    }
+    if (pause.startDate <= getLocalDateString()) {
+      throw new Error(t('errors.pauseAlreadyStarted'));
+    }
+
+    await db.delete(STORE_NAME, id);
+  }
+
+  /**
+   * Clear all pauses (for testing/reset)
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    await db.clear(STORE_NAME);
+  }
+}
+
+export { PauseModel };
+export default PauseModel;
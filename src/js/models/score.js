@@ -3,11 +3,13 @@
  * Manages the main score and score history
  */
 
-import { db } from '../storage/db.js';
+import { db, generateId } from '../storage/db.js';
 import { SettingsModel } from './settings.js';
-import { getLocalDateString } from '../utils/date.js';
+import { getLocalDateString, getTimestamp, subtractDays } from '../utils/date.js';
+import { getDecaySettingsOn, planDecay } from '../utils/decay-strategies.js';
 
 const HISTORY_STORE = 'scoreHistory';
+const ADJUSTMENTS_STORE = 'scoreAdjustments';
 
 /**
  * Score model for managing the main score and history
@@ -59,6 +61,40 @@ class ScoreModel {
     await this.setScore(0);
   }
 
+  // ============ Manual Adjustments ============
+
+  /**
+   * Change the main score by hand
+   * The change is kept as an adjustment on today so the score can be rebuilt
+   * later.
+   * @param {number} amount - Points to add (can be negative)
+   * @returns {Promise<Object>} Adjustment record
+   */
+  static async adjustScore(amount) {
+    const adjustment = {
+      id: generateId(),
+      date: getLocalDateString(),
+      amount,
+      createdAt: getTimestamp(),
+    };
+
+    await db.put(ADJUSTMENTS_STORE, adjustment);
+    const score = await this.addPoints(amount);
+    await this.updateTodayHistory({ score });
+    return adjustment;
+  }
+
+  /**
+   * Get all manual adjustments
+   * @returns {Promise<Array>} Adjustments, sorted by date
+   */
+  static async getAdjustments() {
+    const adjustments = await db.getAll(ADJUSTMENTS_STORE);
+    return adjustments.sort(
+      (a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt)
+    );
+  }
+
   // ============ Score History ============
 
   /**
@@ -98,10 +134,19 @@ class ScoreModel {
    * @returns {Promise<Array>} Array of history records, sorted by date
    */
   static async getHistoryRange(startDate, endDate) {
-    const allHistory = await db.getAll(HISTORY_STORE);
-    return allHistory
-      .filter((h) => h.date >= startDate && h.date <= endDate)
-      .sort((a, b) => a.date.localeCompare(b.date));
+    return db.getRange(HISTORY_STORE, { lower: startDate, upper: endDate });
+  }
+
+  /**
+   * Walk score history backwards, starting on or before a date
+   * Only the records visited are read.
+   * @param {string} endDate - Latest date to include (YYYY-MM-DD)
+   * @param {Function} callback - Called with each record, newest first; return
+   *   false to stop
+   * @returns {Promise<void>}
+   */
+  static async walkHistoryBack(endDate, callback) {
+    await db.iterate(HISTORY_STORE, { upper: endDate, reverse: true }, callback);
   }
 
   /**
@@ -123,6 +168,7 @@ class ScoreModel {
 
   /**
    * Update or create today's history
+   * Other fields on the record, such as the decay rule, are kept.
    * @param {Object} updates - Data to update
    * @returns {Promise<Object>} Updated history record
    */
@@ -131,6 +177,7 @@ class ScoreModel {
     const existing = await this.getHistoryByDate(today);
 
     const record = {
+      ...existing,
       date: today,
       score: updates.score ?? existing?.score ?? (await this.getScore()),
       earned: updates.earned ?? existing?.earned ?? 0,
@@ -156,6 +203,204 @@ class ScoreModel {
     });
   }
 
+  /**
+   * Add earned points to any day's history
+   * On past days the day's closing score and every later day's closing score
+   * shift by the same amount. A past day without a record opens at the
+   * previous day's closing score.
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} points - Points earned (can be negative)
+   * @returns {Promise<Object>} Updated history record for the date
+   */
+  static async addEarnedOn(date, points) {
+    if (date === getLocalDateString()) {
+      return this.addEarnedToday(points);
+    }
+
+    const records = this.getEarnedRecords(await this.getAllHistory(), date, points);
+    await db.putMany(HISTORY_STORE, records);
+    return records[0];
+  }
+
+  /**
+   * Work out the history records that change when points are earned on a day
+   * Same rules as addEarnedOn(), without reading or writing anything. Today's
+   * record closes at the main score after the points were added.
+   * @param {Array} history - History records, sorted by date: all of them, or
+   *   those from the last one before the date on
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} points - Points earned (can be negative)
+   * @param {number} [mainScore] - Main score after the points; needed for today
+   * @returns {Array} Records to save, starting with the one for the date
+   */
+  static getEarnedRecords(history, date, points, mainScore) {
+    const existing = history.find((h) => h.date === date);
+
+    if (date === getLocalDateString()) {
+      return [
+        {
+          ...existing,
+          date,
+          score: mainScore,
+          earned: (existing?.earned || 0) + points,
+          decay: existing?.decay ?? 0,
+        },
+      ];
+    }
+
+    const previous = history.filter((h) => h.date < date).pop();
+    const record = existing
+      ? { ...existing, earned: existing.earned + points, score: existing.score + points }
+      : { date, score: (previous?.score ?? 0) + points, earned: points, decay: 0 };
+    const later = history
+      .filter((h) => h.date > date)
+      .map((h) => ({ ...h, score: h.score + points }));
+
+    return [record, ...later];
+  }
+
+  /**
+   * Charge decay for consecutive days
+   * Each day gets its own history record with that day's decay, the rule it
+   * was worked out with and the running score, counting down from the current
+   * main score, so an absence leaves no gaps in the history. Paused days are
+   * recorded without decay and marked as paused.
+   * @param {Array<{date: string, decay: number, decayRule?: Object, paused?: boolean}>} charges -
+   *   Decay per day, in date order
+   * @returns {Promise<number>} New score value
+   */
+  static async applyDailyDecay(charges) {
+    if (charges.length === 0) {
+      return this.getScore();
+    }
+
+    const existing = await this.getHistoryRange(charges[0].date, charges[charges.length - 1].date);
+    const existingByDate = new Map(existing.map((h) => [h.date, h]));
+
+    let score = await this.getScore();
+    const records = charges.map(({ date, decay, decayRule, paused }) => {
+      score -= decay;
+      return {
+        date,
+        score,
+        earned: existingByDate.get(date)?.earned || 0,
+        decay,
+        ...(decayRule && { decayRule }),
+        ...(paused && { paused: true }),
+      };
+    });
+
+    await this.setScore(score);
+    await db.putMany(HISTORY_STORE, records);
+    return score;
+  }
+
+  /**
+   * Mark today as paused
+   * Decay already charged today is given back.
+   * @returns {Promise<Object>} Updated history record for today
+   */
+  static async pauseToday() {
+    const existing = await this.getTodayHistory();
+    const score = await this.addPoints(existing?.decay || 0);
+    const record = {
+      ...existing,
+      date: getLocalDateString(),
+      score,
+      earned: existing?.earned || 0,
+      decay: 0,
+      paused: true,
+    };
+    delete record.decayRule;
+    await db.put(HISTORY_STORE, record);
+    return record;
+  }
+
+  /**
+   * Mark a missed or failed day as covered by a streak freeze
+   * The day's decay still stands; only streaks skip it.
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {Promise<Object|undefined>} Updated history record, or undefined if there is none
+   */
+  static async markFrozen(date) {
+    const existing = await this.getHistoryByDate(date);
+    if (!existing) {
+      return undefined;
+    }
+
+    const record = { ...existing, frozen: true };
+    await db.put(HISTORY_STORE, record);
+    return record;
+  }
+
+  /**
+   * Work out the history records that change when a past day is excused
+   * The day's decay is given back, and the running score of that day and every
+   * later day moves up by the same amount. Nothing is read or written.
+   * @param {Array} history - History records, sorted by date: all of them, or
+   *   those from the last one before the date on
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @returns {{records: Array, refunded: number, decayRule?: Object}} Records to
+   *   save, starting with the one for the date, the decay given back and the
+   *   rule it was worked out with
+   */
+  static getExcusedRecords(history, date) {
+    const existing = history.find((h) => h.date === date);
+    const previous = history.filter((h) => h.date < date).pop();
+    const refunded = existing?.decay || 0;
+
+    const record = existing
+      ? { ...existing, score: existing.score + refunded, decay: 0, excused: true }
+      : { date, score: previous?.score ?? 0, earned: 0, decay: 0, excused: true };
+    delete record.decayRule;
+
+    return {
+      records: [record, ...this.shiftHistoryAfter(history, date, refunded)],
+      refunded,
+      ...(existing?.decayRule && { decayRule: existing.decayRule }),
+    };
+  }
+
+  /**
+   * Work out the history records that change when the excuse is removed from
+   * a past day
+   * The decay that was given back is charged again. Nothing is read or written.
+   * @param {Array} history - History records from the date on, sorted by date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {Object} excusedDay - Excused day record
+   * @param {number} excusedDay.refunded - Decay that was given back
+   * @param {Object} [excusedDay.decayRule] - Rule it was worked out with
+   * @returns {Array} Records to save, starting with the one for the date; none
+   *   when the day has no history record
+   */
+  static getUnexcusedRecords(history, date, { refunded, decayRule }) {
+    const existing = history.find((h) => h.date === date);
+    if (!existing) {
+      return [];
+    }
+
+    const record = {
+      ...existing,
+      score: existing.score - refunded,
+      decay: refunded,
+      ...(decayRule && { decayRule }),
+    };
+    delete record.excused;
+
+    return [record, ...this.shiftHistoryAfter(history, date, -refunded)];
+  }
+
+  /**
+   * Move the running score of every day after a date
+   * @param {Array} history - History records, sorted by date
+   * @param {string} date - Date (YYYY-MM-DD)
+   * @param {number} points - Points to move later scores by
+   * @returns {Array} Updated copies of the later records
+   */
+  static shiftHistoryAfter(history, date, points) {
+    return history.filter((h) => h.date > date).map((h) => ({ ...h, score: h.score + points }));
+  }
+
   /**
    * Get points earned today
    * @returns {Promise<number>}
@@ -174,20 +419,76 @@ class ScoreModel {
     return history?.decay || 0;
   }
 
+  /**
+   * Work out today's decay the way planDecay() charges it
+   * The charge made when the app was opened today is used when there is one.
+   * Otherwise, as on the first day, today is planned from the score before
+   * today's points and the run of missed days leading up to it; only the
+   * records in that run are read.
+   * @param {Object} [todayHistory] - Today's history record
+   * @returns {Promise<{decay: number, decayRule?: Object}>}
+   */
+  static async getTodayDecay(todayHistory) {
+    if (todayHistory?.paused || todayHistory?.excused) {
+      return { decay: 0 };
+    }
+    if (todayHistory?.decayRule) {
+      return { decay: todayHistory.decay, decayRule: todayHistory.decayRule };
+    }
+
+    const current = {
+      amount: await SettingsModel.getDecayAmount(),
+      strategy: await SettingsModel.getDecayStrategy(),
+    };
+    const decayHistory = await SettingsModel.getDecayHistory();
+    const getSettings = (date) => getDecaySettingsOn(decayHistory, date, current);
+
+    const today = getLocalDateString();
+    const run = [];
+    let expectedDate = subtractDays(today, 1);
+    await this.walkHistoryBack(expectedDate, (record) => {
+      if (record.date !== expectedDate) {
+        return false;
+      }
+      run.unshift(record);
+      expectedDate = subtractDays(expectedDate, 1);
+      return record.paused || record.excused || record.earned < getSettings(record.date).amount;
+    });
+
+    const [charge] = planDecay([today], {
+      score: (await this.getScore()) - (todayHistory?.earned || 0),
+      history: run,
+      getSettings,
+    });
+    return charge;
+  }
+
   /**
    * Calculate break-even status for today
-   * @returns {Promise<Object>} {breakEven: boolean, remaining: number, surplus: number, percent: number}
+   * The target is today's decay, as getTodayDecay() works it out; there is
+   * nothing to break even against on a paused day.
+   * @returns {Promise<Object>} {breakEven: boolean, remaining: number, surplus: number, percent: number, paused: boolean}
    */
   static async getBreakEvenStatus() {
-    const decayAmount = await SettingsModel.getDecayAmount();
-    const earnedToday = await this.getEarnedToday();
+    const todayHistory = await this.getTodayHistory();
+    const paused = todayHistory?.paused === true;
+    const { decay: decayAmount } = await this.getTodayDecay(todayHistory);
+    const earnedToday = todayHistory?.earned || 0;
 
     const breakEven = earnedToday >= decayAmount;
     const remaining = Math.max(0, decayAmount - earnedToday);
     const surplus = Math.max(0, earnedToday - decayAmount);
     const percent = getBreakEvenPercent(earnedToday, decayAmount);
 
-    return { breakEven, remaining, surplus, earned: earnedToday, decay: decayAmount, percent };
+    return {
+      breakEven,
+      remaining,
+      surplus,
+      earned: earnedToday,
+      decay: decayAmount,
+      percent,
+      paused,
+    };
   }
 
   /**
@@ -237,7 +538,8 @@ function getBreakEvenPercent(earned, decay) {
   if (decay === 0) {
     return 100;
   }
-  return Math.min(100, Math.round((earned / decay) * 100));
+  // Bad habits can push earned below zero; the bar never goes below empty
+  return Math.max(0, Math.min(100, Math.round((earned / decay) * 100)));
 }
 
 export { ScoreModel, getBreakEvenPercent };
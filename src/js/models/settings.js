@@ -4,7 +4,8 @@
  */
 
 import { db } from '../storage/db.js';
-import { getLocalDateString } from '../utils/date.js';
+import { getLocalDateString, getDateDaysFromNow } from '../utils/date.js';
+import { DEFAULT_DECAY_STRATEGY } from '../utils/decay-strategies.js';
 
 const STORE_NAME = 'settings';
 
@@ -17,6 +18,7 @@ const DEFAULTS = {
   uiScale: 1,
   mainScore: 0,
   language: 'auto',
+  dayStartHour: 0,
 };
 
 /**
@@ -108,7 +110,108 @@ class SettingsModel {
    * @returns {Promise<void>}
    */
   static async setDecayAmount(amount) {
-    return this.set('decayAmount', amount);
+    return this.setDecaySettings({ amount });
+  }
+
+  /**
+   * Get the decay strategy
+   * @returns {Promise<Object>}
+   */
+  static async getDecayStrategy() {
+    return this.get('decayStrategy', DEFAULT_DECAY_STRATEGY);
+  }
+
+  /**
+   * Set the decay strategy
+   * @param {Object} strategy - Normalized decay strategy
+   * @returns {Promise<void>}
+   */
+  static async setDecayStrategy(strategy) {
+    return this.setDecaySettings({ strategy });
+  }
+
+  /**
+   * Set the decay amount and strategy
+   * Changes are logged in the decay history and take effect tomorrow, since
+   * today's decay has already been applied.
+   * @param {Object} changes
+   * @param {number} [changes.amount] - Decay amount per day
+   * @param {Object} [changes.strategy] - Normalized decay strategy
+   * @returns {Promise<void>}
+   */
+  static async setDecaySettings({ amount, strategy }) {
+    const current = {
+      amount: await this.getDecayAmount(),
+      strategy: await this.getDecayStrategy(),
+    };
+    const next = { amount: amount ?? current.amount, strategy: strategy ?? current.strategy };
+
+    if (
+      next.amount === current.amount &&
+      JSON.stringify(next.strategy) === JSON.stringify(current.strategy)
+    ) {
+      return this.set('decayAmount', next.amount);
+    }
+
+    const from = getDateDaysFromNow(1);
+    const decayHistory = await this.getDecayHistory();
+    if (decayHistory.length === 0) {
+      // Record the settings that applied until now
+      const firstUseDate = await this.getFirstUseDate();
+      if (firstUseDate) {
+        decayHistory.push({ from: firstUseDate, ...current });
+      }
+    }
+
+    return this.setMany({
+      decayAmount: next.amount,
+      decayStrategy: next.strategy,
+      decayHistory: [...decayHistory.filter((entry) => entry.from < from), { from, ...next }],
+    });
+  }
+
+  /**
+   * Get the log of decay amount and strategy changes
+   * @returns {Promise<Array<{from: string, amount: number, strategy?: Object}>>} Entries
+   *   sorted by start date
+   */
+  static async getDecayHistory() {
+    const decayHistory = await this.get('decayHistory', []);
+    return [...decayHistory].sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  /**
+   * Get how many days can be excused per calendar month
+   * @returns {Promise<number|null>} Allowance, or null for no limit
+   */
+  static async getExcusedDaysPerMonth() {
+    return this.get('excusedDaysPerMonth', null);
+  }
+
+  /**
+   * Set how many days can be excused per calendar month
+   * @param {number|null} allowance - Allowance, or null for no limit
+   * @returns {Promise<void>}
+   */
+  static async setExcusedDaysPerMonth(allowance) {
+    return this.set('excusedDaysPerMonth', allowance);
+  }
+
+  /**
+   * Get the hour at which a new day starts
+   * @returns {Promise<number>} Whole hour from 0 (midnight) to 12
+   */
+  static async getDayStartHour() {
+    return this.get('dayStartHour', DEFAULTS.dayStartHour);
+  }
+
+  /**
+   * Set the hour at which a new day starts
+   * @param {number} hour - Whole hour from 0 (midnight) to 12
+   * @returns {Promise<void>}
+   */
+  static async setDayStartHour(hour) {
+    return this.set('dayStartHour', hour);
   }
 
   /**
@@ -145,6 +248,23 @@ class SettingsModel {
     return this.set('uiScale', scale);
   }
 
+  /**
+   * Get the CSV dialect chosen for exports
+   * @returns {Promise<Object|null>} Dialect { delimiter, headers }, or null if none was chosen
+   */
+  static async getCSVDialect() {
+    return this.get('csvDialect', null);
+  }
+
+  /**
+   * Set the CSV dialect for exports
+   * @param {Object} dialect - Dialect { delimiter: ',' | ';', headers: 'localized' | 'keys' }
+   * @returns {Promise<void>}
+   */
+  static async setCSVDialect(dialect) {
+    return this.set('csvDialect', dialect);
+  }
+
   /**
    * Get the main score
    * @returns {Promise<number>}
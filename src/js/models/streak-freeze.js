@@ -0,0 +1,93 @@
+/**
+ * Streak Freeze Model for YourScore
+ * Manages streak freeze tokens, earned on streak milestones and used up on
+ * missed or failed days to keep a streak going
+ */
+
+import { db, generateId } from '../storage/db.js';
+import { getTimestamp } from '../utils/date.js';
+import { t } from '../i18n/i18n.js';
+
+const STORE_NAME = 'streakFreezes';
+
+/**
+ * Streak freeze model for managing streak freeze tokens
+ */
+class StreakFreezeModel {
+  /**
+   * Record an earned token
+   * @param {Object} data - Token data
+   * @param {string} data.earnedOn - Day the milestone was reached (YYYY-MM-DD)
+   * @param {number} data.streak - Streak length that earned the token
+   * @returns {Promise<Object>} Created token with id
+   */
+  static async create({ earnedOn, streak }) {
+    const token = {
+      id: generateId(),
+      earnedOn,
+      streak,
+      usedOn: null,
+      createdAt: getTimestamp(),
+    };
+
+    await db.put(STORE_NAME, token);
+    return token;
+  }
+
+  /**
+   * Get all tokens
+   * @returns {Promise<Array>} Tokens, sorted by the day they were earned
+   */
+  static async getAll() {
+    const tokens = await db.getAll(STORE_NAME);
+    return tokens.sort((a, b) => a.earnedOn.localeCompare(b.earnedOn));
+  }
+
+  /**
+   * Get tokens that have not been used yet
+   * @returns {Promise<Array>} Tokens, oldest first
+   */
+  static async getAvailable() {
+    return (await this.getAll()).filter((token) => token.usedOn === null);
+  }
+
+  /**
+   * Get tokens that have been used
+   * @returns {Promise<Array>} Tokens, sorted by the day they covered
+   */
+  static async getUsed() {
+    const tokens = (await this.getAll()).filter((token) => token.usedOn !== null);
+    return tokens.sort((a, b) => a.usedOn.localeCompare(b.usedOn));
+  }
+
+  /**
+   * Use a token to cover a day
+   * @param {string} id - Token ID
+   * @param {string} date - Day covered (YYYY-MM-DD)
+   * @returns {Promise<Object>} Updated token
+   */
+  static async use(id, date) {
+    const token = await db.get(STORE_NAME, id);
+    if (!token) {
+      throw new Error(t('errors.streakFreezeNotFound'));
+    }
+    if (token.usedOn !== null) {
+      throw new Error(t('errors.streakFreezeUsed'));
+    }
+
+    const updated = { ...token, usedOn: date };
+    await db.put(STORE_NAME, updated);
+    return updated;
+  }
+
+  /**
+   * Clear all tokens (for testing/reset)
+   * @returns {Promise<void>}
+   */
+  static async clear() {
+    await db.clear(STORE_NAME);
+  }
+}
+
+export { StreakFreezeModel };
+export default StreakFreezeModel;
@@ -7,7 +7,8 @@ import { db } from '../storage/db.js';
 import { ScoreModel } from '../models/score.js';
 import { CompletionModel } from '../models/completion.js';
 import { ActivityModel } from '../models/activity.js';
-import { getLocalDateString, subtractDays } from '../utils/date.js';
+import { StreakFreezeModel } from '../models/streak-freeze.js';
+import { getLocalDateString, subtractDays, getDateRange } from '../utils/date.js';
 import { t } from '../i18n/i18n.js';
 import {
   iconStar,
@@ -27,6 +28,16 @@ const STORE_NAME = 'achievements';
  */
 const MAX_STREAK_LOOKBACK_DAYS = 365;
 
+/**
+ * A streak freeze is earned every this many successful days in a row
+ */
+const STREAK_FREEZE_INTERVAL = 7;
+
+/**
+ * Most streak freezes that can be held at once
+ */
+const MAX_STREAK_FREEZES = 2;
+
 /**
  * Achievement definitions
  * Each achievement has: id, name, description, icon, type, and check function
@@ -216,75 +227,104 @@ async function unlock(id) {
 }
 
 /**
- * Get successful day streak (days where earned >= decay)
- * @returns {Promise<number>} Current streak count
+ * Check if a history record is neutral for streaks
+ * Paused, excused and frozen days neither break nor extend a streak.
+ * @param {Object|undefined} record - History record
+ * @returns {boolean}
  */
-async function getSuccessfulDayStreak() {
-  const history = await ScoreModel.getAllHistory();
-  if (history.length === 0) {
-    return 0;
-  }
+function isNeutralDay(record) {
+  return record?.paused === true || record?.excused === true || record?.frozen === true;
+}
 
-  // Sort by date descending
-  const sortedHistory = [...history].sort((a, b) => b.date.localeCompare(a.date));
+/**
+ * Check if a history record earned at least its day's decay
+ * The configured amount is checked as well as the decay charged, since a
+ * strategy can charge nothing for a missed day (a capped absence, a score at
+ * its floor) without that day counting as a success.
+ * @param {Object} record - History record
+ * @returns {boolean}
+ */
+function isSuccessfulDay(record) {
+  return record.earned >= Math.max(record.decay, record.decayRule?.amount ?? 0);
+}
 
+/**
+ * Get successful day streak (days where earned >= decay)
+ * Paused, excused and frozen days are neutral: they neither break nor extend
+ * the streak.
+ * @param {string} [endDate] - Last day of the streak (YYYY-MM-DD), defaults to today
+ * @returns {Promise<number>} Current streak count
+ */
+async function getSuccessfulDayStreak(endDate = getLocalDateString()) {
   let streak = 0;
-  const today = getLocalDateString();
-
-  // Start from today or most recent day
-  let checkDate = today;
-  let historyIndex = 0;
-
-  // Find the starting point
-  while (historyIndex < sortedHistory.length && sortedHistory[historyIndex].date > checkDate) {
-    historyIndex++;
-  }
-
-  while (historyIndex < sortedHistory.length) {
-    const record = sortedHistory[historyIndex];
+  let checkDate = endDate;
 
-    // If there's a gap in dates, streak is broken
+  // Walk back from the end date, reading only as far as the streak goes
+  await ScoreModel.walkHistoryBack(endDate, (record) => {
+    // Missed days have their own records; a gap only appears in history saved
+    // before they were recorded, and still breaks the streak
     if (record.date !== checkDate) {
-      break;
+      return false;
     }
 
-    // Check if this was a successful day (earned >= decay)
-    // Note: A day with 0 decay and 0 earned is considered successful (first day or no decay set)
-    if (record.earned >= record.decay) {
+    // Paused and excused days neither break nor extend the streak
+    if (!isNeutralDay(record)) {
+      // Note: A day with 0 decay and 0 earned is considered successful (first day or no decay set)
+      if (!isSuccessfulDay(record)) {
+        return false; // Streak broken
+      }
       streak++;
-    } else {
-      break; // Streak broken
     }
 
     // Move to previous day
     checkDate = subtractDays(checkDate, 1);
-    historyIndex++;
-  }
+    return true;
+  });
 
   return streak;
 }
 
 /**
  * Get perfect day streak (all activities completed for consecutive days)
+ * Bad habits are not part of a perfect day. Only activities required on a
+ * day are, and days with nothing required neither extend nor break the
+ * streak, nor do paused, excused or frozen days. Weekly quota activities are
+ * required on the days that are left once the quota can't be met otherwise.
  * @returns {Promise<number>} Current perfect day streak
  */
 async function getPerfectDayStreak() {
-  const activities = await ActivityModel.getAll();
+  const allActivities = await ActivityModel.getAll();
+  const activities = allActivities.filter((a) => !ActivityModel.isBadHabit(a));
 
   // If no activities exist, can't have perfect days
   if (activities.length === 0) {
     return 0;
   }
 
-  const activityIds = activities.map((a) => a.id);
   const today = getLocalDateString();
+  const history = await ScoreModel.getHistoryRange(
+    subtractDays(today, MAX_STREAK_LOOKBACK_DAYS),
+    today
+  );
+  const neutralDates = new Set(history.filter(isNeutralDay).map((h) => h.date));
 
   let streak = 0;
   let checkDate = today;
 
   // Check each day going backwards
   for (let i = 0; i < MAX_STREAK_LOOKBACK_DAYS; i++) {
-    const allCompleted = await CompletionModel.allCompleted(checkDate, activityIds);
+    const required = neutralDates.has(checkDate)
+      ? []
+      : await ActivityModel.getRequiredOn(checkDate, activities);
+    if (required.length === 0) {
+      checkDate = subtractDays(checkDate, 1);
+      continue;
+    }
+
+    const allCompleted = await CompletionModel.allCompleted(
+      checkDate,
+      required.map((a) => a.id)
+    );
 
     if (allCompleted) {
       streak++;
@@ -299,13 +339,117 @@ async function getPerfectDayStreak() {
   return streak;
 }
 
+/**
+ * Check if a history record is a missed or failed day that breaks a streak
+ * @param {Object|undefined} record - History record
+ * @returns {boolean}
+ */
+function isFailedDay(record) {
+  return record !== undefined && !isNeutralDay(record) && !isSuccessfulDay(record);
+}
+
+/**
+ * Get the streak freeze tokens held and used
+ * @returns {Promise<{available: number, used: Array, max: number, interval: number}>}
+ *   Tokens ready to use, used tokens (most recent first) and the earning rules
+ */
+async function getStreakFreezeStatus() {
+  const available = await StreakFreezeModel.getAvailable();
+  const used = await StreakFreezeModel.getUsed();
+  return {
+    available: available.length,
+    used: used.reverse(),
+    max: MAX_STREAK_FREEZES,
+    interval: STREAK_FREEZE_INTERVAL,
+  };
+}
+
+/**
+ * Award a streak freeze if a day completed a streak milestone
+ * A token is earned every STREAK_FREEZE_INTERVAL successful days in a row,
+ * up to MAX_STREAK_FREEZES held at once.
+ * @param {string} date - Completed day (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Earned token, or null
+ */
+async function awardStreakFreeze(date) {
+  const record = await ScoreModel.getHistoryByDate(date);
+  if (!record || isNeutralDay(record) || !isSuccessfulDay(record)) {
+    return null;
+  }
+
+  const streak = await getSuccessfulDayStreak(date);
+  if (streak === 0 || streak % STREAK_FREEZE_INTERVAL !== 0) {
+    return null;
+  }
+
+  const tokens = await StreakFreezeModel.getAll();
+  const available = tokens.filter((token) => token.usedOn === null);
+  if (available.length >= MAX_STREAK_FREEZES || tokens.some((token) => token.earnedOn === date)) {
+    return null;
+  }
+
+  return StreakFreezeModel.create({ earnedOn: date, streak });
+}
+
+/**
+ * Use streak freezes on the missed or failed days among the given days
+ * Tokens are only used when there is a streak to keep and enough of them to
+ * cover every failed day; a streak that breaks anyway gains nothing from them.
+ * @param {string[]} dates - Completed days (YYYY-MM-DD) in order
+ * @returns {Promise<string[]>} Days covered by a token
+ */
+async function useStreakFreezes(dates) {
+  const history = await ScoreModel.getHistoryRange(dates[0], dates[dates.length - 1]);
+  const failedDates = history.filter(isFailedDay).map((record) => record.date);
+  if (failedDates.length === 0) {
+    return [];
+  }
+
+  const available = await StreakFreezeModel.getAvailable();
+  if (available.length < failedDates.length) {
+    return [];
+  }
+  if ((await getSuccessfulDayStreak(subtractDays(failedDates[0], 1))) === 0) {
+    return [];
+  }
+
+  for (const [index, date] of failedDates.entries()) {
+    await StreakFreezeModel.use(available[index].id, date);
+    await ScoreModel.markFrozen(date);
+  }
+  return failedDates;
+}
+
+/**
+ * Earn and use streak freezes for the days completed since the app was last opened
+ * Called by the day-rollover logic once decay has been charged. The last
+ * active day can earn a token, which can then cover a failed day right after it.
+ * @param {string} lastActiveDate - Last day the app was opened (YYYY-MM-DD)
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Promise<{earned: Object|null, frozenDates: string[]}>} Token earned and
+ *   days covered by a token
+ */
+async function updateStreakFreezes(lastActiveDate, today) {
+  const earned = await awardStreakFreeze(lastActiveDate);
+  const frozenDates = await useStreakFreezes(getDateRange(lastActiveDate, subtractDays(today, 1)));
+  return { earned, frozenDates };
+}
+
 /**
  * Get total completion count
+ * Logged bad habits are not counted as completed activities, and a counter
+ * activity counts once per day no matter how many units were logged.
+ * Whether a completion was a bad habit comes from the points it was logged with.
  * @returns {Promise<number>}
  */
 async function getTotalCompletionCount() {
   const completions = await CompletionModel.getAll();
-  return completions.length;
+  const activities = await ActivityModel.getAllIncludingArchived();
+  const activityPoints = new Map(activities.map((a) => [a.id, a.points]));
+  return completions.filter((c) => {
+    const points = c.points ?? activityPoints.get(c.activityId);
+    return !(points < 0);
+  }).length;
 }
 
 /**
@@ -472,6 +616,8 @@ export {
   unlock,
   getSuccessfulDayStreak,
   getPerfectDayStreak,
+  getStreakFreezeStatus,
+  updateStreakFreezes,
   getTotalCompletionCount,
   checkRecoveryCondition,
   checkForNewAchievements,
@@ -0,0 +1,83 @@
+/**
+ * Backup Service for YourScore
+ * Takes the daily snapshot and restores or downloads saved snapshots.
+ * Snapshots before imports and resets are taken by the export service.
+ */
+
+import { BackupModel } from '../models/backup.js';
+import { exportToJSON, importFromJSON, downloadFile } from './export.js';
+import { withLock } from './sync.js';
+import { getLocalDateString } from '../utils/date.js';
+import { t } from '../i18n/i18n.js';
+
+/**
+ * Take today's snapshot unless one was already taken
+ * Nothing is saved while there are no activities yet. Runs under a lock so
+ * tabs opened together take a single snapshot.
+ * @returns {Promise<Object|null>} Created snapshot, or null when none was needed
+ */
+async function createDailyBackup() {
+  return withLock('backup', async () => {
+    const latest = await BackupModel.getLatest('daily');
+    if (latest?.date === getLocalDateString()) {
+      return null;
+    }
+
+    const data = await exportToJSON();
+    if (data.data.activities.length === 0) {
+      return null;
+    }
+    return BackupModel.create('daily', data);
+  });
+}
+
+/**
+ * Get all snapshots, newest first
+ * @returns {Promise<Array>}
+ */
+async function getBackups() {
+  return BackupModel.getAll();
+}
+
+/**
+ * Get a snapshot, failing when it no longer exists
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<Object>}
+ */
+async function getBackup(id) {
+  const backup = await BackupModel.get(id);
+  if (!backup) {
+    throw new Error(t('errors.backupNotFound'));
+  }
+  return backup;
+}
+
+/**
+ * Replace all data with a snapshot's
+ * The current data is saved as a snapshot first, so a restore can be undone.
+ * @param {string} id - Snapshot ID
+ * @param {Object} [options]
+ * @param {boolean} [options.backup=true] - Save a snapshot of the current data first
+ * @returns {Promise<Object>} Import result, as from importFromJSON()
+ */
+async function restoreBackup(id, options = {}) {
+  const backup = await getBackup(id);
+  return importFromJSON(BackupModel.getData(backup), {
+    merge: false,
+    backupReason: 'restore',
+    backup: options.backup,
+  });
+}
+
+/**
+ * Download a snapshot as a JSON file, the same as a manual export
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<void>}
+ */
+async function downloadBackup(id) {
+  const backup = await getBackup(id);
+  const filename = t('export.filenameBackup', { date: backup.date });
+  downloadFile(backup.json, filename, 'application/json');
+}
+
+export { createDailyBackup, getBackups, restoreBackup, downloadBackup };
@@ -0,0 +1,487 @@
+/**
+ * CSV Service for YourScore
+ * Writes completions, score history and activities as CSV, and reads
+ * completions and activities back in
+ *
+ * A dialect sets the delimiter and the header row: column names in the
+ * current language, for reading in a spreadsheet, or stable column keys that
+ * are the same in every language. Reading accepts either, in any supported
+ * language, and takes the delimiter from the header row. Activities and
+ * categories are referred to by name, as a spreadsheet shows them, so rows
+ * read back become records with new IDs for an import to match up by name.
+ */
+
+import { generateId } from '../storage/db.js';
+import { ACTIVITY_TYPES } from '../models/activity.js';
+import { UNCATEGORIZED_ID } from '../models/category.js';
+import { CompletionModel } from '../models/completion.js';
+import { getTimestamp, isValidDateString } from '../utils/date.js';
+import { t, tAllLocales } from '../i18n/i18n.js';
+
+const CSV_DELIMITERS = [',', ';'];
+const CSV_HEADERS = ['localized', 'keys'];
+const DEFAULT_CSV_DIALECT = { delimiter: ',', headers: 'localized' };
+
+/**
+ * Columns of each table, by stable key
+ */
+const CSV_COLUMNS = {
+  completions: ['date', 'activity', 'category', 'points', 'completedAt', 'count'],
+  scoreHistory: ['date', 'score', 'earned', 'decay', 'paused', 'excused', 'frozen'],
+  activities: ['name', 'category', 'points', 'type', 'dailyMax', 'archived'],
+};
+
+/**
+ * Columns each table that can be read needs; the score history is left out,
+ * as it is recalculated from the completions
+ */
+const CSV_REQUIRED = {
+  completions: ['date', 'activity', 'points'],
+  activities: ['name', 'points'],
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PATTERN = /^\s*[=+\-@\t\r]/;
+
+function normalizeName(name) {
+  return name.trim().toLocaleLowerCase();
+}
+
+/**
+ * Get a valid dialect, with defaults for anything missing or unknown
+ * @param {Object} [dialect] - Dialect { delimiter, headers }
+ * @returns {Object} Dialect { delimiter: ',' | ';', headers: 'localized' | 'keys' }
+ */
+function normalizeCSVDialect(dialect) {
+  return {
+    delimiter: CSV_DELIMITERS.includes(dialect?.delimiter)
+      ? dialect.delimiter
+      : DEFAULT_CSV_DIALECT.delimiter,
+    headers: CSV_HEADERS.includes(dialect?.headers) ? dialect.headers : DEFAULT_CSV_DIALECT.headers,
+  };
+}
+
+/**
+ * Escape a field for CSV (handle delimiters, quotes, newlines)
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} field - Field value
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {string} Escaped field
+ */
+function escapeCSVField(field, delimiter = ',') {
+  if (field === null || field === undefined) {
+    return '';
+  }
+  let str = String(field);
+  if (typeof field === 'string' && FORMULA_PATTERN.test(str)) {
+    str = `'${str}`;
+  }
+  if (str.includes(delimiter) || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Get the name a category is written with
+ * With stable keys, Uncategorized is left empty, as its name is translated.
+ */
+function getCategoryName(categoryId, name, dialect) {
+  if (dialect.headers === 'keys' && (categoryId === UNCATEGORIZED_ID || name === undefined)) {
+    return '';
+  }
+  return name ?? t('common.uncategorized');
+}
+
+/**
+ * Row builders for each table, given the records by store name
+ */
+const rowBuilders = {
+  // Newest first
+  completions(data, dialect) {
+    const activityMap = new Map(data.activities.map((a) => [a.id, a]));
+    const categoryMap = new Map(data.categories.map((c) => [c.id, c]));
+
+    return [...data.completions]
+      .sort((a, b) => b.date.localeCompare(a.date) || b.completedAt.localeCompare(a.completedAt))
+      .map((completion) => {
+        // Prefer the values recorded on the completion over the activity's current ones
+        const activity = activityMap.get(completion.activityId);
+        const categoryId = completion.categoryId ?? activity?.categoryId;
+        return [
+          completion.date,
+          completion.activityName ?? activity?.name ?? t('common.unknown'),
+          getCategoryName(
+            categoryId,
+            completion.categoryName ?? categoryMap.get(categoryId)?.name,
+            dialect
+          ),
+          CompletionModel.getAwardedPoints(completion, activity?.points ?? 0),
+          completion.completedAt,
+          completion.count || 1,
+        ];
+      });
+  },
+
+  // Newest first
+  scoreHistory(data) {
+    return [...data.scoreHistory]
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .map((record) => [
+        record.date,
+        record.score,
+        record.earned,
+        record.decay,
+        Boolean(record.paused),
+        Boolean(record.excused),
+        Boolean(record.frozen),
+      ]);
+  },
+
+  // In the order the activities view shows them
+  activities(data, dialect) {
+    const categoryMap = new Map(data.categories.map((c) => [c.id, c]));
+    const categoryOrder = (activity) => categoryMap.get(activity.categoryId)?.order ?? Infinity;
+
+    return [...data.activities]
+      .sort((a, b) => categoryOrder(a) - categoryOrder(b) || (a.order ?? 0) - (b.order ?? 0))
+      .map((activity) => [
+        activity.name,
+        getCategoryName(activity.categoryId, categoryMap.get(activity.categoryId)?.name, dialect),
+        activity.points,
+        activity.type || 'check',
+        activity.dailyMax ?? null,
+        Boolean(activity.archived),
+      ]);
+  },
+};
+
+/**
+ * Write a table as CSV
+ * @param {string} table - 'completions', 'scoreHistory' or 'activities'
+ * @param {Object} data - Records by store name, with at least completions,
+ *   scoreHistory, activities and categories
+ * @param {Object} [dialect] - Dialect { delimiter, headers }
+ * @returns {string} CSV string
+ */
+function formatCSVTable(table, data, dialect) {
+  const { delimiter, headers } = normalizeCSVDialect(dialect);
+  const header = CSV_COLUMNS[table].map((column) =>
+    headers === 'keys' ? column : t(`export.csvColumns.${column}`)
+  );
+  const rows = rowBuilders[table](data, { delimiter, headers });
+
+  return [header, ...rows]
+    .map((row) => row.map((field) => escapeCSVField(field, delimiter)).join(delimiter))
+    .join('\n');
+}
+
+/**
+ * Split CSV text into rows of fields
+ * Quoted fields may hold the delimiter, quotes ("") and line breaks. A byte
+ * order mark and empty lines are skipped.
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCSV(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  endRow();
+
+  return rows;
+}
+
+/**
+ * Find the delimiter from the header row
+ * @param {string} text - CSV text
+ * @returns {string} The delimiter the header row uses most, or a comma
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = CSV_DELIMITERS.map((delimiter) => header.split(delimiter).length);
+  return CSV_DELIMITERS[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * Map each name a column can have, as a key or in any language, to its key
+ * @returns {Map<string, string>}
+ */
+function getColumnNames() {
+  const names = new Map();
+  for (const column of new Set(Object.values(CSV_COLUMNS).flat())) {
+    names.set(normalizeName(column), column);
+    for (const label of tAllLocales(`export.csvColumns.${column}`)) {
+      names.set(normalizeName(label), column);
+    }
+  }
+  return names;
+}
+
+/**
+ * Reads the values of one row, noting each invalid value once, and notes
+ * other problems with the row under its number
+ */
+function createRowReader(fields, row, delimiter, errors) {
+  const fail = (key, params) => {
+    errors.push(t(key, { ...params, row }));
+    return null;
+  };
+  const invalid = (column) => fail('errors.csvInvalidValue', { column });
+
+  return {
+    text(column) {
+      const value = (fields[column] ?? '').trim();
+      // Undo the quote put before text that looks like a formula
+      return /^'\s*[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+    },
+    number(column, fallback) {
+      const value = (fields[column] ?? '').trim();
+      if (value === '' && fallback !== undefined) {
+        return fallback;
+      }
+      // Spreadsheets using semicolons write decimal commas
+      const number = Number(delimiter === ';' ? value.replace(',', '.') : value);
+      return value !== '' && Number.isFinite(number) ? number : invalid(column);
+    },
+    boolean(column) {
+      const value = (fields[column] ?? '').trim().toLowerCase();
+      if (value === '' || value === 'false' || value === '0') {
+        return false;
+      }
+      return value === 'true' || value === '1' ? true : invalid(column);
+    },
+    invalid,
+    fail,
+  };
+}
+
+/**
+ * Find or add the category and activity a row refers to by name
+ * Activities with the same name in different categories are different ones.
+ * The first row that names an activity sets its points and type; in an export
+ * of completions that is the newest one.
+ */
+function createNameIndex() {
+  const createdAt = getTimestamp();
+  const uncategorizedNames = new Set(tAllLocales('common.uncategorized').map(normalizeName));
+  const categories = new Map();
+  const activities = new Map();
+
+  const getCategory = (name) => {
+    if (!name || uncategorizedNames.has(normalizeName(name))) {
+      return { id: UNCATEGORIZED_ID, name: t('common.uncategorized') };
+    }
+    const key = normalizeName(name);
+    if (!categories.has(key)) {
+      categories.set(key, { id: generateId(), name, order: categories.size, createdAt });
+    }
+    return categories.get(key);
+  };
+
+  return {
+    getActivity(name, categoryName, fields) {
+      const category = getCategory(categoryName);
+      const key = `${category.id}|${normalizeName(name)}`;
+      if (!activities.has(key)) {
+        activities.set(key, {
+          id: generateId(),
+          name,
+          categoryId: category.id,
+          order: [...activities.values()].filter((a) => a.categoryId === category.id).length,
+          archived: false,
+          createdAt,
+          type: 'check',
+          dailyMax: null,
+          schedule: { type: 'daily' },
+          ...fields,
+        });
+      }
+      return { activity: activities.get(key), category };
+    },
+    get categories() {
+      return [...categories.values()];
+    },
+    get activities() {
+      return [...activities.values()];
+    },
+  };
+}
+
+/**
+ * Record builders for each table that can be read, given the rows by column
+ * key; each returns the records by store name
+ */
+const recordBuilders = {
+  completions(rows, index) {
+    const completions = [];
+    for (const { read } of rows) {
+      const date = read.text('date');
+      const name = read.text('activity');
+      const points = read.number('points');
+      const count = read.number('count', 1);
+      const validCount = Number.isInteger(count) && count >= 1;
+      if (!isValidDateString(date)) {
+        read.invalid('date');
+      }
+      if (!name) {
+        read.invalid('activity');
+      }
+      if (count !== null && !validCount) {
+        read.invalid('count');
+      }
+      if (!isValidDateString(date) || !name || points === null || !validCount) {
+        continue;
+      }
+
+      // The points column holds the points awarded, for every time it was logged
+      const unitPoints = points / count;
+      if (!Number.isInteger(unitPoints)) {
+        if (count === 1) {
+          read.invalid('points');
+        } else {
+          read.fail('errors.csvUnevenPoints', { points, count });
+        }
+        continue;
+      }
+      const { activity, category } = index.getActivity(name, read.text('category'), {
+        points: unitPoints,
+      });
+      if (count > 1) {
+        activity.type = 'counter';
+      }
+      completions.push({
+        id: generateId(),
+        activityId: activity.id,
+        date,
+        completedAt: read.text('completedAt') || `${date}T12:00:00.000Z`,
+        count,
+        points: unitPoints,
+        activityName: activity.name,
+        categoryId: category.id,
+        categoryName: category.name,
+      });
+    }
+    return { categories: index.categories, activities: index.activities, completions };
+  },
+
+  activities(rows, index) {
+    for (const { read } of rows) {
+      const name = read.text('name');
+      const points = read.number('points');
+      const type = read.text('type') || 'check';
+      const dailyMax = read.number('dailyMax', null);
+      const archived = read.boolean('archived');
+      if (!name) {
+        read.invalid('name');
+      }
+      if (!ACTIVITY_TYPES.includes(type)) {
+        read.invalid('type');
+      }
+      if (dailyMax !== null && !(Number.isInteger(dailyMax) && dailyMax > 0)) {
+        read.invalid('dailyMax');
+      }
+      if (!name || points === null || !ACTIVITY_TYPES.includes(type) || archived === null) {
+        continue;
+      }
+
+      index.getActivity(name, read.text('category'), {
+        points,
+        type,
+        dailyMax: type === 'counter' && dailyMax > 0 ? dailyMax : null,
+        archived,
+      });
+    }
+    return { categories: index.categories, activities: index.activities };
+  },
+};
+
+/**
+ * Read completions or activities from CSV
+ * The table is told by its columns. Fails with a localized message for each
+ * row that can't be read, by its row number counting the header as row 1.
+ * @param {string} text - CSV text, as written by formatCSVTable() or a spreadsheet
+ * @returns {Object} Result { success: boolean, table: string|null, data: Object|null,
+ *   errors: string[] } where data holds the records by store name
+ */
+function readCSVTable(text) {
+  const delimiter = detectDelimiter(text);
+  const [header, ...lines] = parseCSV(text, delimiter);
+  if (!header) {
+    return { success: false, table: null, data: null, errors: [t('errors.csvEmpty')] };
+  }
+
+  const names = getColumnNames();
+  const columns = header.map((name) => names.get(normalizeName(name)));
+  const table = Object.keys(CSV_REQUIRED).find((name) =>
+    CSV_REQUIRED[name].every((column) => columns.includes(column))
+  );
+  if (!table) {
+    return { success: false, table: null, data: null, errors: [t('errors.csvUnknownTable')] };
+  }
+
+  const errors = [];
+  const rows = lines.map((line, lineIndex) => {
+    const fields = {};
+    columns.forEach((column, i) => {
+      if (column && fields[column] === undefined) {
+        fields[column] = line[i];
+      }
+    });
+    return { read: createRowReader(fields, lineIndex + 2, delimiter, errors) };
+  });
+  const data = recordBuilders[table](rows, createNameIndex());
+
+  return errors.length > 0
+    ? { success: false, table, data: null, errors }
+    : { success: true, table, data, errors: [] };
+}
+
+export {
+  formatCSVTable,
+  readCSVTable,
+  parseCSV,
+  escapeCSVField,
+  normalizeCSVDialect,
+  CSV_COLUMNS,
+  CSV_DELIMITERS,
+  CSV_HEADERS,
+  DEFAULT_CSV_DIALECT,
+};
@@ -5,11 +5,27 @@
 
 import { SettingsModel } from '../models/settings.js';
 import { ScoreModel } from '../models/score.js';
-import { getLocalDateString, daysSinceLastActive } from '../utils/date.js';
+import { PauseModel } from '../models/pause.js';
+import { updateStreakFreezes } from './achievements.js';
+import { withLock } from './sync.js';
+import {
+  getLocalDateString,
+  getDateDaysFromNow,
+  daysSinceLastActive,
+  getDateRange,
+  setDayStartHour,
+} from '../utils/date.js';
+import {
+  DEFAULT_DECAY_STRATEGY,
+  isValidDecayStrategy,
+  normalizeDecayStrategy,
+  getDecaySettingsOn,
+  planDecay,
+} from '../utils/decay-strategies.js';
 import { t, tPlural, formatNumber } from '../i18n/i18n.js';
 
 /**
- * Calculate decay for missed days
+ * Calculate flat decay for missed days
  * @param {number} daysAway - Number of days since last active
  * @param {number} decayAmount - Daily decay amount
  * @returns {number} Total decay to apply
@@ -21,12 +37,54 @@ function calculateDecay(daysAway, decayAmount) {
   return daysAway * decayAmount;
 }
 
+/**
+ * Work out the decay owed for the days since the app was last opened
+ * Uses the decay amount and strategy logged for each day and the score
+ * history leading up to the absence. Paused days are charged nothing.
+ * @param {string} lastActiveDate - Last active date (YYYY-MM-DD)
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Promise<Array<{date: string, decay: number, decayRule?: Object, paused?: boolean}>>}
+ *   One charge per day
+ */
+async function planDecaySince(lastActiveDate, today) {
+  const dates = getDateRange(lastActiveDate, today).slice(1);
+  if (dates.length === 0) {
+    return [];
+  }
+
+  const current = {
+    amount: await SettingsModel.getDecayAmount(),
+    strategy: await SettingsModel.getDecayStrategy(),
+  };
+  const decayHistory = await SettingsModel.getDecayHistory();
+  const history = (await ScoreModel.getAllHistory()).filter((h) => h.date < dates[0]);
+  const pauses = await PauseModel.getAll();
+
+  return planDecay(dates, {
+    score: await ScoreModel.getScore(),
+    history,
+    getSettings: (date) => getDecaySettingsOn(decayHistory, date, current),
+    isPaused: (date) => PauseModel.findOn(pauses, date) !== undefined,
+  });
+}
+
+function sumDecay(charges) {
+  return charges.reduce((total, charge) => total + charge.decay, 0);
+}
+
 /**
  * Check and apply decay if needed
- * This is the main entry point called when the app opens
+ * This is the main entry point called when the app opens. The check runs under
+ * a lock shared by all open tabs, so when several tabs check at once only the
+ * first applies decay and the others find the day already processed.
  * @returns {Promise<Object>} Decay result with details
  */
 async function checkAndApplyDecay() {
+  return withLock('decay', runDecayCheck);
+}
+
+async function runDecayCheck() {
+  setDayStartHour(await SettingsModel.getDayStartHour());
   const today = getLocalDateString();
 
   // Initialize settings for new users
@@ -43,7 +101,7 @@ async function checkAndApplyDecay() {
   }
 
   const settings = await SettingsModel.getAll();
-  const { firstUseDate, lastActiveDate, decayAmount } = settings;
+  const { firstUseDate, lastActiveDate } = settings;
 
   // Check if this is the first day (no decay on first day)
   if (today === firstUseDate) {
@@ -72,7 +130,8 @@ async function checkAndApplyDecay() {
   const daysAway = daysSinceLastActive(lastActiveDate, today);
 
   if (daysAway <= 0) {
-    await SettingsModel.setLastActiveDate(today);
+    // The clock or the day-start hour moved back; keep the later last active
+    // date so the days up to it are not charged twice
     return {
       applied: false,
       decay: 0,
@@ -82,41 +141,86 @@ async function checkAndApplyDecay() {
     };
   }
 
-  // Calculate and apply decay
-  const totalDecay = calculateDecay(daysAway, decayAmount);
+  // Calculate and apply decay, recording each missed day and today separately
+  const charges = await planDecaySince(lastActiveDate, today);
+  const totalDecay = sumDecay(charges);
+  const pausedDays = charges.filter((charge) => charge.paused).length;
   const previousScore = await ScoreModel.getScore();
-  const newScore = await ScoreModel.subtractPoints(totalDecay);
+  const newScore = await ScoreModel.applyDailyDecay(charges);
+  const streakFreezes = await updateStreakFreezes(lastActiveDate, today);
 
   // Update last active date
   await SettingsModel.setLastActiveDate(today);
 
-  // Record in today's history
-  await ScoreModel.updateTodayHistory({
-    decay: totalDecay,
-    score: newScore,
-  });
-
   return {
     applied: true,
     decay: totalDecay,
     daysAway: daysAway,
+    pausedDays: pausedDays,
     isFirstDay: false,
     previousScore: previousScore,
     newScore: newScore,
-    message:
-      daysAway === 1
-        ? t('decay.appliedSingle', {
-            points: formatNumber(totalDecay),
-            pointsLabel: tPlural('units.pointsLong', totalDecay),
-          })
-        : t('decay.appliedMultiple', {
-            days: formatNumber(daysAway),
-            points: formatNumber(totalDecay),
-            pointsLabel: tPlural('units.pointsLong', totalDecay),
-          }),
+    streakFreezeEarned: streakFreezes.earned !== null,
+    frozenDays: streakFreezes.frozenDates.length,
+    message: [
+      getAppliedMessage(daysAway, pausedDays, totalDecay),
+      getStreakFreezeMessage(streakFreezes),
+    ]
+      .filter(Boolean)
+      .join(' '),
   };
 }
 
+/**
+ * Describe the streak freezes earned and used on opening the app
+ * @param {Object} streakFreezes - Result of updateStreakFreezes()
+ * @returns {string} Message, or an empty string if nothing happened
+ */
+function getStreakFreezeMessage({ earned, frozenDates }) {
+  const messages = [];
+  if (earned) {
+    messages.push(t('decay.streakFreezeEarned', { days: formatNumber(earned.streak) }));
+  }
+  if (frozenDates.length > 0) {
+    messages.push(
+      tPlural('decay.streakFreezesUsed', frozenDates.length, {
+        count: formatNumber(frozenDates.length),
+      })
+    );
+  }
+  return messages.join(' ');
+}
+
+/**
+ * Describe the decay charged on opening the app
+ * @param {number} daysAway - Days since last active
+ * @param {number} pausedDays - How many of those days were paused
+ * @param {number} totalDecay - Decay charged
+ * @returns {string}
+ */
+function getAppliedMessage(daysAway, pausedDays, totalDecay) {
+  if (pausedDays === daysAway) {
+    return tPlural('decay.paused', pausedDays, { count: formatNumber(pausedDays) });
+  }
+
+  const message =
+    daysAway === 1
+      ? t('decay.appliedSingle', {
+          points: formatNumber(totalDecay),
+          pointsLabel: tPlural('units.pointsLong', totalDecay),
+        })
+      : t('decay.appliedMultiple', {
+          days: formatNumber(daysAway),
+          points: formatNumber(totalDecay),
+          pointsLabel: tPlural('units.pointsLong', totalDecay),
+        });
+
+  if (pausedDays === 0) {
+    return message;
+  }
+  return `${message} ${tPlural('decay.pausedDaysSkipped', pausedDays, { count: formatNumber(pausedDays) })}`;
+}
+
 /**
  * Preview decay without applying it
  * @returns {Promise<Object>} Preview of what decay would be applied
@@ -125,7 +229,7 @@ async function previewDecay() {
   const today = getLocalDateString();
   const settings = await SettingsModel.getAll();
 
-  const { firstUseDate, lastActiveDate, decayAmount } = settings;
+  const { firstUseDate, lastActiveDate } = settings;
 
   // New user or first day
   if (!firstUseDate || today === firstUseDate) {
@@ -148,7 +252,7 @@ async function previewDecay() {
   }
 
   const daysAway = daysSinceLastActive(lastActiveDate, today);
-  const totalDecay = calculateDecay(daysAway, decayAmount);
+  const totalDecay = daysAway > 0 ? sumDecay(await planDecaySince(lastActiveDate, today)) : 0;
 
   return {
     wouldApply: daysAway > 0,
@@ -181,6 +285,48 @@ async function setDecayAmount(amount) {
   await SettingsModel.setDecayAmount(amount);
 }
 
+/**
+ * Get the decay strategy
+ * @returns {Promise<Object>}
+ */
+async function getDecayStrategy() {
+  return SettingsModel.getDecayStrategy();
+}
+
+/**
+ * Set the decay strategy
+ * @param {Object} strategy - Decay strategy
+ * @returns {Promise<void>}
+ */
+async function setDecayStrategy(strategy) {
+  if (!isValidDecayStrategy(strategy)) {
+    throw new Error(t('errors.decayStrategyInvalid'));
+  }
+  await SettingsModel.setDecayStrategy(normalizeDecayStrategy(strategy));
+}
+
+/**
+ * Describe how a day's decay was worked out
+ * @param {Object} decayRule - Rule recorded on a history record
+ * @returns {string} Localized description
+ */
+function describeDecayRule(decayRule) {
+  const rule = { ...DEFAULT_DECAY_STRATEGY, ...decayRule };
+  const params = {
+    amount: formatNumber(rule.amount ?? 0),
+    percent: formatNumber(rule.percent ?? 0),
+    step: formatNumber(rule.step ?? 0),
+    max: formatNumber(rule.maxPerAbsence ?? 0),
+    days: formatNumber(rule.failedDays ?? 0),
+  };
+  const description = t(`decay.rules.${rule.type}`, params);
+
+  if (rule.floor === undefined || rule.floor === null) {
+    return description;
+  }
+  return t('decay.rules.withFloor', { rule: description, floor: formatNumber(rule.floor) });
+}
+
 /**
  * Check if user has "broken even" today
  * (earned enough to offset today's decay)
@@ -210,22 +356,29 @@ async function getSurplusPoints() {
 }
 
 /**
- * Simulate decay for multiple days (for testing/preview)
+ * Simulate decay for multiple days away (for testing/preview)
  * @param {number} currentScore - Starting score
  * @param {number} decayAmount - Daily decay amount
  * @param {number} days - Number of days to simulate
- * @returns {Object} Simulation result
+ * @param {Object} [strategy] - Decay strategy, flat by default
+ * @returns {Object} Simulation result, including the decay charged on each day
  */
-function simulateDecay(currentScore, decayAmount, days) {
-  const totalDecay = calculateDecay(days, decayAmount);
-  const finalScore = currentScore - totalDecay;
+function simulateDecay(currentScore, decayAmount, days, strategy = DEFAULT_DECAY_STRATEGY) {
+  const today = getLocalDateString();
+  const dates = days > 0 ? getDateRange(today, getDateDaysFromNow(days)).slice(1) : [];
+  const charges = planDecay(dates, {
+    score: currentScore,
+    getSettings: () => ({ amount: decayAmount, strategy }),
+  });
+  const totalDecay = sumDecay(charges);
 
   return {
     startingScore: currentScore,
     decayPerDay: decayAmount,
     days: days,
+    dailyDecay: charges.map((charge) => charge.decay),
     totalDecay: totalDecay,
-    finalScore: finalScore,
+    finalScore: currentScore - totalDecay,
   };
 }
 
@@ -251,6 +404,18 @@ class DecayService {
     return setDecayAmount(amount);
   }
 
+  static async getDecayStrategy() {
+    return getDecayStrategy();
+  }
+
+  static async setDecayStrategy(strategy) {
+    return setDecayStrategy(strategy);
+  }
+
+  static describeDecayRule(decayRule) {
+    return describeDecayRule(decayRule);
+  }
+
   static async hasBrokenEvenToday() {
     return hasBrokenEvenToday();
   }
@@ -263,8 +428,8 @@ class DecayService {
     return getSurplusPoints();
   }
 
-  static simulateDecay(currentScore, decayAmount, days) {
-    return simulateDecay(currentScore, decayAmount, days);
+  static simulateDecay(currentScore, decayAmount, days, strategy) {
+    return simulateDecay(currentScore, decayAmount, days, strategy);
   }
 }
 
@@ -275,6 +440,9 @@ export {
   previewDecay,
   getDecayAmount,
   setDecayAmount,
+  getDecayStrategy,
+  setDecayStrategy,
+  describeDecayRule,
   hasBrokenEvenToday,
   getPointsToBreakEven,
   getSurplusPoints,
@@ -0,0 +1,139 @@
+/**
+ * Export Upgrades for YourScore
+ * Brings exported files from older releases up to the current export format
+ *
+ * These are separate from the database migrations: a migration changes the
+ * records already stored on a device, while an upgrader changes a file, which
+ * may have been written by any earlier release. Each upgrader takes the records
+ * of an export, by store name, from the version before its key to that
+ * version. Upgraders run in sequence, so every version only needs to know
+ * about the one before it.
+ */
+
+import { t } from '../i18n/i18n.js';
+
+/**
+ * Upgrader definitions
+ * Each key is the version an upgrader produces; it is given the records of an
+ * export at the version before and returns new records without changing them.
+ * Records are not validated yet, so upgraders skip anything malformed and
+ * leave it for validation to report.
+ */
+const upgraders = {
+  /**
+   * Version 2: Every record carries the fields added since the first release
+   * Version 1 files were written by every release before this one, so fields
+   * may be missing depending on when the file was made: activities without a
+   * type, daily maximum or schedule, completions without a count or the
+   * points, name and category they were logged with, and pauses and streak
+   * freezes without their end date or use date. Missing snapshots are filled
+   * in from the activities in the file, as database migration 4 does.
+   */
+  2: (data) => {
+    const activities = mapRecords(data.activities, (activity) => {
+      const type = activity.type ?? 'check';
+      return {
+        ...activity,
+        type,
+        dailyMax: type === 'counter' ? (activity.dailyMax ?? null) : null,
+        schedule: activity.schedule ?? { type: 'daily' },
+      };
+    });
+    const activityMap = new Map(recordsOf(activities).map((activity) => [activity.id, activity]));
+    const categoryMap = new Map(
+      recordsOf(data.categories).map((category) => [category.id, category])
+    );
+
+    return {
+      ...data,
+      activities,
+      completions: mapRecords(data.completions, (completion) => {
+        const upgraded = { ...completion, count: completion.count ?? 1 };
+        const activity = activityMap.get(completion.activityId);
+        if (activity && completion.points === undefined) {
+          const categoryId = activity.categoryId || 'uncategorized';
+          const category = categoryMap.get(categoryId);
+          Object.assign(upgraded, {
+            points: activity.points,
+            activityName: activity.name,
+            categoryId,
+            ...(category && { categoryName: category.name }),
+          });
+        }
+        return upgraded;
+      }),
+      pauses: mapRecords(data.pauses, (pause) => ({ ...pause, endDate: pause.endDate ?? null })),
+      streakFreezes: mapRecords(data.streakFreezes, (token) => ({
+        ...token,
+        usedOn: token.usedOn ?? null,
+      })),
+    };
+  },
+
+  // Future upgraders will be added here as:
+  // 3: (data) => { ... },
+};
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function recordsOf(records) {
+  return Array.isArray(records) ? records.filter(isRecord) : [];
+}
+
+/**
+ * Upgrade each record of a store, leaving anything malformed as it is
+ * @param {*} records - Records of one store from an export
+ * @param {Function} upgrade - Returns the upgraded copy of a record
+ * @returns {*} Upgraded records, or the value itself when it is not an array
+ */
+function mapRecords(records, upgrade) {
+  if (!Array.isArray(records)) {
+    return records;
+  }
+  return records.map((record) => (isRecord(record) ? upgrade(record) : record));
+}
+
+/**
+ * Upgrade an export to a newer version
+ * Files that aren't exports are returned as they are, for validation to
+ * report. Fails with a localized message when the version is missing or
+ * invalid, or newer than the target version.
+ * @param {Object} exportData - Parsed export file
+ * @param {number} targetVersion - Version to upgrade to
+ * @returns {Object} Export at the target version; the argument is not changed
+ */
+function upgradeExport(exportData, targetVersion) {
+  if (!isRecord(exportData) || !isRecord(exportData.data)) {
+    return exportData;
+  }
+
+  const { version } = exportData;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(t('errors.importInvalidVersion'));
+  }
+  if (version > targetVersion) {
+    throw new Error(t('errors.importNewerVersion'));
+  }
+
+  let data = exportData.data;
+  for (let next = version + 1; next <= targetVersion; next++) {
+    if (!upgraders[next]) {
+      throw new Error(t('errors.importInvalidVersion'));
+    }
+    data = upgraders[next](data);
+  }
+  return { ...exportData, version: targetVersion, data };
+}
+
+/**
+ * Get the newest version the upgraders produce
+ * @returns {number}
+ */
+function getLatestVersion() {
+  return Object.keys(upgraders).length + 1;
+}
+
+export { upgraders, upgradeExport, getLatestVersion };
+export default upgradeExport;
@@ -4,12 +4,23 @@
  */
 
 import { db } from '../storage/db.js';
+import { STORES } from '../storage/schema.js';
+import { ACTIVITY_TYPES } from '../models/activity.js';
+import { BackupModel } from '../models/backup.js';
+import { mergeData } from './merge.js';
+import { upgradeExport } from './export-upgrades.js';
+import { checkIntegrity } from './import-integrity.js';
+import { formatCSVTable, readCSVTable, CSV_COLUMNS } from './csv.js';
 import { getLocalDateString, getTimestamp } from '../utils/date.js';
-import { t, formatNumber } from '../i18n/i18n.js';
+import { encryptText, decryptText, isEncryptedEnvelope } from '../utils/crypto.js';
+import { isValidSchedule } from '../utils/schedule.js';
+import { t, tPlural, formatNumber } from '../i18n/i18n.js';
 
-const EXPORT_VERSION = 1;
+const EXPORT_VERSION = 2;
 const APP_NAME = 'YourScore';
 const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+// Encrypted files hold the same data in base64, which takes a third more room
+const MAX_ENCRYPTED_IMPORT_BYTES = Math.ceil((MAX_IMPORT_BYTES * 4) / 3) + 4096;
 const MAX_IMPORT_RECORDS = 50000;
 
 /**
@@ -22,8 +33,17 @@ const DATA_STORES = [
   'completions',
   'scoreHistory',
   'achievements',
+  'scoreAdjustments',
+  'pauses',
+  'excusedDays',
+  'streakFreezes',
 ];
 
+/**
+ * Stores whose records belong to a day, for the date range an import covers
+ */
+const DATED_STORES = ['completions', 'scoreHistory', 'scoreAdjustments', 'excusedDays'];
+
 /**
  * Required fields for each store's records
  */
@@ -46,20 +66,57 @@ const SCHEMA = {
       archived: 'boolean',
       createdAt: 'string',
       order: 'number',
+      type: 'string',
+      schedule: 'object',
     },
   },
   completions: {
     required: ['id', 'activityId', 'date', 'completedAt'],
-    types: { id: 'string', activityId: 'string', date: 'string', completedAt: 'string' },
+    types: {
+      id: 'string',
+      activityId: 'string',
+      date: 'string',
+      completedAt: 'string',
+      count: 'number',
+      points: 'number',
+      activityName: 'string',
+      categoryId: 'string',
+      categoryName: 'string',
+    },
   },
   scoreHistory: {
     required: ['date', 'score', 'earned', 'decay'],
-    types: { date: 'string', score: 'number', earned: 'number', decay: 'number' },
+    types: {
+      date: 'string',
+      score: 'number',
+      earned: 'number',
+      decay: 'number',
+      decayRule: 'object',
+      paused: 'boolean',
+      excused: 'boolean',
+      frozen: 'boolean',
+    },
   },
   achievements: {
     required: ['id', 'unlockedAt'],
     types: { id: 'string', unlockedAt: 'string' },
   },
+  scoreAdjustments: {
+    required: ['id', 'date', 'amount', 'createdAt'],
+    types: { id: 'string', date: 'string', amount: 'number', createdAt: 'string' },
+  },
+  pauses: {
+    required: ['id', 'startDate', 'createdAt'],
+    types: { id: 'string', startDate: 'string', createdAt: 'string' },
+  },
+  excusedDays: {
+    required: ['date', 'refunded', 'excusedAt'],
+    types: { date: 'string', refunded: 'number', excusedAt: 'string', decayRule: 'object' },
+  },
+  streakFreezes: {
+    required: ['id', 'earnedOn', 'streak', 'createdAt'],
+    types: { id: 'string', earnedOn: 'string', streak: 'number', createdAt: 'string' },
+  },
 };
 
 /**
@@ -93,96 +150,75 @@ async function exportToJSONString() {
 }
 
 /**
- * Export completions history to CSV format
- * @returns {Promise<string>} CSV string
+ * Export all data as a JSON string encrypted with a passphrase
+ * @param {string} passphrase - Passphrase, at least MIN_PASSPHRASE_LENGTH characters
+ * @returns {Promise<string>} JSON string of the encrypted envelope
  */
-async function exportToCSV() {
-  await db.ensureDb();
-
-  const completions = await db.getAll('completions');
-  const activities = await db.getAll('activities');
-  const categories = await db.getAll('categories');
-
-  // Create lookup maps
-  const activityMap = new Map(activities.map((a) => [a.id, a]));
-  const categoryMap = new Map(categories.map((c) => [c.id, c]));
-
-  // CSV header
-  const headers = t('export.csvHeaders');
-  const lines = [Array.isArray(headers) ? headers.join(',') : String(headers)];
-
-  // Sort completions by date (newest first)
-  const sortedCompletions = [...completions].sort((a, b) => {
-    if (a.date !== b.date) {
-      return b.date.localeCompare(a.date);
-    }
-    return b.completedAt.localeCompare(a.completedAt);
-  });
-
-  for (const completion of sortedCompletions) {
-    const activity = activityMap.get(completion.activityId);
-    const activityName = activity ? activity.name : t('common.unknown');
-    const points = activity ? activity.points : 0;
-    const category = activity ? categoryMap.get(activity.categoryId) : null;
-    const categoryName = category ? category.name : t('common.uncategorized');
-
-    // Escape CSV fields
-    const escapedActivityName = escapeCSVField(activityName);
-    const escapedCategoryName = escapeCSVField(categoryName);
-
-    lines.push(
-      `${completion.date},${escapedActivityName},${escapedCategoryName},${points},${completion.completedAt}`
-    );
-  }
-
-  return lines.join('\n');
+async function exportToEncryptedString(passphrase) {
+  const envelope = await encryptText(await exportToJSONString(), passphrase);
+  return JSON.stringify(envelope, null, 2);
 }
 
 /**
- * Escape a field for CSV (handle commas, quotes, newlines)
- * @param {string} field - Field value
- * @returns {string} Escaped field
+ * Export a table to CSV format
+ * @param {Object} [options] - Export options
+ * @param {string} [options.table='completions'] - 'completions', 'scoreHistory' or 'activities'
+ * @param {string} [options.delimiter=','] - ',' or ';'
+ * @param {string} [options.headers='localized'] - 'localized' for column names in the
+ *   current language, or 'keys' for column keys that are the same in every language
+ * @returns {Promise<string>} CSV string
  */
-function escapeCSVField(field) {
-  if (field === null || field === undefined) {
-    return '';
-  }
-  let str = String(field);
-  if (/^\s*[=+\-@\t\r]/.test(str)) {
-    str = `'${str}`;
-  }
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return `"${str.replace(/"/g, '""')}"`;
+async function exportToCSV(options = {}) {
+  await db.ensureDb();
+
+  const data = {};
+  for (const storeName of ['completions', 'scoreHistory', 'activities', 'categories']) {
+    data[storeName] = await db.getAll(storeName);
   }
-  return str;
+
+  const table = CSV_COLUMNS[options.table] ? options.table : 'completions';
+  return formatCSVTable(table, data, options);
 }
 
 /**
  * Validate import data schema
+ * Older exports must be upgraded to EXPORT_VERSION first. Once every record is
+ * well formed, the records are also checked against each other, as
+ * checkIntegrity() does. Warnings point out things that don't stop the import
+ * but leave data out of it.
  * @param {Object} data - Import data
- * @returns {Object} Validation result { valid: boolean, errors: string[] }
+ * @returns {Object} Validation result { valid: boolean, errors: string[], warnings: string[],
+ *   repairable: boolean } where repairable is true when importing with the
+ *   repair option would fix every error
  */
 function validateImportData(data) {
   const errors = [];
+  const warnings = [];
   let totalRecords = 0;
 
   // Check top-level structure
   if (!data || typeof data !== 'object') {
     errors.push(t('errors.importInvalidFormat'));
-    return { valid: false, errors };
+    return { valid: false, errors, warnings, repairable: false };
   }
 
   if (data.app !== APP_NAME) {
     errors.push(t('errors.importInvalidApp', { expected: APP_NAME, actual: data.app }));
   }
 
-  if (typeof data.version !== 'number' || data.version < 1) {
+  if (data.version !== EXPORT_VERSION) {
     errors.push(t('errors.importInvalidVersion'));
   }
 
   if (!data.data || typeof data.data !== 'object') {
     errors.push(t('errors.importMissingData'));
-    return { valid: false, errors };
+    return { valid: false, errors, warnings, repairable: false };
+  }
+
+  for (const storeName of Object.keys(data.data)) {
+    if (!DATA_STORES.includes(storeName)) {
+      warnings.push(t('import.warnings.unknownStore', { store: storeName }));
+    }
   }
 
   // Validate each store's data
@@ -204,6 +240,8 @@ function validateImportData(data) {
     }
 
     totalRecords += storeData.length;
+    const keys = new Set();
+    let duplicateKeys = 0;
 
     for (let i = 0; i < storeData.length; i++) {
       const record = storeData[i];
@@ -213,6 +251,12 @@ function validateImportData(data) {
         continue;
       }
 
+      const key = record[STORES[storeName].keyPath];
+      if (keys.has(key)) {
+        duplicateKeys++;
+      }
+      keys.add(key);
+
       for (const field of schema.required) {
         if (record[field] === undefined) {
           errors.push(t('errors.importMissingField', { field, store: storeName, index: i }));
@@ -238,7 +282,7 @@ function validateImportData(data) {
       if (storeName === 'activities') {
         if (
           typeof record.points === 'number' &&
-          (record.points < -10000 || record.points > 10000)
+          (!Number.isInteger(record.points) || record.points < -10000 || record.points > 10000)
         ) {
           errors.push(
             t('errors.importValueOutOfRange', { field: 'points', store: storeName, index: i })
@@ -249,6 +293,40 @@ function validateImportData(data) {
             t('errors.importValueTooLong', { field: 'name', store: storeName, index: i })
           );
         }
+        if (record.type !== undefined && !ACTIVITY_TYPES.includes(record.type)) {
+          errors.push(
+            t('errors.importValueOutOfRange', { field: 'type', store: storeName, index: i })
+          );
+        }
+        if (
+          record.dailyMax !== undefined &&
+          record.dailyMax !== null &&
+          !(Number.isInteger(record.dailyMax) && record.dailyMax > 0)
+        ) {
+          errors.push(
+            t('errors.importValueOutOfRange', { field: 'dailyMax', store: storeName, index: i })
+          );
+        }
+        if (!isValidSchedule(record.schedule)) {
+          errors.push(
+            t('errors.importValueOutOfRange', { field: 'schedule', store: storeName, index: i })
+          );
+        }
+      }
+      if (storeName === 'completions') {
+        if (record.points !== undefined && !Number.isInteger(record.points)) {
+          errors.push(
+            t('errors.importValueOutOfRange', { field: 'points', store: storeName, index: i })
+          );
+        }
+        if (
+          record.count !== undefined &&
+          !(Number.isInteger(record.count) && record.count >= 1 && record.count <= 10000)
+        ) {
+          errors.push(
+            t('errors.importValueOutOfRange', { field: 'count', store: storeName, index: i })
+          );
+        }
       }
       if (storeName === 'categories') {
         if (typeof record.name === 'string' && record.name.length > 200) {
@@ -257,6 +335,50 @@ function validateImportData(data) {
           );
         }
       }
+      if (storeName === 'pauses') {
+        if (
+          record.endDate !== undefined &&
+          record.endDate !== null &&
+          !(typeof record.endDate === 'string' && record.endDate >= record.startDate)
+        ) {
+          errors.push(
+            t('errors.importValueOutOfRange', { field: 'endDate', store: storeName, index: i })
+          );
+        }
+      }
+      if (storeName === 'streakFreezes') {
+        if (
+          record.usedOn !== undefined &&
+          record.usedOn !== null &&
+          typeof record.usedOn !== 'string'
+        ) {
+          errors.push(
+            t('errors.importInvalidType', {
+              field: 'usedOn',
+              store: storeName,
+              index: i,
+              expected: 'string',
+            })
+          );
+        }
+      }
+      if (storeName === 'excusedDays') {
+        if (typeof record.refunded === 'number' && record.refunded < 0) {
+          errors.push(
+            t('errors.importValueOutOfRange', { field: 'refunded', store: storeName, index: i })
+          );
+        }
+      }
+    }
+
+    // Records sharing a key overwrite each other, so only the last one is kept
+    if (duplicateKeys > 0) {
+      warnings.push(
+        tPlural('import.warnings.duplicateKeys', duplicateKeys, {
+          store: storeName,
+          count: formatNumber(duplicateKeys),
+        })
+      );
     }
   }
 
@@ -264,18 +386,204 @@ function validateImportData(data) {
     errors.push(t('errors.importTooManyRecords', { max: formatNumber(MAX_IMPORT_RECORDS) }));
   }
 
-  return { valid: errors.length === 0, errors };
+  let repairable = false;
+  if (errors.length === 0) {
+    const { problems } = checkIntegrity(data.data);
+    errors.push(...problems.map((problem) => problem.message));
+    repairable = problems.length > 0 && problems.every((problem) => problem.repairable);
+  }
+
+  return { valid: errors.length === 0, errors, warnings, repairable };
+}
+
+/**
+ * Upgrade an import to the current export version, repair it if asked, and
+ * validate it
+ * @param {Object} data - Import data object, from any export version
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.repair=false] - Repair what checkIntegrity() can repair
+ * @returns {Object} Validation result as from validateImportData(), plus the
+ *   upgraded and repaired import as data; each repair is listed as a warning
+ */
+function prepareImport(data, options = {}) {
+  let upgraded;
+  try {
+    upgraded = upgradeExport(data, EXPORT_VERSION);
+  } catch (error) {
+    return { valid: false, errors: [error.message], warnings: [], repairable: false, data };
+  }
+
+  let repaired = [];
+  if (options.repair && upgraded?.data && typeof upgraded.data === 'object') {
+    const checked = checkIntegrity(upgraded.data, { repair: true });
+    upgraded = { ...upgraded, data: checked.data };
+    repaired = checked.repaired;
+  }
+
+  const validation = validateImportData(upgraded);
+  const upgradeWarnings =
+    validation.valid && data.version < EXPORT_VERSION
+      ? [t('import.warnings.upgraded', { version: data.version })]
+      : [];
+  validation.warnings.unshift(...upgradeWarnings, ...repaired);
+  return { ...validation, data: upgraded };
+}
+
+/**
+ * Get the records of an import with every data store present
+ * @param {Object} data - Records by store name, as in an export's data
+ * @returns {Object} Records by store name
+ */
+function normalizeImportData(data) {
+  const normalized = {};
+  for (const storeName of DATA_STORES) {
+    normalized[storeName] = data[storeName] || [];
+  }
+  return normalized;
+}
+
+/**
+ * Work out the records an import leaves in each store
+ * Both previewImport() and importFromJSON() use this, so a preview always
+ * shows what the import then does.
+ * @param {Object} data - Import data object (already upgraded and validated)
+ * @param {boolean} merge - If true, merge with the current data; if false, replace it
+ * @param {Object} current - Current records by store name, as in an export's data
+ * @returns {Object} Result { records: Object, plan: Object|null } where plan is
+ *   the merge plan from mergeData() when merging
+ */
+function planImport(data, merge, current) {
+  if (!merge) {
+    return { records: normalizeImportData(data.data), plan: null };
+  }
+  const plan = mergeData(current, normalizeImportData(data.data));
+  return { records: plan.data, plan };
+}
+
+function isSameRecord(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => isSameRecord(a[key], b[key]));
+}
+
+/**
+ * Count the records an import would add, update and remove in each store
+ * @param {Object} current - Current records by store name
+ * @param {Object} records - Records by store name after the import
+ * @returns {Object} Counts { added, updated, removed } by store name
+ */
+function diffRecords(current, records) {
+  const changes = {};
+  for (const storeName of DATA_STORES) {
+    const keyPath = STORES[storeName].keyPath;
+    const before = new Map(current[storeName].map((record) => [record[keyPath], record]));
+    const after = new Map(records[storeName].map((record) => [record[keyPath], record]));
+    let added = 0;
+    let updated = 0;
+    for (const [key, record] of after) {
+      if (!before.has(key)) {
+        added++;
+      } else if (!isSameRecord(before.get(key), record)) {
+        updated++;
+      }
+    }
+    const removed = [...before.keys()].filter((key) => !after.has(key)).length;
+    changes[storeName] = { added, updated, removed };
+  }
+  return changes;
+}
+
+function getMainScore(records) {
+  return records.settings.find((setting) => setting.key === 'mainScore')?.value ?? 0;
+}
+
+/**
+ * Get the first and last day an import has records for
+ * @param {Object} data - Records by store name
+ * @returns {{from: string, to: string}|null} Date range, or null without dated records
+ */
+function getDateRange(data) {
+  const dates = DATED_STORES.flatMap((storeName) =>
+    (data[storeName] || []).map((record) => record.date)
+  ).sort();
+  return dates.length > 0 ? { from: dates[0], to: dates[dates.length - 1] } : null;
+}
+
+/**
+ * Preview importing data without saving anything
+ * Shows what replacing the current data and what merging into it would each
+ * change, worked out the same way importFromJSON() does.
+ * @param {Object} data - Import data object, from any export version
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.repair=false] - Repair what can be repaired, as the import would
+ * @returns {Promise<Object>} Preview { success, errors, warnings, range, mainScore, replace, merge }
+ *   where mainScore is the current main score, range the days the import
+ *   covers, and replace and merge each hold the changes per store (`changes`)
+ *   and the resulting main score; merge also holds the completions both sides
+ *   logged (`duplicates`) and the conflicts found. A failed preview has
+ *   repairable set when the repair option would fix every error.
+ */
+async function previewImport(data, options = {}) {
+  const validation = prepareImport(data, options);
+
+  if (!validation.valid) {
+    return {
+      success: false,
+      errors: validation.errors,
+      warnings: validation.warnings,
+      repairable: validation.repairable,
+    };
+  }
+
+  const current = normalizeImportData((await exportToJSON()).data);
+  const replace = planImport(validation.data, false, current);
+  const merge = planImport(validation.data, true, current);
+
+  return {
+    success: true,
+    errors: [],
+    warnings: validation.warnings,
+    range: getDateRange(validation.data.data),
+    mainScore: getMainScore(current),
+    replace: {
+      changes: diffRecords(current, replace.records),
+      mainScore: getMainScore(replace.records),
+    },
+    merge: {
+      changes: diffRecords(current, merge.records),
+      mainScore: getMainScore(merge.records),
+      duplicates: merge.plan.duplicates,
+      conflicts: merge.plan.conflicts,
+    },
+  };
 }
 
 /**
  * Import data from JSON
- * @param {Object} data - Import data object
+ * Exports from older versions are upgraded step by step before validation. A
+ * snapshot of the current data is saved first; if that fails nothing is
+ * imported and the result has backupFailed set, so the caller can ask whether
+ * to import without one. In merge mode the import is combined with the current data as
+ * previewImport() shows, and the score history and main score are recalculated.
+ * @param {Object} data - Import data object, from any export version
  * @param {Object} options - Import options
  * @param {boolean} options.merge - If true, merge with existing data; if false, replace all
- * @returns {Promise<Object>} Import result { success: boolean, imported: Object, errors: string[] }
+ * @param {boolean} [options.repair=false] - Repair what can be repaired instead of failing
+ * @param {string} [options.backupReason='import'] - Reason recorded on the snapshot
+ * @param {boolean} [options.backup=true] - Save a snapshot of the current data first
+ * @returns {Promise<Object>} Import result { success: boolean, imported: Object, errors: string[],
+ *   backupFailed?: boolean } where imported counts the records added to each store
  */
 async function importFromJSON(data, options = { merge: false }) {
-  const validation = validateImportData(data);
+  const validation = prepareImport(data, options);
 
   if (!validation.valid) {
     return { success: false, imported: {}, errors: validation.errors };
@@ -285,28 +593,30 @@ async function importFromJSON(data, options = { merge: false }) {
 
   const imported = {};
   const errors = [];
+  const current = await exportToJSON();
+  const { records, plan } = planImport(validation.data, options.merge, current.data);
 
   try {
-    await db.transaction(DATA_STORES, 'readwrite', (_transaction, stores) => {
-      if (!options.merge) {
-        for (const storeName of DATA_STORES) {
-          stores[storeName].clear();
-        }
-      }
+    if (options.backup !== false) {
+      await BackupModel.create(options.backupReason || 'import', current);
+    }
+  } catch (error) {
+    return {
+      success: false,
+      imported,
+      errors: [t('errors.backupFailed', { error: error.message })],
+      backupFailed: true,
+    };
+  }
 
+  try {
+    await db.transaction(DATA_STORES, 'readwrite', (_transaction, stores) => {
       for (const storeName of DATA_STORES) {
-        const storeData = data.data[storeName];
-
-        if (!storeData || !Array.isArray(storeData) || storeData.length === 0) {
-          imported[storeName] = 0;
-          continue;
-        }
-
-        for (const record of storeData) {
+        stores[storeName].clear();
+        for (const record of records[storeName]) {
           stores[storeName].put(record);
         }
-
-        imported[storeName] = storeData.length;
+        imported[storeName] = plan ? (plan.added[storeName] ?? 0) : records[storeName].length;
       }
     });
 
@@ -317,37 +627,136 @@ async function importFromJSON(data, options = { merge: false }) {
   }
 }
 
+function parseFailure(message) {
+  return { success: false, data: null, errors: [message] };
+}
+
+function parseJSON(jsonString, maxBytes = MAX_IMPORT_BYTES) {
+  if (jsonString.length > maxBytes) {
+    return parseFailure(t('errors.importFileTooLarge'));
+  }
+
+  try {
+    return { success: true, data: JSON.parse(jsonString), errors: [] };
+  } catch (error) {
+    return parseFailure(t('errors.importInvalidJson', { error: error.message }));
+  }
+}
+
 /**
- * Import data from JSON string
- * @param {string} jsonString - JSON string to import
- * @param {Object} options - Import options
- * @returns {Promise<Object>} Import result
+ * Parse an import from a JSON string
+ * An encrypted export is detected and decrypted with the passphrase from the
+ * options, or else one asked for with options.requestPassphrase.
+ * @param {string} jsonString - JSON string to parse
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.passphrase] - Passphrase for an encrypted export
+ * @param {Function} [options.requestPassphrase] - Asks for the passphrase; resolves
+ *   to it, or to null when the user cancels
+ * @returns {Promise<Object>} Result { success: boolean, data: Object|null, errors: string[] }
  */
-async function importFromJSONString(jsonString, options = { merge: false }) {
-  if (jsonString.length > MAX_IMPORT_BYTES) {
-    return { success: false, imported: {}, errors: [t('errors.importFileTooLarge')] };
+async function parseImportString(jsonString, options = {}) {
+  const parsed = parseJSON(jsonString, MAX_ENCRYPTED_IMPORT_BYTES);
+  if (!parsed.success) {
+    return parsed;
+  }
+  if (!isEncryptedEnvelope(parsed.data)) {
+    return jsonString.length > MAX_IMPORT_BYTES
+      ? parseFailure(t('errors.importFileTooLarge'))
+      : parsed;
+  }
+
+  const passphrase = options.passphrase ?? (await options.requestPassphrase?.());
+  if (!passphrase) {
+    return parseFailure(t('errors.passphraseRequired'));
   }
-  let data;
 
   try {
-    data = JSON.parse(jsonString);
+    return parseJSON(await decryptText(parsed.data, passphrase));
   } catch (error) {
-    return {
-      success: false,
-      imported: {},
-      errors: [t('errors.importInvalidJson', { error: error.message })],
-    };
+    return parseFailure(error.message);
+  }
+}
+
+/**
+ * Parse an import from a CSV string of completions or activities
+ * The rows become an export holding just those records and the activities
+ * and categories they name. It is meant to be merged in: merging matches
+ * activities and categories to the ones here by name and adds any missing.
+ * @param {string} csvString - CSV string to parse
+ * @returns {Object} Result { success: boolean, data: Object|null, errors: string[] }
+ */
+function parseImportCSV(csvString) {
+  if (csvString.length > MAX_IMPORT_BYTES) {
+    return parseFailure(t('errors.importFileTooLarge'));
+  }
+
+  const parsed = readCSVTable(csvString);
+  if (!parsed.success) {
+    return { success: false, data: null, errors: parsed.errors };
+  }
+  return {
+    success: true,
+    data: { app: APP_NAME, version: EXPORT_VERSION, exportedAt: getTimestamp(), data: parsed.data },
+    errors: [],
+  };
+}
+
+/**
+ * Import completions or activities from a CSV string
+ * A CSV file only holds part of the data, so it is always merged in.
+ * @param {string} csvString - CSV string to import
+ * @param {Object} [options] - Import options, as for importFromJSON(); merge is ignored
+ * @returns {Promise<Object>} Import result
+ */
+async function importFromCSVString(csvString, options = {}) {
+  const parsed = parseImportCSV(csvString);
+  if (!parsed.success) {
+    return { success: false, imported: {}, errors: parsed.errors };
+  }
+
+  return importFromJSON(parsed.data, { ...options, merge: true });
+}
+
+/**
+ * Import data from JSON string
+ * @param {string} jsonString - JSON string to import
+ * @param {Object} options - Import options, and parse options as for parseImportString()
+ * @returns {Promise<Object>} Import result
+ */
+async function importFromJSONString(jsonString, options = { merge: false }) {
+  const parsed = await parseImportString(jsonString, options);
+  if (!parsed.success) {
+    return { success: false, imported: {}, errors: parsed.errors };
   }
 
-  return importFromJSON(data, options);
+  return importFromJSON(parsed.data, options);
 }
 
 /**
- * Reset all data (clear all stores)
+ * Reset all data (clear every data store)
+ * A snapshot of the data is saved first, and snapshots themselves are kept.
+ * If the snapshot can't be saved nothing is cleared, and the error thrown has
+ * backupFailed set.
+ * @param {Object} [options]
+ * @param {boolean} [options.backup=true] - Save a snapshot of the data first
  * @returns {Promise<void>}
  */
-async function resetAllData() {
-  await db.reset();
+async function resetAllData(options = {}) {
+  try {
+    if (options.backup !== false) {
+      await BackupModel.create('reset', await exportToJSON());
+    }
+  } catch (error) {
+    const failure = new Error(t('errors.backupFailed', { error: error.message }));
+    failure.backupFailed = true;
+    throw failure;
+  }
+
+  await db.transaction(DATA_STORES, 'readwrite', (_transaction, stores) => {
+    for (const storeName of DATA_STORES) {
+      stores[storeName].clear();
+    }
+  });
 }
 
 /**
@@ -380,13 +789,27 @@ async function downloadJSON() {
 }
 
 /**
- * Download completions as CSV file
+ * Download data as an encrypted JSON file
+ * @param {string} passphrase - Passphrase, at least MIN_PASSPHRASE_LENGTH characters
+ * @returns {Promise<void>}
+ */
+async function downloadEncryptedJSON(passphrase) {
+  const content = await exportToEncryptedString(passphrase);
+  const date = getLocalDateString();
+  const filename = t('export.filenameEncrypted', { date });
+  downloadFile(content, filename, 'application/json');
+}
+
+/**
+ * Download a table as CSV file
+ * @param {Object} [options] - Export options, as for exportToCSV()
  * @returns {Promise<void>}
  */
-async function downloadCSV() {
-  const content = await exportToCSV();
+async function downloadCSV(options = {}) {
+  const content = await exportToCSV(options);
   const date = getLocalDateString();
-  const filename = t('export.filenameCsv', { date });
+  const table = CSV_COLUMNS[options.table] ? options.table : 'completions';
+  const filename = t(`export.csvFilenames.${table}`, { date });
   downloadFile(content, filename, 'text/csv');
 }
 
@@ -405,49 +828,76 @@ function readFileAsText(file) {
 }
 
 /**
- * Import from a File object
- * @param {File} file - File to import
- * @param {Object} options - Import options
- * @returns {Promise<Object>} Import result
+ * Read and parse an import from a File object
+ * JSON files are parsed as exports, and CSV files as for parseImportCSV().
+ * @param {File} file - File to read
+ * @param {Object} [options] - Parse options, as for parseImportString()
+ * @returns {Promise<Object>} Result { success: boolean, data: Object|null, errors: string[],
+ *   format: string } where format is 'json' or 'csv' once the file is read
  */
-async function importFromFile(file, options = { merge: false }) {
+async function readImportFile(file, options = {}) {
   if (!file) {
-    return { success: false, imported: {}, errors: [t('errors.importNoFile')] };
+    return parseFailure(t('errors.importNoFile'));
   }
 
   const isJSON =
     file.name.endsWith('.json') || file.type === 'application/json' || file.type === 'text/json';
+  const isCSV = file.name.endsWith('.csv') || file.type === 'text/csv';
 
-  if (!isJSON) {
-    return { success: false, imported: {}, errors: [t('errors.importInvalidFileType')] };
+  if (!isJSON && !isCSV) {
+    return parseFailure(t('errors.importInvalidFileType'));
   }
 
-  if (file.size > MAX_IMPORT_BYTES) {
-    return { success: false, imported: {}, errors: [t('errors.importFileTooLarge')] };
+  if (file.size > (isCSV ? MAX_IMPORT_BYTES : MAX_ENCRYPTED_IMPORT_BYTES)) {
+    return parseFailure(t('errors.importFileTooLarge'));
   }
 
+  let content;
   try {
-    const content = await readFileAsText(file);
-    return importFromJSONString(content, options);
+    content = await readFileAsText(file);
   } catch (error) {
-    return {
-      success: false,
-      imported: {},
-      errors: [t('errors.importReadFailed', { error: error.message })],
-    };
+    return parseFailure(t('errors.importReadFailed', { error: error.message }));
+  }
+  if (isCSV) {
+    return { ...parseImportCSV(content), format: 'csv' };
+  }
+  return { ...(await parseImportString(content, options)), format: 'json' };
+}
+
+/**
+ * Import from a File object
+ * CSV files are always merged in, as for importFromCSVString().
+ * @param {File} file - File to import
+ * @param {Object} options - Import options, and parse options as for parseImportString()
+ * @returns {Promise<Object>} Import result
+ */
+async function importFromFile(file, options = { merge: false }) {
+  const parsed = await readImportFile(file, options);
+  if (!parsed.success) {
+    return { success: false, imported: {}, errors: parsed.errors };
   }
+
+  return importFromJSON(
+    parsed.data,
+    parsed.format === 'csv' ? { ...options, merge: true } : options
+  );
 }
 
 export {
   exportToJSON,
   exportToJSONString,
+  exportToEncryptedString,
   exportToCSV,
   validateImportData,
+  previewImport,
   importFromJSON,
   importFromJSONString,
+  importFromCSVString,
   importFromFile,
+  readImportFile,
   resetAllData,
   downloadJSON,
+  downloadEncryptedJSON,
   downloadCSV,
   downloadFile,
   readFileAsText,
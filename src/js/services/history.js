@@ -0,0 +1,283 @@
+/**
+ * History Service for YourScore
+ * Logs, removes and corrects completions on today or past days, and excuses
+ * past days
+ */
+
+import { db, requestResult } from '../storage/db.js';
+import { ActivityModel } from '../models/activity.js';
+import { CompletionModel } from '../models/completion.js';
+import { ExcusedDayModel } from '../models/excused-day.js';
+import { ScoreModel } from '../models/score.js';
+import { SettingsModel, DEFAULTS } from '../models/settings.js';
+import { getLocalDateString, subtractDays } from '../utils/date.js';
+import { t, formatNumber } from '../i18n/i18n.js';
+
+/**
+ * Get the range of dates whose completions can be edited
+ * History starts on the first day the app was used and ends today.
+ * @returns {Promise<{start: string, end: string}>}
+ */
+async function getEditableRange() {
+  const today = getLocalDateString();
+  const firstUseDate = await SettingsModel.getFirstUseDate();
+  return { start: firstUseDate && firstUseDate < today ? firstUseDate : today, end: today };
+}
+
+/**
+ * Check if completions on a date can be edited
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<boolean>}
+ */
+async function isEditableDate(date) {
+  const { start, end } = await getEditableRange();
+  return date >= start && date <= end;
+}
+
+/**
+ * Get the next logged count for an activity
+ * Check activities toggle between 0 and 1; counters step by delta within their daily max
+ * @param {Object} activity - Activity record
+ * @param {number} currentCount - Currently logged count
+ * @param {number} [delta] - Counter step (+1 or -1)
+ * @returns {number}
+ */
+function getNextCount(activity, currentCount, delta = 1) {
+  if (!ActivityModel.isCounter(activity)) {
+    return currentCount > 0 ? 0 : 1;
+  }
+  const next = Math.max(0, currentCount + delta);
+  return activity.dailyMax ? Math.min(activity.dailyMax, next) : next;
+}
+
+/**
+ * Set how many units of an activity were logged on a date
+ * Updates the completion, the main score and that day's history record.
+ * Removing or reducing a completion takes back the points it was logged with.
+ * @param {Object} activity - Activity record
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} count - Units logged (0 removes the completion)
+ * @returns {Promise<{completion: Object|null, pointChange: number, previousCount: number}>}
+ */
+async function setCompletionCount(activity, date, count) {
+  return updateCompletionCount(activity, date, () => count);
+}
+
+/**
+ * Complete or undo an activity on a date, or step a counter
+ * The next count is worked out from the saved completion, so a tap made
+ * before the previous one was saved steps on from where that one left off.
+ * @param {Object} activity - Activity record
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} [delta=1] - Counter step (+1 or -1); check activities toggle
+ * @returns {Promise<{completion: Object|null, pointChange: number, previousCount: number}>}
+ */
+async function stepCompletion(activity, date, delta = 1) {
+  return updateCompletionCount(activity, date, (currentCount) =>
+    getNextCount(activity, currentCount, delta)
+  );
+}
+
+/**
+ * Read the score history a change on a date can touch, inside a transaction
+ * That is every record from the date on, after the last record before it,
+ * which a new record for the date starts its running score from.
+ * @param {Object} store - scoreHistory store of the transaction
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Records sorted by date
+ */
+async function getHistoryFrom(store, date) {
+  const [previous] = await db.getRangeIn(store, {
+    upper: subtractDays(date, 1),
+    reverse: true,
+    limit: 1,
+  });
+  const later = await db.getRangeIn(store, { lower: date });
+  return previous ? [previous, ...later] : later;
+}
+
+/**
+ * Add points to the main score inside a transaction
+ * @param {Object} store - settings store of the transaction
+ * @param {number} points - Points to add (can be negative)
+ * @returns {Promise<number>} New main score
+ */
+async function addToMainScore(store, points) {
+  const record = await requestResult(store.get('mainScore'));
+  const mainScore = (record?.value ?? DEFAULTS.mainScore) + points;
+  store.put({ key: 'mainScore', value: mainScore });
+  return mainScore;
+}
+
+/**
+ * Change a completion along with the main score and score history
+ * All three are read and written in one transaction: if anything fails part
+ * way through, none of the changes are saved.
+ * @param {Object} activity - Activity record
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Function} getCount - Called with the saved count, returns the new count
+ * @returns {Promise<{completion: Object|null, pointChange: number, previousCount: number}>}
+ */
+async function updateCompletionCount(activity, date, getCount) {
+  if (!(await isEditableDate(date))) {
+    throw new Error(t('errors.historyDateOutOfRange'));
+  }
+
+  // Looked up first, since only requests on the transaction's stores can be
+  // awaited inside it
+  const snapshot = await ActivityModel.getCompletionSnapshot(activity);
+
+  const storeNames = ['completions', 'settings', 'scoreHistory'];
+  return db.transaction(storeNames, 'readwrite', async (_transaction, stores) => {
+    const existing = await requestResult(
+      stores.completions.index('activityDate').get([activity.id, date])
+    );
+    const previousCount = existing ? existing.count || 1 : 0;
+    const count = getCount(previousCount);
+
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(t('errors.completionCountInvalid'));
+    }
+    if (count === previousCount) {
+      return { completion: existing || null, pointChange: 0, previousCount };
+    }
+
+    const unitPoints = existing?.points ?? activity.points;
+    const pointChange = unitPoints * (count - previousCount);
+
+    let completion = null;
+    if (count === 0) {
+      stores.completions.delete(existing.id);
+    } else {
+      completion = existing
+        ? CompletionModel.withCount(existing, count)
+        : CompletionModel.build({ ...snapshot, activityId: activity.id, date, count });
+      stores.completions.put(completion);
+    }
+
+    const mainScore = await addToMainScore(stores.settings, pointChange);
+
+    const history = await getHistoryFrom(stores.scoreHistory, date);
+    for (const record of ScoreModel.getEarnedRecords(history, date, pointChange, mainScore)) {
+      stores.scoreHistory.put(record);
+    }
+
+    return { completion, pointChange, previousCount };
+  });
+}
+
+/**
+ * Get how many more days can be excused in a date's month
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<{allowance: number|null, used: number, remaining: number|null}>}
+ *   Monthly allowance and what is left of it; null when there is no limit
+ */
+async function getExcuseAllowance(date) {
+  const allowance = await SettingsModel.getExcusedDaysPerMonth();
+  const used = await ExcusedDayModel.countInMonth(date);
+  return {
+    allowance,
+    used,
+    remaining: allowance === null ? null : Math.max(0, allowance - used),
+  };
+}
+
+/**
+ * Check the monthly excuse allowance inside a transaction
+ * @param {Object} stores - excusedDays and settings stores of the transaction
+ * @param {string} date - Date (YYYY-MM-DD) about to be excused
+ * @returns {Promise<void>}
+ * @throws {Error} When the month's allowance is used up
+ */
+async function checkExcuseAllowance(stores, date) {
+  const setting = await requestResult(stores.settings.get('excusedDaysPerMonth'));
+  const allowance = setting?.value ?? null;
+  if (allowance === null) {
+    return;
+  }
+
+  const month = date.slice(0, 7);
+  const used = await db.getRangeIn(stores.excusedDays, {
+    lower: `${month}-01`,
+    upper: `${month}-31`,
+  });
+  if (used.length >= allowance) {
+    throw new Error(t('errors.excuseAllowanceUsed', { allowance: formatNumber(allowance) }));
+  }
+}
+
+/**
+ * Excuse a past day
+ * The day's decay is given back and streaks skip the day instead of breaking
+ * on it. Paused days have no decay to excuse, and the monthly allowance, when
+ * set, limits how many days of the month can be excused. The allowance is
+ * checked, and the excused day, the score history and the main score are
+ * saved, in one transaction.
+ * @param {string} date - Date (YYYY-MM-DD) before today
+ * @returns {Promise<Object>} Excused day record with the decay refunded
+ */
+async function excuseDay(date) {
+  if (date >= getLocalDateString() || !(await isEditableDate(date))) {
+    throw new Error(t('errors.excuseDateInvalid'));
+  }
+
+  const storeNames = ['excusedDays', 'settings', 'scoreHistory'];
+  return db.transaction(storeNames, 'readwrite', async (_transaction, stores) => {
+    await checkExcuseAllowance(stores, date);
+    if (await requestResult(stores.excusedDays.get(date))) {
+      throw new Error(t('errors.dayAlreadyExcused'));
+    }
+    const history = await getHistoryFrom(stores.scoreHistory, date);
+    if (history.find((record) => record.date === date)?.paused) {
+      throw new Error(t('errors.excuseDayPaused'));
+    }
+
+    const { records, ...refund } = ScoreModel.getExcusedRecords(history, date);
+    for (const record of records) {
+      stores.scoreHistory.put(record);
+    }
+    await addToMainScore(stores.settings, refund.refunded);
+
+    const excusedDay = ExcusedDayModel.build({ date, ...refund });
+    stores.excusedDays.put(excusedDay);
+    return excusedDay;
+  });
+}
+
+/**
+ * Remove the excuse from a past day
+ * The decay that was given back is charged again, in one transaction with
+ * removing the excused day.
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+async function unexcuseDay(date) {
+  const storeNames = ['excusedDays', 'settings', 'scoreHistory'];
+  await db.transaction(storeNames, 'readwrite', async (_transaction, stores) => {
+    const excusedDay = await requestResult(stores.excusedDays.get(date));
+    if (!excusedDay) {
+      throw new Error(t('errors.dayNotExcused'));
+    }
+
+    const history = await db.getRangeIn(stores.scoreHistory, { lower: date });
+    const records = ScoreModel.getUnexcusedRecords(history, date, excusedDay);
+    for (const record of records) {
+      stores.scoreHistory.put(record);
+    }
+    if (records.length > 0) {
+      await addToMainScore(stores.settings, -excusedDay.refunded);
+    }
+    stores.excusedDays.delete(date);
+  });
+}
+
+export {
+  getEditableRange,
+  isEditableDate,
+  getNextCount,
+  setCompletionCount,
+  stepCompletion,
+  getExcuseAllowance,
+  excuseDay,
+  unexcuseDay,
+};
@@ -0,0 +1,185 @@
+/**
+ * Import Integrity Checks for YourScore
+ * Checks that the records of an import fit together before they are saved
+ *
+ * Validation looks at each record on its own; these checks look across
+ * records and stores: completions must belong to an activity in the file,
+ * activities to a category in the file, an activity is logged at most once a
+ * day, and dates must exist and, apart from pauses, not be in the future.
+ * Some problems can be repaired instead of rejecting the file: activities
+ * whose category is missing move to Uncategorized, and repeated completions
+ * are dropped.
+ */
+
+import { UNCATEGORIZED_ID } from '../models/category.js';
+import { getLocalDateString, isValidDateString } from '../utils/date.js';
+import { t } from '../i18n/i18n.js';
+
+/**
+ * Date fields of each store
+ */
+const DATE_FIELDS = {
+  completions: ['date'],
+  scoreHistory: ['date'],
+  scoreAdjustments: ['date'],
+  pauses: ['startDate', 'endDate'],
+  excusedDays: ['date'],
+  streakFreezes: ['earnedOn', 'usedOn'],
+};
+
+/**
+ * Stores whose dates may be in the future, as pauses can be scheduled ahead
+ */
+const FUTURE_STORES = ['pauses'];
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkDates(data, today, problems) {
+  for (const [storeName, fields] of Object.entries(DATE_FIELDS)) {
+    const records = Array.isArray(data[storeName]) ? data[storeName] : [];
+    records.forEach((record, index) => {
+      if (!isRecord(record)) {
+        return;
+      }
+      for (const field of fields) {
+        const value = record[field];
+        if (value === undefined || value === null) {
+          continue;
+        }
+        const params = { field, store: storeName, index };
+        if (!isValidDateString(value)) {
+          problems.push({ message: t('errors.importInvalidDate', params), repairable: false });
+        } else if (value > today && !FUTURE_STORES.includes(storeName)) {
+          problems.push({ message: t('errors.importFutureDate', params), repairable: false });
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Check activities for categories missing from the file
+ * When repairing, they are moved to the end of Uncategorized.
+ * @returns {Array} Activities, repaired if asked
+ */
+function checkCategories(data, repair, problems, repaired) {
+  const categoryIds = new Set(
+    (Array.isArray(data.categories) ? data.categories : [])
+      .filter(isRecord)
+      .map((category) => category.id)
+  );
+  categoryIds.add(UNCATEGORIZED_ID);
+
+  const activities = data.activities.filter(isRecord);
+  let nextOrder =
+    activities
+      .filter((activity) => activity.categoryId === UNCATEGORIZED_ID)
+      .reduce((max, activity) => Math.max(max, activity.order ?? -1), -1) + 1;
+
+  return data.activities.map((activity, index) => {
+    if (!isRecord(activity) || categoryIds.has(activity.categoryId)) {
+      return activity;
+    }
+    if (!repair) {
+      problems.push({
+        message: t('errors.importUnknownCategory', { category: activity.categoryId, index }),
+        repairable: true,
+      });
+      return activity;
+    }
+    repaired.push(t('import.repairs.category', { name: activity.name }));
+    return { ...activity, categoryId: UNCATEGORIZED_ID, order: nextOrder++ };
+  });
+}
+
+/**
+ * Check completions for unknown activities and days logged twice
+ * A record repeating the id of an earlier one replaces it on import, so it is
+ * left to the duplicate key warning. When repairing, only the first
+ * completion of an activity on a day is kept.
+ * @returns {Array} Completions, repaired if asked
+ */
+function checkCompletions(data, activities, repair, problems, repaired) {
+  const activityMap = new Map(
+    activities.filter(isRecord).map((activity) => [activity.id, activity])
+  );
+  const first = new Map();
+  const completions = [];
+
+  data.completions.forEach((completion, index) => {
+    if (!isRecord(completion)) {
+      completions.push(completion);
+      return;
+    }
+
+    const activity = activityMap.get(completion.activityId);
+    if (!activity) {
+      problems.push({
+        message: t('errors.importUnknownActivity', { activity: completion.activityId, index }),
+        repairable: false,
+      });
+    }
+
+    const key = `${completion.activityId}|${completion.date}`;
+    const earlier = first.get(key);
+    if (earlier && earlier.id !== completion.id) {
+      if (repair) {
+        repaired.push(
+          t('import.repairs.duplicate', {
+            name: activity?.name ?? completion.activityName ?? completion.activityId,
+            date: completion.date,
+          })
+        );
+        return;
+      }
+      problems.push({
+        message: t('errors.importDuplicateCompletion', { index, first: earlier.index }),
+        repairable: true,
+      });
+    } else if (!earlier) {
+      first.set(key, { index, id: completion.id });
+    }
+    completions.push(completion);
+  });
+
+  return completions;
+}
+
+/**
+ * Check that the records of an import fit together
+ * Records are expected to have passed validation, but anything malformed is
+ * skipped rather than failing.
+ * @param {Object} data - Records by store name, as in an export's data
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.repair=false] - Repair what can be repaired instead of reporting it
+ * @param {string} [options.today] - Date (YYYY-MM-DD) after which dates are in the future
+ * @returns {Object} Result { data, problems, repaired } where data holds the
+ *   records, repaired if asked; problems lists { message, repairable } for
+ *   each problem left; and repaired describes each repair made
+ */
+function checkIntegrity(data, { repair = false, today = getLocalDateString() } = {}) {
+  const problems = [];
+  const repaired = [];
+
+  checkDates(data, today, problems);
+
+  const result = { ...data };
+  if (Array.isArray(data.activities)) {
+    result.activities = checkCategories(data, repair, problems, repaired);
+  }
+  if (Array.isArray(data.completions)) {
+    result.completions = checkCompletions(
+      data,
+      result.activities || [],
+      repair,
+      problems,
+      repaired
+    );
+  }
+
+  return { data: repair ? result : data, problems, repaired };
+}
+
+export { checkIntegrity };
@@ -0,0 +1,381 @@
+/**
+ * Merge Service for YourScore
+ * Combines the data of two devices, as exported, into one set of records
+ *
+ * Records that exist on both sides are matched up rather than copied twice:
+ * categories and activities by ID or else by name, completions by activity and
+ * date, and everything else by ID or date. Where both sides disagree the data
+ * already on this device is kept and the difference is reported as a conflict.
+ * The score history and main score are then replayed from the merged records.
+ */
+
+import { UNCATEGORIZED_ID } from '../models/category.js';
+import { PauseModel } from '../models/pause.js';
+import { buildLedger, replayLedger } from './recalculation.js';
+
+/**
+ * Settings that only describe how this device shows and exports data; the
+ * local value is kept without reporting a conflict
+ */
+const DEVICE_SETTINGS = ['theme', 'uiScale', 'language', 'csvDialect'];
+
+function normalizeName(name) {
+  return name.trim().toLocaleLowerCase();
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function byOrder(a, b) {
+  return (a.order ?? 0) - (b.order ?? 0);
+}
+
+/**
+ * Add the records whose key is not taken yet
+ * @param {Array} local - Local records
+ * @param {Array} incoming - Incoming records
+ * @param {Function} getKey - Returns a record's key
+ * @returns {{records: Array, added: number}}
+ */
+function unionBy(local, incoming, getKey) {
+  const keys = new Set(local.map(getKey));
+  const records = [...local];
+  for (const record of incoming) {
+    if (!keys.has(getKey(record))) {
+      keys.add(getKey(record));
+      records.push(record);
+    }
+  }
+  return { records, added: records.length - local.length };
+}
+
+/**
+ * Match incoming categories to local ones by ID, then by name
+ * Unmatched categories are placed after the local ones, keeping their order.
+ */
+function mergeCategories(local, incoming) {
+  const records = local.map((category) => ({ ...category }));
+  const byId = new Map(records.map((category) => [category.id, category]));
+  const byName = new Map(records.map((category) => [normalizeName(category.name), category]));
+  const ids = new Map();
+  let nextOrder =
+    records
+      .filter((category) => category.id !== UNCATEGORIZED_ID)
+      .reduce((max, category) => Math.max(max, category.order), -1) + 1;
+
+  for (const category of [...incoming].sort(byOrder)) {
+    const match = byId.get(category.id) || byName.get(normalizeName(category.name));
+    if (match) {
+      ids.set(category.id, match.id);
+      continue;
+    }
+
+    const added =
+      category.id === UNCATEGORIZED_ID ? { ...category } : { ...category, order: nextOrder++ };
+    records.push(added);
+    byId.set(added.id, added);
+    byName.set(normalizeName(added.name), added);
+    ids.set(category.id, added.id);
+  }
+
+  return { records, ids, added: records.length - local.length };
+}
+
+/**
+ * Match incoming activities to local ones by ID, then by name
+ * A name match prefers an activity in the same category, then one that isn't
+ * archived. Unmatched activities are placed last in their category.
+ */
+function mergeActivities(local, incoming, categoryIds, conflicts) {
+  const records = local.map((activity) => ({ ...activity }));
+  const byId = new Map(records.map((activity) => [activity.id, activity]));
+  const matched = new Set();
+  const ids = new Map();
+
+  for (const activity of [...incoming].sort(byOrder)) {
+    const categoryId = categoryIds.get(activity.categoryId) ?? activity.categoryId;
+    let match = byId.get(activity.id);
+    if (!match) {
+      const candidates = records.filter(
+        (candidate) =>
+          !matched.has(candidate.id) &&
+          normalizeName(candidate.name) === normalizeName(activity.name)
+      );
+      match =
+        candidates.find((candidate) => candidate.categoryId === categoryId) ||
+        candidates.find((candidate) => !candidate.archived) ||
+        candidates[0];
+    }
+
+    if (match) {
+      matched.add(match.id);
+      ids.set(activity.id, match.id);
+      const values = {
+        points: [match.points, activity.points],
+        type: [match.type || 'check', activity.type || 'check'],
+      };
+      for (const [field, [localValue, incomingValue]] of Object.entries(values)) {
+        if (localValue !== incomingValue) {
+          conflicts.push({
+            type: 'activity',
+            name: match.name,
+            field,
+            local: localValue,
+            incoming: incomingValue,
+          });
+        }
+      }
+      continue;
+    }
+
+    const order =
+      records
+        .filter((candidate) => candidate.categoryId === categoryId)
+        .reduce((max, candidate) => Math.max(max, candidate.order ?? -1), -1) + 1;
+    const added = { ...activity, categoryId, order };
+    records.push(added);
+    byId.set(added.id, added);
+    matched.add(added.id);
+    ids.set(activity.id, added.id);
+  }
+
+  return { records, ids, added: records.length - local.length };
+}
+
+/**
+ * Match completions by activity and date
+ * When both sides logged the same day with different counts, the higher count
+ * is kept on the local record, up to the merged activity's daily max.
+ */
+function mergeCompletions(local, incoming, activities, conflicts) {
+  const names = new Map(activities.records.map((activity) => [activity.id, activity.name]));
+  const dailyMaxes = new Map(
+    activities.records.map((activity) => [activity.id, activity.dailyMax ?? null])
+  );
+  const records = local.map((completion) => ({ ...completion }));
+  const ids = new Set(records.map((completion) => completion.id));
+  const byKey = new Map(
+    records.map((completion) => [`${completion.activityId}|${completion.date}`, completion])
+  );
+  let duplicates = 0;
+
+  for (const completion of incoming) {
+    const activityId = activities.ids.get(completion.activityId) ?? completion.activityId;
+    const match = byKey.get(`${activityId}|${completion.date}`);
+    if (match) {
+      const localCount = match.count || 1;
+      const incomingCount = completion.count || 1;
+      if (localCount === incomingCount) {
+        duplicates++;
+      } else {
+        const dailyMax = dailyMaxes.get(activityId);
+        const higher = Math.max(localCount, incomingCount);
+        const kept = dailyMax ? Math.min(dailyMax, higher) : higher;
+        conflicts.push({
+          type: 'completion',
+          name: names.get(activityId) ?? match.activityName ?? '',
+          date: completion.date,
+          local: localCount,
+          incoming: incomingCount,
+          kept,
+          ...(kept < higher && { dailyMax }),
+        });
+        match.count = kept;
+      }
+      continue;
+    }
+    if (ids.has(completion.id)) {
+      duplicates++;
+      continue;
+    }
+
+    const added = { ...completion, activityId };
+    if (completion.categoryId !== undefined) {
+      added.categoryId = activities.categoryIds.get(completion.categoryId) ?? completion.categoryId;
+    }
+    records.push(added);
+    ids.add(added.id);
+    byKey.set(`${activityId}|${completion.date}`, added);
+  }
+
+  return { records, added: records.length - local.length, duplicates };
+}
+
+/**
+ * Union achievements by ID, keeping the earliest unlock
+ */
+function mergeAchievements(local, incoming) {
+  const { records, added } = unionBy(
+    local.map((achievement) => ({ ...achievement })),
+    incoming,
+    (achievement) => achievement.id
+  );
+  const byId = new Map(records.map((achievement) => [achievement.id, achievement]));
+  for (const achievement of incoming) {
+    const record = byId.get(achievement.id);
+    if (achievement.unlockedAt < record.unlockedAt) {
+      record.unlockedAt = achievement.unlockedAt;
+    }
+  }
+  return { records, added };
+}
+
+/**
+ * Union pauses by ID
+ * A pause with the same dates as a local one is the same pause; one that
+ * overlaps a local pause is left out and reported, since pauses can't overlap.
+ */
+function mergePauses(local, incoming, conflicts) {
+  const records = [...local];
+  const ids = new Set(records.map((pause) => pause.id));
+
+  for (const pause of incoming) {
+    if (ids.has(pause.id)) {
+      continue;
+    }
+    const overlapping = records.find((record) => PauseModel.overlaps(record, pause));
+    if (overlapping) {
+      if (overlapping.startDate !== pause.startDate || overlapping.endDate !== pause.endDate) {
+        conflicts.push({
+          type: 'pause',
+          local: { startDate: overlapping.startDate, endDate: overlapping.endDate },
+          incoming: { startDate: pause.startDate, endDate: pause.endDate },
+        });
+      }
+      continue;
+    }
+    records.push(pause);
+    ids.add(pause.id);
+  }
+
+  return { records, added: records.length - local.length };
+}
+
+/**
+ * Merge settings records
+ * The first use date is the earlier one and the last active date the later
+ * one, and decay history entries are combined. Any other setting keeps the
+ * local value. The main score is left out, as it is recalculated.
+ */
+function mergeSettings(local, incoming, conflicts) {
+  const values = new Map(local.map((setting) => [setting.key, setting.value]));
+
+  for (const { key, value } of incoming) {
+    const current = values.get(key);
+    if (key === 'mainScore') {
+      continue;
+    }
+    if (current === undefined || current === null) {
+      values.set(key, value);
+      continue;
+    }
+
+    if (key === 'firstUseDate') {
+      values.set(key, value && value < current ? value : current);
+    } else if (key === 'lastActiveDate') {
+      values.set(key, value && value > current ? value : current);
+    } else if (key === 'decayHistory') {
+      values.set(
+        key,
+        unionBy(current, value, (entry) => entry.from).records.sort((a, b) =>
+          a.from.localeCompare(b.from)
+        )
+      );
+    } else if (!DEVICE_SETTINGS.includes(key) && !isSameValue(current, value)) {
+      conflicts.push({ type: 'setting', key, local: current, incoming: value });
+    }
+  }
+
+  values.delete('mainScore');
+  return [...values].map(([key, value]) => ({ key, value }));
+}
+
+/**
+ * Merge incoming records into the local ones
+ * Both sides must already be normalized, as records are on import.
+ * @param {Object} local - Records on this device by store name, as in an export's data
+ * @param {Object} incoming - Records to merge in, by store name
+ * @param {string} [today] - Date (YYYY-MM-DD) to replay the score through
+ * @returns {Object} Merge plan with the merged records (`data`), the number of
+ *   records added per store, the number of completions both sides had logged
+ *   (`duplicates`), the conflicts found and the main score before and after
+ */
+function mergeData(local, incoming, today) {
+  const get = (records, storeName) => records[storeName] || [];
+  const conflicts = [];
+  const added = {};
+
+  const categories = mergeCategories(get(local, 'categories'), get(incoming, 'categories'));
+  const activities = mergeActivities(
+    get(local, 'activities'),
+    get(incoming, 'activities'),
+    categories.ids,
+    conflicts
+  );
+  const completions = mergeCompletions(
+    get(local, 'completions'),
+    get(incoming, 'completions'),
+    { ...activities, categoryIds: categories.ids },
+    conflicts
+  );
+  const achievements = mergeAchievements(get(local, 'achievements'), get(incoming, 'achievements'));
+  const pauses = mergePauses(get(local, 'pauses'), get(incoming, 'pauses'), conflicts);
+  const scoreAdjustments = unionBy(
+    get(local, 'scoreAdjustments'),
+    get(incoming, 'scoreAdjustments'),
+    (adjustment) => adjustment.id
+  );
+  const streakFreezes = unionBy(
+    get(local, 'streakFreezes'),
+    get(incoming, 'streakFreezes'),
+    (token) => token.id
+  );
+  const excusedDays = unionBy(
+    get(local, 'excusedDays'),
+    get(incoming, 'excusedDays'),
+    (day) => day.date
+  );
+
+  const data = {
+    settings: mergeSettings(get(local, 'settings'), get(incoming, 'settings'), conflicts),
+    categories: categories.records,
+    activities: activities.records,
+    completions: completions.records,
+    scoreHistory: unionBy(
+      get(local, 'scoreHistory'),
+      get(incoming, 'scoreHistory'),
+      (record) => record.date
+    ).records,
+    achievements: achievements.records,
+    scoreAdjustments: scoreAdjustments.records,
+    pauses: pauses.records,
+    excusedDays: excusedDays.records,
+    streakFreezes: streakFreezes.records,
+  };
+  Object.assign(added, {
+    categories: categories.added,
+    activities: activities.added,
+    completions: completions.added,
+    achievements: achievements.added,
+    scoreAdjustments: scoreAdjustments.added,
+    pauses: pauses.added,
+    excusedDays: excusedDays.added,
+    streakFreezes: streakFreezes.added,
+  });
+
+  const replayed = replayLedger(buildLedger(data), today);
+  data.scoreHistory = replayed.history;
+  data.settings.push({ key: 'mainScore', value: replayed.mainScore });
+
+  const currentScore = get(local, 'settings').find((setting) => setting.key === 'mainScore');
+  return {
+    data,
+    added,
+    duplicates: completions.duplicates,
+    conflicts,
+    mainScore: { current: currentScore?.value ?? 0, merged: replayed.mainScore },
+  };
+}
+
+export { mergeData };
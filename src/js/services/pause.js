@@ -0,0 +1,89 @@
+/**
+ * Pause Service for YourScore
+ * Schedules, ends and cancels pauses, during which no decay is charged
+ */
+
+import { PauseModel } from '../models/pause.js';
+import { ScoreModel } from '../models/score.js';
+import { getLocalDateString } from '../utils/date.js';
+
+/**
+ * Get whether a pause is under way, yet to start or over
+ * @param {Object} pause - Pause record
+ * @param {string} [today] - Today's date (YYYY-MM-DD)
+ * @returns {'active'|'upcoming'|'past'}
+ */
+function getPauseStatus(pause, today = getLocalDateString()) {
+  if (pause.startDate > today) {
+    return 'upcoming';
+  }
+  return PauseModel.covers(pause, today) ? 'active' : 'past';
+}
+
+/**
+ * Get all pauses with their status
+ * A pause can be ended while it is under way and not already ending today.
+ * @returns {Promise<Array>} Pauses, newest first, each with a status and whether it can be ended
+ */
+async function getPauses() {
+  const today = getLocalDateString();
+  const pauses = await PauseModel.getAll();
+  return pauses.reverse().map((pause) => {
+    const status = getPauseStatus(pause, today);
+    return { ...pause, status, canEnd: status === 'active' && pause.endDate !== today };
+  });
+}
+
+/**
+ * Check if decay is paused on a date
+ * @param {string} [date] - Date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<boolean>}
+ */
+async function isPausedOn(date = getLocalDateString()) {
+  return (await PauseModel.getOn(date)) !== undefined;
+}
+
+/**
+ * Schedule a pause
+ * A pause starting today also gives back the decay already charged today.
+ * @param {Object} range
+ * @param {string} range.startDate - First paused day (YYYY-MM-DD), today or later
+ * @param {string|null} [range.endDate] - Last paused day (YYYY-MM-DD), or null until ended
+ * @returns {Promise<Object>} Created pause
+ */
+async function schedulePause({ startDate, endDate = null }) {
+  const pause = await PauseModel.create({ startDate, endDate });
+  if (PauseModel.covers(pause, getLocalDateString())) {
+    await ScoreModel.pauseToday();
+  }
+  return pause;
+}
+
+/**
+ * Pause decay from today until the pause is ended
+ * @returns {Promise<Object>} Created pause
+ */
+async function pauseNow() {
+  return schedulePause({ startDate: getLocalDateString() });
+}
+
+/**
+ * End the pause that is under way
+ * Today stays paused; decay resumes tomorrow.
+ * @param {string} id - Pause ID
+ * @returns {Promise<Object>} Updated pause
+ */
+async function endPause(id) {
+  return PauseModel.end(id);
+}
+
+/**
+ * Cancel a pause that has not started yet
+ * @param {string} id - Pause ID
+ * @returns {Promise<void>}
+ */
+async function cancelPause(id) {
+  return PauseModel.delete(id);
+}
+
+export { getPauseStatus, getPauses, isPausedOn, schedulePause, pauseNow, endPause, cancelPause };
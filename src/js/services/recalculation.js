@@ -0,0 +1,256 @@
+/**
+ * Recalculation Service for YourScore
+ * Rebuilds the main score and score history from the ledger of completions,
+ * decay settings and manual adjustments
+ */
+
+import { db } from '../storage/db.js';
+import { ActivityModel } from '../models/activity.js';
+import { CompletionModel } from '../models/completion.js';
+import { ScoreModel } from '../models/score.js';
+import { SettingsModel, DEFAULTS } from '../models/settings.js';
+import { PauseModel } from '../models/pause.js';
+import { ExcusedDayModel } from '../models/excused-day.js';
+import { StreakFreezeModel } from '../models/streak-freeze.js';
+import { getLocalDateString, getDateRange } from '../utils/date.js';
+import {
+  DEFAULT_DECAY_STRATEGY,
+  getDecaySettingsOn,
+  planDecay,
+} from '../utils/decay-strategies.js';
+
+function sumByDate(entries, getAmount) {
+  const totals = new Map();
+  for (const entry of entries) {
+    totals.set(entry.date, (totals.get(entry.date) || 0) + getAmount(entry));
+  }
+  return totals;
+}
+
+/**
+ * Load everything the score is derived from
+ * @returns {Promise<Object>} Ledger
+ */
+async function loadLedger() {
+  const [
+    settings,
+    decayHistory,
+    activities,
+    completions,
+    adjustments,
+    pauses,
+    excusedDays,
+    streakFreezes,
+    history,
+  ] = await Promise.all([
+    SettingsModel.getAll(),
+    SettingsModel.getDecayHistory(),
+    ActivityModel.getAllIncludingArchived(),
+    CompletionModel.getAll(),
+    ScoreModel.getAdjustments(),
+    PauseModel.getAll(),
+    ExcusedDayModel.getAll(),
+    StreakFreezeModel.getUsed(),
+    ScoreModel.getAllHistory(),
+  ]);
+
+  return {
+    firstUseDate: settings.firstUseDate ?? null,
+    lastActiveDate: settings.lastActiveDate ?? null,
+    decayAmount: settings.decayAmount,
+    decayStrategy: settings.decayStrategy || DEFAULT_DECAY_STRATEGY,
+    decayHistory,
+    activities,
+    completions,
+    adjustments,
+    pauses,
+    excusedDays,
+    streakFreezes,
+    history,
+  };
+}
+
+/**
+ * Build a ledger from exported records instead of the stores
+ * The records are put in the same order loadLedger() returns them in.
+ * @param {Object} data - Records by store name, as in an export's data
+ * @returns {Object} Ledger
+ */
+function buildLedger(data) {
+  const settings = { ...DEFAULTS };
+  for (const record of data.settings || []) {
+    settings[record.key] = record.value;
+  }
+
+  return {
+    firstUseDate: settings.firstUseDate ?? null,
+    lastActiveDate: settings.lastActiveDate ?? null,
+    decayAmount: settings.decayAmount,
+    decayStrategy: settings.decayStrategy || DEFAULT_DECAY_STRATEGY,
+    decayHistory: [...(settings.decayHistory || [])].sort((a, b) => a.from.localeCompare(b.from)),
+    activities: data.activities || [],
+    completions: data.completions || [],
+    adjustments: [...(data.scoreAdjustments || [])].sort(
+      (a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt)
+    ),
+    pauses: [...(data.pauses || [])].sort((a, b) => a.startDate.localeCompare(b.startDate)),
+    excusedDays: data.excusedDays || [],
+    streakFreezes: (data.streakFreezes || [])
+      .filter((token) => token.usedOn !== null)
+      .sort((a, b) => a.usedOn.localeCompare(b.usedOn)),
+    history: data.scoreHistory || [],
+  };
+}
+
+/**
+ * Replay a ledger day by day from the first use date through today
+ * Every day after the first, up to the last day the app was opened, is charged
+ * decay and gets a history record, including days the app was not opened.
+ * Entries dated before the first use date, such as the rows of an imported
+ * CSV file, are scored from their own day on, but the days before the first
+ * use date are never charged decay.
+ * Decay is worked out from the score at the start of each day, before that
+ * day's points, with the amount and strategy logged for the day. Paused days
+ * are charged nothing and their records are marked as paused. Excused days are
+ * charged nothing either and their records are marked as excused. Days covered
+ * by a streak freeze are charged as usual and their records are marked as frozen.
+ * History saved before missed days were recorded kept an absence's decay on
+ * the day of return; replaying spreads it over the missed days.
+ * @param {Object} ledger - Ledger from loadLedger() or buildLedger()
+ * @param {string} [today] - Date (YYYY-MM-DD) to replay through
+ * @returns {{mainScore: number, history: Array}} Expected score and history
+ */
+function replayLedger(ledger, today = getLocalDateString()) {
+  const { firstUseDate } = ledger;
+  const activityPoints = new Map(ledger.activities.map((a) => [a.id, a.points]));
+  const earnedByDate = sumByDate(ledger.completions, (c) =>
+    CompletionModel.getAwardedPoints(c, activityPoints.get(c.activityId) ?? 0)
+  );
+  const adjustedByDate = sumByDate(ledger.adjustments, (a) => a.amount);
+  const lastDecayDate = firstUseDate ? ledger.lastActiveDate || firstUseDate : null;
+  const currentDecay = { amount: ledger.decayAmount, strategy: ledger.decayStrategy };
+  const getSettings = (date) => getDecaySettingsOn(ledger.decayHistory, date, currentDecay);
+  const pauses = ledger.pauses || [];
+  const isPaused = (date) => PauseModel.findOn(pauses, date) !== undefined;
+  const excusedDates = new Set((ledger.excusedDays || []).map((e) => e.date));
+  const frozenDates = new Set((ledger.streakFreezes || []).map((token) => token.usedOn));
+
+  const recordedDates = new Set([
+    ...ledger.history.map((h) => h.date),
+    ...earnedByDate.keys(),
+    ...adjustedByDate.keys(),
+    ...excusedDates,
+  ]);
+
+  const startDate = [
+    firstUseDate,
+    ...earnedByDate.keys(),
+    ...adjustedByDate.keys(),
+    ...excusedDates,
+  ]
+    .filter(Boolean)
+    .reduce((min, date) => (!min || date < min ? date : min), null);
+  if (!startDate || startDate > today) {
+    return { mainScore: 0, history: [] };
+  }
+
+  const history = [];
+  let score = 0;
+
+  for (const date of getDateRange(startDate, today)) {
+    const isDecayDay = firstUseDate !== null && date > firstUseDate && date <= lastDecayDate;
+    const paused = isPaused(date);
+    const excused = excusedDates.has(date);
+    let charge = null;
+    if (isDecayDay) {
+      charge = excused
+        ? { date, decay: 0 }
+        : planDecay([date], { score, history, getSettings, isPaused })[0];
+    }
+    const earned = earnedByDate.get(date) || 0;
+    score += earned + (adjustedByDate.get(date) || 0) - (charge?.decay ?? 0);
+
+    if (!charge && !recordedDates.has(date)) {
+      continue;
+    }
+    history.push({
+      date,
+      score,
+      earned,
+      decay: charge?.decay ?? 0,
+      ...(charge?.decayRule && { decayRule: charge.decayRule }),
+      ...(paused && { paused: true }),
+      ...(excused && { excused: true }),
+      ...(frozenDates.has(date) && { frozen: true }),
+    });
+  }
+
+  return { mainScore: score, history };
+}
+
+function isSameRecord(a, b) {
+  return (
+    a.score === b.score &&
+    a.earned === b.earned &&
+    a.decay === b.decay &&
+    Boolean(a.paused) === Boolean(b.paused) &&
+    Boolean(a.excused) === Boolean(b.excused) &&
+    Boolean(a.frozen) === Boolean(b.frozen)
+  );
+}
+
+/**
+ * Compare the stored score and history with what the ledger says they should be
+ * @returns {Promise<Object>} Diff with the current and expected main score, the
+ *   changed history days ({date, current, expected}; null when missing) and the
+ *   expected history
+ */
+async function getRecalculationDiff() {
+  const ledger = await loadLedger();
+  const expected = replayLedger(ledger);
+  const currentScore = await ScoreModel.getScore();
+
+  const currentByDate = new Map(ledger.history.map((h) => [h.date, h]));
+  const expectedByDate = new Map(expected.history.map((h) => [h.date, h]));
+  const dates = [...new Set([...currentByDate.keys(), ...expectedByDate.keys()])].sort();
+
+  const changes = [];
+  for (const date of dates) {
+    const current = currentByDate.get(date) || null;
+    const wanted = expectedByDate.get(date) || null;
+    if (!current || !wanted || !isSameRecord(current, wanted)) {
+      changes.push({ date, current, expected: wanted });
+    }
+  }
+
+  return {
+    mainScore: { current: currentScore, expected: expected.mainScore },
+    changes,
+    history: expected.history,
+    hasChanges: changes.length > 0 || currentScore !== expected.mainScore,
+  };
+}
+
+/**
+ * Replace the main score and score history with the recalculated values
+ * Both are written in one transaction.
+ * @returns {Promise<Object>} The diff that was applied
+ */
+async function applyRecalculation() {
+  const diff = await getRecalculationDiff();
+  if (!diff.hasChanges) {
+    return diff;
+  }
+
+  await db.transaction(['scoreHistory', 'settings'], 'readwrite', (_transaction, stores) => {
+    stores.scoreHistory.clear();
+    for (const record of diff.history) {
+      stores.scoreHistory.put(record);
+    }
+    stores.settings.put({ key: 'mainScore', value: diff.mainScore.expected });
+  });
+
+  return diff;
+}
+
+export { loadLedger, buildLedger, replayLedger, getRecalculationDiff, applyRecalculation };
@@ -0,0 +1,108 @@
+/**
+ * Tab Sync Service for YourScore
+ * Coordinates tabs that have the app open at the same time: work that must
+ * only happen once, like applying decay, runs under a lock shared by all tabs,
+ * and each tab tells the others which stores it changed so they can re-render
+ */
+
+import { db } from '../storage/db.js';
+
+const CHANNEL_NAME = 'yourscore-sync';
+const LOCK_PREFIX = 'yourscore-';
+
+// Writes made within this many milliseconds are announced in one message
+const BROADCAST_DELAY = 50;
+
+let channel = null;
+let broadcastTimer = null;
+const pendingStores = new Set();
+const listeners = new Set();
+
+/**
+ * Get the channel shared with other tabs, opening it on first use
+ * @returns {BroadcastChannel|null} Channel, or null where unsupported
+ */
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => {
+      if (event.data?.type !== 'change') {
+        return;
+      }
+      for (const listener of listeners) {
+        listener(event.data.stores);
+      }
+    };
+  }
+  return channel;
+}
+
+/**
+ * Tell other tabs that stores were changed
+ * Changes are batched so a burst of writes sends a single message.
+ * @param {string[]} storeNames - Stores that were written to
+ */
+function broadcastChange(storeNames) {
+  if (!getChannel()) {
+    return;
+  }
+
+  storeNames.forEach((name) => pendingStores.add(name));
+  if (broadcastTimer !== null) {
+    return;
+  }
+  broadcastTimer = setTimeout(() => {
+    channel.postMessage({ type: 'change', stores: [...pendingStores] });
+    pendingStores.clear();
+    broadcastTimer = null;
+  }, BROADCAST_DELAY);
+}
+
+/**
+ * Listen for changes made in other tabs
+ * @param {Function} listener - Called with the names of the changed stores
+ * @returns {Function} Unsubscribe function
+ */
+function onRemoteChange(listener) {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Announce every database write to other tabs
+ */
+function startTabSync() {
+  db.onChange = broadcastChange;
+  getChannel();
+}
+
+/**
+ * Stop announcing database writes and close the channel
+ */
+function stopTabSync() {
+  db.onChange = null;
+  clearTimeout(broadcastTimer);
+  broadcastTimer = null;
+  pendingStores.clear();
+  listeners.clear();
+  channel?.close();
+  channel = null;
+}
+
+/**
+ * Run a callback while holding a lock shared by all tabs
+ * Other tabs asking for the same lock wait until the callback settles.
+ * Without the Web Locks API the callback runs straight away.
+ * @param {string} name - Lock name
+ * @param {Function} callback - Async function to run
+ * @returns {Promise<*>} Result of the callback
+ */
+async function withLock(name, callback) {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return navigator.locks.request(`${LOCK_PREFIX}${name}`, () => callback());
+  }
+  return callback();
+}
+
+export { broadcastChange, onRemoteChange, startTabSync, stopTabSync, withLock };
@@ -0,0 +1,175 @@
+/**
+ * Templates Service for YourScore
+ * Built-in catalog of suggested activities for quick setup
+ */
+
+import { ActivityModel } from '../models/activity.js';
+import { CategoryModel } from '../models/category.js';
+import { t } from '../i18n/i18n.js';
+
+/**
+ * Template catalog
+ * Templates are grouped into suggested categories; names are looked up in
+ * translations so the catalog follows the current language.
+ */
+const TEMPLATE_CATEGORIES = [
+  {
+    id: 'health',
+    nameKey: 'templates.categories.health',
+    templates: [
+      { id: 'exercise', nameKey: 'templates.activities.exercise', points: 20 },
+      { id: 'steps', nameKey: 'templates.activities.steps', points: 15 },
+      {
+        id: 'water',
+        nameKey: 'templates.activities.water',
+        points: 2,
+        type: 'counter',
+        dailyMax: 8,
+      },
+      { id: 'sleep', nameKey: 'templates.activities.sleep', points: 10 },
+    ],
+  },
+  {
+    id: 'mind',
+    nameKey: 'templates.categories.mind',
+    templates: [
+      { id: 'meditation', nameKey: 'templates.activities.meditation', points: 10 },
+      { id: 'read', nameKey: 'templates.activities.read', points: 15 },
+      { id: 'journal', nameKey: 'templates.activities.journal', points: 10 },
+    ],
+  },
+  {
+    id: 'routine',
+    nameKey: 'templates.categories.routine',
+    templates: [
+      { id: 'early_wake_up', nameKey: 'templates.activities.early_wake_up', points: 15 },
+      { id: 'make_bed', nameKey: 'templates.activities.make_bed', points: 5 },
+      { id: 'plan_tomorrow', nameKey: 'templates.activities.plan_tomorrow', points: 5 },
+    ],
+  },
+  {
+    id: 'bad_habits',
+    nameKey: 'templates.categories.bad_habits',
+    templates: [
+      { id: 'doomscrolling', nameKey: 'templates.activities.doomscrolling', points: -10 },
+      { id: 'junk_food', nameKey: 'templates.activities.junk_food', points: -10 },
+    ],
+  },
+];
+
+function normalizeName(name) {
+  return name.trim().toLocaleLowerCase();
+}
+
+function localizeTemplate(template) {
+  return {
+    type: 'check',
+    dailyMax: null,
+    ...template,
+    name: t(template.nameKey),
+  };
+}
+
+/**
+ * Get the localized template catalog
+ * @returns {Array<Object>} Template groups with localized names
+ */
+function getTemplateCatalog() {
+  return TEMPLATE_CATEGORIES.map((group) => ({
+    id: group.id,
+    name: t(group.nameKey),
+    templates: group.templates.map(localizeTemplate),
+  }));
+}
+
+/**
+ * Get a localized template by ID
+ * @param {string} id - Template ID
+ * @returns {Object|undefined} Template with its group ID
+ */
+function getTemplateById(id) {
+  for (const group of TEMPLATE_CATEGORIES) {
+    const template = group.templates.find((item) => item.id === id);
+    if (template) {
+      return { ...localizeTemplate(template), groupId: group.id };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get IDs of templates that already exist as active activities (matched by name)
+ * @returns {Promise<Set<string>>}
+ */
+async function getAddedTemplateIds() {
+  const activities = await ActivityModel.getAll();
+  const existingNames = new Set(activities.map((a) => normalizeName(a.name)));
+  const added = new Set();
+
+  for (const group of TEMPLATE_CATEGORIES) {
+    for (const template of group.templates) {
+      if (existingNames.has(normalizeName(t(template.nameKey)))) {
+        added.add(template.id);
+      }
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Create activities from templates, along with their suggested categories
+ * Categories are reused when one with the same name exists. Templates that
+ * already exist as active activities are skipped.
+ * @param {string[]} templateIds - Template IDs to add
+ * @returns {Promise<{activities: Array, categories: Array, skipped: number}>}
+ */
+async function applyTemplates(templateIds) {
+  const categories = await CategoryModel.getAll();
+  const categoryByName = new Map(categories.map((cat) => [normalizeName(cat.name), cat]));
+  const activities = await ActivityModel.getAll();
+  const existingNames = new Set(activities.map((a) => normalizeName(a.name)));
+
+  const created = { activities: [], categories: [], skipped: 0 };
+
+  for (const id of new Set(templateIds)) {
+    const template = getTemplateById(id);
+    if (!template) {
+      continue;
+    }
+
+    if (existingNames.has(normalizeName(template.name))) {
+      created.skipped++;
+      continue;
+    }
+
+    const group = TEMPLATE_CATEGORIES.find((item) => item.id === template.groupId);
+    const categoryName = t(group.nameKey);
+    let category = categoryByName.get(normalizeName(categoryName));
+    if (!category) {
+      category = await CategoryModel.create({ name: categoryName });
+      categoryByName.set(normalizeName(categoryName), category);
+      created.categories.push(category);
+    }
+
+    const activity = await ActivityModel.create({
+      name: template.name,
+      points: template.points,
+      type: template.type,
+      dailyMax: template.dailyMax,
+      categoryId: category.id,
+    });
+    existingNames.add(normalizeName(activity.name));
+    created.activities.push(activity);
+  }
+
+  return created;
+}
+
+export {
+  TEMPLATE_CATEGORIES,
+  getTemplateCatalog,
+  getTemplateById,
+  getAddedTemplateIds,
+  applyTemplates,
+};
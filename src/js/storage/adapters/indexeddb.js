@@ -0,0 +1,574 @@
+/**
+ * IndexedDB Storage Adapter for YourScore
+ * The default backend: data is kept in the browser's IndexedDB and the schema
+ * is upgraded by the migrations as the app is updated
+ */
+
+import { runMigrations } from '../migrations.js';
+import { STORES, DB_NAME, DB_VERSION } from '../schema.js';
+
+/**
+ * Storage backend keeping data in IndexedDB
+ */
+class IndexedDBAdapter {
+  constructor() {
+    this.name = 'indexeddb';
+    this.persistent = true;
+    this.db = null;
+    // Called when an upgrade waits on a connection another tab keeps open
+    this.onBlocked = null;
+    // Called with the new version (null when deleted) after another tab
+    // upgrades or deletes the database and this connection has been closed
+    this.onVersionChange = null;
+    // Called with the store names after each write
+    this.onChange = null;
+  }
+
+  /**
+   * Initialize the database connection
+   * Creates object stores if they don't exist. An open connection is closed
+   * as soon as another tab needs to upgrade or delete the database, so the
+   * other tab is never left waiting; the next operation reopens it.
+   * @returns {Promise<IDBDatabase>}
+   */
+  async init() {
+    if (this.db) {
+      return this.db;
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onerror = () => {
+        reject(new Error(`Failed to open database: ${request.error}`));
+      };
+
+      request.onsuccess = () => {
+        this.db = request.result;
+        this.db.onversionchange = (event) => {
+          this.close();
+          this.onVersionChange?.(event.newVersion);
+        };
+        resolve(this.db);
+      };
+
+      // Another tab still has an older version open; the upgrade goes ahead
+      // once that tab closes its connection
+      request.onblocked = () => {
+        this.onBlocked?.();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        const transaction = event.target.transaction;
+        const oldVersion = event.oldVersion;
+        const newVersion = event.newVersion || DB_VERSION;
+
+        // Create stores first (for initial setup)
+        this.createStores(db);
+
+        // Run any pending migrations
+        runMigrations(db, transaction, oldVersion, newVersion);
+      };
+    });
+  }
+
+  /**
+   * Create object stores based on STORES configuration
+   * @param {IDBDatabase} db
+   */
+  createStores(db) {
+    for (const [storeName, config] of Object.entries(STORES)) {
+      if (!db.objectStoreNames.contains(storeName)) {
+        const store = db.createObjectStore(storeName, { keyPath: config.keyPath });
+
+        for (const index of config.indexes) {
+          store.createIndex(index.name, index.keyPath, index.options);
+        }
+      }
+    }
+  }
+
+  /**
+   * Ensure database is initialized
+   * @returns {Promise<IDBDatabase>}
+   */
+  async ensureDb() {
+    if (!this.db) {
+      await this.init();
+    }
+    return this.db;
+  }
+
+  /**
+   * Report a write to the change listener
+   * @param {string[]} storeNames - Stores that were written to
+   */
+  notifyChange(storeNames) {
+    this.onChange?.(storeNames);
+  }
+
+  /**
+   * Get a single record by key
+   * @param {string} storeName - Name of the object store
+   * @param {*} key - Primary key value
+   * @returns {Promise<*>} The record or undefined
+   */
+  async get(storeName, key) {
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readonly');
+      const store = transaction.objectStore(storeName);
+      const request = store.get(key);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () =>
+        reject(new Error(`Failed to get from ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Get all records from a store
+   * @param {string} storeName - Name of the object store
+   * @returns {Promise<Array>} Array of all records
+   */
+  async getAll(storeName) {
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readonly');
+      const store = transaction.objectStore(storeName);
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () =>
+        reject(new Error(`Failed to getAll from ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Get records by index value
+   * @param {string} storeName - Name of the object store
+   * @param {string} indexName - Name of the index
+   * @param {*} value - Index value to match
+   * @returns {Promise<Array>} Array of matching records
+   */
+  async getByIndex(storeName, indexName, value) {
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readonly');
+      const store = transaction.objectStore(storeName);
+      const index = store.index(indexName);
+      const request = index.getAll(value);
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () =>
+        reject(new Error(`Failed to getByIndex from ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Get a single record by index value
+   * @param {string} storeName - Name of the object store
+   * @param {string} indexName - Name of the index
+   * @param {*} value - Index value to match
+   * @returns {Promise<*>} The first matching record or undefined
+   */
+  async getOneByIndex(storeName, indexName, value) {
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readonly');
+      const store = transaction.objectStore(storeName);
+      const index = store.index(indexName);
+      const request = index.get(value);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () =>
+        reject(new Error(`Failed to getOneByIndex from ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Get the store or index a range query reads from
+   * @param {IDBTransaction} transaction
+   * @param {string} storeName - Name of the object store
+   * @param {string} [indexName] - Name of the index; the primary key when omitted
+   * @returns {IDBObjectStore|IDBIndex}
+   */
+  getSource(transaction, storeName, indexName) {
+    const store = transaction.objectStore(storeName);
+    return indexName ? store.index(indexName) : store;
+  }
+
+  /**
+   * Get records whose key falls in a range
+   * Records come back in key order, or in reverse key order with `reverse`.
+   * @param {string} storeName - Name of the object store
+   * @param {Object} [options]
+   * @param {string} [options.index] - Index to query; the primary key when omitted
+   * @param {*} [options.lower] - Lowest key to include; unbounded when omitted
+   * @param {*} [options.upper] - Highest key to include; unbounded when omitted
+   * @param {boolean} [options.reverse=false] - Return the highest keys first
+   * @param {number} [options.limit] - Most records to return
+   * @returns {Promise<Array>} Matching records
+   */
+  async getRange(storeName, options = {}) {
+    await this.ensureDb();
+    const transaction = this.db.transaction(storeName, 'readonly');
+    return this.getRangeIn(transaction.objectStore(storeName), options);
+  }
+
+  /**
+   * Get records whose key falls in a range from a store handed to a
+   * transaction() callback
+   * The promise settles from the requests' own callbacks, so awaiting it does
+   * not let the transaction commit early.
+   * @param {IDBObjectStore} store - Store of an active transaction
+   * @param {Object} [options] - Same options as getRange()
+   * @returns {Promise<Array>} Matching records
+   */
+  getRangeIn(store, { index, lower, upper, reverse = false, limit } = {}) {
+    if (isEmptyRange(lower, upper)) {
+      return Promise.resolve([]);
+    }
+
+    return new Promise((resolve, reject) => {
+      const source = index ? store.index(index) : store;
+      const fail = (request) =>
+        reject(new Error(`Failed to getRange from ${store.name}: ${request.error}`));
+
+      if (!reverse) {
+        const request = source.getAll(toKeyRange(lower, upper), limit);
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => fail(request);
+        return;
+      }
+
+      const records = [];
+      const request = source.openCursor(toKeyRange(lower, upper), 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || records.length === limit) {
+          resolve(records);
+          return;
+        }
+        records.push(cursor.value);
+        cursor.continue();
+      };
+      request.onerror = () => fail(request);
+    });
+  }
+
+  /**
+   * Walk records whose key falls in a range with a cursor
+   * Only the records visited are read, so a walk that stops early never loads
+   * the rest of the store.
+   * @param {string} storeName - Name of the object store
+   * @param {Object} options - Same range options as getRange(), without limit
+   * @param {Function} callback - Called with each record; return false to stop
+   * @returns {Promise<void>}
+   */
+  async iterate(storeName, { index, lower, upper, reverse = false } = {}, callback) {
+    if (isEmptyRange(lower, upper)) {
+      return;
+    }
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readonly');
+      const source = this.getSource(transaction, storeName, index);
+      const request = source.openCursor(toKeyRange(lower, upper), reverse ? 'prev' : 'next');
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        let keepGoing;
+        try {
+          keepGoing = callback(cursor.value);
+        } catch (error) {
+          reject(error);
+          return;
+        }
+        if (keepGoing === false) {
+          resolve();
+        } else {
+          cursor.continue();
+        }
+      };
+      request.onerror = () => reject(new Error(`Failed to iterate ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Count records whose key falls in a range
+   * @param {string} storeName - Name of the object store
+   * @param {Object} [options] - Index and bounds, as for getRange()
+   * @returns {Promise<number>} Number of matching records
+   */
+  async countRange(storeName, { index, lower, upper } = {}) {
+    if (isEmptyRange(lower, upper)) {
+      return 0;
+    }
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readonly');
+      const source = this.getSource(transaction, storeName, index);
+      const request = source.count(toKeyRange(lower, upper));
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () =>
+        reject(new Error(`Failed to countRange ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Insert or update a record
+   * @param {string} storeName - Name of the object store
+   * @param {*} value - Record to store (must include keyPath field)
+   * @returns {Promise<*>} The key of the stored record
+   */
+  async put(storeName, value) {
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.put(value);
+
+      request.onsuccess = () => {
+        this.notifyChange([storeName]);
+        resolve(request.result);
+      };
+      request.onerror = () =>
+        reject(
+          new Error(`Failed to put to ${storeName}: ${request.error}`, { cause: request.error })
+        );
+    });
+  }
+
+  /**
+   * Insert multiple records
+   * @param {string} storeName - Name of the object store
+   * @param {Array} values - Array of records to store
+   * @returns {Promise<void>}
+   */
+  async putMany(storeName, values) {
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+
+      transaction.oncomplete = () => {
+        this.notifyChange([storeName]);
+        resolve();
+      };
+      transaction.onerror = () =>
+        reject(
+          new Error(`Failed to putMany to ${storeName}: ${transaction.error}`, {
+            cause: transaction.error,
+          })
+        );
+
+      for (const value of values) {
+        store.put(value);
+      }
+    });
+  }
+
+  /**
+   * Delete a record by key
+   * @param {string} storeName - Name of the object store
+   * @param {*} key - Primary key of record to delete
+   * @returns {Promise<void>}
+   */
+  async delete(storeName, key) {
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.delete(key);
+
+      request.onsuccess = () => {
+        this.notifyChange([storeName]);
+        resolve();
+      };
+      request.onerror = () =>
+        reject(new Error(`Failed to delete from ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Clear all records from a store
+   * @param {string} storeName - Name of the object store
+   * @returns {Promise<void>}
+   */
+  async clear(storeName) {
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      const request = store.clear();
+
+      request.onsuccess = () => {
+        this.notifyChange([storeName]);
+        resolve();
+      };
+      request.onerror = () => reject(new Error(`Failed to clear ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Count records in a store
+   * @param {string} storeName - Name of the object store
+   * @returns {Promise<number>} Number of records
+   */
+  async count(storeName) {
+    await this.ensureDb();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(storeName, 'readonly');
+      const store = transaction.objectStore(storeName);
+      const request = store.count();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Failed to count ${storeName}: ${request.error}`));
+    });
+  }
+
+  /**
+   * Execute a custom transaction
+   * The callback may be async, awaiting requests made on the transaction's
+   * stores (see requestResult). If it throws or rejects, the transaction is
+   * aborted so none of its writes are saved, and the error is passed on.
+   * @param {string|string[]} storeNames - Store name(s) to include
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Function receiving transaction and store(s)
+   * @returns {Promise<*>} Result from callback
+   */
+  async transaction(storeNames, mode, callback) {
+    await this.ensureDb();
+
+    const stores = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(stores, mode);
+      let result;
+      let failure = null;
+
+      const abort = (error) => {
+        failure = error;
+        try {
+          transaction.abort();
+        } catch {
+          // Already committed or aborted
+        }
+        reject(error);
+      };
+
+      transaction.oncomplete = () => {
+        if (failure) {
+          return;
+        }
+        if (mode === 'readwrite') {
+          this.notifyChange(stores);
+        }
+        resolve(result);
+      };
+      transaction.onerror = () => reject(new Error(`Transaction failed: ${transaction.error}`));
+      transaction.onabort = () =>
+        reject(failure || new Error(`Transaction aborted: ${transaction.error}`));
+
+      try {
+        if (stores.length === 1) {
+          const store = transaction.objectStore(stores[0]);
+          result = callback(transaction, store);
+        } else {
+          const storeObjects = {};
+          for (const name of stores) {
+            storeObjects[name] = transaction.objectStore(name);
+          }
+          result = callback(transaction, storeObjects);
+        }
+      } catch (error) {
+        abort(error);
+        return;
+      }
+
+      if (result instanceof Promise) {
+        result.then((value) => {
+          result = value;
+        }, abort);
+      }
+    });
+  }
+
+  /**
+   * Delete the entire database
+   * @returns {Promise<void>}
+   */
+  async deleteDatabase() {
+    this.close();
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(DB_NAME);
+
+      request.onsuccess = () => resolve();
+      request.onblocked = () => {
+        this.onBlocked?.();
+      };
+      request.onerror = () => reject(new Error(`Failed to delete database: ${request.error}`));
+    });
+  }
+}
+
+/**
+ * Check if inclusive bounds leave no keys between them
+ * @param {*} [lower] - Lowest key to include
+ * @param {*} [upper] - Highest key to include
+ * @returns {boolean}
+ */
+function isEmptyRange(lower, upper) {
+  return lower !== undefined && upper !== undefined && indexedDB.cmp(lower, upper) > 0;
+}
+
+/**
+ * Build a key range from optional inclusive bounds
+ * @param {*} [lower] - Lowest key to include
+ * @param {*} [upper] - Highest key to include
+ * @returns {IDBKeyRange|null} Key range, or null for every key
+ */
+function toKeyRange(lower, upper) {
+  if (lower !== undefined && upper !== undefined) {
+    return IDBKeyRange.bound(lower, upper);
+  }
+  if (lower !== undefined) {
+    return IDBKeyRange.lowerBound(lower);
+  }
+  if (upper !== undefined) {
+    return IDBKeyRange.upperBound(upper);
+  }
+  return null;
+}
+
+export { IndexedDBAdapter };
+export default IndexedDBAdapter;
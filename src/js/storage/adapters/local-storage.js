@@ -0,0 +1,117 @@
+/**
+ * localStorage Storage Adapter for YourScore
+ * A fallback for browsers where IndexedDB can't be opened, such as some
+ * private modes. Each store is saved as one JSON array, so space is limited to
+ * what the browser allows localStorage (often around 5 MB) and every write
+ * rewrites the stores it touched.
+ */
+
+import { STORES } from '../schema.js';
+import { MemoryAdapter } from './memory.js';
+
+const KEY_PREFIX = 'yourscore:';
+
+/**
+ * Storage backend keeping data in localStorage
+ * Reads come from the in-memory copy of a store, which is reloaded whenever
+ * the saved JSON no longer matches it (for example after another tab wrote).
+ */
+class LocalStorageAdapter extends MemoryAdapter {
+  /**
+   * @param {Storage} [storage] - Storage to use instead of window.localStorage
+   */
+  constructor(storage) {
+    super();
+    this.name = 'localstorage';
+    this.persistent = true;
+    this.storage = storage;
+    this.saved = new Map();
+  }
+
+  /**
+   * Check that a storage can be written to
+   * Private modes may expose localStorage but throw on every write.
+   * @param {Storage} [storage] - Storage to check instead of window.localStorage
+   * @returns {boolean}
+   */
+  static isAvailable(storage) {
+    try {
+      const target = storage ?? globalThis.localStorage;
+      const probe = `${KEY_PREFIX}probe`;
+      target.setItem(probe, probe);
+      target.removeItem(probe);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @returns {Promise<LocalStorageAdapter>}
+   */
+  async init() {
+    this.storage ??= globalThis.localStorage;
+    this.stores ??= new Map();
+    return this;
+  }
+
+  getStore(name) {
+    if (!STORES[name]) {
+      throw new DOMException(`No object store named ${name}.`, 'NotFoundError');
+    }
+
+    const json = this.storage.getItem(KEY_PREFIX + name);
+    if (!this.stores.has(name) || this.saved.get(name) !== json) {
+      this.stores.set(name, this.toStore(name, json ? JSON.parse(json) : []));
+      this.saved.set(name, json);
+    }
+    return this.stores.get(name);
+  }
+
+  /**
+   * Save the stores a transaction wrote to
+   * If any of them can't be saved, usually because the quota is used up, the
+   * ones already saved are put back so the transaction leaves no trace.
+   * @param {Map<string, Map>} changes - Store name to records
+   */
+  commit(changes) {
+    const previous = new Map();
+    try {
+      for (const [name, records] of changes) {
+        const key = KEY_PREFIX + name;
+        previous.set(key, this.storage.getItem(key));
+        const json = JSON.stringify([...records.values()]);
+        this.storage.setItem(key, json);
+        this.stores.set(name, records);
+        this.saved.set(name, json);
+      }
+    } catch (error) {
+      for (const [key, json] of previous) {
+        if (json === null) {
+          this.storage.removeItem(key);
+        } else {
+          this.storage.setItem(key, json);
+        }
+      }
+      this.stores.clear();
+      this.saved.clear();
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every saved store
+   * @returns {Promise<void>}
+   */
+  async deleteDatabase() {
+    await this.init();
+    for (const name of Object.keys(STORES)) {
+      this.storage.removeItem(KEY_PREFIX + name);
+    }
+    this.stores.clear();
+    this.saved.clear();
+  }
+}
+
+export { LocalStorageAdapter };
+export default LocalStorageAdapter;
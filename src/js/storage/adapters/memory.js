@@ -0,0 +1,640 @@
+/**
+ * In-Memory Storage Adapter for YourScore
+ * Keeps every store in a Map for the lifetime of the page. Used when the
+ * browser offers no storage that can be written to, and by tests that don't
+ * need a browser. Nothing survives a reload.
+ */
+
+import { STORES } from '../schema.js';
+
+// Key types in the order IndexedDB sorts them
+const KEY_TYPE_ORDER = ['number', 'date', 'string', 'array'];
+
+/**
+ * Get the type of a key
+ * @param {*} key
+ * @returns {string|null} One of KEY_TYPE_ORDER, or null when the value is not
+ *   a valid key
+ */
+function getKeyType(key) {
+  if (typeof key === 'number') {
+    return Number.isNaN(key) ? null : 'number';
+  }
+  if (key instanceof Date) {
+    return Number.isNaN(key.getTime()) ? null : 'date';
+  }
+  if (typeof key === 'string') {
+    return 'string';
+  }
+  if (Array.isArray(key)) {
+    return key.every(isValidKey) ? 'array' : null;
+  }
+  return null;
+}
+
+/**
+ * Check if a value can be used as a key
+ * Booleans, null and objects can't, so records with such values are left out
+ * of an index just as they are in IndexedDB.
+ * @param {*} key
+ * @returns {boolean}
+ */
+function isValidKey(key) {
+  return getKeyType(key) !== null;
+}
+
+/**
+ * Compare two keys the way indexedDB.cmp() does
+ * @param {*} a
+ * @param {*} b
+ * @returns {number} -1, 0 or 1
+ */
+function compareKeys(a, b) {
+  const typeA = getKeyType(a);
+  const typeB = getKeyType(b);
+  if (typeA !== typeB) {
+    return KEY_TYPE_ORDER.indexOf(typeA) < KEY_TYPE_ORDER.indexOf(typeB) ? -1 : 1;
+  }
+  if (typeA === 'array') {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = compareKeys(a[i], b[i]);
+      if (order !== 0) {
+        return order;
+      }
+    }
+    return Math.sign(a.length - b.length);
+  }
+  const valueA = a instanceof Date ? a.getTime() : a;
+  const valueB = b instanceof Date ? b.getTime() : b;
+  if (valueA === valueB) {
+    return 0;
+  }
+  return valueA < valueB ? -1 : 1;
+}
+
+/**
+ * Turn a key into a string usable as a Map key
+ * @param {*} key
+ * @returns {string}
+ */
+function serializeKey(key) {
+  return JSON.stringify(key instanceof Date ? { date: key.getTime() } : key);
+}
+
+/**
+ * Read a key path from a record
+ * @param {Object} record
+ * @param {string|string[]} keyPath
+ * @returns {*} Key, or undefined when the record has no valid key for the path
+ */
+function getKeyPathValue(record, keyPath) {
+  const key = Array.isArray(keyPath) ? keyPath.map((path) => record?.[path]) : record?.[keyPath];
+  return isValidKey(key) ? key : undefined;
+}
+
+/**
+ * Check if a key falls within inclusive bounds
+ * @param {*} key
+ * @param {*} [lower]
+ * @param {*} [upper]
+ * @returns {boolean}
+ */
+function isInRange(key, lower, upper) {
+  return (
+    (lower === undefined || compareKeys(key, lower) >= 0) &&
+    (upper === undefined || compareKeys(key, upper) <= 0)
+  );
+}
+
+/**
+ * Check a key given to a query, as IndexedDB does before running it
+ * @param {*} key
+ * @returns {*} The key
+ */
+function checkKey(key) {
+  if (!isValidKey(key)) {
+    throw new DOMException('The parameter is not a valid key.', 'DataError');
+  }
+  return key;
+}
+
+/**
+ * A transaction over copies of the stores it was opened on
+ * Writes land in the copies, which replace the stores only once the whole
+ * transaction has succeeded.
+ */
+class MemoryTransaction {
+  /**
+   * @param {MemoryAdapter} adapter
+   * @param {string[]} storeNames
+   * @param {string} mode - 'readonly' or 'readwrite'
+   */
+  constructor(adapter, storeNames, mode) {
+    this.mode = mode;
+    this.error = null;
+    this.aborted = false;
+    this.pending = 0;
+    this.uniqueIndexes = new Map();
+    this.records = new Map(
+      storeNames.map((name) => {
+        const records = adapter.getStore(name);
+        return [name, mode === 'readwrite' ? new Map(records) : records];
+      })
+    );
+  }
+
+  /**
+   * @param {string} name - Store name
+   * @returns {MemoryObjectStore}
+   */
+  objectStore(name) {
+    if (!this.records.has(name)) {
+      throw new DOMException(`${name} is not part of this transaction.`, 'NotFoundError');
+    }
+    return new MemoryObjectStore(this, name);
+  }
+
+  abort() {
+    this.aborted = true;
+  }
+
+  /**
+   * Run an operation and report its outcome through a request object
+   * The operation runs straight away, so writes happen in the order they are
+   * made; the handlers are called once the caller has had a chance to set them.
+   * @param {Function} operation
+   * @returns {Object} Request with result, error, onsuccess and onerror
+   */
+  request(operation) {
+    const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+    try {
+      request.result = operation();
+    } catch (error) {
+      request.error = error;
+      this.error ??= error;
+    }
+
+    this.pending++;
+    queueMicrotask(() => {
+      try {
+        if (request.error) {
+          request.onerror?.({ target: request });
+        } else {
+          request.onsuccess?.({ target: request });
+        }
+      } finally {
+        this.pending--;
+      }
+    });
+    return request;
+  }
+
+  /**
+   * Wait until every request's handlers have been called
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    while (this.pending > 0) {
+      await new Promise((resolve) => queueMicrotask(resolve));
+    }
+  }
+
+  /**
+   * Get the owners of a unique index's keys, built on first use
+   * @param {string} storeName
+   * @param {Object} index - Index config from STORES
+   * @returns {Map<string, string>} Serialized index key to serialized primary key
+   */
+  getUniqueIndex(storeName, index) {
+    const name = `${storeName}/${index.name}`;
+    if (!this.uniqueIndexes.has(name)) {
+      const owners = new Map();
+      for (const [id, record] of this.records.get(storeName)) {
+        const key = getKeyPathValue(record, index.keyPath);
+        if (key !== undefined) {
+          owners.set(serializeKey(key), id);
+        }
+      }
+      this.uniqueIndexes.set(name, owners);
+    }
+    return this.uniqueIndexes.get(name);
+  }
+}
+
+/**
+ * An object store inside a MemoryTransaction
+ * Offers the IDBObjectStore methods the app uses, plus synchronous versions
+ * that the adapter's own methods call.
+ */
+class MemoryObjectStore {
+  constructor(transaction, name) {
+    this.transaction = transaction;
+    this.name = name;
+    this.config = STORES[name];
+    this.records = transaction.records.get(name);
+  }
+
+  get(key) {
+    return this.transaction.request(() => this.read(key));
+  }
+
+  getAll(key) {
+    return this.transaction.request(() =>
+      key === undefined ? this.readRange() : this.readRange({ lower: key, upper: key })
+    );
+  }
+
+  count() {
+    return this.transaction.request(() => this.records.size);
+  }
+
+  put(value) {
+    return this.transaction.request(() => this.write(value));
+  }
+
+  delete(key) {
+    return this.transaction.request(() => this.remove(key));
+  }
+
+  clear() {
+    return this.transaction.request(() => this.removeAll());
+  }
+
+  index(indexName) {
+    if (!this.config.indexes.some((index) => index.name === indexName)) {
+      throw new DOMException(`No index named ${indexName}.`, 'NotFoundError');
+    }
+    return {
+      get: (key) =>
+        this.transaction.request(
+          () => this.readRange({ index: indexName, lower: key, upper: key, limit: 1 })[0]
+        ),
+      getAll: (key) =>
+        this.transaction.request(() =>
+          this.readRange({ index: indexName, lower: key, upper: key })
+        ),
+      count: (key) =>
+        this.transaction.request(
+          () => this.readRange({ index: indexName, lower: key, upper: key }).length
+        ),
+    };
+  }
+
+  /**
+   * @param {*} key - Primary key
+   * @returns {*} Copy of the record, or undefined
+   */
+  read(key) {
+    const record = this.records.get(serializeKey(checkKey(key)));
+    return record === undefined ? undefined : structuredClone(record);
+  }
+
+  /**
+   * Read records in key order, as getRange() describes
+   * @param {Object} [options] - index, lower, upper, reverse and limit
+   * @returns {Array} Copies of the matching records
+   */
+  readRange({ index, lower, upper, reverse = false, limit } = {}) {
+    if (lower !== undefined) {
+      checkKey(lower);
+    }
+    if (upper !== undefined) {
+      checkKey(upper);
+    }
+
+    const keyPath = this.config.keyPath;
+    const indexKeyPath = index
+      ? this.config.indexes.find((config) => config.name === index).keyPath
+      : keyPath;
+
+    const entries = [];
+    for (const record of this.records.values()) {
+      const key = getKeyPathValue(record, indexKeyPath);
+      if (key !== undefined && isInRange(key, lower, upper)) {
+        entries.push({ key, primaryKey: getKeyPathValue(record, keyPath), record });
+      }
+    }
+    entries.sort((a, b) => compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey));
+    if (reverse) {
+      entries.reverse();
+    }
+
+    const matches = limit === undefined ? entries : entries.slice(0, limit);
+    return matches.map((entry) => structuredClone(entry.record));
+  }
+
+  /**
+   * @param {Object} value - Record to store
+   * @returns {*} Its primary key
+   */
+  write(value) {
+    this.checkWritable();
+    const key = getKeyPathValue(value, this.config.keyPath);
+    if (key === undefined) {
+      throw new DOMException('The record has no valid key.', 'DataError');
+    }
+
+    const id = serializeKey(key);
+    const previous = this.records.get(id);
+    const uniqueIndexes = this.config.indexes.filter((index) => index.options?.unique);
+    const changes = uniqueIndexes.map((index) => {
+      const owners = this.transaction.getUniqueIndex(this.name, index);
+      const indexKey = getKeyPathValue(value, index.keyPath);
+      const serialized = indexKey === undefined ? undefined : serializeKey(indexKey);
+      if (serialized !== undefined && owners.has(serialized) && owners.get(serialized) !== id) {
+        throw new DOMException(
+          `Unable to add key to index '${index.name}': at least one key does not satisfy the uniqueness requirements.`,
+          'ConstraintError'
+        );
+      }
+      return { index, owners, serialized };
+    });
+
+    for (const { index, owners, serialized } of changes) {
+      this.releaseIndexKey(owners, previous, index, id);
+      if (serialized !== undefined) {
+        owners.set(serialized, id);
+      }
+    }
+    this.records.set(id, structuredClone(value));
+    return key;
+  }
+
+  /**
+   * @param {*} key - Primary key of the record to delete
+   */
+  remove(key) {
+    this.checkWritable();
+    const id = serializeKey(checkKey(key));
+    const previous = this.records.get(id);
+    for (const index of this.config.indexes.filter((config) => config.options?.unique)) {
+      this.releaseIndexKey(this.transaction.getUniqueIndex(this.name, index), previous, index, id);
+    }
+    this.records.delete(id);
+  }
+
+  removeAll() {
+    this.checkWritable();
+    this.records.clear();
+    for (const index of this.config.indexes) {
+      this.transaction.uniqueIndexes.delete(`${this.name}/${index.name}`);
+    }
+  }
+
+  releaseIndexKey(owners, record, index, id) {
+    const key = record === undefined ? undefined : getKeyPathValue(record, index.keyPath);
+    if (key !== undefined && owners.get(serializeKey(key)) === id) {
+      owners.delete(serializeKey(key));
+    }
+  }
+
+  checkWritable() {
+    if (this.transaction.mode !== 'readwrite') {
+      throw new DOMException('The transaction is read-only.', 'ReadOnlyError');
+    }
+  }
+}
+
+/**
+ * Storage backend keeping data in memory
+ * Offers the same methods as IndexedDBAdapter. Transactions that write run
+ * one at a time, and readers always see the last committed state.
+ */
+class MemoryAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.stores = null;
+    this.writeQueue = Promise.resolve();
+    this.onBlocked = null;
+    this.onVersionChange = null;
+    this.onChange = null;
+  }
+
+  /**
+   * Create the empty stores
+   * @returns {Promise<MemoryAdapter>}
+   */
+  async init() {
+    this.stores ??= new Map(Object.keys(STORES).map((name) => [name, new Map()]));
+    return this;
+  }
+
+  async ensureDb() {
+    if (!this.stores) {
+      await this.init();
+    }
+    return this;
+  }
+
+  /**
+   * Get the committed records of a store
+   * @param {string} name - Store name
+   * @returns {Map<string, Object>} Serialized primary key to record
+   */
+  getStore(name) {
+    const records = this.stores.get(name);
+    if (!records) {
+      throw new DOMException(`No object store named ${name}.`, 'NotFoundError');
+    }
+    return records;
+  }
+
+  /**
+   * Replace stores with the copies a transaction wrote to
+   * @param {Map<string, Map>} changes - Store name to records
+   */
+  commit(changes) {
+    for (const [name, records] of changes) {
+      this.stores.set(name, records);
+    }
+  }
+
+  /**
+   * Build a store's records from a list
+   * @param {string} name - Store name
+   * @param {Array} records
+   * @returns {Map<string, Object>}
+   */
+  toStore(name, records) {
+    const keyPath = STORES[name].keyPath;
+    return new Map(
+      records.map((record) => [serializeKey(getKeyPathValue(record, keyPath)), record])
+    );
+  }
+
+  notifyChange(storeNames) {
+    this.onChange?.(storeNames);
+  }
+
+  /**
+   * Run a read against the committed records of a store
+   * @param {string} storeName
+   * @param {string} operation - Name used in the error message
+   * @param {Function} action - Called with the store
+   * @returns {Promise<*>} Result of the action
+   */
+  async read(storeName, operation, action) {
+    await this.ensureDb();
+    try {
+      const transaction = new MemoryTransaction(this, [storeName], 'readonly');
+      return action(transaction.objectStore(storeName));
+    } catch (error) {
+      throw new Error(`Failed to ${operation} ${storeName}: ${error}`, { cause: error });
+    }
+  }
+
+  /**
+   * Run a write against a store in its own transaction
+   * @param {string} storeName
+   * @param {string} operation - Name used in the error message
+   * @param {Function} action - Called with the store
+   * @returns {Promise<*>} Result of the action
+   */
+  async write(storeName, operation, action) {
+    try {
+      return await this.transaction(storeName, 'readwrite', (_transaction, store) => action(store));
+    } catch (error) {
+      throw new Error(`Failed to ${operation} ${storeName}: ${error}`, { cause: error });
+    }
+  }
+
+  async get(storeName, key) {
+    return this.read(storeName, 'get from', (store) => store.read(key));
+  }
+
+  async getAll(storeName) {
+    return this.read(storeName, 'getAll from', (store) => store.readRange());
+  }
+
+  async getByIndex(storeName, indexName, value) {
+    return this.read(storeName, 'getByIndex from', (store) =>
+      store.readRange({ index: indexName, lower: value, upper: value })
+    );
+  }
+
+  async getOneByIndex(storeName, indexName, value) {
+    return this.read(
+      storeName,
+      'getOneByIndex from',
+      (store) => store.readRange({ index: indexName, lower: value, upper: value, limit: 1 })[0]
+    );
+  }
+
+  async getRange(storeName, options = {}) {
+    return this.read(storeName, 'getRange from', (store) => store.readRange(options));
+  }
+
+  getRangeIn(store, options = {}) {
+    return new Promise((resolve, reject) => {
+      const request = store.transaction.request(() => store.readRange(options));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async iterate(storeName, { index, lower, upper, reverse = false } = {}, callback) {
+    const records = await this.read(storeName, 'iterate', (store) =>
+      store.readRange({ index, lower, upper, reverse })
+    );
+    for (const record of records) {
+      if (callback(record) === false) {
+        return;
+      }
+    }
+  }
+
+  async countRange(storeName, { index, lower, upper } = {}) {
+    return this.read(
+      storeName,
+      'countRange',
+      (store) => store.readRange({ index, lower, upper }).length
+    );
+  }
+
+  async count(storeName) {
+    return this.read(storeName, 'count', (store) => store.records.size);
+  }
+
+  async put(storeName, value) {
+    return this.write(storeName, 'put to', (store) => store.write(value));
+  }
+
+  async putMany(storeName, values) {
+    await this.write(storeName, 'putMany to', (store) => {
+      for (const value of values) {
+        store.write(value);
+      }
+    });
+  }
+
+  async delete(storeName, key) {
+    await this.write(storeName, 'delete from', (store) => store.remove(key));
+  }
+
+  async clear(storeName) {
+    await this.write(storeName, 'clear', (store) => store.removeAll());
+  }
+
+  /**
+   * Execute a custom transaction, as IndexedDBAdapter.transaction() does
+   * @param {string|string[]} storeNames - Store name(s) to include
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Function receiving transaction and store(s)
+   * @returns {Promise<*>} Result from callback
+   */
+  async transaction(storeNames, mode, callback) {
+    await this.ensureDb();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    if (mode !== 'readwrite') {
+      return this.runTransaction(names, mode, callback);
+    }
+
+    const run = this.writeQueue.then(() => this.runTransaction(names, mode, callback));
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async runTransaction(names, mode, callback) {
+    const transaction = new MemoryTransaction(this, names, mode);
+    let result;
+    if (names.length === 1) {
+      result = await callback(transaction, transaction.objectStore(names[0]));
+    } else {
+      const stores = {};
+      for (const name of names) {
+        stores[name] = transaction.objectStore(name);
+      }
+      result = await callback(transaction, stores);
+    }
+    await transaction.settle();
+
+    if (transaction.error) {
+      throw new Error(`Transaction failed: ${transaction.error}`);
+    }
+    if (transaction.aborted) {
+      throw new Error('Transaction aborted');
+    }
+    if (mode === 'readwrite') {
+      this.commit(transaction.records);
+      this.notifyChange(names);
+    }
+    return result;
+  }
+
+  /**
+   * Nothing to close; the data stays until the page unloads
+   */
+  close() {}
+
+  /**
+   * Drop every store
+   * @returns {Promise<void>}
+   */
+  async deleteDatabase() {
+    this.stores = null;
+  }
+}
+
+export { MemoryAdapter };
+export default MemoryAdapter;
@@ -1,122 +1,134 @@
 /**
- * IndexedDB Wrapper for YourScore
- * Provides a promise-based API for database operations
+ * Database facade for YourScore
+ * Provides a promise-based API for database operations on top of a storage
+ * adapter: IndexedDB when the browser allows it, otherwise localStorage, and
+ * as a last resort memory. Every adapter offers the same methods, and the
+ * stores handed to transaction() callbacks behave like IDBObjectStores.
  */
 
-import { runMigrations } from './migrations.js';
-
-const DB_NAME = 'yourscore';
-const DB_VERSION = 2;
-
-/**
- * Object store configurations
- * Each store defines its keyPath and any indexes
- */
-const STORES = {
-  settings: {
-    keyPath: 'key',
-    indexes: [],
-  },
-  categories: {
-    keyPath: 'id',
-    indexes: [{ name: 'order', keyPath: 'order', options: { unique: false } }],
-  },
-  activities: {
-    keyPath: 'id',
-    indexes: [
-      { name: 'categoryId', keyPath: 'categoryId', options: { unique: false } },
-      { name: 'order', keyPath: 'order', options: { unique: false } },
-      { name: 'archived', keyPath: 'archived', options: { unique: false } },
-    ],
-  },
-  completions: {
-    keyPath: 'id',
-    indexes: [
-      { name: 'activityId', keyPath: 'activityId', options: { unique: false } },
-      { name: 'date', keyPath: 'date', options: { unique: false } },
-      { name: 'activityDate', keyPath: ['activityId', 'date'], options: { unique: true } },
-    ],
-  },
-  scoreHistory: {
-    keyPath: 'date',
-    indexes: [],
-  },
-  achievements: {
-    keyPath: 'id',
-    indexes: [],
-  },
-};
+import { STORES, DB_NAME, DB_VERSION } from './schema.js';
+import { IndexedDBAdapter } from './adapters/indexeddb.js';
+import { LocalStorageAdapter } from './adapters/local-storage.js';
+import { MemoryAdapter } from './adapters/memory.js';
 
 /**
- * Database class providing IndexedDB operations
+ * Database class delegating to the selected storage adapter
  */
 class Database {
   constructor() {
-    this.db = null;
+    this.adapter = null;
+    this.selection = null;
+    // Called when an upgrade waits on a connection another tab keeps open
+    this.onBlocked = null;
+    // Called with the new version (null when deleted) after another tab
+    // upgrades or deletes the database and this connection has been closed
+    this.onVersionChange = null;
+    // Called with the store names after each write
+    this.onChange = null;
   }
 
   /**
-   * Initialize the database connection
-   * Creates object stores if they don't exist
-   * @returns {Promise<IDBDatabase>}
+   * Open IndexedDB connection, when IndexedDB is the backend in use
+   * @returns {IDBDatabase|null}
    */
-  async init() {
-    if (this.db) {
-      return this.db;
-    }
-
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
+  get db() {
+    return this.adapter?.db ?? null;
+  }
 
-      request.onerror = () => {
-        reject(new Error(`Failed to open database: ${request.error}`));
-      };
+  /**
+   * Name of the backend in use: 'indexeddb', 'localstorage' or 'memory'
+   * @returns {string|null} Null before init()
+   */
+  get backend() {
+    return this.adapter?.name ?? null;
+  }
 
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
-      };
+  /**
+   * Whether data written now will still be there after a reload
+   * @returns {boolean}
+   */
+  get persistent() {
+    return this.adapter?.persistent ?? false;
+  }
 
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        const transaction = event.target.transaction;
-        const oldVersion = event.oldVersion;
-        const newVersion = event.newVersion || DB_VERSION;
+  /**
+   * Initialize the storage backend
+   * The first call picks the backend: IndexedDB if it can be opened, then
+   * localStorage if it can be written to, then memory. Later calls reopen
+   * the same backend if it was closed.
+   * @returns {Promise<Object>} The adapter in use
+   */
+  async init() {
+    if (!this.adapter) {
+      // Calls made while the first one is still choosing share its choice
+      this.selection ??= this.selectAdapter();
+      const adapter = await this.selection;
+      if (!this.adapter) {
+        this.useAdapter(adapter);
+      }
+    }
+    await this.adapter.ensureDb();
+    return this.adapter;
+  }
 
-        // Create stores first (for initial setup)
-        this.createStores(db);
+  /**
+   * Use a specific storage adapter instead of the automatic choice
+   * @param {Object} adapter - IndexedDBAdapter, LocalStorageAdapter or MemoryAdapter
+   */
+  useAdapter(adapter) {
+    if (this.adapter !== adapter) {
+      this.adapter?.close();
+    }
+    this.adapter = this.connect(adapter);
+  }
 
-        // Run any pending migrations
-        runMigrations(db, transaction, oldVersion, newVersion);
-      };
-    });
+  /**
+   * Pass an adapter's events on to this database's listeners
+   * @param {Object} adapter
+   * @returns {Object} The adapter
+   */
+  connect(adapter) {
+    adapter.onBlocked = () => this.onBlocked?.();
+    adapter.onVersionChange = (newVersion) => this.onVersionChange?.(newVersion);
+    adapter.onChange = (storeNames) => this.notifyChange(storeNames);
+    return adapter;
   }
 
   /**
-   * Create object stores based on STORES configuration
-   * @param {IDBDatabase} db
+   * Pick the first storage backend that works in this browser
+   * @returns {Promise<Object>} Adapter, already initialized when it is IndexedDB
    */
-  createStores(db) {
-    for (const [storeName, config] of Object.entries(STORES)) {
-      if (!db.objectStoreNames.contains(storeName)) {
-        const store = db.createObjectStore(storeName, { keyPath: config.keyPath });
-
-        for (const index of config.indexes) {
-          store.createIndex(index.name, index.keyPath, index.options);
-        }
+  async selectAdapter() {
+    if (typeof indexedDB !== 'undefined') {
+      const adapter = this.connect(new IndexedDBAdapter());
+      try {
+        await adapter.init();
+        return adapter;
+      } catch (error) {
+        console.warn('IndexedDB unavailable, falling back:', error);
       }
     }
+
+    if (LocalStorageAdapter.isAvailable()) {
+      return this.connect(new LocalStorageAdapter());
+    }
+    return this.connect(new MemoryAdapter());
   }
 
   /**
-   * Ensure database is initialized
-   * @returns {Promise<IDBDatabase>}
+   * Ensure the storage backend is initialized
+   * @returns {Promise<Object>} The adapter in use
    */
   async ensureDb() {
-    if (!this.db) {
-      await this.init();
-    }
-    return this.db;
+    return this.init();
+  }
+
+  /**
+   * Report a write to the change listener
+   * @param {string[]} storeNames - Stores that were written to
+   */
+  notifyChange(storeNames) {
+    this.onChange?.(storeNames);
   }
 
   /**
@@ -127,16 +139,7 @@ class Database {
    */
   async get(storeName, key) {
     await this.ensureDb();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, 'readonly');
-      const store = transaction.objectStore(storeName);
-      const request = store.get(key);
-
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () =>
-        reject(new Error(`Failed to get from ${storeName}: ${request.error}`));
-    });
+    return this.adapter.get(storeName, key);
   }
 
   /**
@@ -146,16 +149,7 @@ class Database {
    */
   async getAll(storeName) {
     await this.ensureDb();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, 'readonly');
-      const store = transaction.objectStore(storeName);
-      const request = store.getAll();
-
-      request.onsuccess = () => resolve(request.result || []);
-      request.onerror = () =>
-        reject(new Error(`Failed to getAll from ${storeName}: ${request.error}`));
-    });
+    return this.adapter.getAll(storeName);
   }
 
   /**
@@ -167,17 +161,7 @@ class Database {
    */
   async getByIndex(storeName, indexName, value) {
     await this.ensureDb();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, 'readonly');
-      const store = transaction.objectStore(storeName);
-      const index = store.index(indexName);
-      const request = index.getAll(value);
-
-      request.onsuccess = () => resolve(request.result || []);
-      request.onerror = () =>
-        reject(new Error(`Failed to getByIndex from ${storeName}: ${request.error}`));
-    });
+    return this.adapter.getByIndex(storeName, indexName, value);
   }
 
   /**
@@ -189,17 +173,61 @@ class Database {
    */
   async getOneByIndex(storeName, indexName, value) {
     await this.ensureDb();
+    return this.adapter.getOneByIndex(storeName, indexName, value);
+  }
 
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, 'readonly');
-      const store = transaction.objectStore(storeName);
-      const index = store.index(indexName);
-      const request = index.get(value);
+  /**
+   * Get records whose key falls in a range
+   * Records come back in key order, or in reverse key order with `reverse`.
+   * @param {string} storeName - Name of the object store
+   * @param {Object} [options]
+   * @param {string} [options.index] - Index to query; the primary key when omitted
+   * @param {*} [options.lower] - Lowest key to include; unbounded when omitted
+   * @param {*} [options.upper] - Highest key to include; unbounded when omitted
+   * @param {boolean} [options.reverse=false] - Return the highest keys first
+   * @param {number} [options.limit] - Most records to return
+   * @returns {Promise<Array>} Matching records
+   */
+  async getRange(storeName, options = {}) {
+    await this.ensureDb();
+    return this.adapter.getRange(storeName, options);
+  }
+
+  /**
+   * Get records whose key falls in a range from a store handed to a
+   * transaction() callback
+   * Can be awaited inside the transaction, as requestResult() can.
+   * @param {Object} store - Store of the active transaction
+   * @param {Object} [options] - Same options as getRange()
+   * @returns {Promise<Array>} Matching records
+   */
+  getRangeIn(store, options = {}) {
+    return this.adapter.getRangeIn(store, options);
+  }
 
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () =>
-        reject(new Error(`Failed to getOneByIndex from ${storeName}: ${request.error}`));
-    });
+  /**
+   * Walk records whose key falls in a range with a cursor
+   * Only the records visited are read, so a walk that stops early never loads
+   * the rest of the store.
+   * @param {string} storeName - Name of the object store
+   * @param {Object} options - Same range options as getRange(), without limit
+   * @param {Function} callback - Called with each record; return false to stop
+   * @returns {Promise<void>}
+   */
+  async iterate(storeName, options, callback) {
+    await this.ensureDb();
+    return this.adapter.iterate(storeName, options, callback);
+  }
+
+  /**
+   * Count records whose key falls in a range
+   * @param {string} storeName - Name of the object store
+   * @param {Object} [options] - Index and bounds, as for getRange()
+   * @returns {Promise<number>} Number of matching records
+   */
+  async countRange(storeName, options = {}) {
+    await this.ensureDb();
+    return this.adapter.countRange(storeName, options);
   }
 
   /**
@@ -210,15 +238,7 @@ class Database {
    */
   async put(storeName, value) {
     await this.ensureDb();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, 'readwrite');
-      const store = transaction.objectStore(storeName);
-      const request = store.put(value);
-
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(new Error(`Failed to put to ${storeName}: ${request.error}`));
-    });
+    return this.adapter.put(storeName, value);
   }
 
   /**
@@ -229,19 +249,7 @@ class Database {
    */
   async putMany(storeName, values) {
     await this.ensureDb();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, 'readwrite');
-      const store = transaction.objectStore(storeName);
-
-      transaction.oncomplete = () => resolve();
-      transaction.onerror = () =>
-        reject(new Error(`Failed to putMany to ${storeName}: ${transaction.error}`));
-
-      for (const value of values) {
-        store.put(value);
-      }
-    });
+    return this.adapter.putMany(storeName, values);
   }
 
   /**
@@ -252,16 +260,7 @@ class Database {
    */
   async delete(storeName, key) {
     await this.ensureDb();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, 'readwrite');
-      const store = transaction.objectStore(storeName);
-      const request = store.delete(key);
-
-      request.onsuccess = () => resolve();
-      request.onerror = () =>
-        reject(new Error(`Failed to delete from ${storeName}: ${request.error}`));
-    });
+    return this.adapter.delete(storeName, key);
   }
 
   /**
@@ -271,15 +270,7 @@ class Database {
    */
   async clear(storeName) {
     await this.ensureDb();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, 'readwrite');
-      const store = transaction.objectStore(storeName);
-      const request = store.clear();
-
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(new Error(`Failed to clear ${storeName}: ${request.error}`));
-    });
+    return this.adapter.clear(storeName);
   }
 
   /**
@@ -298,10 +289,7 @@ class Database {
    * Close the database connection
    */
   close() {
-    if (this.db) {
-      this.db.close();
-      this.db = null;
-    }
+    this.adapter?.close();
   }
 
   /**
@@ -311,19 +299,14 @@ class Database {
    */
   async count(storeName) {
     await this.ensureDb();
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(storeName, 'readonly');
-      const store = transaction.objectStore(storeName);
-      const request = store.count();
-
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(new Error(`Failed to count ${storeName}: ${request.error}`));
-    });
+    return this.adapter.count(storeName);
   }
 
   /**
    * Execute a custom transaction
+   * The callback may be async, awaiting requests made on the transaction's
+   * stores (see requestResult). If it throws or rejects, the transaction is
+   * aborted so none of its writes are saved, and the error is passed on.
    * @param {string|string[]} storeNames - Store name(s) to include
    * @param {string} mode - 'readonly' or 'readwrite'
    * @param {Function} callback - Function receiving transaction and store(s)
@@ -331,27 +314,7 @@ class Database {
    */
   async transaction(storeNames, mode, callback) {
     await this.ensureDb();
-
-    const stores = Array.isArray(storeNames) ? storeNames : [storeNames];
-
-    return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(stores, mode);
-      let result;
-
-      transaction.oncomplete = () => resolve(result);
-      transaction.onerror = () => reject(new Error(`Transaction failed: ${transaction.error}`));
-
-      if (stores.length === 1) {
-        const store = transaction.objectStore(stores[0]);
-        result = callback(transaction, store);
-      } else {
-        const storeObjects = {};
-        for (const name of stores) {
-          storeObjects[name] = transaction.objectStore(name);
-        }
-        result = callback(transaction, storeObjects);
-      }
-    });
+    return this.adapter.transaction(storeNames, mode, callback);
   }
 
   /**
@@ -359,20 +322,28 @@ class Database {
    * @returns {Promise<void>}
    */
   async deleteDatabase() {
-    this.close();
-
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.deleteDatabase(DB_NAME);
-
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(new Error(`Failed to delete database: ${request.error}`));
-    });
+    await this.init();
+    return this.adapter.deleteDatabase();
   }
 }
 
 // Singleton instance
 const db = new Database();
 
+/**
+ * Wait for a request made inside a transaction
+ * Only await requests whose transaction is still active; awaiting anything
+ * else inside db.transaction() lets the transaction commit early.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request's result
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Generate a UUID v4
  * @returns {string}
@@ -390,5 +361,5 @@ function generateId() {
   });
 }
 
-export { db, Database, generateId, STORES, DB_NAME, DB_VERSION };
+export { db, Database, generateId, requestResult, STORES, DB_NAME, DB_VERSION };
 export default db;
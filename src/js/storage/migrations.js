@@ -1,6 +1,12 @@
 /**
  * Database Migrations for YourScore
  * Handles schema upgrades between versions
+ *
+ * Migrations only run in the IndexedDB adapter's upgrade. Before they run, its
+ * createStores() adds every store in schema.js that the database lacks, so a
+ * version that only adds a store has nothing left to do here and keeps an
+ * empty entry to document it. The memory and localStorage adapters start out
+ * with every store in schema.js and need no migrations.
  */
 
 /**
@@ -12,12 +18,12 @@ const migrations = {
   /**
    * Version 1: Initial schema
    * Creates all base object stores
-   * Note: This is handled by db.js createStores() on initial creation
+   * Note: This is handled by the IndexedDB adapter's createStores() on initial creation
    */
   1: (_db, _transaction) => {
-    // Initial schema is created by db.js
+    // Initial schema is created by the IndexedDB adapter
     // This is here for documentation and future reference
-    console.log('Migration v1: Initial schema created by db.js');
+    console.log('Migration v1: Initial schema created by the IndexedDB adapter');
   },
   /**
    * Version 2: Add activity ordering
@@ -65,14 +71,111 @@ const migrations = {
     };
   },
 
+  /**
+   * Version 3: Add counter activities
+   * Completions record how many units were logged; existing ones count as 1
+   */
+  3: (db, transaction) => {
+    if (!db.objectStoreNames.contains('completions')) {
+      return;
+    }
+
+    const store = transaction.objectStore('completions');
+    const request = store.getAll();
+    request.onsuccess = () => {
+      for (const completion of request.result || []) {
+        if (completion.count === undefined) {
+          store.put({ ...completion, count: 1 });
+        }
+      }
+    };
+  },
+
+  /**
+   * Version 4: Snapshot awarded points on completions
+   * Completions keep the points, activity name and category they were logged
+   * with. Existing records are backfilled from the current activities, which is
+   * the best information available.
+   */
+  4: (db, transaction) => {
+    if (
+      !['completions', 'activities', 'categories'].every((name) =>
+        db.objectStoreNames.contains(name)
+      )
+    ) {
+      return;
+    }
+
+    const completionStore = transaction.objectStore('completions');
+    const activitiesRequest = transaction.objectStore('activities').getAll();
+    const categoriesRequest = transaction.objectStore('categories').getAll();
+
+    categoriesRequest.onsuccess = () => {
+      const activityMap = new Map((activitiesRequest.result || []).map((a) => [a.id, a]));
+      const categoryMap = new Map((categoriesRequest.result || []).map((c) => [c.id, c]));
+
+      const completionsRequest = completionStore.getAll();
+      completionsRequest.onsuccess = () => {
+        for (const completion of completionsRequest.result || []) {
+          const activity = activityMap.get(completion.activityId);
+          if (!activity || completion.points !== undefined) {
+            continue;
+          }
+
+          const categoryId = activity.categoryId || 'uncategorized';
+          const category = categoryMap.get(categoryId);
+          completionStore.put({
+            ...completion,
+            points: activity.points,
+            activityName: activity.name,
+            categoryId,
+            ...(category && { categoryName: category.name }),
+          });
+        }
+      };
+    };
+  },
+
+  /**
+   * Version 5: Manual score adjustments
+   * Adds the scoreAdjustments store so hand edits to the main score can be
+   * replayed. Scores changed by hand before this version were not recorded and
+   * cannot be backfilled.
+   */
+  5: (_db, _transaction) => {},
+
+  /**
+   * Version 6: Pauses
+   * Adds the pauses store for date ranges during which decay is suspended.
+   */
+  6: (_db, _transaction) => {},
+
+  /**
+   * Version 7: Excused days
+   * Adds the excusedDays store for past days marked as excused, keyed by date.
+   */
+  7: (_db, _transaction) => {},
+
+  /**
+   * Version 8: Streak freezes
+   * Adds the streakFreezes store for tokens earned on streak milestones.
+   */
+  8: (_db, _transaction) => {},
+
+  /**
+   * Version 9: Backups
+   * Adds the backups store for snapshots of all user data. The first snapshot
+   * is taken on the next start.
+   */
+  9: (_db, _transaction) => {},
+
   // Future migrations will be added here as:
-  // 2: (db, transaction) => { ... },
-  // 3: (db, transaction) => { ... },
+  // 10: (db, transaction) => { ... },
 };
 
 /**
  * Run migrations between versions
- * Called from the onupgradeneeded event in db.js
+ * Called from the onupgradeneeded event in the IndexedDB adapter
  * @param {IDBDatabase} db - Database instance
  * @param {IDBTransaction} transaction - Upgrade transaction
  * @param {number} oldVersion - Previous database version
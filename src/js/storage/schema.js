@@ -0,0 +1,68 @@
+/**
+ * Storage Schema for YourScore
+ * Object stores and indexes shared by every storage backend
+ */
+
+const DB_NAME = 'yourscore';
+const DB_VERSION = 9;
+
+/**
+ * Object store configurations
+ * Each store defines its keyPath and any indexes
+ */
+const STORES = {
+  settings: {
+    keyPath: 'key',
+    indexes: [],
+  },
+  categories: {
+    keyPath: 'id',
+    indexes: [{ name: 'order', keyPath: 'order', options: { unique: false } }],
+  },
+  activities: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'categoryId', keyPath: 'categoryId', options: { unique: false } },
+      { name: 'order', keyPath: 'order', options: { unique: false } },
+      { name: 'archived', keyPath: 'archived', options: { unique: false } },
+    ],
+  },
+  completions: {
+    keyPath: 'id',
+    indexes: [
+      { name: 'activityId', keyPath: 'activityId', options: { unique: false } },
+      { name: 'date', keyPath: 'date', options: { unique: false } },
+      { name: 'activityDate', keyPath: ['activityId', 'date'], options: { unique: true } },
+    ],
+  },
+  scoreHistory: {
+    keyPath: 'date',
+    indexes: [],
+  },
+  achievements: {
+    keyPath: 'id',
+    indexes: [],
+  },
+  scoreAdjustments: {
+    keyPath: 'id',
+    indexes: [{ name: 'date', keyPath: 'date', options: { unique: false } }],
+  },
+  pauses: {
+    keyPath: 'id',
+    indexes: [{ name: 'startDate', keyPath: 'startDate', options: { unique: false } }],
+  },
+  excusedDays: {
+    keyPath: 'date',
+    indexes: [],
+  },
+  streakFreezes: {
+    keyPath: 'id',
+    indexes: [],
+  },
+  backups: {
+    keyPath: 'id',
+    indexes: [{ name: 'createdAt', keyPath: 'createdAt', options: { unique: false } }],
+  },
+};
+
+export { STORES, DB_NAME, DB_VERSION };
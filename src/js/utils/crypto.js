@@ -0,0 +1,220 @@
+/**
+ * Encryption Utilities for YourScore
+ * Encrypts text with a passphrase using the WebCrypto API
+ *
+ * The passphrase is stretched with PBKDF2 into an AES-GCM key and a separate
+ * check value. The check tells a wrong passphrase apart from a changed file,
+ * and the envelope's header is authenticated along with the data, so changing
+ * either makes decryption fail.
+ */
+
+import { t } from '../i18n/i18n.js';
+
+const ENVELOPE_FORMAT = 'yourscore-encrypted';
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+// Envelopes asking for more work than this are rejected rather than run
+const MAX_PBKDF2_ITERATIONS = 10000000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const KEY_BITS = 256;
+
+// Bytes encoded per String.fromCharCode() call
+const BASE64_CHUNK = 0x8000;
+
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw new Error(t('errors.encryptionUnavailable'));
+  }
+  return subtle;
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function randomBytes(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Get the part of an envelope that is authenticated with the data
+ * @param {Object} envelope - Envelope
+ * @returns {Uint8Array}
+ */
+function getHeader({ format, version, kdf, cipher, check }) {
+  const header = {
+    format,
+    version,
+    kdf: { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt: kdf.salt },
+    cipher: { name: cipher.name, iv: cipher.iv },
+    check,
+  };
+  return new TextEncoder().encode(JSON.stringify(header));
+}
+
+/**
+ * Derive the encryption key and the passphrase check from a passphrase
+ * @param {string} passphrase - Passphrase
+ * @param {Object} kdf - Key derivation settings from the envelope
+ * @returns {Promise<{key: CryptoKey, check: string}>}
+ */
+async function deriveKeys(passphrase, kdf) {
+  const subtle = getSubtle();
+  const baseKey = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = new Uint8Array(
+    await subtle.deriveBits(
+      { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+      baseKey,
+      KEY_BITS * 2
+    )
+  );
+
+  const key = await subtle.importKey('raw', bits.subarray(0, KEY_BITS / 8), 'AES-GCM', false, [
+    'encrypt',
+    'decrypt',
+  ]);
+  const check = new Uint8Array(await subtle.digest('SHA-256', bits.subarray(KEY_BITS / 8)));
+  return { key, check: toBase64(check) };
+}
+
+/**
+ * Check if a parsed file is an encrypted envelope
+ * @param {*} value - Parsed JSON
+ * @returns {boolean}
+ */
+function isEncryptedEnvelope(value) {
+  return Boolean(value) && typeof value === 'object' && value.format === ENVELOPE_FORMAT;
+}
+
+/**
+ * Check that a new passphrase is long enough
+ * @param {string} passphrase - Passphrase
+ * @returns {boolean}
+ */
+function isValidPassphrase(passphrase) {
+  return typeof passphrase === 'string' && passphrase.length >= MIN_PASSPHRASE_LENGTH;
+}
+
+/**
+ * Encrypt text with a passphrase
+ * @param {string} text - Text to encrypt
+ * @param {string} passphrase - Passphrase, at least MIN_PASSPHRASE_LENGTH characters
+ * @returns {Promise<Object>} Envelope holding the encrypted text
+ */
+async function encryptText(text, passphrase) {
+  if (!isValidPassphrase(passphrase)) {
+    throw new Error(t('settings.errors.passphraseTooShort', { min: MIN_PASSPHRASE_LENGTH }));
+  }
+
+  const kdf = {
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(randomBytes(SALT_BYTES)),
+  };
+  const cipher = { name: 'AES-GCM', iv: toBase64(randomBytes(IV_BYTES)) };
+  const { key, check } = await deriveKeys(passphrase, kdf);
+  const envelope = { format: ENVELOPE_FORMAT, version: ENVELOPE_VERSION, kdf, cipher, check };
+
+  const data = await getSubtle().encrypt(
+    { name: 'AES-GCM', iv: fromBase64(cipher.iv), additionalData: getHeader(envelope) },
+    key,
+    new TextEncoder().encode(text)
+  );
+  return { ...envelope, data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Check that an envelope has every field decryption needs
+ * @param {Object} envelope - Parsed envelope
+ * @returns {boolean}
+ */
+function isWellFormed({ kdf, cipher, check, data }) {
+  return (
+    kdf?.name === 'PBKDF2' &&
+    kdf.hash === 'SHA-256' &&
+    Number.isInteger(kdf.iterations) &&
+    kdf.iterations >= 1 &&
+    kdf.iterations <= MAX_PBKDF2_ITERATIONS &&
+    typeof kdf.salt === 'string' &&
+    cipher?.name === 'AES-GCM' &&
+    typeof cipher.iv === 'string' &&
+    typeof check === 'string' &&
+    typeof data === 'string'
+  );
+}
+
+/**
+ * Decrypt an envelope made by encryptText()
+ * Fails with a localized message when the envelope is damaged or from a newer
+ * version, when the passphrase is wrong, or when the contents were changed.
+ * @param {Object} envelope - Parsed envelope
+ * @param {string} passphrase - Passphrase
+ * @returns {Promise<string>} Decrypted text
+ */
+async function decryptText(envelope, passphrase) {
+  if (typeof envelope.version !== 'number' || envelope.version > ENVELOPE_VERSION) {
+    throw new Error(t('errors.encryptedVersion'));
+  }
+  if (!isWellFormed(envelope)) {
+    throw new Error(t('errors.encryptedInvalid'));
+  }
+
+  let iv;
+  let data;
+  try {
+    iv = fromBase64(envelope.cipher.iv);
+    data = fromBase64(envelope.data);
+    fromBase64(envelope.kdf.salt);
+  } catch {
+    throw new Error(t('errors.encryptedInvalid'));
+  }
+
+  const { key, check } = await deriveKeys(passphrase, envelope.kdf);
+  if (check !== envelope.check) {
+    throw new Error(t('errors.wrongPassphrase'));
+  }
+
+  try {
+    const text = await getSubtle().decrypt(
+      { name: 'AES-GCM', iv, additionalData: getHeader(envelope) },
+      key,
+      data
+    );
+    return new TextDecoder().decode(text);
+  } catch {
+    throw new Error(t('errors.encryptedTampered'));
+  }
+}
+
+export {
+  encryptText,
+  decryptText,
+  isEncryptedEnvelope,
+  isValidPassphrase,
+  ENVELOPE_FORMAT,
+  ENVELOPE_VERSION,
+  MIN_PASSPHRASE_LENGTH,
+};
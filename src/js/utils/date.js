@@ -2,21 +2,67 @@
  * Date Utilities for YourScore
  * All dates are handled in user's local timezone
  * Dates are stored as YYYY-MM-DD strings to avoid timezone issues
+ *
+ * A day starts at the configured day-start hour rather than at midnight, so
+ * with a day start of 4, 00:30 still belongs to the previous day.
  */
 
 import { t, tPlural, getLocale, formatNumber } from '../i18n/i18n.js';
 
+const DAY_START_HOUR_MIN = 0;
+const DAY_START_HOUR_MAX = 12;
+
+let dayStartHour = 0;
+
+/**
+ * Check if a value is a valid day-start hour
+ * @param {*} hour - Hour to check
+ * @returns {boolean}
+ */
+function isValidDayStartHour(hour) {
+  return Number.isInteger(hour) && hour >= DAY_START_HOUR_MIN && hour <= DAY_START_HOUR_MAX;
+}
+
 /**
- * Get current date as YYYY-MM-DD string in local timezone
+ * Set the hour at which a new day starts
+ * @param {number} hour - Whole hour from 0 (midnight) to 12
+ */
+function setDayStartHour(hour) {
+  dayStartHour = isValidDayStartHour(hour) ? hour : 0;
+}
+
+/**
+ * Get the hour at which a new day starts
+ * @returns {number}
+ */
+function getDayStartHour() {
+  return dayStartHour;
+}
+
+/**
+ * Format a calendar date as a YYYY-MM-DD string
+ * @param {Date} date - Date object (time of day is ignored)
  * @returns {string} Date string in YYYY-MM-DD format
  */
-function getLocalDateString(date = new Date()) {
+function toDateString(date) {
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
   const day = String(date.getDate()).padStart(2, '0');
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * Get the day a moment belongs to as a YYYY-MM-DD string in local timezone
+ * Moments before the day-start hour belong to the previous day.
+ * @param {Date} [date] - Moment, defaults to now
+ * @returns {string} Date string in YYYY-MM-DD format
+ */
+function getLocalDateString(date = new Date()) {
+  const shifted = new Date(date.getTime());
+  shifted.setHours(shifted.getHours() - dayStartHour);
+  return toDateString(shifted);
+}
+
 /**
  * Get current ISO timestamp
  * @returns {string} ISO 8601 timestamp
@@ -37,6 +83,20 @@ function parseLocalDate(dateStr) {
 
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
+/**
+ * Check that a string is a calendar date in YYYY-MM-DD format
+ * @param {*} dateStr - Value to check
+ * @returns {boolean} True for a date that exists, so not for 2026-02-30
+ */
+function isValidDateString(dateStr) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+    return false;
+  }
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
 /**
  * Convert a date string to a UTC day number for DST-safe comparisons
  * @param {string} dateStr - Date string (YYYY-MM-DD)
@@ -95,9 +155,7 @@ function isToday(dateStr) {
  * @returns {boolean} True if the date is yesterday
  */
 function isYesterday(dateStr) {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return dateStr === getLocalDateString(yesterday);
+  return dateStr === subtractDays(getLocalDateString(), 1);
 }
 
 /**
@@ -106,9 +164,7 @@ function isYesterday(dateStr) {
  * @returns {string} Date string (YYYY-MM-DD)
  */
 function getDateDaysAgo(daysAgo) {
-  const date = new Date();
-  date.setDate(date.getDate() - daysAgo);
-  return getLocalDateString(date);
+  return subtractDays(getLocalDateString(), daysAgo);
 }
 
 /**
@@ -120,7 +176,7 @@ function getDateDaysAgo(daysAgo) {
 function subtractDays(dateStr, days) {
   const date = parseLocalDate(dateStr);
   date.setDate(date.getDate() - days);
-  return getLocalDateString(date);
+  return toDateString(date);
 }
 
 /**
@@ -129,9 +185,7 @@ function subtractDays(dateStr, days) {
  * @returns {string} Date string (YYYY-MM-DD)
  */
 function getDateDaysFromNow(daysFromNow) {
-  const date = new Date();
-  date.setDate(date.getDate() + daysFromNow);
-  return getLocalDateString(date);
+  return subtractDays(getLocalDateString(), -daysFromNow);
 }
 
 /**
@@ -147,12 +201,34 @@ function getDateRange(startDateStr, endDateStr) {
   for (let i = 0; i <= days; i++) {
     const date = parseLocalDate(startDateStr);
     date.setDate(date.getDate() + i);
-    dates.push(getLocalDateString(date));
+    dates.push(toDateString(date));
   }
 
   return dates;
 }
 
+/**
+ * Get the Monday that starts the week containing a date
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @returns {string} Date string of the week's Monday (YYYY-MM-DD)
+ */
+function getWeekStart(dateStr) {
+  const dayOfWeek = parseLocalDate(dateStr).getDay();
+  return subtractDays(dateStr, (dayOfWeek + 6) % 7);
+}
+
+/**
+ * Format a day of the week for display
+ * @param {number} dayIndex - Day of the week (0 = Sunday … 6 = Saturday)
+ * @param {string} [format='short'] - Format style: 'short' or 'long'
+ * @returns {string} Localized weekday name
+ */
+function formatWeekday(dayIndex, format = 'short') {
+  // 7 January 2024 was a Sunday
+  const date = new Date(2024, 0, 7 + dayIndex);
+  return date.toLocaleDateString(getLocale(), { weekday: format });
+}
+
 /**
  * Format a date string for display
  * @param {string} dateStr - Date string (YYYY-MM-DD)
@@ -183,6 +259,18 @@ function formatDate(dateStr, format = 'short') {
   return date.toLocaleDateString(getLocale(), options);
 }
 
+/**
+ * Format the day-start hour for display
+ * @param {number} [hour] - Hour, defaults to the configured day-start hour
+ * @returns {string} Localized time (e.g., "4:00 AM")
+ */
+function formatDayStart(hour = dayStartHour) {
+  return new Date(2024, 0, 1, hour).toLocaleTimeString(getLocale(), {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
 /**
  * Format an ISO timestamp for display (time only)
  * @param {string} isoString - ISO 8601 timestamp
@@ -197,10 +285,28 @@ function formatTimestamp(isoString) {
   return t('date.completedAt', { time });
 }
 
+/**
+ * Format an ISO timestamp for display (date and time)
+ * @param {string} isoString - ISO 8601 timestamp
+ * @returns {string} Formatted string (e.g., "Mar 5, 2026, 2:30 PM")
+ */
+function formatDateTime(isoString) {
+  return new Date(isoString).toLocaleString(getLocale(), {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
+
 export {
+  DAY_START_HOUR_MIN,
+  DAY_START_HOUR_MAX,
+  isValidDayStartHour,
+  setDayStartHour,
+  getDayStartHour,
   getLocalDateString,
   getTimestamp,
   parseLocalDate,
+  isValidDateString,
   daysBetween,
   hasNewDayStarted,
   daysSinceLastActive,
@@ -210,6 +316,10 @@ export {
   getDateDaysAgo,
   getDateDaysFromNow,
   getDateRange,
+  getWeekStart,
+  formatWeekday,
   formatDate,
+  formatDayStart,
   formatTimestamp,
+  formatDateTime,
 };
@@ -0,0 +1,227 @@
+/**
+ * Decay Strategy Utilities for YourScore
+ * Decide how much decay is charged on a day
+ *
+ * A decay strategy is one of:
+ * - { type: 'flat' } (the daily decay amount every day)
+ * - { type: 'percentage', percent: 5 } (a share of a positive score)
+ * - { type: 'escalating', step: 5 } (the daily amount plus `step` for each
+ *   missed or failed day in a row before this one)
+ * - { type: 'capped', maxPerAbsence: 50 } (the daily amount, but no more than
+ *   `maxPerAbsence` over a run of missed or failed days)
+ * Any strategy may also set `floor`, a score that decay never goes below.
+ *
+ * A day is missed or failed when less was earned than the daily decay amount.
+ * Paused days are neutral: they
+ * neither count toward nor interrupt a run of missed or failed days.
+ */
+
+import { subtractDays } from './date.js';
+
+const DECAY_STRATEGY_TYPES = ['flat', 'percentage', 'escalating', 'capped'];
+
+const DEFAULT_DECAY_STRATEGY = Object.freeze({ type: 'flat' });
+
+const MAX_DECAY_VALUE = 100000;
+
+function isWholeNumberBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check that a decay strategy is well formed
+ * A missing strategy is valid and means flat.
+ * @param {*} strategy - Strategy to check
+ * @returns {boolean}
+ */
+function isValidDecayStrategy(strategy) {
+  if (strategy === undefined || strategy === null) {
+    return true;
+  }
+  if (typeof strategy !== 'object' || !DECAY_STRATEGY_TYPES.includes(strategy.type)) {
+    return false;
+  }
+  if (
+    strategy.floor !== undefined &&
+    strategy.floor !== null &&
+    !isWholeNumberBetween(strategy.floor, -MAX_DECAY_VALUE, MAX_DECAY_VALUE)
+  ) {
+    return false;
+  }
+
+  switch (strategy.type) {
+    case 'percentage':
+      return isWholeNumberBetween(strategy.percent, 1, 100);
+    case 'escalating':
+      return isWholeNumberBetween(strategy.step, 1, MAX_DECAY_VALUE);
+    case 'capped':
+      return isWholeNumberBetween(strategy.maxPerAbsence, 1, MAX_DECAY_VALUE);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Build a clean copy of a decay strategy, dropping unknown fields
+ * @param {Object|null|undefined} strategy - Strategy to normalize (assumed valid)
+ * @returns {Object} Normalized strategy
+ */
+function normalizeDecayStrategy(strategy) {
+  const floor = strategy?.floor ?? null;
+  const withFloor = (normalized) => (floor === null ? normalized : { ...normalized, floor });
+
+  switch (strategy?.type) {
+    case 'percentage':
+      return withFloor({ type: 'percentage', percent: strategy.percent });
+    case 'escalating':
+      return withFloor({ type: 'escalating', step: strategy.step });
+    case 'capped':
+      return withFloor({ type: 'capped', maxPerAbsence: strategy.maxPerAbsence });
+    default:
+      return withFloor({ type: 'flat' });
+  }
+}
+
+/**
+ * Get the decay amount and strategy that applied on a date
+ * Log entries saved before strategies existed have no strategy and were flat.
+ * @param {Array<{from: string, amount: number, strategy?: Object}>} decayHistory - Decay
+ *   changes, sorted by date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {{amount: number, strategy: Object}} fallback - Settings to use when no
+ *   changes were logged
+ * @returns {{amount: number, strategy: Object}}
+ */
+function getDecaySettingsOn(decayHistory, date, fallback) {
+  if (decayHistory.length === 0) {
+    return fallback;
+  }
+
+  let entry = decayHistory[0];
+  for (const candidate of decayHistory) {
+    if (candidate.from <= date) {
+      entry = candidate;
+    }
+  }
+  return { amount: entry.amount, strategy: entry.strategy || DEFAULT_DECAY_STRATEGY };
+}
+
+/**
+ * Find the run of missed or failed days just before a date
+ * Paused and excused days neither count towards the run nor end it.
+ * @param {Array} history - History records before the date, sorted by date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Function} getAmount - Returns the daily decay amount in effect on a date
+ * @returns {{failedDays: number, absenceDecay: number}} Length of the run and the
+ *   decay already charged during it
+ */
+function getFailedRun(history, date, getAmount) {
+  let failedDays = 0;
+  let absenceDecay = 0;
+  let expectedDate = subtractDays(date, 1);
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const record = history[i];
+    if (record.date !== expectedDate) {
+      break;
+    }
+    expectedDate = subtractDays(expectedDate, 1);
+    if (record.paused || record.excused) {
+      continue;
+    }
+    if (record.earned >= getAmount(record.date)) {
+      break;
+    }
+    failedDays++;
+    absenceDecay += record.decay;
+  }
+
+  return { failedDays, absenceDecay };
+}
+
+/**
+ * Work out the decay charged on one day
+ * @param {Object} strategy - Decay strategy
+ * @param {Object} context - The day's situation
+ * @param {number} context.amount - Daily decay amount in effect
+ * @param {number} context.score - Score at the start of the day
+ * @param {number} [context.failedDays=0] - Missed or failed days in a row before this one
+ * @param {number} [context.absenceDecay=0] - Decay already charged on those days
+ * @returns {number} Decay (never negative)
+ */
+function calculateDayDecay(strategy, { amount, score, failedDays = 0, absenceDecay = 0 }) {
+  const baseAmount = Math.max(0, amount);
+  let decay;
+
+  switch (strategy?.type) {
+    case 'percentage':
+      decay = Math.round((Math.max(0, score) * strategy.percent) / 100);
+      break;
+    case 'escalating':
+      decay = baseAmount + strategy.step * failedDays;
+      break;
+    case 'capped':
+      decay = Math.min(baseAmount, Math.max(0, strategy.maxPerAbsence - absenceDecay));
+      break;
+    default:
+      decay = baseAmount;
+  }
+
+  const floor = strategy?.floor ?? null;
+  if (floor !== null) {
+    decay = Math.min(decay, Math.max(0, score - floor));
+  }
+  return decay;
+}
+
+/**
+ * Work out the decay for consecutive days on which nothing is earned
+ * Paused days are charged nothing.
+ * @param {string[]} dates - Dates (YYYY-MM-DD) in order
+ * @param {Object} options
+ * @param {number} options.score - Score before the first date
+ * @param {Array} [options.history=[]] - History records before the first date, sorted by date
+ * @param {Function} options.getSettings - Returns {amount, strategy} in effect on a date
+ * @param {Function} [options.isPaused] - Returns whether decay is paused on a date
+ * @returns {Array<{date: string, decay: number, decayRule?: Object, paused?: boolean}>} One
+ *   charge per date
+ */
+function planDecay(dates, { score, history = [], getSettings, isPaused = () => false }) {
+  const records = [...history];
+  const getAmount = (date) => getSettings(date).amount;
+  const charges = [];
+  let runningScore = score;
+
+  for (const date of dates) {
+    if (isPaused(date)) {
+      charges.push({ date, decay: 0, paused: true });
+      records.push({ date, score: runningScore, earned: 0, decay: 0, paused: true });
+      continue;
+    }
+
+    const { amount, strategy } = getSettings(date);
+    const run = getFailedRun(records, date, getAmount);
+    const decay = calculateDayDecay(strategy, { amount, score: runningScore, ...run });
+    const decayRule = { ...normalizeDecayStrategy(strategy), amount };
+    if (strategy?.type === 'escalating') {
+      decayRule.failedDays = run.failedDays;
+    }
+
+    runningScore -= decay;
+    charges.push({ date, decay, decayRule });
+    records.push({ date, score: runningScore, earned: 0, decay });
+  }
+
+  return charges;
+}
+
+export {
+  DECAY_STRATEGY_TYPES,
+  DEFAULT_DECAY_STRATEGY,
+  isValidDecayStrategy,
+  normalizeDecayStrategy,
+  getDecaySettingsOn,
+  getFailedRun,
+  calculateDayDecay,
+  planDecay,
+};
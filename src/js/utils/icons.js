@@ -183,6 +183,16 @@ export const ACTION_ICONS = {
       <path d="M6 6h8l-1 11H7L6 6zm1-3h6l1 2H6l1-2zm2 4v6h2V7H9z"></path>
     </svg>
   `,
+  previous: `
+    <svg viewBox="0 0 20 20" aria-hidden="true" focusable="false">
+      <path d="M12.7 4.3l1.4 1.4L9.8 10l4.3 4.3-1.4 1.4L7 10l5.7-5.7z"></path>
+    </svg>
+  `,
+  next: `
+    <svg viewBox="0 0 20 20" aria-hidden="true" focusable="false">
+      <path d="M7.3 4.3L13 10l-5.7 5.7-1.4-1.4 4.3-4.3-4.3-4.3 1.4-1.4z"></path>
+    </svg>
+  `,
 };
 
 export function iconCalendar(size = 24) {
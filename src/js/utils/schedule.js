@@ -0,0 +1,174 @@
+/**
+ * Schedule Utilities for YourScore
+ * Decide on which days an activity is due
+ *
+ * An activity's schedule is one of:
+ * - { type: 'daily' }
+ * - { type: 'weekdays', days: [1, 3, 5] } (0 = Sunday … 6 = Saturday)
+ * - { type: 'interval', every: 3, startDate: 'YYYY-MM-DD' }
+ * - { type: 'weekly', timesPerWeek: 3 } (any days, weeks start on Monday)
+ * Activities saved before schedules existed have none and are treated as daily.
+ *
+ * A weekly quota counts the days it was done, not how often. It becomes
+ * required on a date once the rest of the week is too short to meet it
+ * otherwise, so a perfect day can't leave it unmet.
+ */
+
+import { getLocalDateString, parseLocalDate, daysBetween, getWeekStart } from './date.js';
+
+const SCHEDULE_TYPES = ['daily', 'weekdays', 'interval', 'weekly'];
+
+const DEFAULT_SCHEDULE = Object.freeze({ type: 'daily' });
+
+const MAX_INTERVAL_DAYS = 365;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isWholeNumberBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Get an activity's schedule, falling back to daily
+ * @param {Object} activity - Activity record
+ * @returns {Object} Schedule
+ */
+function getSchedule(activity) {
+  return activity?.schedule || DEFAULT_SCHEDULE;
+}
+
+/**
+ * Check that a schedule is well formed
+ * A missing schedule is valid and means daily.
+ * @param {*} schedule - Schedule to check
+ * @returns {boolean}
+ */
+function isValidSchedule(schedule) {
+  if (schedule === undefined || schedule === null) {
+    return true;
+  }
+  if (typeof schedule !== 'object' || !SCHEDULE_TYPES.includes(schedule.type)) {
+    return false;
+  }
+
+  switch (schedule.type) {
+    case 'weekdays':
+      return (
+        Array.isArray(schedule.days) &&
+        schedule.days.length > 0 &&
+        schedule.days.every((day) => isWholeNumberBetween(day, 0, 6))
+      );
+    case 'interval':
+      return (
+        isWholeNumberBetween(schedule.every, 1, MAX_INTERVAL_DAYS) &&
+        (schedule.startDate === undefined || DATE_PATTERN.test(schedule.startDate))
+      );
+    case 'weekly':
+      return isWholeNumberBetween(schedule.timesPerWeek, 1, 7);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Build a clean copy of a schedule, dropping unknown fields
+ * @param {Object|null|undefined} schedule - Schedule to normalize (assumed valid)
+ * @param {string} [startDate] - Start date for interval schedules that have none
+ * @returns {Object} Normalized schedule
+ */
+function normalizeSchedule(schedule, startDate = getLocalDateString()) {
+  switch (schedule?.type) {
+    case 'weekdays':
+      return { type: 'weekdays', days: [...new Set(schedule.days)].sort((a, b) => a - b) };
+    case 'interval':
+      return {
+        type: 'interval',
+        every: schedule.every,
+        startDate: schedule.startDate || startDate,
+      };
+    case 'weekly':
+      return { type: 'weekly', timesPerWeek: schedule.timesPerWeek };
+    default:
+      return { type: 'daily' };
+  }
+}
+
+/**
+ * Check if an activity has a weekly quota rather than fixed days
+ * @param {Object} activity - Activity record
+ * @returns {boolean}
+ */
+function isFlexible(activity) {
+  return getSchedule(activity).type === 'weekly';
+}
+
+/**
+ * Check if an activity is scheduled on a specific date
+ * Weekly quotas have no fixed days, so they are never scheduled on a date;
+ * see isRequiredOn() for when they must be done.
+ * @param {Object} activity - Activity record
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+function isScheduledOn(activity, date) {
+  const schedule = getSchedule(activity);
+
+  switch (schedule.type) {
+    case 'weekdays':
+      return schedule.days.includes(parseLocalDate(date).getDay());
+    case 'interval': {
+      const elapsed = daysBetween(schedule.startDate, date);
+      return elapsed >= 0 && elapsed % schedule.every === 0;
+    }
+    case 'weekly':
+      return false;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check if an activity should be offered on a date
+ * Weekly quotas stay due until they have been met for the week.
+ * @param {Object} activity - Activity record
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} [completedThisWeek=0] - Days completed earlier in the same week
+ * @returns {boolean}
+ */
+function isDueOn(activity, date, completedThisWeek = 0) {
+  if (isFlexible(activity)) {
+    return completedThisWeek < getSchedule(activity).timesPerWeek;
+  }
+  return isScheduledOn(activity, date);
+}
+
+/**
+ * Check if an activity must be done on a date for the day to be perfect
+ * Scheduled activities are required on their days. A weekly quota is required
+ * once the days left in the week, the date included, are no more than the
+ * days still needed to meet it.
+ * @param {Object} activity - Activity record
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} [completedThisWeek=0] - Days completed earlier in the same week
+ * @returns {boolean}
+ */
+function isRequiredOn(activity, date, completedThisWeek = 0) {
+  if (!isFlexible(activity)) {
+    return isScheduledOn(activity, date);
+  }
+  const daysNeeded = getSchedule(activity).timesPerWeek - completedThisWeek;
+  const daysLeft = 7 - daysBetween(getWeekStart(date), date);
+  return daysNeeded > 0 && daysNeeded >= daysLeft;
+}
+
+export {
+  SCHEDULE_TYPES,
+  MAX_INTERVAL_DAYS,
+  getSchedule,
+  isValidSchedule,
+  normalizeSchedule,
+  isFlexible,
+  isScheduledOn,
+  isDueOn,
+  isRequiredOn,
+};
@@ -6,8 +6,14 @@ import { ActivityModel } from '../models/activity.js';
 import { CategoryModel, UNCATEGORIZED_ID } from '../models/category.js';
 import { showToast } from '../components/toast.js';
 import { escapeHtml, createEmptyState, validateInteger } from '../utils/dom.js';
-import { t, formatNumber } from '../i18n/i18n.js';
+import { t, tPlural, formatNumber, getLocale } from '../i18n/i18n.js';
 import { ACTION_ICONS } from '../utils/icons.js';
+import { getLocalDateString, formatWeekday } from '../utils/date.js';
+import { getSchedule, MAX_INTERVAL_DAYS } from '../utils/schedule.js';
+import { getTemplateCatalog, getAddedTemplateIds, applyTemplates } from '../services/templates.js';
+
+// Weekday checkboxes run Monday to Sunday
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
 
 async function renderActivitiesView(container) {
   container.innerHTML = '';
@@ -52,6 +58,58 @@ async function renderActivitiesView(container) {
         <select class="form-input" id="activity-category" name="categoryId"></select>
       </div>
     </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label class="form-label" for="activity-type">${t('activities.form.typeLabel')}</label>
+        <select class="form-input" id="activity-type" name="type" data-testid="activity-type">
+          <option value="check">${t('activities.form.typeCheck')}</option>
+          <option value="counter">${t('activities.form.typeCounter')}</option>
+        </select>
+      </div>
+      <div class="form-group" data-field="dailyMax" hidden>
+        <label class="form-label" for="activity-daily-max">${t('activities.form.dailyMaxLabel')}</label>
+        <input class="form-input" id="activity-daily-max" name="dailyMax" type="number" min="1" step="1" placeholder="${t('activities.form.dailyMaxPlaceholder')}" data-testid="activity-daily-max" />
+      </div>
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label class="form-label" for="activity-schedule">${t('activities.form.scheduleLabel')}</label>
+        <select class="form-input" id="activity-schedule" name="scheduleType" data-testid="activity-schedule">
+          <option value="daily">${t('activities.form.scheduleDaily')}</option>
+          <option value="weekdays">${t('activities.form.scheduleWeekdays')}</option>
+          <option value="interval">${t('activities.form.scheduleInterval')}</option>
+          <option value="weekly">${t('activities.form.scheduleWeekly')}</option>
+        </select>
+      </div>
+      <div class="form-group" data-field="scheduleEvery" hidden>
+        <label class="form-label" for="activity-schedule-every">${t('activities.form.scheduleEveryLabel')}</label>
+        <input class="form-input" id="activity-schedule-every" name="scheduleEvery" type="number" min="1" max="${MAX_INTERVAL_DAYS}" step="1" value="2" data-testid="activity-schedule-every" />
+      </div>
+      <div class="form-group" data-field="scheduleStart" hidden>
+        <label class="form-label" for="activity-schedule-start">${t('activities.form.scheduleStartLabel')}</label>
+        <input class="form-input" id="activity-schedule-start" name="scheduleStart" type="date" data-testid="activity-schedule-start" />
+      </div>
+      <div class="form-group" data-field="scheduleTimes" hidden>
+        <label class="form-label" for="activity-schedule-times">${t('activities.form.scheduleTimesLabel')}</label>
+        <input class="form-input" id="activity-schedule-times" name="scheduleTimes" type="number" min="1" max="7" step="1" value="3" data-testid="activity-schedule-times" />
+      </div>
+    </div>
+    <fieldset class="form-group schedule-days" data-field="scheduleDays" hidden>
+      <legend class="form-label">${t('activities.form.scheduleDaysLabel')}</legend>
+      ${WEEKDAY_ORDER.map(
+        (day) => `
+        <label class="checkbox-label">
+          <input name="scheduleDays" type="checkbox" value="${day}" data-testid="activity-schedule-day-${day}" />
+          <span>${formatWeekday(day)}</span>
+        </label>`
+      ).join('')}
+    </fieldset>
+    <div class="form-group">
+      <label class="checkbox-label" for="activity-bad-habit">
+        <input id="activity-bad-habit" name="badHabit" type="checkbox" data-testid="activity-bad-habit" />
+        <span>${t('activities.form.badHabitLabel')}</span>
+      </label>
+    </div>
     <div class="form-error" data-testid="activity-form-error" aria-live="polite"></div>
     <div class="form-actions">
       <button class="btn btn-primary" type="submit" data-testid="activity-submit">${t('activities.form.addButton')}</button>
@@ -75,8 +133,21 @@ async function renderActivitiesView(container) {
   const categorySelect = form.querySelector('#activity-category');
   populateCategorySelect(categorySelect, [...categoryMap.values()], uncategorized);
 
+  const templatePicker = createTemplatePicker({
+    onApplied: () =>
+      refreshLists({
+        activeList,
+        archivedList,
+        categorySelect,
+        setEditMode: ctx.setEditMode,
+        swapActivityRows,
+        updateOrderFromDOM,
+      }),
+  });
+
   view.appendChild(header);
   view.appendChild(formCard);
+  view.appendChild(templatePicker.card);
   view.appendChild(listSection);
   container.appendChild(view);
 
@@ -105,9 +176,96 @@ async function renderActivitiesView(container) {
     swapActivityRows,
     updateOrderFromDOM,
   });
+  await templatePicker.refresh();
   view.dataset.ready = 'true';
 }
 
+function createTemplatePicker({ onApplied }) {
+  const card = document.createElement('details');
+  card.className = 'card template-picker';
+  card.dataset.testid = 'template-picker';
+
+  const groups = getTemplateCatalog()
+    .map(
+      (group) => `
+      <fieldset class="template-group">
+        <legend class="form-label">${escapeHtml(group.name)}</legend>
+        ${group.templates
+          .map(
+            (template) => `
+          <label class="checkbox-label template-option">
+            <input type="checkbox" name="template" value="${template.id}" data-testid="template-option-${template.id}" />
+            <span class="template-option-name">${escapeHtml(template.name)}</span>
+            <span class="template-option-points">${formatNumber(template.points)} ${t('units.pointsShort')}${
+              template.type === 'counter' ? ` · ${t('activities.row.counter')}` : ''
+            }</span>
+          </label>`
+          )
+          .join('')}
+      </fieldset>`
+    )
+    .join('');
+
+  card.innerHTML = `
+    <summary>
+      <h3>${t('activities.templates.title')}</h3>
+      <p>${t('activities.templates.subtitle')}</p>
+    </summary>
+    <form class="template-picker-form" novalidate>
+      <div class="template-groups">${groups}</div>
+      <div class="form-error" data-testid="template-error" aria-live="polite"></div>
+      <div class="form-actions">
+        <button class="btn btn-primary" type="submit" data-testid="template-apply">${t('activities.templates.addButton')}</button>
+      </div>
+    </form>
+  `;
+
+  const form = card.querySelector('form');
+  const formError = card.querySelector('[data-testid="template-error"]');
+
+  async function refresh() {
+    const added = await getAddedTemplateIds();
+    for (const checkbox of form.querySelectorAll('input[name="template"]')) {
+      const isAdded = added.has(checkbox.value);
+      checkbox.disabled = isAdded;
+      checkbox.checked = false;
+      checkbox.closest('.template-option').classList.toggle('is-added', isAdded);
+      checkbox.closest('.template-option').title = isAdded ? t('activities.templates.added') : '';
+    }
+    form.toggleAttribute('data-busy', false);
+  }
+
+  // A selection not added yet keeps the view from re-rendering for other tabs
+  form.addEventListener('input', () => form.toggleAttribute('data-busy', true));
+
+  form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    formError.textContent = '';
+
+    const templateIds = new FormData(form).getAll('template').map(String);
+    if (templateIds.length === 0) {
+      formError.textContent = t('activities.templates.noneSelected');
+      return;
+    }
+
+    try {
+      const result = await applyTemplates(templateIds);
+      showToast(
+        tPlural('toasts.templatesAdded', result.activities.length, {
+          count: formatNumber(result.activities.length),
+        }),
+        'success'
+      );
+      await onApplied();
+      await refresh();
+    } catch (error) {
+      formError.textContent = error.message;
+    }
+  });
+
+  return { card, refresh };
+}
+
 function buildListSection(activeList, archivedList) {
   const listSection = document.createElement('div');
   listSection.className = 'activity-list-section';
@@ -130,28 +288,109 @@ function buildListSection(activeList, archivedList) {
 function setupFormHandlers({ form, formTitle, uncategorized, onRefresh }) {
   const formError = form.querySelector('.form-error');
   const cancelButton = form.querySelector('[data-testid="activity-cancel"]');
+  const dailyMaxField = form.querySelector('[data-field="dailyMax"]');
   let editingId = null;
 
+  function syncTypeFields() {
+    dailyMaxField.hidden = form.elements.type.value !== 'counter';
+  }
+
+  function syncScheduleFields() {
+    const scheduleType = form.elements.scheduleType.value;
+    form.querySelector('[data-field="scheduleDays"]').hidden = scheduleType !== 'weekdays';
+    form.querySelector('[data-field="scheduleEvery"]').hidden = scheduleType !== 'interval';
+    form.querySelector('[data-field="scheduleStart"]').hidden = scheduleType !== 'interval';
+    form.querySelector('[data-field="scheduleTimes"]').hidden = scheduleType !== 'weekly';
+  }
+
+  function fillScheduleFields(schedule) {
+    form.elements.scheduleType.value = schedule.type;
+    for (const checkbox of form.querySelectorAll('input[name="scheduleDays"]')) {
+      checkbox.checked =
+        schedule.type === 'weekdays' && schedule.days.includes(Number(checkbox.value));
+    }
+    form.elements.scheduleEvery.value = schedule.type === 'interval' ? schedule.every : 2;
+    form.elements.scheduleStart.value =
+      schedule.type === 'interval' ? schedule.startDate : getLocalDateString();
+    form.elements.scheduleTimes.value = schedule.type === 'weekly' ? schedule.timesPerWeek : 3;
+    syncScheduleFields();
+  }
+
+  /**
+   * Read the schedule fields into a schedule object
+   * @param {FormData} formData - Submitted form data
+   * @returns {{ schedule?: Object, error?: string }}
+   */
+  function readSchedule(formData) {
+    const scheduleType = formData.get('scheduleType').toString();
+
+    if (scheduleType === 'weekdays') {
+      const days = formData.getAll('scheduleDays').map(Number);
+      if (days.length === 0) {
+        return { error: t('activities.errors.scheduleDaysRequired') };
+      }
+      return { schedule: { type: 'weekdays', days } };
+    }
+
+    if (scheduleType === 'interval') {
+      const everyResult = validateInteger(formData.get('scheduleEvery'), {
+        min: 1,
+        max: MAX_INTERVAL_DAYS,
+        errorMessage: t('activities.errors.scheduleEveryInvalid', {
+          max: formatNumber(MAX_INTERVAL_DAYS),
+        }),
+      });
+      if (!everyResult.valid) {
+        return { error: everyResult.error };
+      }
+      const startDate = formData.get('scheduleStart').toString() || getLocalDateString();
+      return { schedule: { type: 'interval', every: everyResult.value, startDate } };
+    }
+
+    if (scheduleType === 'weekly') {
+      const timesResult = validateInteger(formData.get('scheduleTimes'), {
+        min: 1,
+        max: 7,
+        errorMessage: t('activities.errors.scheduleTimesInvalid'),
+      });
+      if (!timesResult.valid) {
+        return { error: timesResult.error };
+      }
+      return { schedule: { type: 'weekly', timesPerWeek: timesResult.value } };
+    }
+
+    return { schedule: { type: 'daily' } };
+  }
+
   function resetForm() {
     editingId = null;
     form.reset();
+    form.toggleAttribute('data-busy', false);
     formTitle.textContent = t('activities.form.addTitle');
     form.querySelector('[data-testid="activity-submit"]').textContent = t(
       'activities.form.addButton'
     );
     cancelButton.hidden = true;
     formError.textContent = '';
+    syncTypeFields();
+    fillScheduleFields(getSchedule(null));
   }
 
   function setEditMode(activity) {
     editingId = activity.id;
+    form.toggleAttribute('data-busy', true);
     formTitle.textContent = t('activities.form.editTitle');
     form.querySelector('[data-testid="activity-submit"]').textContent = t(
       'activities.form.saveButton'
     );
     cancelButton.hidden = false;
     form.elements.name.value = activity.name;
-    form.elements.points.value = activity.points;
+    form.elements.points.value = Math.abs(activity.points);
+    form.elements.badHabit.checked = ActivityModel.isBadHabit(activity);
+    form.elements.type.value = activity.type || 'check';
+    form.elements.dailyMax.value = activity.dailyMax ?? '';
+    syncTypeFields();
+    fillScheduleFields(getSchedule(activity));
     form.elements.categoryId.value = activity.categoryId || uncategorized.id;
     formError.textContent = '';
     const prefersInstant = window.__TEST_MODE__ || navigator.webdriver;
@@ -180,14 +419,38 @@ function setupFormHandlers({ form, formTitle, uncategorized, onRefresh }) {
       formError.textContent = pointsResult.error;
       return;
     }
-    const pointsValue = pointsResult.value;
+    const pointsValue = formData.get('badHabit') ? -pointsResult.value : pointsResult.value;
+
+    const type = formData.get('type').toString();
+    let dailyMax = null;
+    const dailyMaxInput = formData.get('dailyMax').toString().trim();
+    if (type === 'counter' && dailyMaxInput !== '') {
+      const dailyMaxResult = validateInteger(dailyMaxInput, {
+        min: 1,
+        fieldName: 'Daily maximum',
+        errorMessage: t('activities.errors.dailyMaxPositive'),
+      });
+      if (!dailyMaxResult.valid) {
+        formError.textContent = dailyMaxResult.error;
+        return;
+      }
+      dailyMax = dailyMaxResult.value;
+    }
+
+    const { schedule, error: scheduleError } = readSchedule(formData);
+    if (scheduleError) {
+      formError.textContent = scheduleError;
+      return;
+    }
+
+    const data = { name, points: pointsValue, categoryId, type, dailyMax, schedule };
 
     try {
       if (editingId) {
-        await ActivityModel.update(editingId, { name, points: pointsValue, categoryId });
+        await ActivityModel.update(editingId, data);
         showToast(t('toasts.activityUpdated'), 'success');
       } else {
-        await ActivityModel.create({ name, points: pointsValue, categoryId });
+        await ActivityModel.create(data);
         showToast(t('toasts.activityAdded'), 'success');
       }
 
@@ -202,6 +465,12 @@ function setupFormHandlers({ form, formTitle, uncategorized, onRefresh }) {
     resetForm();
   });
 
+  // Unsaved input keeps the view from re-rendering for changes made in other tabs
+  form.addEventListener('input', () => form.toggleAttribute('data-busy', true));
+  form.elements.type.addEventListener('change', syncTypeFields);
+  form.elements.scheduleType.addEventListener('change', syncScheduleFields);
+  fillScheduleFields(getSchedule(null));
+
   return { setEditMode };
 }
 
@@ -366,12 +635,49 @@ async function refreshLists({
   }
 }
 
+function formatCounterMeta(activity) {
+  return activity.dailyMax
+    ? t('activities.row.counterWithMax', { max: formatNumber(activity.dailyMax) })
+    : t('activities.row.counter');
+}
+
+/**
+ * Describe an activity's schedule for the list, or '' when it is due every day
+ * @param {Object} activity - Activity record
+ * @returns {string}
+ */
+function formatScheduleMeta(activity) {
+  const schedule = getSchedule(activity);
+
+  switch (schedule.type) {
+    case 'weekdays': {
+      const ordered = WEEKDAY_ORDER.filter((day) => schedule.days.includes(day));
+      const days = new Intl.ListFormat(getLocale(), { style: 'narrow' }).format(
+        ordered.map((day) => formatWeekday(day))
+      );
+      return t('activities.row.scheduleWeekdays', { days });
+    }
+    case 'interval':
+      return tPlural('activities.row.scheduleInterval', schedule.every, {
+        count: formatNumber(schedule.every),
+      });
+    case 'weekly':
+      return tPlural('activities.row.scheduleWeekly', schedule.timesPerWeek, {
+        count: formatNumber(schedule.timesPerWeek),
+      });
+    default:
+      return '';
+  }
+}
+
 function createActivityRow(
   activity,
   { onEdit, onArchive, onMoveUp, onMoveDown, isArchived = false }
 ) {
+  const isBadHabit = ActivityModel.isBadHabit(activity);
+  const scheduleMeta = formatScheduleMeta(activity);
   const row = document.createElement('div');
-  row.className = `activity-row ${isArchived ? 'archived' : ''}`;
+  row.className = `activity-row ${isArchived ? 'archived' : ''} ${isBadHabit ? 'activity-row--bad-habit' : ''}`;
   row.dataset.activityId = activity.id;
 
   row.innerHTML = `
@@ -379,6 +685,9 @@ function createActivityRow(
       <div class="activity-row-title">${escapeHtml(activity.name)}</div>
       <div class="activity-row-meta">
         <span>${formatNumber(activity.points)} ${t('units.pointsShort')}</span>
+        ${ActivityModel.isCounter(activity) ? `<span>${formatCounterMeta(activity)}</span>` : ''}
+        ${scheduleMeta ? `<span data-testid="activity-schedule-meta">${scheduleMeta}</span>` : ''}
+        ${isBadHabit ? `<span class="activity-row-tag">${t('common.badHabit')}</span>` : ''}
       </div>
     </div>
     <div class="activity-row-actions">
@@ -104,9 +104,13 @@ async function renderCategoriesView(container) {
     resetForm();
   });
 
+  // Unsaved input keeps the view from re-rendering for changes made in other tabs
+  form.addEventListener('input', () => form.toggleAttribute('data-busy', true));
+
   function resetForm() {
     editingId = null;
     form.reset();
+    form.toggleAttribute('data-busy', false);
     formTitle.textContent = t('categories.form.addTitle');
     form.querySelector('[data-testid="category-submit"]').textContent = t(
       'categories.form.addButton'
@@ -120,6 +124,7 @@ async function renderCategoriesView(container) {
       return;
     }
     editingId = category.id;
+    form.toggleAttribute('data-busy', true);
     formTitle.textContent = t('categories.form.editTitle');
     form.querySelector('[data-testid="category-submit"]').textContent = t(
       'categories.form.saveButton'
@@ -6,35 +6,69 @@ import { ActivityModel } from '../models/activity.js';
 import { CategoryModel } from '../models/category.js';
 import { CompletionModel } from '../models/completion.js';
 import { ScoreModel } from '../models/score.js';
-import { SettingsModel } from '../models/settings.js';
-import { getLocalDateString, formatDate } from '../utils/date.js';
+import {
+  getLocalDateString,
+  getDayStartHour,
+  formatDate,
+  formatDayStart,
+  subtractDays,
+} from '../utils/date.js';
 import { createEmptyState } from '../utils/dom.js';
+import { ACTION_ICONS } from '../utils/icons.js';
 import { createScoreDisplay } from '../components/score-display.js';
-import { createActivityCard, formatTimestamp } from '../components/activity-card.js';
+import { createActivityCard, updateActivityCard } from '../components/activity-card.js';
 import { showToast } from '../components/toast.js';
 import { checkForNewAchievements, getAchievementById } from '../services/achievements.js';
+import {
+  getEditableRange,
+  getNextCount,
+  stepCompletion,
+  getExcuseAllowance,
+  excuseDay,
+  unexcuseDay,
+} from '../services/history.js';
+import { describeDecayRule } from '../services/decay.js';
 import { showAchievementNotification } from '../components/achievement-badge.js';
 import { animateScoreChange, animateActivityCompletion } from '../utils/celebrations.js';
 import { t, tPlural, formatNumber } from '../i18n/i18n.js';
 
-async function renderDailyView(container, { decayInfo } = {}) {
+/**
+ * Render the daily view
+ * @param {HTMLElement} container - Container element
+ * @param {Object} [options]
+ * @param {Object} [options.decayInfo] - Result of the decay check on app open
+ * @param {string} [options.date] - Day to show (YYYY-MM-DD); past days open the history editor
+ */
+async function renderDailyView(container, { decayInfo, date: requestedDate } = {}) {
   container.innerHTML = '';
 
+  const today = getLocalDateString();
+  const range = await getEditableRange();
+  const date =
+    requestedDate && requestedDate >= range.start && requestedDate <= range.end
+      ? requestedDate
+      : today;
+  const isToday = date === today;
+
   const view = document.createElement('section');
   view.className = 'daily-view';
+  view.dataset.date = date;
 
-  const header = document.createElement('div');
-  header.className = 'daily-header';
-
-  const dateLabel = document.createElement('div');
-  dateLabel.className = 'daily-date';
-  dateLabel.textContent = formatDate(getLocalDateString(), 'long');
-
-  header.appendChild(dateLabel);
+  const header = createDateNavigator({
+    date,
+    range,
+    onNavigate: (nextDate) => renderDailyView(container, { date: nextDate }),
+  });
 
   view.appendChild(header);
 
-  if (decayInfo?.applied) {
+  if (!isToday) {
+    const historyNotice = document.createElement('div');
+    historyNotice.className = 'history-notice';
+    historyNotice.dataset.testid = 'history-notice';
+    historyNotice.textContent = t('daily.editingPastDay');
+    view.appendChild(historyNotice);
+  } else if (decayInfo?.applied) {
     const decayNotice = document.createElement('div');
     decayNotice.className = 'decay-notification';
     decayNotice.textContent = decayInfo.message;
@@ -42,19 +76,50 @@ async function renderDailyView(container, { decayInfo } = {}) {
   }
 
   const score = await ScoreModel.getScore();
-  const earnedToday = await ScoreModel.getEarnedToday();
-  const decayAmount = await SettingsModel.getDecayAmount();
-  const scoreDisplay = createScoreDisplay({ score, earnedToday, decayAmount });
+  const dayTotals = await getDayTotals(date);
+  const scoreDisplay = createScoreDisplay({
+    score,
+    earnedToday: dayTotals.earned,
+    decayAmount: dayTotals.decay,
+    earnedLabel: dayTotals.earnedLabel,
+    decayNote: getDecayNote(dayTotals),
+  });
   view.appendChild(scoreDisplay.wrapper);
 
-  const breakEven = await ScoreModel.getBreakEvenStatus();
-  const breakEvenIndicator = createBreakEvenIndicator(breakEven);
-  view.appendChild(breakEvenIndicator.wrapper);
+  // Break-even tracks today's progress only, and there is none on a paused day
+  let breakEvenIndicator = null;
+  if (isToday && !dayTotals.paused) {
+    const breakEven = await ScoreModel.getBreakEvenStatus();
+    breakEvenIndicator = createBreakEvenIndicator(breakEven);
+    view.appendChild(breakEvenIndicator.wrapper);
+  }
+
+  if (!isToday && !dayTotals.paused) {
+    view.appendChild(
+      await createExcusePanel({
+        date,
+        excused: dayTotals.excused,
+        onChange: () => renderDailyView(container, { date }),
+      })
+    );
+  }
 
   const activitiesSection = document.createElement('div');
   activitiesSection.className = 'daily-activities';
 
   const activities = await ActivityModel.getAll();
+  const completions = await CompletionModel.getByDate(date);
+  const completionMap = new Map(completions.map((c) => [c.activityId, c]));
+
+  // Activities logged that day stay visible even when no longer due or since
+  // archived, so they can be undone
+  const dueIds = new Set((await ActivityModel.getDueOn(date)).map((a) => a.id));
+  const todaysActivities = ActivityModel.sortActivities(
+    (await ActivityModel.getAllIncludingArchived()).filter(
+      (a) => dueIds.has(a.id) || completionMap.has(a.id)
+    )
+  );
+
   if (activities.length === 0) {
     activitiesSection.appendChild(
       createEmptyState({
@@ -62,8 +127,15 @@ async function renderDailyView(container, { decayInfo } = {}) {
         message: t('daily.emptyMessage'),
       })
     );
+  } else if (todaysActivities.length === 0) {
+    activitiesSection.appendChild(
+      createEmptyState({
+        title: t('daily.nothingDueTitle'),
+        message: t('daily.nothingDueMessage'),
+      })
+    );
   } else {
-    const grouped = await ActivityModel.getGroupedByCategory();
+    const grouped = await ActivityModel.getGroupedByCategory(todaysActivities);
     const categories = await CategoryModel.getAll();
     const uncategorized = await CategoryModel.getUncategorized();
     const categoryMap = new Map(categories.map((cat) => [cat.id, cat]));
@@ -77,10 +149,6 @@ async function renderDailyView(container, { decayInfo } = {}) {
 
     const categoryOrder = [...categoryMap.values()];
 
-    const today = getLocalDateString();
-    const completions = await CompletionModel.getByDate(today);
-    const completionMap = new Map(completions.map((c) => [c.activityId, c]));
-
     for (const category of categoryOrder) {
       const categoryActivities = grouped[category.id] || [];
       if (categoryActivities.length === 0) {
@@ -99,16 +167,27 @@ async function renderDailyView(container, { decayInfo } = {}) {
       for (const activity of categoryActivities) {
         const completion = completionMap.get(activity.id);
         const cardParts = createActivityCard(activity, completion);
-
-        cardParts.card.addEventListener('click', async () => {
-          await toggleCompletion({
-            activity,
-            completionMap,
-            cardParts,
-            breakEvenIndicator,
-            scoreDisplay,
+        const context = {
+          activity,
+          date,
+          completionMap,
+          cardParts,
+          breakEvenIndicator,
+          scoreDisplay,
+        };
+
+        if (ActivityModel.isCounter(activity)) {
+          cardParts.incrementButton.addEventListener('click', async () => {
+            await toggleCompletion({ ...context, delta: 1 });
+          });
+          cardParts.decrementButton.addEventListener('click', async () => {
+            await toggleCompletion({ ...context, delta: -1 });
           });
-        });
+        } else {
+          cardParts.card.addEventListener('click', async () => {
+            await toggleCompletion(context);
+          });
+        }
 
         group.appendChild(cardParts.card);
       }
@@ -121,6 +200,150 @@ async function renderDailyView(container, { decayInfo } = {}) {
   container.appendChild(view);
 }
 
+/**
+ * Build the panel for excusing a past day or removing its excuse
+ * @param {Object} options
+ * @param {string} options.date - Day being shown (YYYY-MM-DD)
+ * @param {boolean} options.excused - Whether the day is excused
+ * @param {Function} options.onChange - Called after the day is excused or the excuse removed
+ * @returns {Promise<HTMLElement>}
+ */
+async function createExcusePanel({ date, excused, onChange }) {
+  const panel = document.createElement('div');
+  panel.className = `excuse-panel${excused ? ' excuse-panel-excused' : ''}`;
+  panel.dataset.testid = 'excuse-panel';
+
+  if (excused) {
+    panel.innerHTML = `
+      <p>${t('daily.excuse.excused')}</p>
+      <button class="btn btn-secondary" type="button" data-testid="excuse-remove">${t('daily.excuse.remove')}</button>
+    `;
+  } else {
+    const { allowance, remaining } = await getExcuseAllowance(date);
+    const allowanceText =
+      allowance === null
+        ? ''
+        : `<span class="excuse-allowance" data-testid="excuse-allowance">${t('daily.excuse.remaining', { count: formatNumber(remaining), allowance: formatNumber(allowance) })}</span>`;
+    panel.innerHTML = `
+      <p>${t('daily.excuse.description')} ${allowanceText}</p>
+      <button class="btn btn-secondary" type="button" data-testid="excuse-day" ${remaining === 0 ? 'disabled' : ''}>${t('daily.excuse.button')}</button>
+    `;
+  }
+
+  panel.querySelector('button').addEventListener('click', async () => {
+    try {
+      if (excused) {
+        await unexcuseDay(date);
+        showToast(t('toasts.excuseRemoved'), 'success');
+      } else {
+        await excuseDay(date);
+        showToast(t('toasts.dayExcused'), 'success');
+      }
+      await onChange();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  });
+
+  return panel;
+}
+
+/**
+ * Build the date header with previous/next day navigation
+ * @param {Object} options
+ * @param {string} options.date - Day being shown (YYYY-MM-DD)
+ * @param {{start: string, end: string}} options.range - Editable date range
+ * @param {Function} options.onNavigate - Called with the date to show
+ * @returns {HTMLElement}
+ */
+function createDateNavigator({ date, range, onNavigate }) {
+  const header = document.createElement('div');
+  header.className = 'daily-header';
+  header.innerHTML = `
+    <button class="btn btn-secondary icon-button" type="button" data-testid="daily-previous-day" aria-label="${t('daily.previousDay')}" ${date <= range.start ? 'disabled' : ''}>
+      ${ACTION_ICONS.previous}
+    </button>
+    <div class="daily-date" data-testid="daily-date">
+      ${formatDate(date, 'long')}
+      ${
+        date === getLocalDateString() && getDayStartHour() > 0
+          ? `<span class="daily-day-start" data-testid="daily-day-start">${t('daily.dayEndsAt', { time: formatDayStart() })}</span>`
+          : ''
+      }
+    </div>
+    <button class="btn btn-secondary icon-button" type="button" data-testid="daily-next-day" aria-label="${t('daily.nextDay')}" ${date >= range.end ? 'disabled' : ''}>
+      ${ACTION_ICONS.next}
+    </button>
+    ${
+      date !== range.end
+        ? `<button class="btn btn-secondary daily-today-button" type="button" data-testid="daily-back-to-today">${t('daily.backToToday')}</button>`
+        : ''
+    }
+  `;
+
+  header.querySelector('[data-testid="daily-previous-day"]').addEventListener('click', () => {
+    onNavigate(subtractDays(date, 1));
+  });
+  header.querySelector('[data-testid="daily-next-day"]').addEventListener('click', () => {
+    onNavigate(subtractDays(date, -1));
+  });
+  header.querySelector('[data-testid="daily-back-to-today"]')?.addEventListener('click', () => {
+    onNavigate(range.end);
+  });
+
+  return header;
+}
+
+/**
+ * Get the points earned and decay charged on a day
+ * Today's decay is worked out as it is charged, unless today is paused; past
+ * days use their history record. Both come with the rule their decay was
+ * worked out with.
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<{earned: number, decay: number, earnedLabel: string, decayRule?: Object, paused: boolean, excused: boolean}>}
+ */
+async function getDayTotals(date) {
+  const history = await ScoreModel.getHistoryByDate(date);
+  const paused = history?.paused === true;
+  const excused = history?.excused === true;
+
+  if (date === getLocalDateString()) {
+    const { decay, decayRule } = await ScoreModel.getTodayDecay(history);
+    return {
+      earned: history?.earned || 0,
+      decay,
+      earnedLabel: t('score.todayLabel'),
+      decayRule,
+      paused,
+      excused,
+    };
+  }
+
+  return {
+    earned: history?.earned || 0,
+    decay: history?.decay || 0,
+    earnedLabel: t('score.dayLabel'),
+    decayRule: history?.decayRule,
+    paused,
+    excused,
+  };
+}
+
+/**
+ * Describe how a day's decay was worked out
+ * @param {Object} dayTotals - Totals from getDayTotals()
+ * @returns {string}
+ */
+function getDecayNote(dayTotals) {
+  if (dayTotals.paused) {
+    return t('daily.pausedDay');
+  }
+  if (dayTotals.excused) {
+    return t('daily.excusedDay');
+  }
+  return dayTotals.decayRule ? describeDecayRule(dayTotals.decayRule) : '';
+}
+
 function createBreakEvenIndicator(status) {
   const wrapper = document.createElement('div');
   wrapper.className = `break-even-indicator ${status.breakEven ? 'achieved' : 'needs-more'}`;
@@ -173,93 +396,86 @@ let _toggling = false;
 
 async function toggleCompletion({
   activity,
+  date,
   completionMap,
   cardParts,
   breakEvenIndicator,
   scoreDisplay,
+  delta = 1,
 }) {
   if (_toggling) {
     return;
   }
   _toggling = true;
   try {
-    const today = getLocalDateString();
     const existing = completionMap.get(activity.id);
+    const currentCount = existing ? existing.count || 1 : 0;
+
+    // Nothing to do at a counter's daily max or below zero
+    if (getNextCount(activity, currentCount, delta) === currentCount) {
+      return;
+    }
+
     const previousScore = await ScoreModel.getScore();
 
     // Animate the activity card
     animateActivityCompletion(cardParts.card);
 
-    if (existing) {
-      await CompletionModel.deleteByActivityAndDate(activity.id, today);
+    // Undo and counter steps take back the points recorded when the completion was logged
+    let result;
+    try {
+      result = await stepCompletion(activity, date, delta);
+    } catch (error) {
+      showToast(error.message, 'error');
+      return;
+    }
+    const { completion, pointChange, previousCount } = result;
+    const nextCount = completion ? completion.count || 1 : 0;
+    const isIncrease = nextCount > previousCount;
+    if (completion) {
+      completionMap.set(activity.id, completion);
+    } else {
       completionMap.delete(activity.id);
+    }
 
-      await ScoreModel.subtractPoints(activity.points);
-      await ScoreModel.addEarnedToday(-activity.points);
-
-      cardParts.card.classList.remove('completed');
-      cardParts.checkbox.textContent = '';
-      cardParts.timestamp.textContent = '';
+    updateActivityCard(cardParts, activity, completion);
+    if (nextCount === previousCount) {
+      return;
+    }
 
+    if (ActivityModel.isCounter(activity)) {
+      showToast(
+        t('toasts.counterChanged', { name: activity.name, count: formatNumber(nextCount) }),
+        isIncrease && !ActivityModel.isBadHabit(activity) ? 'success' : 'warning'
+      );
+    } else if (!isIncrease) {
       showToast(t('toasts.activityUndone', { name: activity.name }), 'warning');
+    } else if (ActivityModel.isBadHabit(activity)) {
+      showToast(t('toasts.badHabitLogged', { name: activity.name }), 'warning');
     } else {
-      const completion = await CompletionModel.create({ activityId: activity.id, date: today });
-      completionMap.set(activity.id, completion);
-
-      await ScoreModel.addPoints(activity.points);
-      await ScoreModel.addEarnedToday(activity.points);
-
-      cardParts.card.classList.add('completed');
-      cardParts.checkbox.textContent = '✓';
-      cardParts.timestamp.textContent = formatTimestamp(completion.completedAt);
-
       showToast(t('toasts.activityCompleted', { name: activity.name }), 'success');
     }
 
     const updatedScore = await ScoreModel.getScore();
-    const updatedBreakEven = await ScoreModel.getBreakEvenStatus();
-    const decayAmount = await SettingsModel.getDecayAmount();
+    const dayTotals = await getDayTotals(date);
 
     // Animate score change
     const scoreValueEl = scoreDisplay.wrapper.querySelector('.score-value');
-    const pointChange = existing ? -activity.points : activity.points;
     animateScoreChange(scoreValueEl, pointChange);
 
     scoreValueEl.textContent = formatNumber(updatedScore);
     scoreValueEl.className = `score-value ${updatedScore > 0 ? 'score-positive' : updatedScore < 0 ? 'score-negative' : 'score-neutral'}`;
     scoreDisplay.wrapper.querySelector('.score-meta').innerHTML = `
-      <span>${t('score.todayLabel')}: <strong>${formatNumber(updatedBreakEven.earned)}</strong></span>
-      <span>${t('score.decayLabel')}: <strong>${formatNumber(decayAmount)}</strong></span>
+      <span>${dayTotals.earnedLabel}: <strong>${formatNumber(dayTotals.earned)}</strong></span>
+      <span>${t('score.decayLabel')}: <strong>${formatNumber(dayTotals.decay)}</strong></span>
     `;
 
-    const pointsLabel = tPlural(
-      'units.pointsLong',
-      updatedBreakEven.breakEven ? updatedBreakEven.surplus : updatedBreakEven.remaining
-    );
-    breakEvenIndicator.message.textContent = updatedBreakEven.breakEven
-      ? t('daily.breakEvenAchieved', {
-          points: formatNumber(updatedBreakEven.surplus),
-          pointsLabel,
-        })
-      : t('daily.breakEvenRemaining', {
-          points: formatNumber(updatedBreakEven.remaining),
-          pointsLabel,
-        });
-    breakEvenIndicator.fill.style.width = updatedBreakEven.percent + '%';
-    breakEvenIndicator.progress.setAttribute('aria-valuenow', String(updatedBreakEven.percent));
-    breakEvenIndicator.progress.setAttribute(
-      'aria-valuetext',
-      updatedBreakEven.breakEven
-        ? t('daily.breakEvenAchievedAria')
-        : t('daily.breakEvenRemainingAria', {
-            points: formatNumber(updatedBreakEven.remaining),
-            pointsLabel,
-          })
-    );
-    breakEvenIndicator.wrapper.className = `break-even-indicator ${updatedBreakEven.breakEven ? 'achieved' : 'needs-more'}`;
+    if (breakEvenIndicator) {
+      await updateBreakEvenIndicator(breakEvenIndicator);
+    }
 
     // Check for new achievements (only on completion, not undo)
-    if (!existing) {
+    if (isIncrease) {
       const newAchievements = await checkForNewAchievements({ previousScore });
 
       // Show notifications for newly unlocked achievements
@@ -278,4 +494,33 @@ async function toggleCompletion({
   }
 }
 
+async function updateBreakEvenIndicator(breakEvenIndicator) {
+  const updatedBreakEven = await ScoreModel.getBreakEvenStatus();
+  const pointsLabel = tPlural(
+    'units.pointsLong',
+    updatedBreakEven.breakEven ? updatedBreakEven.surplus : updatedBreakEven.remaining
+  );
+  breakEvenIndicator.message.textContent = updatedBreakEven.breakEven
+    ? t('daily.breakEvenAchieved', {
+        points: formatNumber(updatedBreakEven.surplus),
+        pointsLabel,
+      })
+    : t('daily.breakEvenRemaining', {
+        points: formatNumber(updatedBreakEven.remaining),
+        pointsLabel,
+      });
+  breakEvenIndicator.fill.style.width = updatedBreakEven.percent + '%';
+  breakEvenIndicator.progress.setAttribute('aria-valuenow', String(updatedBreakEven.percent));
+  breakEvenIndicator.progress.setAttribute(
+    'aria-valuetext',
+    updatedBreakEven.breakEven
+      ? t('daily.breakEvenAchievedAria')
+      : t('daily.breakEvenRemainingAria', {
+          points: formatNumber(updatedBreakEven.remaining),
+          pointsLabel,
+        })
+  );
+  breakEvenIndicator.wrapper.className = `break-even-indicator ${updatedBreakEven.breakEven ? 'achieved' : 'needs-more'}`;
+}
+
 export { renderDailyView };
@@ -7,16 +7,26 @@ import { ScoreModel } from '../models/score.js';
 import { ActivityModel } from '../models/activity.js';
 import { CompletionModel } from '../models/completion.js';
 import { SettingsModel } from '../models/settings.js';
-import { getLocalDateString, getDateDaysAgo, daysBetween } from '../utils/date.js';
+import {
+  getLocalDateString,
+  getDateDaysAgo,
+  getDateRange,
+  daysBetween,
+  formatDate,
+} from '../utils/date.js';
 import { escapeHtml } from '../utils/dom.js';
 import {
   getSuccessfulDayStreak,
   getPerfectDayStreak,
+  getStreakFreezeStatus,
   getAchievementProgress,
   getAllAchievementsWithStatus,
 } from '../services/achievements.js';
 import { t, tPlural, formatNumber } from '../i18n/i18n.js';
-import { iconFlame, iconSparkle, iconCalendar } from '../utils/icons.js';
+import { iconFlame, iconSparkle, iconCalendar, iconShield } from '../utils/icons.js';
+
+const RECENT_DAYS = 14;
+const RECENT_STREAK_FREEZES = 3;
 
 async function renderDashboardView(container) {
   container.innerHTML = '';
@@ -93,9 +103,14 @@ async function createScoreCard() {
 
 async function createTodayProgressCard() {
   const breakEven = await ScoreModel.getBreakEvenStatus();
-  const decayAmount = await SettingsModel.getDecayAmount();
-  const completionsToday = await CompletionModel.countByDate();
-  const activities = await ActivityModel.getAll();
+  // Paused days have no decay to break even against
+  const decayAmount = breakEven.decay;
+  // Bad habits are tracked separately and never count toward completion progress
+  const activities = (await ActivityModel.getDueOn()).filter((a) => !ActivityModel.isBadHabit(a));
+  const activityIds = new Set(activities.map((a) => a.id));
+  const completionsToday = (await CompletionModel.getByDate()).filter((c) =>
+    activityIds.has(c.activityId)
+  ).length;
   const totalActivities = activities.length;
 
   const progressPercent =
@@ -121,8 +136,8 @@ async function createTodayProgressCard() {
                  style="width: ${progressPercent}%" data-testid="breakeven-progress"></div>
           </div>
         </div>
-        <span class="progress-status ${breakEven.breakEven ? 'status-success' : 'status-warning'}">
-          ${breakEven.breakEven ? t('dashboard.progress.breakEvenStatusDone') : t('dashboard.progress.breakEvenStatusLeft', { count: formatNumber(breakEven.remaining) })}
+        <span class="progress-status ${breakEven.breakEven ? 'status-success' : 'status-warning'}" data-testid="breakeven-status">
+          ${getBreakEvenStatusText(breakEven)}
         </span>
       </div>
       <div class="progress-row">
@@ -146,10 +161,108 @@ async function createTodayProgressCard() {
   return card;
 }
 
+function getBreakEvenStatusText(breakEven) {
+  if (breakEven.paused) {
+    return t('dashboard.progress.breakEvenStatusPaused');
+  }
+  return breakEven.breakEven
+    ? t('dashboard.progress.breakEvenStatusDone')
+    : t('dashboard.progress.breakEvenStatusLeft', { count: formatNumber(breakEven.remaining) });
+}
+
+/**
+ * Classify a day for the recent days strip
+ * @param {Object|undefined} record - History record for the day
+ * @param {boolean} isToday - Whether the day is today
+ * @returns {'paused'|'excused'|'frozen'|'success'|'missed'|'pending'|'none'}
+ */
+function getDayStatus(record, isToday) {
+  if (!record) {
+    return isToday ? 'pending' : 'none';
+  }
+  if (record.paused) {
+    return 'paused';
+  }
+  if (record.excused) {
+    return 'excused';
+  }
+  if (record.frozen) {
+    return 'frozen';
+  }
+  if (record.earned >= record.decay) {
+    return 'success';
+  }
+  return isToday ? 'pending' : 'missed';
+}
+
+async function createRecentDays() {
+  const today = getLocalDateString();
+  const startDate = getDateDaysAgo(RECENT_DAYS - 1);
+  const history = await ScoreModel.getHistoryRange(startDate, today);
+  const historyByDate = new Map(history.map((h) => [h.date, h]));
+
+  const days = getDateRange(startDate, today)
+    .map((date) => {
+      const status = getDayStatus(historyByDate.get(date), date === today);
+      const label = `${formatDate(date)}: ${t(`dashboard.recentDays.${status}`)}`;
+      return `<li class="recent-day recent-day-${status}" data-date="${date}" data-status="${status}" title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}"></li>`;
+    })
+    .join('');
+
+  return `
+    <div class="recent-days-section">
+      <div class="recent-days-title">${t('dashboard.recentDays.title', { days: formatNumber(RECENT_DAYS) })}</div>
+      <ol class="recent-days" data-testid="recent-days">${days}</ol>
+      <div class="recent-days-legend">
+        ${['success', 'missed', 'frozen', 'excused', 'paused']
+          .map(
+            (status) =>
+              `<span class="recent-days-key"><span class="recent-day recent-day-${status}"></span>${t(`dashboard.recentDays.${status}`)}</span>`
+          )
+          .join('')}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Build the streak freeze summary: tokens held, how they are earned and the
+ * days they covered
+ * @returns {Promise<string>} HTML
+ */
+async function createStreakFreezes() {
+  const { available, used, max, interval } = await getStreakFreezeStatus();
+  const usedText =
+    used.length === 0
+      ? t('dashboard.streakFreezes.noneUsed')
+      : t('dashboard.streakFreezes.used', {
+          count: formatNumber(used.length),
+          dates: used
+            .slice(0, RECENT_STREAK_FREEZES)
+            .map((token) => formatDate(token.usedOn))
+            .join(', '),
+        });
+
+  return `
+    <div class="streak-freezes" data-testid="streak-freezes">
+      <span class="streak-freezes-icon">${iconShield(16)}</span>
+      <div class="streak-freezes-text">
+        <div class="streak-freezes-count" data-testid="streak-freezes-available">
+          ${tPlural('dashboard.streakFreezes.available', available, { count: formatNumber(available), max: formatNumber(max) })}
+        </div>
+        <div class="streak-freezes-hint">${t('dashboard.streakFreezes.hint', { days: formatNumber(interval), max: formatNumber(max) })}</div>
+        <div class="streak-freezes-hint" data-testid="streak-freezes-used">${usedText}</div>
+      </div>
+    </div>
+  `;
+}
+
 async function createStreaksCard() {
   const successStreak = await getSuccessfulDayStreak();
   const perfectStreak = await getPerfectDayStreak();
   const completionStreak = await CompletionModel.getCompletionStreak();
+  const recentDays = await createRecentDays();
+  const streakFreezes = await createStreakFreezes();
 
   const card = document.createElement('div');
   card.className = 'card dashboard-card';
@@ -175,6 +288,8 @@ async function createStreaksCard() {
         <span class="streak-hint">${t('dashboard.streaks.activeHint')}</span>
       </div>
     </div>
+    ${streakFreezes}
+    ${recentDays}
   `;
 
   return card;
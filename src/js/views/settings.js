@@ -5,13 +5,452 @@
 import { SettingsModel } from '../models/settings.js';
 import { ScoreModel } from '../models/score.js';
 import { showToast } from '../components/toast.js';
-import { downloadJSON, downloadCSV, importFromFile, resetAllData } from '../services/export.js';
-import { validateInteger } from '../utils/dom.js';
-import { t, formatNumber, getSupportedLocales, getLocaleLabel } from '../i18n/i18n.js';
+import {
+  downloadJSON,
+  downloadEncryptedJSON,
+  downloadCSV,
+  importFromJSON,
+  readImportFile,
+  previewImport,
+  resetAllData,
+} from '../services/export.js';
+import { getRecalculationDiff, applyRecalculation } from '../services/recalculation.js';
+import { simulateDecay } from '../services/decay.js';
+import { getPauses, schedulePause, pauseNow, endPause, cancelPause } from '../services/pause.js';
+import { getBackups, restoreBackup, downloadBackup } from '../services/backup.js';
+import { CSV_COLUMNS, normalizeCSVDialect } from '../services/csv.js';
+import { MAX_BACKUPS } from '../models/backup.js';
+import { escapeHtml, validateInteger } from '../utils/dom.js';
+import { isValidPassphrase, MIN_PASSPHRASE_LENGTH } from '../utils/crypto.js';
+import {
+  DAY_START_HOUR_MIN,
+  DAY_START_HOUR_MAX,
+  setDayStartHour,
+  getLocalDateString,
+  formatDate,
+  formatDayStart,
+  formatDateTime,
+} from '../utils/date.js';
+import { DECAY_STRATEGY_TYPES, normalizeDecayStrategy } from '../utils/decay-strategies.js';
+import { t, tPlural, formatNumber, getSupportedLocales, getLocaleLabel } from '../i18n/i18n.js';
 
 const UI_SCALE_MIN = 0.8;
 const UI_SCALE_MAX = 1.4;
 const UI_SCALE_STEP = 0.05;
+const RECALCULATE_MAX_CHANGES = 10;
+const MERGE_MAX_CONFLICTS = 10;
+const IMPORT_MAX_PROBLEMS = 10;
+const DECAY_PREVIEW_DAYS = 3;
+const DECAY_STRATEGY_FIELDS = {
+  percentage: 'decayPercent',
+  escalating: 'decayStep',
+  capped: 'decayMax',
+};
+const MERGE_SETTING_LABELS = {
+  decayAmount: 'settings.fields.dailyDecay',
+  decayStrategy: 'settings.fields.decayStrategy',
+  excusedDaysPerMonth: 'settings.fields.excusedDaysPerMonth',
+  dayStartHour: 'settings.fields.dayStartHour',
+};
+const ACTIVITY_TYPE_LABELS = {
+  check: 'activities.form.typeCheck',
+  counter: 'activities.form.typeCounter',
+};
+
+function formatHistoryScore(record) {
+  return record ? formatNumber(record.score) : '–';
+}
+
+/**
+ * Render the result of a score check
+ * @param {HTMLElement} element - Result container
+ * @param {Object} diff - Diff from getRecalculationDiff()
+ */
+function renderRecalculationDiff(element, diff) {
+  if (!diff.hasChanges) {
+    element.innerHTML = `<p data-testid="recalculate-summary">${t('settings.recalculate.upToDate')}</p>`;
+    return;
+  }
+
+  const shown = diff.changes.slice(0, RECALCULATE_MAX_CHANGES);
+  const hidden = diff.changes.length - shown.length;
+
+  element.innerHTML = `
+    <p data-testid="recalculate-summary">
+      ${t('settings.recalculate.mainScore', {
+        current: formatNumber(diff.mainScore.current),
+        expected: formatNumber(diff.mainScore.expected),
+      })}
+      ${tPlural('settings.recalculate.daysChanged', diff.changes.length, {
+        count: formatNumber(diff.changes.length),
+      })}
+    </p>
+    <ul class="recalculate-changes" data-testid="recalculate-changes">
+      ${shown
+        .map(
+          (change) => `
+            <li>
+              ${t('settings.recalculate.change', {
+                date: formatDate(change.date),
+                current: formatHistoryScore(change.current),
+                expected: formatHistoryScore(change.expected),
+              })}
+            </li>
+          `
+        )
+        .join('')}
+      ${hidden > 0 ? `<li>${t('settings.recalculate.more', { count: formatNumber(hidden) })}</li>` : ''}
+    </ul>
+    <button class="btn btn-primary" type="button" data-testid="recalculate-apply">${t('settings.data.recalculateApply')}</button>
+  `;
+}
+
+function formatPauseRange(pause) {
+  return pause.endDate
+    ? t('settings.pause.range', {
+        start: formatDate(pause.startDate),
+        end: formatDate(pause.endDate),
+      })
+    : t('settings.pause.openRange', { start: formatDate(pause.startDate) });
+}
+
+/**
+ * Describe a merge conflict and how it is resolved
+ * @param {Object} conflict - Conflict from previewImport()
+ * @returns {string} HTML-safe description
+ */
+function describeMergeConflict(conflict) {
+  if (conflict.type === 'activity' && conflict.field === 'type') {
+    return t('settings.merge.conflict.activityType', {
+      name: escapeHtml(conflict.name),
+      local: t(ACTIVITY_TYPE_LABELS[conflict.local]),
+      incoming: t(ACTIVITY_TYPE_LABELS[conflict.incoming]),
+    });
+  }
+  if (conflict.type === 'activity') {
+    return t('settings.merge.conflict.activityPoints', {
+      name: escapeHtml(conflict.name),
+      local: formatNumber(conflict.local),
+      incoming: formatNumber(conflict.incoming),
+    });
+  }
+  if (conflict.type === 'completion') {
+    const key = conflict.dailyMax ? 'completionCapped' : 'completion';
+    return t(`settings.merge.conflict.${key}`, {
+      name: escapeHtml(conflict.name),
+      date: formatDate(conflict.date),
+      local: formatNumber(conflict.local),
+      incoming: formatNumber(conflict.incoming),
+      kept: formatNumber(conflict.kept),
+    });
+  }
+  if (conflict.type === 'pause') {
+    return t('settings.merge.conflict.pause', {
+      local: formatPauseRange(conflict.local),
+      incoming: formatPauseRange(conflict.incoming),
+    });
+  }
+  const label = MERGE_SETTING_LABELS[conflict.key];
+  return t('settings.merge.conflict.setting', {
+    setting: label ? t(label) : escapeHtml(conflict.key),
+  });
+}
+
+/**
+ * Render the records an import would add, update and remove in each store
+ * @param {Object} changes - Changes by store name, from previewImport()
+ * @returns {string} HTML
+ */
+function renderImportChanges(changes) {
+  const storeLabels = t('import.storeLabels') || {};
+  const items = Object.entries(changes)
+    .filter(([_, change]) => change.added + change.updated + change.removed > 0)
+    .map(
+      ([store, change]) => `
+        <li>
+          ${t('settings.importPreview.change', {
+            store: storeLabels[store] || store,
+            added: formatNumber(change.added),
+            updated: formatNumber(change.updated),
+            removed: formatNumber(change.removed),
+          })}
+        </li>
+      `
+    )
+    .join('');
+
+  return items
+    ? `<ul class="import-changes">${items}</ul>`
+    : `<p>${t('settings.importPreview.noChanges')}</p>`;
+}
+
+/**
+ * Render why an import can't go ahead as it is, with buttons to repair it or
+ * cancel
+ * @param {HTMLElement} element - Import status container
+ * @param {Object} preview - Failed preview from previewImport(), with every error repairable
+ */
+function renderImportProblems(element, preview) {
+  const shown = preview.errors.slice(0, IMPORT_MAX_PROBLEMS);
+  const hidden = preview.errors.length - shown.length;
+
+  element.innerHTML = `
+    <div class="import-preview" data-testid="import-problems">
+      <ul class="import-warnings import-problems">
+        ${shown.map((error) => `<li>${escapeHtml(error)}</li>`).join('')}
+        ${hidden > 0 ? `<li>${t('settings.importPreview.more', { count: formatNumber(hidden) })}</li>` : ''}
+      </ul>
+      <p>${t('settings.importPreview.repairDescription')}</p>
+      <div class="button-row">
+        <button class="btn btn-primary" type="button" data-action="repair" data-testid="import-repair">${t('settings.importPreview.repair')}</button>
+        <button class="btn btn-secondary" type="button" data-action="cancel" data-testid="import-cancel">${t('settings.importPreview.cancel')}</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render what replacing and what merging would each do with an import, with
+ * buttons to replace, merge or cancel
+ * @param {HTMLElement} element - Import status container
+ * @param {Object} preview - Preview from previewImport()
+ * @param {Object} [options] - Render options
+ * @param {boolean} [options.mergeOnly=false] - Only offer merging, for a CSV file
+ */
+function renderImportPreview(element, preview, { mergeOnly = false } = {}) {
+  const { replace, merge } = preview;
+  const shown = merge.conflicts.slice(0, MERGE_MAX_CONFLICTS);
+  const hidden = merge.conflicts.length - shown.length;
+  const mainScore = (result) =>
+    t('settings.importPreview.mainScore', {
+      current: formatNumber(preview.mainScore),
+      result: formatNumber(result),
+    });
+
+  element.innerHTML = `
+    <div class="import-preview" data-testid="import-preview">
+      <p data-testid="import-range">
+        ${
+          preview.range
+            ? t('settings.importPreview.range', {
+                from: formatDate(preview.range.from),
+                to: formatDate(preview.range.to),
+              })
+            : t('settings.importPreview.noRange')
+        }
+      </p>
+      ${
+        preview.warnings.length > 0
+          ? `<p>${t('settings.importPreview.warnings')}</p>
+            <ul class="import-warnings" data-testid="import-warnings">
+              ${preview.warnings.map((warning) => `<li>${escapeHtml(warning)}</li>`).join('')}
+            </ul>`
+          : ''
+      }
+      ${mergeOnly ? `<p data-testid="import-merge-only">${t('settings.importPreview.csvMergeOnly')}</p>` : ''}
+      <div class="import-options">
+        ${
+          mergeOnly
+            ? ''
+            : `<section class="import-option" data-testid="import-replace-summary">
+                <h5>${t('settings.importPreview.replaceTitle')}</h5>
+                <p class="data-description">${t('settings.importPreview.replaceDescription')}</p>
+                ${renderImportChanges(replace.changes)}
+                <p>${mainScore(replace.mainScore)}</p>
+                <button class="btn btn-danger" type="button" data-action="replace" data-testid="import-replace">${t('settings.importPreview.replace')}</button>
+              </section>`
+        }
+        <section class="import-option" data-testid="merge-summary">
+          <h5>${t('settings.importPreview.mergeTitle')}</h5>
+          <p class="data-description">${t('settings.importPreview.mergeDescription')}</p>
+          ${renderImportChanges(merge.changes)}
+          <p>${mainScore(merge.mainScore)}</p>
+          ${
+            merge.duplicates > 0
+              ? `<p>${tPlural('settings.merge.duplicates', merge.duplicates, {
+                  count: formatNumber(merge.duplicates),
+                })}</p>`
+              : ''
+          }
+          <p>
+            ${
+              merge.conflicts.length > 0
+                ? tPlural('settings.merge.conflicts', merge.conflicts.length, {
+                    count: formatNumber(merge.conflicts.length),
+                  })
+                : t('settings.merge.noConflicts')
+            }
+          </p>
+          ${
+            shown.length > 0
+              ? `<ul class="merge-conflicts" data-testid="merge-conflicts">
+                  ${shown.map((conflict) => `<li>${describeMergeConflict(conflict)}</li>`).join('')}
+                  ${hidden > 0 ? `<li>${t('settings.merge.more', { count: formatNumber(hidden) })}</li>` : ''}
+                </ul>`
+              : ''
+          }
+          <button class="btn btn-primary" type="button" data-action="merge" data-testid="import-merge">${t('settings.importPreview.merge')}</button>
+        </section>
+      </div>
+      <div class="button-row">
+        <button class="btn btn-secondary" type="button" data-action="cancel" data-testid="import-cancel">${t('settings.importPreview.cancel')}</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Ask for a passphrase with a form shown in an element
+ * @param {HTMLElement} element - Container for the form
+ * @param {Object} options - Form options
+ * @param {string} options.prompt - Text shown above the field
+ * @param {boolean} [options.isNew=false] - Ask twice and check the length, for a new passphrase
+ * @returns {Promise<string|null>} Passphrase, or null when cancelled
+ */
+function requestPassphrase(element, { prompt, isNew = false }) {
+  element.innerHTML = `
+    <form class="passphrase-form" data-testid="passphrase-form" data-busy novalidate>
+      <p>${prompt}</p>
+      <label class="form-label">
+        ${t('settings.passphrase.label')}
+        <input class="form-input" name="passphrase" type="password" autocomplete="${isNew ? 'new-password' : 'current-password'}" data-testid="passphrase-input" />
+      </label>
+      ${
+        isNew
+          ? `<label class="form-label">
+              ${t('settings.passphrase.confirmLabel')}
+              <input class="form-input" name="passphraseConfirm" type="password" autocomplete="new-password" data-testid="passphrase-confirm" />
+            </label>`
+          : ''
+      }
+      <div class="form-error" data-testid="passphrase-error" aria-live="polite"></div>
+      <div class="button-row">
+        <button class="btn btn-primary" type="submit" data-testid="passphrase-submit">${t('settings.passphrase.submit')}</button>
+        <button class="btn btn-secondary" type="button" data-testid="passphrase-cancel">${t('settings.passphrase.cancel')}</button>
+      </div>
+    </form>
+  `;
+
+  const form = element.querySelector('form');
+  const errorField = form.querySelector('[data-testid="passphrase-error"]');
+  form.elements.passphrase.focus();
+
+  return new Promise((resolve) => {
+    const finish = (passphrase) => {
+      element.innerHTML = '';
+      resolve(passphrase);
+    };
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const passphrase = form.elements.passphrase.value;
+
+      if (isNew && !isValidPassphrase(passphrase)) {
+        errorField.textContent = t('settings.errors.passphraseTooShort', {
+          min: MIN_PASSPHRASE_LENGTH,
+        });
+      } else if (isNew && passphrase !== form.elements.passphraseConfirm.value) {
+        errorField.textContent = t('settings.errors.passphraseMismatch');
+      } else if (!passphrase) {
+        errorField.textContent = t('errors.passphraseRequired');
+      } else {
+        finish(passphrase);
+      }
+    });
+    form
+      .querySelector('[data-testid="passphrase-cancel"]')
+      .addEventListener('click', () => finish(null));
+  });
+}
+
+/**
+ * Render the list of scheduled, running and past pauses
+ * @param {HTMLElement} element - List element
+ * @param {Array} pauses - Pauses from getPauses()
+ */
+function renderPauseList(element, pauses) {
+  if (pauses.length === 0) {
+    element.innerHTML = `<li class="pause-empty">${t('settings.pause.empty')}</li>`;
+    return;
+  }
+
+  element.innerHTML = pauses
+    .map((pause) => {
+      const range = formatPauseRange(pause);
+      const action = pause.canEnd
+        ? `<button class="btn btn-secondary" type="button" data-action="end" data-testid="pause-end">${t('settings.pause.end')}</button>`
+        : pause.status === 'upcoming'
+          ? `<button class="btn btn-secondary" type="button" data-action="cancel" data-testid="pause-cancel">${t('settings.pause.cancel')}</button>`
+          : '';
+
+      return `
+        <li class="pause-item pause-${pause.status}" data-id="${pause.id}" data-testid="pause-item">
+          <span class="pause-range">${range}</span>
+          <span class="pause-status">${t(`settings.pause.status.${pause.status}`)}</span>
+          ${action}
+        </li>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * Render the list of saved snapshots, each with its contents ready to preview
+ * @param {HTMLElement} element - List element
+ * @param {Array} backups - Snapshots from getBackups()
+ */
+function renderBackupList(element, backups) {
+  if (backups.length === 0) {
+    element.innerHTML = `<li class="backup-empty">${t('settings.backups.empty')}</li>`;
+    return;
+  }
+
+  const storeLabels = t('import.storeLabels') || {};
+  element.innerHTML = backups
+    .map((backup) => {
+      const counts = Object.entries(backup.counts)
+        .filter(([_, count]) => count > 0)
+        .map(
+          ([store, count]) => `
+            <li>
+              ${t('settings.import.countItem', {
+                store: storeLabels[store] || store,
+                count: formatNumber(count),
+              })}
+            </li>
+          `
+        )
+        .join('');
+
+      return `
+        <li class="backup-item" data-id="${backup.id}" data-testid="backup-item">
+          <div class="backup-summary">
+            <span class="backup-date">${formatDateTime(backup.createdAt)}</span>
+            <span class="backup-reason">${t(`settings.backups.reasons.${backup.reason}`)}</span>
+          </div>
+          <div class="button-row">
+            <button class="btn btn-secondary" type="button" data-action="preview" data-testid="backup-preview" aria-expanded="false">${t('settings.backups.preview')}</button>
+            <button class="btn btn-secondary" type="button" data-action="download" data-testid="backup-download">${t('settings.backups.download')}</button>
+            <button class="btn btn-secondary" type="button" data-action="restore" data-testid="backup-restore">${t('settings.backups.restore')}</button>
+          </div>
+          <div class="backup-details" data-testid="backup-details" hidden>
+            <p>${t('settings.backups.mainScore', { score: formatNumber(backup.mainScore) })}</p>
+            <ul>${counts}</ul>
+          </div>
+        </li>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * Ask whether to go ahead when the snapshot taken before a change failed
+ * @param {string} error - Why the snapshot couldn't be saved
+ * @returns {boolean}
+ */
+function confirmWithoutBackup(error) {
+  return confirm(t('settings.confirm.continueWithoutBackup', { error }));
+}
 
 async function renderSettingsView(container) {
   container.innerHTML = '';
@@ -36,6 +475,50 @@ async function renderSettingsView(container) {
           <label class="form-label" for="settings-decay">${t('settings.fields.dailyDecay')}</label>
           <input class="form-input" id="settings-decay" name="decayAmount" type="number" min="0" step="1" />
         </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label" for="settings-decay-strategy">${t('settings.fields.decayStrategy')}</label>
+            <select class="form-input" id="settings-decay-strategy" name="decayStrategy" data-testid="settings-decay-strategy">
+              ${DECAY_STRATEGY_TYPES.map(
+                (type) =>
+                  `<option value="${type}">${t(`settings.decayStrategies.${type}`)}</option>`
+              ).join('')}
+            </select>
+          </div>
+          <div class="form-group" data-field="decayPercent" hidden>
+            <label class="form-label" for="settings-decay-percent">${t('settings.fields.decayPercent')}</label>
+            <input class="form-input" id="settings-decay-percent" name="decayPercent" type="number" min="1" max="100" step="1" value="5" />
+          </div>
+          <div class="form-group" data-field="decayStep" hidden>
+            <label class="form-label" for="settings-decay-step">${t('settings.fields.decayStep')}</label>
+            <input class="form-input" id="settings-decay-step" name="decayStep" type="number" min="1" step="1" value="5" />
+          </div>
+          <div class="form-group" data-field="decayMax" hidden>
+            <label class="form-label" for="settings-decay-max">${t('settings.fields.decayMax')}</label>
+            <input class="form-input" id="settings-decay-max" name="decayMax" type="number" min="1" step="1" value="50" />
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="settings-decay-floor">${t('settings.fields.decayFloor')}</label>
+          <input class="form-input" id="settings-decay-floor" name="decayFloor" type="number" step="1" placeholder="${t('settings.fields.decayFloorPlaceholder')}" />
+        </div>
+        <p class="decay-preview" data-testid="settings-decay-preview" aria-live="polite"></p>
+        <div class="form-group">
+          <label class="form-label" for="settings-excused-days">${t('settings.fields.excusedDaysPerMonth')}</label>
+          <input class="form-input" id="settings-excused-days" name="excusedDaysPerMonth" type="number" min="0" max="31" step="1" placeholder="${t('settings.fields.excusedDaysPerMonthPlaceholder')}" data-testid="settings-excused-days" />
+        </div>
+        <div class="form-group">
+          <label class="form-label" for="settings-day-start">${t('settings.fields.dayStartHour')}</label>
+          <select class="form-input" id="settings-day-start" name="dayStartHour" data-testid="settings-day-start">
+            ${Array.from(
+              { length: DAY_START_HOUR_MAX - DAY_START_HOUR_MIN + 1 },
+              (_, i) => DAY_START_HOUR_MIN + i
+            )
+              .map((hour) => `<option value="${hour}">${formatDayStart(hour)}</option>`)
+              .join('')}
+          </select>
+          <p class="data-description">${t('settings.fields.dayStartHourHint')}</p>
+        </div>
         <div class="form-group">
           <label class="form-label" for="settings-score">${t('settings.fields.mainScore')}</label>
           <input class="form-input" id="settings-score" name="mainScore" type="number" step="1" />
@@ -76,6 +559,35 @@ async function renderSettingsView(container) {
     </form>
   `;
 
+  const today = getLocalDateString();
+  const pauseCard = document.createElement('div');
+  pauseCard.className = 'card settings-card pause-card';
+  pauseCard.innerHTML = `
+    <div class="settings-section">
+      <h3>${t('settings.sections.pause')}</h3>
+      <p class="data-description">${t('settings.pause.description')}</p>
+      <form class="pause-form" data-testid="pause-form" novalidate>
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label" for="pause-start">${t('settings.pause.startDate')}</label>
+            <input class="form-input" id="pause-start" name="startDate" type="date" min="${today}" value="${today}" />
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="pause-end">${t('settings.pause.endDate')}</label>
+            <input class="form-input" id="pause-end" name="endDate" type="date" min="${today}" />
+          </div>
+        </div>
+        <p class="data-description">${t('settings.pause.endDateHint')}</p>
+        <div class="form-error" data-testid="pause-error" aria-live="polite"></div>
+        <div class="button-row">
+          <button class="btn btn-secondary" type="submit" data-testid="pause-schedule">${t('settings.pause.schedule')}</button>
+          <button class="btn btn-secondary" type="button" data-testid="pause-now">${t('settings.pause.pauseNow')}</button>
+        </div>
+      </form>
+      <ul class="pause-list" data-testid="pause-list"></ul>
+    </div>
+  `;
+
   const dataCard = document.createElement('div');
   dataCard.className = 'card settings-card data-management-card';
   dataCard.innerHTML = `
@@ -85,28 +597,66 @@ async function renderSettingsView(container) {
       <div class="data-section">
         <h4>${t('settings.data.exportTitle')}</h4>
         <p class="data-description">${t('settings.data.exportDescription')}</p>
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label" for="csv-table">${t('settings.data.csvTable')}</label>
+            <select class="form-input" id="csv-table" data-testid="csv-table">
+              ${Object.keys(CSV_COLUMNS)
+                .map(
+                  (table) => `<option value="${table}">${t(`import.storeLabels.${table}`)}</option>`
+                )
+                .join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="csv-headers">${t('settings.data.csvHeaders')}</label>
+            <select class="form-input" id="csv-headers" data-testid="csv-headers">
+              <option value="localized">${t('settings.data.csvHeadersLocalized')}</option>
+              <option value="keys">${t('settings.data.csvHeadersKeys')}</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="csv-delimiter">${t('settings.data.csvDelimiter')}</label>
+            <select class="form-input" id="csv-delimiter" data-testid="csv-delimiter">
+              <option value=",">${t('settings.data.csvDelimiterComma')}</option>
+              <option value=";">${t('settings.data.csvDelimiterSemicolon')}</option>
+            </select>
+          </div>
+        </div>
+        <p class="data-description">${t('settings.data.csvDescription')}</p>
         <div class="button-row">
           <button class="btn btn-secondary" type="button" data-testid="export-json">${t('settings.data.exportJson')}</button>
           <button class="btn btn-secondary" type="button" data-testid="export-csv">${t('settings.data.exportCsv')}</button>
+          <button class="btn btn-secondary" type="button" data-testid="export-encrypted">${t('settings.data.exportEncrypted')}</button>
         </div>
+        <div class="passphrase-panel" data-testid="export-passphrase"></div>
       </div>
 
       <div class="data-section">
         <h4>${t('settings.data.importTitle')}</h4>
         <p class="data-description">${t('settings.data.importDescription')}</p>
         <div class="import-controls">
-          <label class="checkbox-label">
-            <input type="checkbox" data-testid="import-merge" />
-            <span>${t('settings.data.importMerge')}</span>
-          </label>
           <div class="file-input-wrapper">
-            <input type="file" accept=".json" data-testid="import-file" class="file-input" />
-            <button class="btn btn-secondary" type="button" data-testid="import-btn">${t('settings.data.importJson')}</button>
+            <input type="file" accept=".json,.csv" data-testid="import-file" class="file-input" />
+            <button class="btn btn-secondary" type="button" data-testid="import-btn">${t('settings.data.importFile')}</button>
           </div>
         </div>
         <div class="import-status" data-testid="import-status" aria-live="polite"></div>
       </div>
 
+      <div class="data-section">
+        <h4>${t('settings.data.backupsTitle')}</h4>
+        <p class="data-description">${t('settings.data.backupsDescription', { count: formatNumber(MAX_BACKUPS) })}</p>
+        <ul class="backup-list" data-testid="backup-list"></ul>
+      </div>
+
+      <div class="data-section">
+        <h4>${t('settings.data.recalculateTitle')}</h4>
+        <p class="data-description">${t('settings.data.recalculateDescription')}</p>
+        <button class="btn btn-secondary" type="button" data-testid="recalculate-check">${t('settings.data.recalculateCheck')}</button>
+        <div class="recalculate-result" data-testid="recalculate-result" aria-live="polite"></div>
+      </div>
+
       <div class="data-section data-section-danger">
         <h4>${t('settings.data.resetTitle')}</h4>
         <p class="data-description">${t('settings.data.resetDescription')}</p>
@@ -117,6 +667,7 @@ async function renderSettingsView(container) {
 
   view.appendChild(header);
   view.appendChild(settingsCard);
+  view.appendChild(pauseCard);
   view.appendChild(dataCard);
   container.appendChild(view);
 
@@ -127,13 +678,20 @@ async function renderSettingsView(container) {
   const languageSelect = view.querySelector('#settings-language');
 
   const currentDecay = await SettingsModel.getDecayAmount();
+  const currentStrategy = await SettingsModel.getDecayStrategy();
   const currentScore = await ScoreModel.getScore();
   const currentTheme = await SettingsModel.getTheme();
   const currentScale = await SettingsModel.getUIScale();
   const currentLanguage = await SettingsModel.getLanguage();
+  const currentExcusedDays = await SettingsModel.getExcusedDaysPerMonth();
+  const currentDayStartHour = await SettingsModel.getDayStartHour();
 
   form.elements.decayAmount.value = String(currentDecay);
+  fillDecayStrategyFields(currentStrategy);
   form.elements.mainScore.value = String(currentScore);
+  form.elements.excusedDaysPerMonth.value =
+    currentExcusedDays === null ? '' : String(currentExcusedDays);
+  form.elements.dayStartHour.value = String(currentDayStartHour);
   form.elements.theme.value = currentTheme || 'light';
   languageSelect.value = currentLanguage || 'auto';
   scaleInput.value = String(currentScale ?? 1);
@@ -162,6 +720,124 @@ async function renderSettingsView(container) {
     }
   };
 
+  function syncDecayStrategyFields() {
+    const type = form.elements.decayStrategy.value;
+    for (const [strategyType, field] of Object.entries(DECAY_STRATEGY_FIELDS)) {
+      form.querySelector(`[data-field="${field}"]`).hidden = type !== strategyType;
+    }
+  }
+
+  function fillDecayStrategyFields(strategy) {
+    form.elements.decayStrategy.value = strategy.type;
+    if (strategy.type === 'percentage') {
+      form.elements.decayPercent.value = String(strategy.percent);
+    }
+    if (strategy.type === 'escalating') {
+      form.elements.decayStep.value = String(strategy.step);
+    }
+    if (strategy.type === 'capped') {
+      form.elements.decayMax.value = String(strategy.maxPerAbsence);
+    }
+    form.elements.decayFloor.value = strategy.floor ?? '';
+    syncDecayStrategyFields();
+  }
+
+  /**
+   * Read the decay strategy fields into a strategy object
+   * @returns {{ strategy?: Object, error?: string }}
+   */
+  function readDecayStrategy() {
+    const type = form.elements.decayStrategy.value;
+    const strategy = { type };
+
+    const fieldRules = {
+      percentage: {
+        key: 'percent',
+        options: { min: 1, max: 100, errorMessage: t('settings.errors.decayPercentRange') },
+      },
+      escalating: {
+        key: 'step',
+        options: { min: 1, errorMessage: t('settings.errors.decayStepPositive') },
+      },
+      capped: {
+        key: 'maxPerAbsence',
+        options: { min: 1, errorMessage: t('settings.errors.decayMaxPositive') },
+      },
+    };
+
+    const rule = fieldRules[type];
+    if (rule) {
+      const result = validateInteger(
+        form.elements[DECAY_STRATEGY_FIELDS[type]].value,
+        rule.options
+      );
+      if (!result.valid) {
+        return { error: result.error };
+      }
+      strategy[rule.key] = result.value;
+    }
+
+    const floorValue = form.elements.decayFloor.value.trim();
+    if (floorValue !== '') {
+      const floorResult = validateInteger(floorValue, {
+        errorMessage: t('settings.errors.decayFloorNumber'),
+      });
+      if (!floorResult.valid) {
+        return { error: floorResult.error };
+      }
+      strategy.floor = floorResult.value;
+    }
+
+    return { strategy: normalizeDecayStrategy(strategy) };
+  }
+
+  const decayPreview = view.querySelector('[data-testid="settings-decay-preview"]');
+
+  const updateDecayPreview = () => {
+    syncDecayStrategyFields();
+    const amountResult = validateInteger(form.elements.decayAmount.value, { min: 0 });
+    const { strategy } = readDecayStrategy();
+    if (!amountResult.valid || !strategy) {
+      decayPreview.textContent = '';
+      return;
+    }
+
+    const simulation = simulateDecay(
+      currentScore,
+      amountResult.value,
+      DECAY_PREVIEW_DAYS,
+      strategy
+    );
+    decayPreview.textContent = t('settings.decayPreview', {
+      days: formatNumber(DECAY_PREVIEW_DAYS),
+      daily: simulation.dailyDecay.map((decay) => formatNumber(decay)).join(' + '),
+      total: formatNumber(simulation.totalDecay),
+      score: formatNumber(simulation.finalScore),
+    });
+  };
+
+  for (const field of [
+    'decayAmount',
+    'decayStrategy',
+    'decayPercent',
+    'decayStep',
+    'decayMax',
+    'decayFloor',
+  ]) {
+    form.elements[field].addEventListener('input', updateDecayPreview);
+  }
+  form.elements.decayStrategy.addEventListener('change', updateDecayPreview);
+  updateDecayPreview();
+
+  // Edits not saved yet keep the view from re-rendering for changes made in
+  // other tabs; the display fields are saved as soon as they change
+  const savedOnChange = [scaleInput, form.elements.theme, form.elements.language];
+  form.addEventListener('input', (event) => {
+    if (!savedOnChange.includes(event.target)) {
+      form.toggleAttribute('data-busy', true);
+    }
+  });
+
   scaleInput.addEventListener('input', applyScale);
   scaleInput.addEventListener('change', applyScale);
   form.elements.theme.addEventListener('change', applyTheme);
@@ -191,27 +867,119 @@ async function renderSettingsView(container) {
       return;
     }
 
+    const strategyResult = readDecayStrategy();
+    if (strategyResult.error) {
+      errorField.textContent = strategyResult.error;
+      return;
+    }
+
+    const excusedDaysInput = form.elements.excusedDaysPerMonth.value.trim();
+    const excusedDaysResult =
+      excusedDaysInput === ''
+        ? { valid: true, value: null }
+        : validateInteger(excusedDaysInput, {
+            min: 0,
+            max: 31,
+            errorMessage: t('settings.errors.excusedDaysPerMonthRange'),
+          });
+    if (!excusedDaysResult.valid) {
+      errorField.textContent = excusedDaysResult.error;
+      return;
+    }
+
     const decayAmount = decayResult.value;
     const mainScore = scoreResult.value;
+    const dayStartHour = Number(form.elements.dayStartHour.value);
 
     try {
-      await SettingsModel.setDecayAmount(decayAmount);
-      await ScoreModel.setScore(mainScore);
-      await ScoreModel.updateTodayHistory({ score: mainScore });
+      await SettingsModel.setDecaySettings({
+        amount: decayAmount,
+        strategy: strategyResult.strategy,
+      });
+      await SettingsModel.setExcusedDaysPerMonth(excusedDaysResult.value);
+      const scoreChange = mainScore - (await ScoreModel.getScore());
+      if (scoreChange !== 0) {
+        await ScoreModel.adjustScore(scoreChange);
+      }
+      form.toggleAttribute('data-busy', false);
       showToast(t('toasts.settingsSaved'), 'success');
+      if (dayStartHour !== (await SettingsModel.getDayStartHour())) {
+        await SettingsModel.setDayStartHour(dayStartHour);
+        setDayStartHour(dayStartHour);
+        // An earlier day start can begin a new day right away
+        await window.app?.checkForRollover();
+      }
     } catch (error) {
       errorField.textContent = error.message;
     }
   });
 
+  // Pause event handlers
+  const pauseForm = pauseCard.querySelector('.pause-form');
+  const pauseError = pauseCard.querySelector('[data-testid="pause-error"]');
+  const pauseNowBtn = pauseCard.querySelector('[data-testid="pause-now"]');
+  const pauseList = pauseCard.querySelector('[data-testid="pause-list"]');
+  pauseForm.addEventListener('input', () => pauseForm.toggleAttribute('data-busy', true));
+
+  const pauses = await getPauses();
+  renderPauseList(pauseList, pauses);
+  pauseNowBtn.disabled = pauses.some((pause) => pause.status === 'active');
+
+  const runPauseAction = async (action, successMessage) => {
+    pauseError.textContent = '';
+    try {
+      await action();
+      showToast(successMessage, 'success');
+      await renderSettingsView(container);
+    } catch (error) {
+      pauseError.textContent = error.message;
+    }
+  };
+
+  pauseForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    await runPauseAction(
+      () =>
+        schedulePause({
+          startDate: pauseForm.elements.startDate.value,
+          endDate: pauseForm.elements.endDate.value || null,
+        }),
+      t('toasts.pauseScheduled')
+    );
+  });
+
+  pauseNowBtn.addEventListener('click', async () => {
+    await runPauseAction(() => pauseNow(), t('toasts.pauseStarted'));
+  });
+
+  pauseList.addEventListener('click', async (event) => {
+    const button = event.target.closest('[data-action]');
+    if (!button) {
+      return;
+    }
+
+    const id = button.closest('[data-id]').dataset.id;
+    if (button.dataset.action === 'end') {
+      await runPauseAction(() => endPause(id), t('toasts.pauseEnded'));
+    } else if (button.dataset.action === 'cancel') {
+      await runPauseAction(() => cancelPause(id), t('toasts.pauseCancelled'));
+    }
+  });
+
   // Data management event handlers
   const exportJSONBtn = view.querySelector('[data-testid="export-json"]');
   const exportCSVBtn = view.querySelector('[data-testid="export-csv"]');
+  const exportEncryptedBtn = view.querySelector('[data-testid="export-encrypted"]');
+  const exportPassphrase = view.querySelector('[data-testid="export-passphrase"]');
+  const csvTableSelect = view.querySelector('#csv-table');
+  const csvHeadersSelect = view.querySelector('#csv-headers');
+  const csvDelimiterSelect = view.querySelector('#csv-delimiter');
   const importFileInput = view.querySelector('[data-testid="import-file"]');
   const importBtn = view.querySelector('[data-testid="import-btn"]');
-  const importMergeCheckbox = view.querySelector('[data-testid="import-merge"]');
   const importStatus = view.querySelector('[data-testid="import-status"]');
   const resetDataBtn = view.querySelector('[data-testid="reset-data"]');
+  const recalculateCheckBtn = view.querySelector('[data-testid="recalculate-check"]');
+  const recalculateResult = view.querySelector('[data-testid="recalculate-result"]');
 
   exportJSONBtn.addEventListener('click', async () => {
     try {
@@ -222,31 +990,57 @@ async function renderSettingsView(container) {
     }
   });
 
+  const csvDialect = normalizeCSVDialect(await SettingsModel.getCSVDialect());
+  csvHeadersSelect.value = csvDialect.headers;
+  csvDelimiterSelect.value = csvDialect.delimiter;
+
+  const saveCSVDialect = async () => {
+    await SettingsModel.setCSVDialect({
+      delimiter: csvDelimiterSelect.value,
+      headers: csvHeadersSelect.value,
+    });
+  };
+  csvHeadersSelect.addEventListener('change', saveCSVDialect);
+  csvDelimiterSelect.addEventListener('change', saveCSVDialect);
+
   exportCSVBtn.addEventListener('click', async () => {
     try {
-      await downloadCSV();
+      await downloadCSV({
+        table: csvTableSelect.value,
+        delimiter: csvDelimiterSelect.value,
+        headers: csvHeadersSelect.value,
+      });
       showToast(t('toasts.exportCsvDownloaded'), 'success');
     } catch (error) {
       showToast(t('toasts.exportFailed', { error: error.message }), 'error');
     }
   });
 
+  exportEncryptedBtn.addEventListener('click', async () => {
+    exportEncryptedBtn.disabled = true;
+    const passphrase = await requestPassphrase(exportPassphrase, {
+      prompt: t('settings.passphrase.exportPrompt'),
+      isNew: true,
+    });
+    if (passphrase) {
+      try {
+        await downloadEncryptedJSON(passphrase);
+        showToast(t('toasts.exportEncryptedDownloaded'), 'success');
+      } catch (error) {
+        showToast(t('toasts.exportFailed', { error: error.message }), 'error');
+      }
+    }
+    exportEncryptedBtn.disabled = false;
+  });
+
   importBtn.addEventListener('click', () => {
     importFileInput.click();
   });
 
-  importFileInput.addEventListener('change', async (event) => {
-    const file = event.target.files[0];
-    if (!file) {
-      return;
-    }
-
-    importStatus.textContent = t('settings.import.importing');
-    importStatus.className = 'import-status';
-
-    const merge = importMergeCheckbox.checked;
-    const result = await importFromFile(file, { merge });
+  // Import waiting for the preview to be confirmed
+  let pendingImport = null;
 
+  const showImportResult = (result) => {
     if (result.success) {
       const storeLabels = t('import.storeLabels') || {};
       const counts = Object.entries(result.imported)
@@ -274,9 +1068,174 @@ async function renderSettingsView(container) {
       importStatus.className = 'import-status import-error';
       showToast(t('toasts.importFailed'), 'error');
     }
+  };
+
+  importFileInput.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+
+    importStatus.className = 'import-status';
+    pendingImport = null;
+    // Changes made in other tabs don't re-render the view until the import is done
+    importStatus.toggleAttribute('data-busy', true);
+
+    // Encrypted exports are detected while reading and ask for their passphrase
+    const requestImportPassphrase = async () => {
+      const passphrase = await requestPassphrase(importStatus, {
+        prompt: t('settings.passphrase.importPrompt'),
+      });
+      importStatus.textContent = t('settings.import.importing');
+      return passphrase;
+    };
+
+    try {
+      // Show what the import would change before changing anything
+      const parsed = await readImportFile(file, { requestPassphrase: requestImportPassphrase });
+      const preview = parsed.success ? await previewImport(parsed.data) : parsed;
+      // A CSV file only holds part of the data, so it can't replace it
+      const mergeOnly = parsed.format === 'csv';
+      if (preview.success) {
+        pendingImport = { data: parsed.data, repair: false, mergeOnly };
+        renderImportPreview(importStatus, preview, { mergeOnly });
+      } else if (preview.repairable) {
+        pendingImport = { data: parsed.data, repair: false, mergeOnly };
+        renderImportProblems(importStatus, preview);
+      } else {
+        showImportResult(preview);
+      }
+    } catch (error) {
+      showImportResult({ success: false, errors: [error.message] });
+    } finally {
+      importStatus.toggleAttribute('data-busy', pendingImport !== null);
+      // Reset file input
+      importFileInput.value = '';
+    }
+  });
+
+  importStatus.addEventListener('click', async (event) => {
+    const button = event.target.closest('[data-action]');
+    if (!button || !pendingImport) {
+      return;
+    }
+
+    const { data, repair, mergeOnly } = pendingImport;
+    pendingImport = null;
+    if (button.dataset.action === 'cancel') {
+      importStatus.textContent = '';
+      importStatus.toggleAttribute('data-busy', false);
+      return;
+    }
+
+    if (button.dataset.action === 'repair') {
+      try {
+        const preview = await previewImport(data, { repair: true });
+        if (preview.success) {
+          pendingImport = { data, repair: true, mergeOnly };
+          renderImportPreview(importStatus, preview, { mergeOnly });
+        } else {
+          showImportResult(preview);
+        }
+      } catch (error) {
+        showImportResult({ success: false, errors: [error.message] });
+      } finally {
+        importStatus.toggleAttribute('data-busy', pendingImport !== null);
+      }
+      return;
+    }
+
+    importStatus.textContent = t('settings.import.importing');
+    const options = { merge: mergeOnly || button.dataset.action === 'merge', repair };
+    let imported = false;
+    try {
+      let result = await importFromJSON(data, options);
+      if (result.backupFailed && confirmWithoutBackup(result.errors.join('; '))) {
+        result = await importFromJSON(data, { ...options, backup: false });
+      }
+      showImportResult(result);
+      imported = result.success;
+    } catch (error) {
+      showImportResult({ success: false, errors: [error.message] });
+    } finally {
+      // The page reloads after an import
+      importStatus.toggleAttribute('data-busy', imported);
+    }
+  });
+
+  const backupList = view.querySelector('[data-testid="backup-list"]');
+  renderBackupList(backupList, await getBackups());
+
+  backupList.addEventListener('click', async (event) => {
+    const button = event.target.closest('[data-action]');
+    if (!button) {
+      return;
+    }
 
-    // Reset file input
-    importFileInput.value = '';
+    const item = button.closest('[data-id]');
+    const id = item.dataset.id;
+    if (button.dataset.action === 'preview') {
+      const details = item.querySelector('[data-testid="backup-details"]');
+      details.hidden = !details.hidden;
+      button.setAttribute('aria-expanded', String(!details.hidden));
+    } else if (button.dataset.action === 'download') {
+      try {
+        await downloadBackup(id);
+        showToast(t('toasts.exportJsonDownloaded'), 'success');
+      } catch (error) {
+        showToast(t('toasts.exportFailed', { error: error.message }), 'error');
+      }
+    } else if (button.dataset.action === 'restore') {
+      const date = item.querySelector('.backup-date').textContent;
+      if (!confirm(t('settings.confirm.restoreBackup', { date }))) {
+        return;
+      }
+
+      let result;
+      try {
+        result = await restoreBackup(id);
+        if (result.backupFailed && confirmWithoutBackup(result.errors.join('; '))) {
+          result = await restoreBackup(id, { backup: false });
+        }
+      } catch (error) {
+        result = { success: false, errors: [error.message] };
+      }
+      if (!result.success) {
+        showToast(t('toasts.backupRestoreFailed', { error: result.errors.join('; ') }), 'error');
+        return;
+      }
+
+      showToast(t('toasts.backupRestored'), 'success');
+      // Reload the page to reflect the restored data
+      setTimeout(() => {
+        window.location.reload();
+      }, 1500);
+    }
+  });
+
+  recalculateCheckBtn.addEventListener('click', async () => {
+    try {
+      renderRecalculationDiff(recalculateResult, await getRecalculationDiff());
+    } catch (error) {
+      showToast(t('toasts.recalculateFailed', { error: error.message }), 'error');
+    }
+  });
+
+  recalculateResult.addEventListener('click', async (event) => {
+    if (!event.target.closest('[data-testid="recalculate-apply"]')) {
+      return;
+    }
+    if (!confirm(t('settings.confirm.recalculate'))) {
+      return;
+    }
+
+    try {
+      await applyRecalculation();
+      showToast(t('toasts.recalculated'), 'success');
+      await renderSettingsView(container);
+    } catch (error) {
+      showToast(t('toasts.recalculateFailed', { error: error.message }), 'error');
+    }
   });
 
   resetDataBtn.addEventListener('click', async () => {
@@ -294,7 +1253,14 @@ async function renderSettingsView(container) {
     }
 
     try {
-      await resetAllData();
+      try {
+        await resetAllData();
+      } catch (error) {
+        if (!error.backupFailed || !confirmWithoutBackup(error.message)) {
+          throw error;
+        }
+        await resetAllData({ backup: false });
+      }
       showToast(t('toasts.resetSuccess'), 'success');
       // Reload the page to start fresh
       setTimeout(() => {
@@ -8,7 +8,7 @@
  * - The SW must be able to serve content immediately upon reactivation
  */
 
-const CACHE_NAME = 'yourscore-v8';
+const CACHE_NAME = 'yourscore-v24';
 
 // Core assets that MUST be cached for offline functionality
 // Listed in order of priority for iOS where cache space may be limited
@@ -23,15 +23,33 @@ const CORE_ASSETS = [
   './js/i18n/i18n.js',
   './js/i18n/translations.js',
   './js/storage/db.js',
+  './js/storage/schema.js',
+  './js/storage/adapters/indexeddb.js',
+  './js/storage/adapters/local-storage.js',
+  './js/storage/adapters/memory.js',
   './js/storage/migrations.js',
   './js/models/activity.js',
+  './js/models/backup.js',
   './js/models/category.js',
   './js/models/completion.js',
   './js/models/score.js',
   './js/models/settings.js',
+  './js/models/pause.js',
+  './js/models/excused-day.js',
+  './js/models/streak-freeze.js',
   './js/services/decay.js',
   './js/services/achievements.js',
   './js/services/export.js',
+  './js/services/export-upgrades.js',
+  './js/services/import-integrity.js',
+  './js/services/csv.js',
+  './js/services/templates.js',
+  './js/services/history.js',
+  './js/services/recalculation.js',
+  './js/services/pause.js',
+  './js/services/sync.js',
+  './js/services/backup.js',
+  './js/services/merge.js',
   './js/views/activities.js',
   './js/views/categories.js',
   './js/views/daily.js',
@@ -42,8 +60,11 @@ const CORE_ASSETS = [
   './js/components/score-display.js',
   './js/components/toast.js',
   './js/utils/date.js',
+  './js/utils/schedule.js',
+  './js/utils/decay-strategies.js',
   './js/utils/celebrations.js',
   './js/utils/icons.js',
+  './js/utils/crypto.js',
 ];
 
 // Non-critical assets (icons) - cached separately so core app works even if these fail
@@ -0,0 +1,146 @@
+import { test, expect } from '@playwright/test';
+
+// Five years of daily use with eight activities
+const YEARS = 5;
+const ACTIVITIES = 8;
+const RUNS = 5;
+
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(() => {
+    window.__TEST_MODE__ = true;
+  });
+});
+
+test.describe('Range query benchmarks', () => {
+  test.setTimeout(120000);
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(
+      async ({ years, activityCount }) => {
+        const { db } = await import('/js/storage/db.js');
+        const { getLocalDateString, subtractDays, getDateRange } = await import(
+          '/js/utils/date.js'
+        );
+        await db.init();
+        await db.reset();
+
+        const today = getLocalDateString();
+        const dates = getDateRange(subtractDays(today, years * 365), today);
+        const completions = [];
+        const history = [];
+        let score = 0;
+
+        dates.forEach((date, day) => {
+          let earned = 0;
+          // Nothing is logged on every 45th day, which ends the successful day streak
+          const restDay = day % 45 === 0;
+          for (let a = 0; a < activityCount; a++) {
+            // Skip a few activities on most days, deterministically
+            if (restDay || (day * 7 + a * 3) % 5 === 0) {
+              continue;
+            }
+            completions.push({
+              id: `${date}-${a}`,
+              activityId: `activity-${a}`,
+              date,
+              count: 1,
+              points: 5,
+              completedAt: `${date}T12:00:00.000Z`
+            });
+            earned += 5;
+          }
+          score += earned - 10;
+          history.push({ date, score, earned, decay: 10 });
+        });
+
+        await db.putMany('completions', completions);
+        await db.putMany('scoreHistory', history);
+      },
+      { years: YEARS, activityCount: ACTIVITIES }
+    );
+  });
+
+  test('indexed queries match full scans and read less', async ({ page }, testInfo) => {
+    const results = await page.evaluate(async (runs) => {
+      const { db } = await import('/js/storage/db.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { getSuccessfulDayStreak } = await import('/js/services/achievements.js');
+      const { getLocalDateString, subtractDays } = await import('/js/utils/date.js');
+
+      const today = getLocalDateString();
+      const monthStart = subtractDays(today, 29);
+
+      const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+      const time = async (fn) => {
+        const durations = [];
+        let value;
+        for (let i = 0; i < runs; i++) {
+          const start = performance.now();
+          value = await fn();
+          durations.push(performance.now() - start);
+        }
+        return { value, ms: median(durations) };
+      };
+
+      // What the models did before: load the whole store and filter in memory
+      const scanCompletions = async () =>
+        (await db.getAll('completions')).filter((c) => c.date >= monthStart && c.date <= today);
+      const scanHistory = async () =>
+        (await db.getAll('scoreHistory'))
+          .filter((h) => h.date >= monthStart && h.date <= today)
+          .sort((a, b) => a.date.localeCompare(b.date));
+
+      const cases = {
+        completionsForMonth: [
+          () => CompletionModel.getByDateRange(monthStart, today),
+          scanCompletions
+        ],
+        completionCountForMonth: [
+          () => CompletionModel.countByDateRange(monthStart, today),
+          async () => (await scanCompletions()).length
+        ],
+        historyForMonth: [() => ScoreModel.getHistoryRange(monthStart, today), scanHistory],
+        successfulDayStreak: [
+          () => getSuccessfulDayStreak(today),
+          async () => {
+            const history = (await db.getAll('scoreHistory')).sort((a, b) =>
+              b.date.localeCompare(a.date)
+            );
+            let streak = 0;
+            let checkDate = today;
+            for (const record of history) {
+              if (record.date !== checkDate || record.earned < record.decay) {
+                break;
+              }
+              streak++;
+              checkDate = subtractDays(checkDate, 1);
+            }
+            return streak;
+          }
+        ]
+      };
+
+      const report = {};
+      for (const [name, [indexed, scan]] of Object.entries(cases)) {
+        const fast = await time(indexed);
+        const slow = await time(scan);
+        report[name] = {
+          indexedMs: fast.ms,
+          scanMs: slow.ms,
+          sameResult: JSON.stringify(fast.value) === JSON.stringify(slow.value)
+        };
+      }
+      return report;
+    }, RUNS);
+
+    for (const [name, result] of Object.entries(results)) {
+      testInfo.annotations.push({
+        type: 'benchmark',
+        description: `${name}: indexed ${result.indexedMs.toFixed(1)} ms, full scan ${result.scanMs.toFixed(1)} ms`
+      });
+      expect(result.sameResult, name).toBe(true);
+    }
+  });
+});
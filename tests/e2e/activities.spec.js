@@ -50,6 +50,55 @@ test.describe('Activities View', () => {
     await expect(activity).toContainText('12 pts');
   });
 
+  test('creates an activity with a weekday schedule', async ({ page }) => {
+    await openActivities(page);
+
+    await page.locator('#activity-name').fill('Gym');
+    await page.locator('#activity-points').fill('20');
+    await page.locator('[data-testid="activity-schedule"]').selectOption('weekdays');
+
+    const formError = page.locator('[data-testid="activity-form-error"]');
+    await page.locator('[data-testid="activity-submit"]').click();
+    await expect(formError).toHaveText('Pick at least one day.');
+
+    await page.locator('[data-testid="activity-schedule-day-1"]').check();
+    await page.locator('[data-testid="activity-schedule-day-3"]').check();
+    await page.locator('[data-testid="activity-submit"]').click();
+
+    const activity = page.locator('.activity-row', { hasText: 'Gym' });
+    await expect(activity).toBeVisible();
+    await expect(activity.locator('[data-testid="activity-schedule-meta"]')).toHaveText('Mon, Wed');
+
+    const stored = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const [gym] = await ActivityModel.getAll();
+      return gym.schedule;
+    });
+    expect(stored).toEqual({ type: 'weekdays', days: [1, 3] });
+  });
+
+  test('adds activities from the template library', async ({ page }) => {
+    await openActivities(page);
+
+    const picker = page.locator('[data-testid="template-picker"]');
+    await picker.locator('summary').click();
+
+    await picker.locator('[data-testid="template-apply"]').click();
+    await expect(picker.locator('[data-testid="template-error"]')).toHaveText(
+      'Select at least one template.'
+    );
+
+    await picker.locator('[data-testid="template-option-meditation"]').check();
+    await picker.locator('[data-testid="template-option-early_wake_up"]').check();
+    await picker.locator('[data-testid="template-apply"]').click();
+
+    await expect(page.locator('.activity-row', { hasText: 'Meditation' })).toBeVisible();
+    await expect(page.locator('.activity-row', { hasText: 'Early wake up' })).toContainText('15 pts');
+    await expect(page.locator('.category-header', { hasText: 'Mind' })).toBeVisible();
+    await expect(page.locator('.category-header', { hasText: 'Routine' })).toBeVisible();
+    await expect(picker.locator('[data-testid="template-option-meditation"]')).toBeDisabled();
+  });
+
   test('edits and archives an activity', async ({ page }) => {
     await openActivities(page);
 
@@ -82,4 +131,29 @@ test.describe('Activities View', () => {
     await expect(page.locator('[data-testid="archived-list"]')).toContainText('Morning Walk Plus');
   });
 
+  test('keeps unsaved input when another tab adds an activity', async ({ page, context }) => {
+    await openActivities(page);
+    await page.locator('#activity-name').fill('Half typed');
+
+    const otherTab = await context.newPage();
+    await otherTab.goto('/');
+    await otherTab.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      await ActivityModel.create({ name: 'From the other tab', points: 5 });
+    });
+
+    // Held back until the form is saved, then shown
+    await page.waitForTimeout(500);
+    await expect(page.locator('#activity-name')).toHaveValue('Half typed');
+    await expect(page.locator('.activity-row', { hasText: 'From the other tab' })).toHaveCount(0);
+
+    await page.locator('#activity-name').fill('Half typed, then finished');
+    await page.locator('#activity-points').fill('10');
+    await page.locator('[data-testid="activity-submit"]').click();
+    await expect(page.locator('.activity-row', { hasText: 'From the other tab' })).toBeVisible();
+    await expect(
+      page.locator('.activity-row', { hasText: 'Half typed, then finished' })
+    ).toBeVisible();
+    await otherTab.close();
+  });
 });
@@ -43,6 +43,197 @@ test.describe('Daily View', () => {
     await expect(scoreValue).toHaveText('0');
   });
 
+  test('logs a bad habit and subtracts its points', async ({ page }) => {
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      await db.init();
+
+      await ActivityModel.create({
+        name: 'Doomscrolled past midnight',
+        points: -10
+      });
+      await ScoreModel.setScore(30);
+    });
+
+    await page.reload();
+
+    const card = page.locator('.activity-card', { hasText: 'Doomscrolled past midnight' });
+    await expect(card).toHaveClass(/activity-card--bad-habit/);
+    await expect(card.locator('.activity-card-points')).toContainText('-10');
+
+    await card.click();
+
+    await expect(card).toHaveClass(/completed/);
+    await expect(card.locator('.activity-card-checkbox')).toHaveText('✕');
+    await expect(page.locator('.score-value')).toHaveText('20');
+
+    await card.click();
+
+    await expect(card).not.toHaveClass(/completed/);
+    await expect(page.locator('.score-value')).toHaveText('30');
+  });
+
+  test('undo subtracts the points that were awarded', async ({ page }) => {
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      await db.init();
+
+      await ActivityModel.create({ name: 'Daily Walk', points: 15 });
+    });
+
+    await page.reload();
+
+    const card = page.locator('.activity-card', { hasText: 'Daily Walk' });
+    const scoreValue = page.locator('.score-value');
+
+    await card.click();
+    await expect(scoreValue).toHaveText('15');
+
+    // Change the value after logging, then undo
+    await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const [walk] = await ActivityModel.getAll();
+      await ActivityModel.update(walk.id, { points: 40 });
+    });
+    await page.reload();
+
+    await page.locator('.activity-card', { hasText: 'Daily Walk' }).click();
+    await expect(page.locator('.score-value')).toHaveText('0');
+  });
+
+  test('logs a completion on a past day from the date navigator', async ({ page }) => {
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+      await db.init();
+
+      await SettingsModel.initializeIfNeeded();
+      await SettingsModel.setFirstUseDate(getDateDaysAgo(3));
+      await SettingsModel.setLastActiveDate();
+      await ActivityModel.create({ name: 'Daily Walk', points: 15 });
+    });
+
+    await page.reload();
+
+    await expect(page.locator('[data-testid="daily-next-day"]')).toBeDisabled();
+    await page.locator('[data-testid="daily-previous-day"]').click();
+
+    await expect(page.locator('[data-testid="history-notice"]')).toBeVisible();
+    await expect(page.locator('.break-even-indicator')).toHaveCount(0);
+
+    const card = page.locator('.activity-card', { hasText: 'Daily Walk' });
+    await card.click();
+    await expect(card).toHaveClass(/completed/);
+    await expect(page.locator('.score-value')).toHaveText('15');
+
+    await page.locator('[data-testid="daily-back-to-today"]').click();
+    await expect(page.locator('[data-testid="history-notice"]')).toHaveCount(0);
+    await expect(page.locator('.activity-card', { hasText: 'Daily Walk' })).not.toHaveClass(
+      /completed/
+    );
+
+    const yesterday = await page.evaluate(async () => {
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+      return ScoreModel.getHistoryByDate(getDateDaysAgo(1));
+    });
+    expect(yesterday.earned).toBe(15);
+  });
+
+  test('excuses a past day and removes the excuse', async ({ page }) => {
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+      await db.init();
+
+      await SettingsModel.initializeIfNeeded();
+      await SettingsModel.setFirstUseDate(getDateDaysAgo(3));
+      await SettingsModel.setLastActiveDate();
+      await ScoreModel.recordHistory({ date: getDateDaysAgo(1), score: -10, earned: 0, decay: 10 });
+      await ScoreModel.setScore(-10);
+    });
+
+    await page.reload();
+    await expect(page.locator('[data-testid="excuse-panel"]')).toHaveCount(0);
+    await page.locator('[data-testid="daily-previous-day"]').click();
+
+    await page.locator('[data-testid="excuse-day"]').click();
+    await expect(page.locator('.score-value')).toHaveText('0');
+    await expect(page.locator('[data-testid="excuse-remove"]')).toBeVisible();
+
+    await page.locator('[data-testid="excuse-remove"]').click();
+    await expect(page.locator('.score-value')).toHaveText('-10');
+    await expect(page.locator('[data-testid="excuse-day"]')).toBeVisible();
+  });
+
+  test('only shows activities due today', async ({ page }) => {
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { getDateDaysAgo, parseLocalDate } = await import('/js/utils/date.js');
+      await db.init();
+
+      await ActivityModel.create({ name: 'Daily Walk', points: 15 });
+      await ActivityModel.create({
+        name: 'Yesterday Only',
+        points: 10,
+        schedule: { type: 'weekdays', days: [parseLocalDate(getDateDaysAgo(1)).getDay()] }
+      });
+    });
+
+    await page.reload();
+
+    await expect(page.locator('.activity-card', { hasText: 'Daily Walk' })).toBeVisible();
+    await expect(page.locator('.activity-card', { hasText: 'Yesterday Only' })).toHaveCount(0);
+  });
+
+  test('logs counter units up to the daily maximum', async ({ page }) => {
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      await db.init();
+
+      await ActivityModel.create({
+        name: 'Glass of water',
+        points: 3,
+        type: 'counter',
+        dailyMax: 2
+      });
+    });
+
+    await page.reload();
+
+    const card = page.locator('.activity-card', { hasText: 'Glass of water' });
+    const increment = card.locator('[data-testid="counter-increment"]');
+    const decrement = card.locator('[data-testid="counter-decrement"]');
+    const scoreValue = page.locator('.score-value');
+
+    await expect(card.locator('.activity-card-checkbox')).toHaveText('0/2');
+    await expect(decrement).toBeDisabled();
+
+    await increment.click();
+    await expect(card).toHaveClass(/completed/);
+    await expect(card.locator('.activity-card-checkbox')).toHaveText('1/2');
+    await expect(scoreValue).toHaveText('3');
+
+    await increment.click();
+    await expect(card.locator('.activity-card-checkbox')).toHaveText('2/2');
+    await expect(scoreValue).toHaveText('6');
+    await expect(increment).toBeDisabled();
+
+    await decrement.click();
+    await decrement.click();
+    await expect(card).not.toHaveClass(/completed/);
+    await expect(scoreValue).toHaveText('0');
+  });
+
   test('shows decay notification after absence', async ({ page }) => {
     await page.evaluate(async () => {
       const { db } = await import('/js/storage/db.js');
@@ -66,4 +257,75 @@ test.describe('Daily View', () => {
     await expect(decayNotice).toBeVisible();
     await expect(decayNotice).toContainText('decay applied');
   });
+
+  test('shows completions made in another tab', async ({ page, context }) => {
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      await db.init();
+
+      await ActivityModel.create({
+        name: 'Daily Walk',
+        points: 15
+      });
+    });
+
+    await page.reload();
+    const otherTab = await context.newPage();
+    await otherTab.goto('/');
+
+    const card = page.locator('.activity-card', { hasText: 'Daily Walk' });
+    const otherCard = otherTab.locator('.activity-card', { hasText: 'Daily Walk' });
+    await expect(card).toBeVisible();
+    await expect(otherCard).toBeVisible();
+
+    await card.click();
+    await expect(card).toHaveClass(/completed/);
+
+    await expect(otherCard).toHaveClass(/completed/);
+    await expect(otherTab.locator('.score-value')).toHaveText('15');
+    await otherTab.close();
+  });
+
+  test('applies decay once when a new day starts while the app is open', async ({ page }) => {
+    await page.clock.install({ time: new Date(2024, 5, 15, 23, 58) });
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      await db.init();
+
+      await SettingsModel.setMany({
+        firstUseDate: '2024-06-01',
+        lastActiveDate: '2024-06-15',
+        decayAmount: 5
+      });
+      await ScoreModel.setScore(20);
+    });
+
+    await page.reload();
+    await page.waitForFunction(() => window.app);
+
+    const scoreValue = page.locator('.score-value');
+    await expect(scoreValue).toHaveText('20');
+    await expect(page.locator('.decay-notification')).toHaveCount(0);
+
+    await page.clock.runFor('03:00');
+
+    await expect(page.locator('.decay-notification')).toBeVisible();
+    await expect(scoreValue).toHaveText('15');
+
+    await page.evaluate(() => {
+      window.dispatchEvent(new Event('focus'));
+      document.dispatchEvent(new Event('visibilitychange'));
+    });
+    await page.clock.runFor('01:00');
+
+    await expect(scoreValue).toHaveText('15');
+    const lastActiveDate = await page.evaluate(async () => {
+      const { SettingsModel } = await import('/js/models/settings.js');
+      return SettingsModel.getLastActiveDate();
+    });
+    expect(lastActiveDate).toBe('2024-06-16');
+  });
 });
@@ -143,6 +143,60 @@ test.describe('Dashboard View', () => {
       await expect(page.locator('[data-testid="success-streak"]')).toHaveText('3');
     });
 
+    test('marks paused days and keeps the streak across them', async ({ page }) => {
+      const dates = await page.evaluate(async () => {
+        const { ScoreModel } = await import('/js/models/score.js');
+        const { getDateDaysAgo, getLocalDateString } = await import('/js/utils/date.js');
+
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(3), score: 10, earned: 15, decay: 10 });
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(2), score: 5, earned: 0, decay: 10 });
+        await ScoreModel.applyDailyDecay([{ date: getDateDaysAgo(1), decay: 0, paused: true }]);
+        await ScoreModel.recordHistory({ date: getLocalDateString(), score: 20, earned: 15, decay: 10 });
+
+        return { missed: getDateDaysAgo(2), paused: getDateDaysAgo(1) };
+      });
+
+      await openDashboard(page);
+
+      const recentDays = page.locator('[data-testid="recent-days"] li');
+      await expect(recentDays).toHaveCount(14);
+      await expect(page.locator(`[data-testid="recent-days"] [data-date="${dates.paused}"]`)).toHaveAttribute(
+        'data-status',
+        'paused'
+      );
+      await expect(page.locator(`[data-testid="recent-days"] [data-date="${dates.missed}"]`)).toHaveAttribute(
+        'data-status',
+        'missed'
+      );
+      await expect(page.locator('[data-testid="success-streak"]')).toHaveText('1');
+    });
+
+    test('shows streak freezes and the days they covered', async ({ page }) => {
+      const frozenDate = await page.evaluate(async () => {
+        const { ScoreModel } = await import('/js/models/score.js');
+        const { StreakFreezeModel } = await import('/js/models/streak-freeze.js');
+        const { getDateDaysAgo } = await import('/js/utils/date.js');
+
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(2), score: 10, earned: 15, decay: 10 });
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(1), score: 0, earned: 0, decay: 10 });
+        await ScoreModel.markFrozen(getDateDaysAgo(1));
+        const token = await StreakFreezeModel.create({ earnedOn: getDateDaysAgo(9), streak: 7 });
+        await StreakFreezeModel.use(token.id, getDateDaysAgo(1));
+        await StreakFreezeModel.create({ earnedOn: getDateDaysAgo(2), streak: 14 });
+
+        return getDateDaysAgo(1);
+      });
+
+      await openDashboard(page);
+
+      await expect(page.locator('[data-testid="streak-freezes-available"]')).toContainText('1');
+      await expect(page.locator('[data-testid="streak-freezes-used"]')).toContainText('Used: 1');
+      await expect(page.locator(`[data-testid="recent-days"] [data-date="${frozenDate}"]`)).toHaveAttribute(
+        'data-status',
+        'frozen'
+      );
+    });
+
     test('shows perfect day streak', async ({ page }) => {
       await page.evaluate(async () => {
         const { CategoryModel } = await import('/js/models/category.js');
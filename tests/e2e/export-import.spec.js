@@ -1,3 +1,4 @@
+import { readFile } from 'node:fs/promises';
 import { test, expect } from '@playwright/test';
 
 test.describe('Export/Import Functionality', () => {
@@ -62,7 +63,7 @@ test.describe('Export/Import Functionality', () => {
       });
 
       expect(exportData.app).toBe('YourScore');
-      expect(exportData.version).toBe(1);
+      expect(exportData.version).toBe(2);
       expect(exportData.exportedAt).toBeTruthy();
       expect(exportData.data).toBeTruthy();
 
@@ -95,7 +96,7 @@ test.describe('Export/Import Functionality', () => {
       });
 
       const lines = csv.split('\n');
-      expect(lines[0]).toBe('Date,Activity,Category,Points,Completed At');
+      expect(lines[0]).toBe('Date,Activity,Category,Points,Completed At,Count');
       expect(lines.length).toBe(2); // Header + 1 completion
 
       // Verify completion data
@@ -105,6 +106,31 @@ test.describe('Export/Import Functionality', () => {
       expect(completionLine).toContain('25');
     });
 
+    test('downloads the chosen table in the chosen dialect and remembers it', async ({ page }) => {
+      await setupTestData(page);
+      await openSettings(page);
+
+      await page.locator('[data-testid="csv-table"]').selectOption('activities');
+      await page.locator('[data-testid="csv-headers"]').selectOption('keys');
+      await page.locator('[data-testid="csv-delimiter"]').selectOption(';');
+      const downloadPromise = page.waitForEvent('download');
+      await page.locator('[data-testid="export-csv"]').click();
+      const download = await downloadPromise;
+
+      expect(download.suggestedFilename()).toMatch(/^yourscore-activities-.*\.csv$/);
+      const csv = await readFile(await download.path(), 'utf8');
+      expect(csv.split('\n')).toEqual([
+        'name;category;points;type;dailyMax;archived',
+        'Test Activity;Test Category;25;check;;false'
+      ]);
+
+      await page.reload();
+      await page.waitForFunction(() => window.app);
+      await openSettings(page);
+      await expect(page.locator('[data-testid="csv-headers"]')).toHaveValue('keys');
+      await expect(page.locator('[data-testid="csv-delimiter"]')).toHaveValue(';');
+    });
+
     test('handles activities without category gracefully', async ({ page }) => {
       // Create activity without category
       await page.evaluate(async () => {
@@ -328,6 +354,50 @@ test.describe('Export/Import Functionality', () => {
       expect(roundTripResult.restored.completions).toBe(roundTripResult.original.completions);
       expect(roundTripResult.activityMatch).toBe(true);
     });
+
+    test('export then import preserves paused ranges', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const { exportToJSON, importFromJSON } = await import('/js/services/export.js');
+        const { PauseModel } = await import('/js/models/pause.js');
+        const { db } = await import('/js/storage/db.js');
+        const { getDateDaysFromNow } = await import('/js/utils/date.js');
+
+        await PauseModel.create({ startDate: getDateDaysFromNow(3), endDate: getDateDaysFromNow(9) });
+        await PauseModel.create({ startDate: getDateDaysFromNow(20) });
+        const original = await PauseModel.getAll();
+
+        const exportedData = await exportToJSON();
+        await db.reset();
+        const importResult = await importFromJSON(exportedData, { merge: false });
+        const restored = await PauseModel.getAll();
+
+        // Older pauses without an end date are open-ended
+        const legacy = await importFromJSON(
+          {
+            app: 'YourScore',
+            version: 1,
+            data: { pauses: [{ id: 'p1', startDate: '2024-01-01', createdAt: '2024-01-01' }] }
+          },
+          { merge: false }
+        );
+
+        return {
+          original,
+          exportedCount: exportedData.data.pauses.length,
+          importResult,
+          restored,
+          legacy,
+          legacyPause: await PauseModel.getById('p1')
+        };
+      });
+
+      expect(result.exportedCount).toBe(2);
+      expect(result.importResult.success).toBe(true);
+      expect(result.importResult.imported.pauses).toBe(2);
+      expect(result.restored).toEqual(result.original);
+      expect(result.legacy.success).toBe(true);
+      expect(result.legacyPause.endDate).toBeNull();
+    });
   });
 
   test.describe('Reset All Data', () => {
@@ -381,36 +451,231 @@ test.describe('Export/Import Functionality', () => {
       await openSettings(page);
 
       await expect(page.locator('[data-testid="import-btn"]')).toBeVisible();
-      await expect(page.locator('[data-testid="import-merge"]')).toBeVisible();
       await expect(page.locator('[data-testid="import-file"]')).toBeAttached();
     });
 
-    test('merge checkbox can be toggled', async ({ page }) => {
+    test('previews a file and replaces the data only when asked', async ({ page }) => {
+      await setupTestData(page);
+
+      const backup = await page.evaluate(async () => {
+        const { exportToJSON } = await import('/js/services/export.js');
+        const exported = await exportToJSON();
+        exported.data.activities[0].name = 'Renamed Activity';
+        exported.data.completions = [];
+        exported.data.scoreHistory = [{ date: '2026-01-05', score: 40, earned: 40, decay: 0 }];
+        exported.data.settings.find((setting) => setting.key === 'mainScore').value = 40;
+        return JSON.stringify(exported);
+      });
+      const file = {
+        name: 'backup.json',
+        mimeType: 'application/json',
+        buffer: Buffer.from(backup)
+      };
+
       await openSettings(page);
+      const importFile = page.locator('[data-testid="import-file"]');
+      await importFile.setInputFiles(file);
+
+      const replaceSummary = page.locator('[data-testid="import-replace-summary"]');
+      await expect(page.locator('[data-testid="import-range"]')).toContainText('covers');
+      await expect(replaceSummary).toContainText('Activities: 0 added, 1 updated, 0 removed');
+      await expect(replaceSummary).toContainText('Completions: 0 added, 0 updated, 1 removed');
+      await expect(replaceSummary).toContainText('Main score: 100 → 40');
+
+      await page.locator('[data-testid="import-cancel"]').click();
+      await expect(page.locator('[data-testid="import-preview"]')).toHaveCount(0);
+      expect(
+        await page.evaluate(async () => {
+          const { db } = await import('/js/storage/db.js');
+          return (await db.getAll('completions')).length;
+        })
+      ).toBe(1);
+
+      await importFile.setInputFiles(file);
+      await page.locator('[data-testid="import-replace"]').click();
+      await page.waitForEvent('load');
+      await page.waitForFunction(() => window.app);
+
+      await expect(page.locator('.activity-card', { hasText: 'Renamed Activity' })).toBeVisible();
+      await expect(page.locator('.score-value')).toHaveText('40');
+    });
 
-      const mergeCheckbox = page.locator('[data-testid="import-merge"]');
-      await expect(mergeCheckbox).toBeVisible();
+    test('lists integrity problems and imports the file once repaired', async ({ page }) => {
+      await setupTestData(page);
 
-      // Use evaluate for reliable checkbox toggling
-      await page.evaluate(() => {
-        const checkbox = document.querySelector('[data-testid="import-merge"]');
-        checkbox.checked = false;
+      const orphaned = await page.evaluate(async () => {
+        const { exportToJSON } = await import('/js/services/export.js');
+        const exported = await exportToJSON();
+        exported.data.activities[0].categoryId = 'deleted-category';
+        return JSON.stringify(exported);
       });
-      await expect(mergeCheckbox).not.toBeChecked();
 
-      // Toggle to checked
-      await page.evaluate(() => {
-        const checkbox = document.querySelector('[data-testid="import-merge"]');
-        checkbox.checked = true;
+      await openSettings(page);
+      await page.locator('[data-testid="import-file"]').setInputFiles({
+        name: 'orphaned.json',
+        mimeType: 'application/json',
+        buffer: Buffer.from(orphaned)
       });
-      await expect(mergeCheckbox).toBeChecked();
 
-      // Toggle back to unchecked
-      await page.evaluate(() => {
-        const checkbox = document.querySelector('[data-testid="import-merge"]');
-        checkbox.checked = false;
+      const problems = page.locator('[data-testid="import-problems"]');
+      await expect(problems).toContainText('Unknown category "deleted-category" at activities[0]');
+      await page.locator('[data-testid="import-repair"]').click();
+
+      await expect(page.locator('[data-testid="import-warnings"]')).toContainText(
+        'was moved to Uncategorized'
+      );
+      await page.locator('[data-testid="import-replace"]').click();
+      await page.waitForEvent('load');
+      await page.waitForFunction(() => window.app);
+
+      const categoryId = await page.evaluate(async () => {
+        const { db } = await import('/js/storage/db.js');
+        return (await db.getAll('activities'))[0].categoryId;
       });
-      await expect(mergeCheckbox).not.toBeChecked();
+      expect(categoryId).toBe('uncategorized');
+    });
+
+    test('shows what a merge changes before merging a file', async ({ page }) => {
+      await setupTestData(page);
+
+      // The same activity, logged today, as exported from another device
+      const otherDevice = await page.evaluate(async () => {
+        const { exportToJSON } = await import('/js/services/export.js');
+        const exported = await exportToJSON();
+        const data = exported.data;
+        const category = data.categories.find((record) => record.name === 'Test Category');
+        const activity = data.activities.find((record) => record.name === 'Test Activity');
+
+        category.id = 'other-category';
+        Object.assign(activity, { id: 'other-activity', categoryId: 'other-category', points: 30 });
+        for (const completion of data.completions) {
+          Object.assign(completion, { id: 'other-completion', activityId: 'other-activity' });
+        }
+        data.activities.push({
+          ...activity,
+          id: 'other-stretch',
+          name: 'Stretch',
+          points: 10
+        });
+        data.completions.push({
+          ...data.completions[0],
+          id: 'other-stretch-completion',
+          activityId: 'other-stretch',
+          activityName: 'Stretch',
+          points: 10
+        });
+        return JSON.stringify(exported);
+      });
+
+      await openSettings(page);
+      await page.locator('[data-testid="import-file"]').setInputFiles({
+        name: 'other-device.json',
+        mimeType: 'application/json',
+        buffer: Buffer.from(otherDevice)
+      });
+
+      const summary = page.locator('[data-testid="merge-summary"]');
+      await expect(summary).toContainText('Activities: 1 added, 0 updated, 0 removed');
+      await expect(summary).toContainText('1 completion is already logged here');
+      await expect(summary).toContainText('Main score: 100 → 35');
+      await expect(page.locator('[data-testid="merge-conflicts"]')).toContainText(
+        'Test Activity: 25 points here, 30 in the file. Keeping 25.'
+      );
+
+      // Nothing changes until the merge is confirmed
+      expect(
+        await page.evaluate(async () => {
+          const { db } = await import('/js/storage/db.js');
+          return (await db.getAll('activities')).length;
+        })
+      ).toBe(1);
+
+      await page.locator('[data-testid="import-merge"]').click();
+      await page.waitForEvent('load');
+      await page.waitForFunction(() => window.app);
+
+      await expect(page.locator('.activity-card', { hasText: 'Stretch' })).toHaveClass(/completed/);
+      await expect(page.locator('.activity-card', { hasText: 'Test Activity' })).toHaveCount(1);
+      await expect(page.locator('.score-value')).toHaveText('35');
+    });
+
+    test('merges a CSV file of completions without offering to replace', async ({ page }) => {
+      await setupTestData(page);
+
+      const today = await page.evaluate(async () => {
+        const { getLocalDateString } = await import('/js/utils/date.js');
+        return getLocalDateString();
+      });
+      const csv = ['date;activity;category;points', `${today};Stretch;Mobility;5`].join('\n');
+
+      await openSettings(page);
+      await page.locator('[data-testid="import-file"]').setInputFiles({
+        name: 'completions.csv',
+        mimeType: 'text/csv',
+        buffer: Buffer.from(csv)
+      });
+
+      await expect(page.locator('[data-testid="import-merge-only"]')).toBeVisible();
+      await expect(page.locator('[data-testid="import-replace"]')).toHaveCount(0);
+      await expect(page.locator('[data-testid="merge-summary"]')).toContainText(
+        'Activities: 1 added, 0 updated, 0 removed'
+      );
+      await page.locator('[data-testid="import-merge"]').click();
+      await page.waitForEvent('load');
+      await page.waitForFunction(() => window.app);
+
+      await expect(page.locator('.activity-card', { hasText: 'Stretch' })).toHaveClass(/completed/);
+      await expect(page.locator('.activity-card', { hasText: 'Test Activity' })).toHaveCount(1);
+    });
+
+    test('exports encrypted data and asks for the passphrase to import it', async ({ page }) => {
+      await setupTestData(page);
+      await openSettings(page);
+
+      await page.locator('[data-testid="export-encrypted"]').click();
+      const exportForm = page.locator('[data-testid="export-passphrase"] form');
+      await exportForm.locator('[data-testid="passphrase-input"]').fill('short');
+      await exportForm.locator('[data-testid="passphrase-confirm"]').fill('short');
+      await exportForm.locator('[data-testid="passphrase-submit"]').click();
+      await expect(exportForm.locator('[data-testid="passphrase-error"]')).toContainText(
+        'at least 8 characters'
+      );
+
+      await exportForm.locator('[data-testid="passphrase-input"]').fill('correct horse battery');
+      await exportForm.locator('[data-testid="passphrase-confirm"]').fill('correct horse battery');
+      const downloadPromise = page.waitForEvent('download');
+      await exportForm.locator('[data-testid="passphrase-submit"]').click();
+      const download = await downloadPromise;
+      expect(download.suggestedFilename()).toMatch(/\.encrypted\.json$/);
+      const encrypted = await readFile(await download.path());
+      expect(encrypted.toString()).not.toContain('Test Activity');
+
+      await page.evaluate(async () => {
+        const { db } = await import('/js/storage/db.js');
+        await db.clear('activities');
+      });
+
+      const importFile = page.locator('[data-testid="import-file"]');
+      const importForm = page.locator('[data-testid="import-status"] form');
+      const file = {
+        name: 'backup.encrypted.json',
+        mimeType: 'application/json',
+        buffer: encrypted
+      };
+
+      await importFile.setInputFiles(file);
+      await importForm.locator('[data-testid="passphrase-input"]').fill('wrong passphrase');
+      await importForm.locator('[data-testid="passphrase-submit"]').click();
+      await expect(page.locator('[data-testid="import-status"]')).toHaveText('Wrong passphrase');
+
+      await importFile.setInputFiles(file);
+      await importForm.locator('[data-testid="passphrase-input"]').fill('correct horse battery');
+      await importForm.locator('[data-testid="passphrase-submit"]').click();
+      await page.locator('[data-testid="import-replace"]').click();
+      await page.waitForEvent('load');
+      await page.waitForFunction(() => window.app);
+
+      await expect(page.locator('.activity-card', { hasText: 'Test Activity' })).toBeVisible();
     });
   });
 });
@@ -37,6 +37,147 @@ test.describe('Settings View', () => {
     expect(result.mainScore).toBe(42);
   });
 
+  test('previews and saves a decay strategy', async ({ page }) => {
+    await openSettings(page);
+
+    const stepField = page.locator('[data-field="decayStep"]');
+    await expect(stepField).toBeHidden();
+
+    await page.selectOption('#settings-decay-strategy', 'escalating');
+    await expect(stepField).toBeVisible();
+    await page.fill('#settings-decay-step', '5');
+    await expect(page.locator('[data-testid="settings-decay-preview"]')).toContainText(
+      '10 + 15 + 20 = 45'
+    );
+
+    await page.locator('[data-testid="settings-save"]').dispatchEvent('click');
+
+    const strategy = await page.evaluate(async () => {
+      const { SettingsModel } = await import('/js/models/settings.js');
+      return SettingsModel.getDecayStrategy();
+    });
+
+    expect(strategy).toEqual({ type: 'escalating', step: 5 });
+  });
+
+  test('pauses decay now and resumes it', async ({ page }) => {
+    await openSettings(page);
+
+    await expect(page.locator('[data-testid="pause-list"]')).toContainText('No pauses scheduled');
+    await page.locator('[data-testid="pause-now"]').click();
+
+    const pauseItem = page.locator('[data-testid="pause-item"]');
+    await expect(pauseItem).toHaveCount(1);
+    await expect(pauseItem).toContainText('Paused');
+    await expect(page.locator('[data-testid="pause-now"]')).toBeDisabled();
+
+    await pauseItem.locator('[data-testid="pause-end"]').click();
+    await expect(page.locator('[data-testid="pause-end"]')).toHaveCount(0);
+
+    const today = await page.evaluate(async () => {
+      const { ScoreModel } = await import('/js/models/score.js');
+      return ScoreModel.getTodayHistory();
+    });
+    expect(today.paused).toBe(true);
+  });
+
+  test('rejects a pause that ends before it starts', async ({ page }) => {
+    await openSettings(page);
+
+    const dates = await page.evaluate(async () => {
+      const { getDateDaysFromNow } = await import('/js/utils/date.js');
+      return { start: getDateDaysFromNow(5), end: getDateDaysFromNow(2) };
+    });
+    await page.fill('#pause-start', dates.start);
+    await page.fill('#pause-end', dates.end);
+    await page.locator('[data-testid="pause-schedule"]').click();
+
+    await expect(page.locator('[data-testid="pause-error"]')).toContainText(
+      'cannot be before the first'
+    );
+    await expect(page.locator('[data-testid="pause-item"]')).toHaveCount(0);
+  });
+
+  test('checks and repairs a score that drifted from the activity log', async ({ page }) => {
+    await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+
+      const activity = await ActivityModel.create({ name: 'Read', points: 12 });
+      await CompletionModel.create({ activityId: activity.id, points: 12 });
+      await ScoreModel.setScore(99);
+    });
+
+    await openSettings(page);
+    await page.locator('[data-testid="recalculate-check"]').click();
+
+    await expect(page.locator('[data-testid="recalculate-summary"]')).toContainText('99');
+    await expect(page.locator('[data-testid="recalculate-summary"]')).toContainText('12');
+    await expect(page.locator('[data-testid="recalculate-changes"] li')).toHaveCount(1);
+
+    page.once('dialog', (dialog) => dialog.accept());
+    await page.locator('[data-testid="recalculate-apply"]').click();
+
+    await expect(page.locator('#settings-score')).toHaveValue('12');
+    await page.locator('[data-testid="recalculate-check"]').click();
+    await expect(page.locator('[data-testid="recalculate-summary"]')).toHaveText(
+      'Your score and history match your activity log.'
+    );
+    await expect(page.locator('[data-testid="recalculate-apply"]')).toHaveCount(0);
+  });
+
+  test('previews and restores a backup', async ({ page }) => {
+    await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { resetAllData } = await import('/js/services/export.js');
+
+      await ActivityModel.create({ name: 'Read', points: 12 });
+      await ScoreModel.setScore(30);
+      await resetAllData();
+    });
+
+    await openSettings(page);
+
+    const item = page.locator('[data-testid="backup-item"]');
+    await expect(item).toHaveCount(1);
+    await expect(item).toContainText('Before reset');
+
+    const details = item.locator('[data-testid="backup-details"]');
+    await expect(details).toBeHidden();
+    await item.locator('[data-testid="backup-preview"]').click();
+    await expect(details).toContainText('Main score: 30');
+    await expect(details).toContainText('Activities: 1');
+
+    page.once('dialog', (dialog) => dialog.accept());
+    await item.locator('[data-testid="backup-restore"]').click();
+    await page.waitForEvent('load');
+    await page.waitForFunction(() => window.app);
+
+    await expect(page.locator('.activity-card', { hasText: 'Read' })).toBeVisible();
+    await expect(page.locator('.score-value')).toHaveText('30');
+  });
+
+  test('saves the day-start hour and shows when the day ends', async ({ page }) => {
+    await openSettings(page);
+
+    await page.selectOption('[data-testid="settings-day-start"]', '4');
+    await page.locator('[data-testid="settings-save"]').dispatchEvent('click');
+
+    await expect
+      .poll(() =>
+        page.evaluate(async () => {
+          const { SettingsModel } = await import('/js/models/settings.js');
+          return SettingsModel.getDayStartHour();
+        })
+      )
+      .toBe(4);
+
+    await page.locator('#app-nav .nav-item', { hasText: 'Today' }).click();
+    await expect(page.locator('[data-testid="daily-day-start"]')).toBeVisible();
+  });
+
   test('updates theme and UI scale immediately', async ({ page }) => {
     await openSettings(page);
 
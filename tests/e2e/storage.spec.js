@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+
+async function addWalk(page) {
+  await page.evaluate(async () => {
+    const { ActivityModel } = await import('/js/models/activity.js');
+    await ActivityModel.create({ name: 'Daily Walk', points: 15 });
+  });
+}
+
+test.describe('Storage Fallback', () => {
+  test('keeps data in localStorage when IndexedDB is unavailable', async ({ page }) => {
+    await page.addInitScript(() => {
+      Object.defineProperty(window, 'indexedDB', { get: () => undefined, configurable: true });
+    });
+    await page.goto('/');
+    await page.waitForFunction(() => window.app);
+    await page.evaluate(() => window.app.ready);
+
+    const banner = page.locator('#storage-banner');
+    await expect(banner).toBeVisible();
+    await expect(banner).toContainText('limited space');
+    expect(
+      await page.evaluate(async () => {
+        const { db } = await import('/js/storage/db.js');
+        return db.backend;
+      })
+    ).toBe('localstorage');
+
+    await addWalk(page);
+    await page.reload();
+
+    const card = page.locator('.activity-card', { hasText: 'Daily Walk' });
+    await card.click();
+    await expect(card).toHaveClass(/completed/);
+    await expect(page.locator('.score-value')).toHaveText('15');
+
+    await page.reload();
+
+    await expect(card).toHaveClass(/completed/);
+    await expect(page.locator('.score-value')).toHaveText('15');
+  });
+
+  test('warns that data is lost when no storage can be written', async ({ page }) => {
+    await page.addInitScript(() => {
+      Object.defineProperty(window, 'indexedDB', { get: () => undefined, configurable: true });
+      Storage.prototype.setItem = () => {
+        throw new DOMException('Storage is disabled', 'SecurityError');
+      };
+    });
+    await page.goto('/');
+    await page.waitForFunction(() => window.app);
+    await page.evaluate(() => window.app.ready);
+
+    const banner = page.locator('#storage-banner');
+    await expect(banner).toBeVisible();
+    await expect(banner).toContainText('Changes are lost when you close this tab');
+
+    await addWalk(page);
+    await page.evaluate(() => window.app.renderCurrentView());
+
+    const card = page.locator('.activity-card', { hasText: 'Daily Walk' });
+    await card.click();
+    await expect(card).toHaveClass(/completed/);
+
+    await page.reload();
+
+    await expect(page.locator('.activity-card', { hasText: 'Daily Walk' })).toHaveCount(0);
+  });
+
+  test('hides the warning when IndexedDB works', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForFunction(() => window.app);
+    await page.evaluate(() => window.app.ready);
+
+    await expect(page.locator('#storage-banner')).toBeHidden();
+  });
+});
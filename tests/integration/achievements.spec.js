@@ -123,6 +123,93 @@ test.describe('Achievements Service', () => {
       expect(result).toBe(1); // Only today counts
     });
 
+    test('counts days missed during an absence as unsuccessful', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const { ScoreModel } = await import('/js/models/score.js');
+        const { SettingsModel } = await import('/js/models/settings.js');
+        const { checkAndApplyDecay } = await import('/js/services/decay.js');
+        const { getSuccessfulDayStreak } = await import('/js/services/achievements.js');
+        const { getDateDaysAgo } = await import('/js/utils/date.js');
+
+        await SettingsModel.setMany({
+          firstUseDate: getDateDaysAgo(10),
+          lastActiveDate: getDateDaysAgo(3),
+          decayAmount: 5
+        });
+        await ScoreModel.setScore(20);
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(3), score: 20, earned: 10, decay: 5 });
+
+        await checkAndApplyDecay();
+        const afterReturn = await getSuccessfulDayStreak();
+        await ScoreModel.addPoints(10);
+        await ScoreModel.addEarnedToday(10);
+
+        return {
+          afterReturn,
+          afterEarning: await getSuccessfulDayStreak(),
+          history: await ScoreModel.getAllHistory()
+        };
+      });
+
+      expect(result.history.map((h) => h.decay)).toEqual([5, 5, 5, 5]);
+      expect(result.history.map((h) => h.score)).toEqual([20, 15, 10, 15]);
+      expect(result.afterReturn).toBe(0);
+      expect(result.afterEarning).toBe(1);
+    });
+
+    test('counts missed days as unsuccessful once a capped absence stops charging', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const { ScoreModel } = await import('/js/models/score.js');
+        const { SettingsModel } = await import('/js/models/settings.js');
+        const { checkAndApplyDecay } = await import('/js/services/decay.js');
+        const { getSuccessfulDayStreak } = await import('/js/services/achievements.js');
+        const { getDateDaysAgo } = await import('/js/utils/date.js');
+
+        await SettingsModel.setMany({
+          firstUseDate: getDateDaysAgo(20),
+          lastActiveDate: getDateDaysAgo(10),
+          decayAmount: 10,
+          decayStrategy: { type: 'capped', maxPerAbsence: 20 }
+        });
+        await ScoreModel.setScore(100);
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(10), score: 100, earned: 10, decay: 10 });
+
+        await checkAndApplyDecay();
+
+        return {
+          streak: await getSuccessfulDayStreak(),
+          decay: (await ScoreModel.getAllHistory()).slice(1).map((h) => h.decay)
+        };
+      });
+
+      expect(result.decay).toEqual([10, 10, 0, 0, 0, 0, 0, 0, 0, 0]);
+      expect(result.streak).toBe(0);
+    });
+
+    test('treats paused days as neutral', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const { ScoreModel } = await import('/js/models/score.js');
+        const { getSuccessfulDayStreak } = await import('/js/services/achievements.js');
+        const { getDateDaysAgo, getLocalDateString } = await import('/js/utils/date.js');
+
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(5), score: 0, earned: 0, decay: 10 });
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(4), score: 10, earned: 20, decay: 10 });
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(3), score: 20, earned: 20, decay: 10 });
+        await ScoreModel.applyDailyDecay([
+          { date: getDateDaysAgo(2), decay: 0, paused: true },
+          { date: getDateDaysAgo(1), decay: 0, paused: true },
+          { date: getLocalDateString(), decay: 0, paused: true }
+        ]);
+        const whilePaused = await getSuccessfulDayStreak();
+        await ScoreModel.recordHistory({ score: 30, earned: 20, decay: 10 });
+
+        return { whilePaused, afterReturn: await getSuccessfulDayStreak() };
+      });
+
+      expect(result.whilePaused).toBe(2);
+      expect(result.afterReturn).toBe(3);
+    });
+
     test('unlocks streak achievements', async ({ page }) => {
       const result = await page.evaluate(async () => {
         const { ScoreModel } = await import('/js/models/score.js');
@@ -148,6 +235,64 @@ test.describe('Achievements Service', () => {
     });
   });
 
+  test.describe('Streak Freezes', () => {
+    test('earns a token every 7 successful days and uses it on a missed day', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const { ScoreModel } = await import('/js/models/score.js');
+        const { updateStreakFreezes, getStreakFreezeStatus, getSuccessfulDayStreak } = await import(
+          '/js/services/achievements.js'
+        );
+        const { getDateDaysAgo, getLocalDateString } = await import('/js/utils/date.js');
+
+        for (let i = 8; i >= 2; i--) {
+          await ScoreModel.recordHistory({ date: getDateDaysAgo(i), score: 0, earned: 10, decay: 10 });
+        }
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(1), score: 0, earned: 0, decay: 10 });
+        await ScoreModel.recordHistory({ score: 10, earned: 10, decay: 10 });
+
+        const update = await updateStreakFreezes(getDateDaysAgo(2), getLocalDateString());
+
+        return {
+          earnedStreak: update.earned.streak,
+          frozenDates: update.frozenDates,
+          status: await getStreakFreezeStatus(),
+          missedDay: await ScoreModel.getHistoryByDate(getDateDaysAgo(1)),
+          streak: await getSuccessfulDayStreak(),
+          yesterday: getDateDaysAgo(1)
+        };
+      });
+
+      expect(result.earnedStreak).toBe(7);
+      expect(result.frozenDates).toEqual([result.yesterday]);
+      expect(result.status.available).toBe(0);
+      expect(result.status.used[0].usedOn).toBe(result.yesterday);
+      expect(result.missedDay).toMatchObject({ decay: 10, frozen: true });
+      expect(result.streak).toBe(8);
+    });
+
+    test('keeps tokens when they cannot cover every missed day', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const { ScoreModel } = await import('/js/models/score.js');
+        const { StreakFreezeModel } = await import('/js/models/streak-freeze.js');
+        const { updateStreakFreezes, getStreakFreezeStatus } = await import(
+          '/js/services/achievements.js'
+        );
+        const { getDateDaysAgo, getLocalDateString } = await import('/js/utils/date.js');
+
+        await StreakFreezeModel.create({ earnedOn: getDateDaysAgo(10), streak: 7 });
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(3), score: 10, earned: 10, decay: 0 });
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(2), score: 0, earned: 0, decay: 10 });
+        await ScoreModel.recordHistory({ date: getDateDaysAgo(1), score: -10, earned: 0, decay: 10 });
+
+        const update = await updateStreakFreezes(getDateDaysAgo(3), getLocalDateString());
+        return { update, status: await getStreakFreezeStatus() };
+      });
+
+      expect(result.update).toEqual({ earned: null, frozenDates: [] });
+      expect(result.status.available).toBe(1);
+    });
+  });
+
   test.describe('Perfect Week Achievement', () => {
     test('calculates perfect day streak', async ({ page }) => {
       const result = await page.evaluate(async () => {
@@ -180,6 +325,92 @@ test.describe('Achievements Service', () => {
       expect(result).toBe(3);
     });
 
+    test('ignores bad habits when calculating perfect day streak', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const { ActivityModel } = await import('/js/models/activity.js');
+        const { CompletionModel } = await import('/js/models/completion.js');
+        const { getPerfectDayStreak } = await import('/js/services/achievements.js');
+        const { getLocalDateString } = await import('/js/utils/date.js');
+
+        const activity = await ActivityModel.create({ name: 'Read', points: 10 });
+        const badHabit = await ActivityModel.create({ name: 'Doomscroll', points: -10 });
+
+        const today = getLocalDateString();
+        const yesterday = getLocalDateString(new Date(Date.now() - 86400000));
+
+        await CompletionModel.create({ activityId: activity.id, date: yesterday });
+        await CompletionModel.create({ activityId: activity.id, date: today });
+        await CompletionModel.create({ activityId: badHabit.id, date: today });
+
+        return await getPerfectDayStreak();
+      });
+
+      expect(result).toBe(2);
+    });
+
+    test('only requires scheduled activities for a perfect day', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const { ActivityModel } = await import('/js/models/activity.js');
+        const { CompletionModel } = await import('/js/models/completion.js');
+        const { getPerfectDayStreak } = await import('/js/services/achievements.js');
+        const { getLocalDateString, getDateDaysAgo, parseLocalDate } = await import(
+          '/js/utils/date.js'
+        );
+
+        const today = getLocalDateString();
+        const twoDaysAgo = getDateDaysAgo(2);
+        const weekdayOf = (date) => parseLocalDate(date).getDay();
+
+        // Scheduled today and two days ago; nothing is scheduled yesterday
+        const activity = await ActivityModel.create({
+          name: 'Gym',
+          points: 20,
+          schedule: { type: 'weekdays', days: [weekdayOf(today), weekdayOf(twoDaysAgo)] }
+        });
+        // Done once in each of these days' weeks, so never required
+        const run = await ActivityModel.create({
+          name: 'Run',
+          points: 10,
+          schedule: { type: 'weekly', timesPerWeek: 1 }
+        });
+
+        await CompletionModel.create({ activityId: activity.id, date: twoDaysAgo });
+        await CompletionModel.create({ activityId: activity.id, date: today });
+        await CompletionModel.create({ activityId: run.id, date: twoDaysAgo });
+        await CompletionModel.create({ activityId: run.id, date: today });
+
+        return await getPerfectDayStreak();
+      });
+
+      // Today and two days ago count; the unscheduled days in between are skipped
+      expect(result).toBe(2);
+    });
+
+    test('requires weekly quotas that the rest of the week is needed for', async ({ page }) => {
+      const result = await page.evaluate(async () => {
+        const { ActivityModel } = await import('/js/models/activity.js');
+        const { CompletionModel } = await import('/js/models/completion.js');
+        const { getPerfectDayStreak } = await import('/js/services/achievements.js');
+        const { getLocalDateString, getDateDaysAgo } = await import('/js/utils/date.js');
+
+        const read = await ActivityModel.create({ name: 'Read', points: 10 });
+        // Every day of the week is needed, so a day without it is not perfect
+        const stretch = await ActivityModel.create({
+          name: 'Stretch',
+          points: 5,
+          schedule: { type: 'weekly', timesPerWeek: 7 }
+        });
+
+        await CompletionModel.create({ activityId: read.id, date: getDateDaysAgo(1) });
+        await CompletionModel.create({ activityId: read.id, date: getLocalDateString() });
+        await CompletionModel.create({ activityId: stretch.id, date: getLocalDateString() });
+
+        return await getPerfectDayStreak();
+      });
+
+      expect(result).toBe(1);
+    });
+
     test('returns 0 for perfect streak when no activities exist', async ({ page }) => {
       const result = await page.evaluate(async () => {
         const { getPerfectDayStreak } = await import('/js/services/achievements.js');
@@ -38,7 +38,7 @@ test.describe('Activity Model', () => {
     expect(result.archived).toBe(false);
   });
 
-  test('should require name and positive points', async ({ page }) => {
+  test('should require name and non-zero points', async ({ page }) => {
     const result = await page.evaluate(async () => {
       const { db } = await import('/js/storage/db.js');
       const { ActivityModel } = await import('/js/models/activity.js');
@@ -59,9 +59,9 @@ test.describe('Activity Model', () => {
       }
 
       try {
-        await ActivityModel.create({ name: 'Test', points: -5 });
+        await ActivityModel.create({ name: 'Test', points: 0.5 });
       } catch (e) {
-        errors.push('negative points: ' + e.message);
+        errors.push('fractional zero points: ' + e.message);
       }
 
       return errors;
@@ -69,8 +69,41 @@ test.describe('Activity Model', () => {
 
     expect(result.length).toBe(3);
     expect(result[0]).toContain('name is required');
-    expect(result[1]).toContain('positive number');
-    expect(result[2]).toContain('positive number');
+    expect(result[1]).toContain('non-zero number');
+    expect(result[2]).toContain('non-zero number');
+  });
+
+  test('should create bad habit activities with negative points', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      await db.init();
+
+      const badHabit = await ActivityModel.create({ name: 'Doomscrolled', points: -15 });
+      const goodHabit = await ActivityModel.create({ name: 'Walk', points: 10 });
+      const updated = await ActivityModel.update(goodHabit.id, { points: -3 });
+
+      let zeroError = null;
+      try {
+        await ActivityModel.update(badHabit.id, { points: 0 });
+      } catch (e) {
+        zeroError = e.message;
+      }
+
+      return {
+        points: badHabit.points,
+        isBadHabit: ActivityModel.isBadHabit(badHabit),
+        goodIsBadHabit: ActivityModel.isBadHabit(goodHabit),
+        updatedPoints: updated.points,
+        zeroError,
+      };
+    });
+
+    expect(result.points).toBe(-15);
+    expect(result.isBadHabit).toBe(true);
+    expect(result.goodIsBadHabit).toBe(false);
+    expect(result.updatedPoints).toBe(-3);
+    expect(result.zeroError).toContain('non-zero number');
   });
 
   test('should get activities excluding archived', async ({ page }) => {
@@ -369,4 +402,185 @@ test.describe('Activity Model', () => {
     expect(result).toBe(10); // Only active activity points
   });
 
+  test('should create counter activities with an optional daily maximum', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      await db.init();
+
+      const water = await ActivityModel.create({
+        name: 'Glass of water',
+        points: 2,
+        type: 'counter',
+        dailyMax: 8
+      });
+      const pages = await ActivityModel.create({ name: 'Pages read', points: 1, type: 'counter' });
+      const check = await ActivityModel.create({ name: 'Walk', points: 5, dailyMax: 3 });
+
+      const errors = [];
+      try {
+        await ActivityModel.create({ name: 'Bad', points: 1, type: 'timer' });
+      } catch (e) {
+        errors.push(e.message);
+      }
+      try {
+        await ActivityModel.create({ name: 'Bad', points: 1, type: 'counter', dailyMax: 0 });
+      } catch (e) {
+        errors.push(e.message);
+      }
+
+      return {
+        water,
+        pages,
+        check,
+        isCounter: ActivityModel.isCounter(water),
+        totalPossible: await ActivityModel.getTotalPossiblePoints(),
+        errors
+      };
+    });
+
+    expect(result.water.type).toBe('counter');
+    expect(result.water.dailyMax).toBe(8);
+    expect(result.pages.dailyMax).toBeNull();
+    expect(result.check.type).toBe('check');
+    expect(result.check.dailyMax).toBeNull();
+    expect(result.isCounter).toBe(true);
+    // 2 × 8 for water, 1 unit for uncapped pages, 5 for the walk
+    expect(result.totalPossible).toBe(22);
+    expect(result.errors[0]).toContain('Invalid activity type');
+    expect(result.errors[1]).toContain('Daily maximum');
+  });
+
+  test('should store recurring schedules and default to daily', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      await db.init();
+
+      const daily = await ActivityModel.create({ name: 'Read', points: 5 });
+      const gym = await ActivityModel.create({
+        name: 'Gym',
+        points: 20,
+        schedule: { type: 'weekdays', days: [5, 1, 3] }
+      });
+
+      let invalidError = null;
+      try {
+        await ActivityModel.update(gym.id, { schedule: { type: 'weekly', timesPerWeek: 0 } });
+      } catch (e) {
+        invalidError = e.message;
+      }
+
+      const renamed = await ActivityModel.update(gym.id, { name: 'Gym session' });
+
+      return {
+        dailySchedule: daily.schedule,
+        gymSchedule: gym.schedule,
+        keptSchedule: renamed.schedule,
+        invalidError
+      };
+    });
+
+    expect(result.dailySchedule).toEqual({ type: 'daily' });
+    expect(result.gymSchedule).toEqual({ type: 'weekdays', days: [1, 3, 5] });
+    expect(result.keptSchedule).toEqual({ type: 'weekdays', days: [1, 3, 5] });
+    expect(result.invalidError).toContain('Invalid activity schedule');
+  });
+
+  test('should only return activities due on a date', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      await db.init();
+
+      await ActivityModel.create({ name: 'Read', points: 5 });
+      await ActivityModel.create({
+        name: 'Gym',
+        points: 20,
+        schedule: { type: 'weekdays', days: [1, 3, 5] }
+      });
+      await ActivityModel.create({
+        name: 'Water plants',
+        points: 2,
+        schedule: { type: 'interval', every: 3, startDate: '2024-01-15' }
+      });
+      const run = await ActivityModel.create({
+        name: 'Run',
+        points: 10,
+        schedule: { type: 'weekly', timesPerWeek: 2 }
+      });
+
+      // Run twice early in the week of Monday 2024-01-15
+      await CompletionModel.create({ activityId: run.id, date: '2024-01-15' });
+      await CompletionModel.create({ activityId: run.id, date: '2024-01-16' });
+
+      const names = async (date) => (await ActivityModel.getDueOn(date)).map((a) => a.name);
+      return {
+        monday: await names('2024-01-15'),
+        tuesday: await names('2024-01-16'),
+        wednesday: await names('2024-01-17'),
+        thursday: await names('2024-01-18'),
+        nextMonday: await names('2024-01-22'),
+        wednesdayPossible: await ActivityModel.getTotalPossiblePoints('2024-01-17')
+      };
+    });
+
+    expect(result.monday).toEqual(['Read', 'Gym', 'Water plants', 'Run']);
+    expect(result.tuesday).toEqual(['Read', 'Run']);
+    expect(result.wednesday).toEqual(['Read', 'Gym']);
+    expect(result.thursday).toEqual(['Read', 'Water plants']);
+    expect(result.nextMonday).toEqual(['Read', 'Gym', 'Run']);
+    // Read 5 + Gym 20 + Run 10 (weekly quotas can be done on any day)
+    expect(result.wednesdayPossible).toBe(35);
+  });
+
+  test('should require weekly quotas once the rest of the week is needed', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      await db.init();
+
+      await ActivityModel.create({ name: 'Read', points: 5 });
+      const run = await ActivityModel.create({
+        name: 'Run',
+        points: 10,
+        schedule: { type: 'weekly', timesPerWeek: 2 }
+      });
+
+      // Run once on Tuesday in the week of Monday 2024-01-15
+      await CompletionModel.create({ activityId: run.id, date: '2024-01-16' });
+
+      const names = async (date) => (await ActivityModel.getRequiredOn(date)).map((a) => a.name);
+      return {
+        saturday: await names('2024-01-20'),
+        sunday: await names('2024-01-21'),
+        nextSunday: await names('2024-01-28')
+      };
+    });
+
+    // One more day is needed, so only the last day of the week requires it,
+    // as it does in a week without any runs yet
+    expect(result.saturday).toEqual(['Read']);
+    expect(result.sunday).toEqual(['Read', 'Run']);
+    expect(result.nextSunday).toEqual(['Read', 'Run']);
+  });
+
+  test('should exclude bad habits from getTotalPossiblePoints', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      await db.init();
+
+      await ActivityModel.create({ name: 'A1', points: 10 });
+      await ActivityModel.create({ name: 'A2', points: 15 });
+      await ActivityModel.create({ name: 'Bad', points: -20 });
+
+      return await ActivityModel.getTotalPossiblePoints();
+    });
+
+    expect(result).toBe(25);
+  });
+
 });
@@ -0,0 +1,141 @@
+import { test, expect } from '@playwright/test';
+
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(() => {
+    window.__TEST_MODE__ = true;
+  });
+});
+
+test.describe('Backup Service', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      await db.init();
+      await db.reset();
+    });
+  });
+
+  test('takes one daily snapshot, and only once there is data', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { createDailyBackup, getBackups } = await import('/js/services/backup.js');
+
+      const beforeData = await createDailyBackup();
+      await ActivityModel.create({ name: 'Walk', points: 10 });
+      await ScoreModel.setScore(42);
+      const first = await createDailyBackup();
+      const second = await createDailyBackup();
+
+      return {
+        beforeData,
+        first: { reason: first.reason, counts: first.counts, mainScore: first.mainScore },
+        second,
+        total: (await getBackups()).length
+      };
+    });
+
+    expect(result.beforeData).toBeNull();
+    expect(result.first.reason).toBe('daily');
+    expect(result.first.counts.activities).toBe(1);
+    expect(result.first.mainScore).toBe(42);
+    expect(result.second).toBeNull();
+    expect(result.total).toBe(1);
+  });
+
+  test('snapshots before a reset and restores the data from it', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { resetAllData } = await import('/js/services/export.js');
+      const { getBackups, restoreBackup } = await import('/js/services/backup.js');
+
+      await ActivityModel.create({ name: 'Walk', points: 10 });
+      await ScoreModel.setScore(42);
+      await resetAllData();
+      const afterReset = {
+        activities: (await ActivityModel.getAll()).length,
+        reasons: (await getBackups()).map((backup) => backup.reason)
+      };
+
+      const restored = await restoreBackup((await getBackups())[0].id);
+      return {
+        afterReset,
+        restored: restored.success,
+        activities: (await ActivityModel.getAll()).map((activity) => activity.name),
+        mainScore: await ScoreModel.getScore(),
+        reasons: (await getBackups()).map((backup) => backup.reason)
+      };
+    });
+
+    expect(result.afterReset).toEqual({ activities: 0, reasons: ['reset'] });
+    expect(result.restored).toBe(true);
+    expect(result.activities).toEqual(['Walk']);
+    expect(result.mainScore).toBe(42);
+    expect(result.reasons).toEqual(['restore', 'reset']);
+  });
+
+  test('snapshots before every import and keeps only the newest', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { exportToJSON, importFromJSON } = await import('/js/services/export.js');
+      const { getBackups } = await import('/js/services/backup.js');
+      const { MAX_BACKUPS } = await import('/js/models/backup.js');
+
+      await ActivityModel.create({ name: 'Walk', points: 10 });
+      const data = await exportToJSON();
+      for (let i = 0; i < MAX_BACKUPS + 2; i++) {
+        await importFromJSON(data, { merge: true });
+      }
+
+      const backups = await getBackups();
+      return {
+        maxBackups: MAX_BACKUPS,
+        total: backups.length,
+        reasons: [...new Set(backups.map((backup) => backup.reason))],
+        newestFirst: backups.every(
+          (backup, i) => i === 0 || backups[i - 1].createdAt >= backup.createdAt
+        )
+      };
+    });
+
+    expect(result.total).toBe(result.maxBackups);
+    expect(result.reasons).toEqual(['import']);
+    expect(result.newestFirst).toBe(true);
+  });
+
+  test('imports nothing when the snapshot cannot be saved', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { exportToJSON, importFromJSON } = await import('/js/services/export.js');
+
+      await ActivityModel.create({ name: 'Walk', points: 10 });
+      const data = await exportToJSON();
+      data.data.activities = [];
+
+      const originalPut = db.put;
+      db.put = async function (storeName, value) {
+        if (storeName === 'backups') {
+          throw new Error('disk full');
+        }
+        return originalPut.call(this, storeName, value);
+      };
+      const imported = await importFromJSON(data, { merge: false });
+      db.put = originalPut;
+
+      return {
+        success: imported.success,
+        backupFailed: imported.backupFailed,
+        errors: imported.errors,
+        activities: (await ActivityModel.getAll()).length
+      };
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.backupFailed).toBe(true);
+    expect(result.errors[0]).toContain('disk full');
+    expect(result.activities).toBe(1);
+  });
+});
@@ -398,4 +398,131 @@ test.describe('Completion Model', () => {
     expect(result.beforeCount).toBe(2);
     expect(result.afterCount).toBe(0);
   });
+
+  test('should only require scheduled activities in allCompleted', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      await db.init();
+
+      const read = { id: 'read', schedule: { type: 'daily' } };
+      // Monday, Wednesday, Friday
+      const gym = { id: 'gym', schedule: { type: 'weekdays', days: [1, 3, 5] } };
+
+      await CompletionModel.create({ activityId: 'read', date: '2024-01-16' });
+      await CompletionModel.create({ activityId: 'read', date: '2024-01-17' });
+
+      return {
+        tuesday: await CompletionModel.allCompleted('2024-01-16', [read, gym]),
+        wednesday: await CompletionModel.allCompleted('2024-01-17', [read, gym]),
+        nothingScheduled: await CompletionModel.allCompleted('2024-01-16', [gym])
+      };
+    });
+
+    expect(result.tuesday).toBe(true);
+    expect(result.wednesday).toBe(false);
+    expect(result.nothingScheduled).toBe(false);
+  });
+
+  test('should snapshot awarded points, name and category', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { CategoryModel } = await import('/js/models/category.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      await db.init();
+
+      const category = await CategoryModel.create({ name: 'Hydration' });
+      const activity = await ActivityModel.create({
+        name: 'Glass of water',
+        points: 2,
+        type: 'counter',
+        categoryId: category.id
+      });
+
+      const snapshot = await ActivityModel.getCompletionSnapshot(activity);
+      await CompletionModel.setCount(activity.id, '2024-01-15', 1, snapshot);
+
+      // Editing the activity must not change what was already awarded
+      const edited = await ActivityModel.update(activity.id, { name: 'Water', points: 5 });
+      const editedSnapshot = await ActivityModel.getCompletionSnapshot(edited);
+      const completion = await CompletionModel.setCount(
+        activity.id,
+        '2024-01-15',
+        3,
+        editedSnapshot
+      );
+
+      return {
+        completion,
+        awarded: CompletionModel.getAwardedPoints(completion),
+        legacyAwarded: CompletionModel.getAwardedPoints({ count: 2 }, 4)
+      };
+    });
+
+    expect(result.completion.points).toBe(2);
+    expect(result.completion.activityName).toBe('Glass of water');
+    expect(result.completion.categoryName).toBe('Hydration');
+    expect(result.completion.count).toBe(3);
+    expect(result.awarded).toBe(6);
+    expect(result.legacyAwarded).toBe(8);
+  });
+
+  test('should default completion count to 1', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      await db.init();
+
+      const single = await CompletionModel.create({ activityId: 'act-1', date: '2024-01-15' });
+      const multiple = await CompletionModel.create({
+        activityId: 'act-2',
+        date: '2024-01-15',
+        count: 4
+      });
+
+      let invalidError = null;
+      try {
+        await CompletionModel.create({ activityId: 'act-3', date: '2024-01-15', count: 0 });
+      } catch (e) {
+        invalidError = e.message;
+      }
+
+      return { single: single.count, multiple: multiple.count, invalidError };
+    });
+
+    expect(result.single).toBe(1);
+    expect(result.multiple).toBe(4);
+    expect(result.invalidError).toContain('whole number');
+  });
+
+  test('should set counter counts and remove at zero', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      await db.init();
+
+      const created = await CompletionModel.setCount('water', '2024-01-15', 1);
+      const increased = await CompletionModel.setCount('water', '2024-01-15', 3);
+      const records = await CompletionModel.getByDate('2024-01-15');
+      const removed = await CompletionModel.setCount('water', '2024-01-15', 0);
+      const afterRemove = await CompletionModel.getByDate('2024-01-15');
+
+      return {
+        createdCount: created.count,
+        increasedCount: increased.count,
+        sameRecord: created.id === increased.id,
+        recordCount: records.length,
+        removed,
+        afterRemoveCount: afterRemove.length
+      };
+    });
+
+    expect(result.createdCount).toBe(1);
+    expect(result.increasedCount).toBe(3);
+    expect(result.sameRecord).toBe(true);
+    expect(result.recordCount).toBe(1);
+    expect(result.removed).toBeNull();
+    expect(result.afterRemoveCount).toBe(0);
+  });
 });
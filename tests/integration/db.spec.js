@@ -31,6 +31,11 @@ test.describe('IndexedDB Storage', () => {
     expect(stores).toContain('completions');
     expect(stores).toContain('scoreHistory');
     expect(stores).toContain('achievements');
+    expect(stores).toContain('scoreAdjustments');
+    expect(stores).toContain('pauses');
+    expect(stores).toContain('excusedDays');
+    expect(stores).toContain('streakFreezes');
+    expect(stores).toContain('backups');
   });
 
   test('should put and get a record', async ({ page }) => {
@@ -168,6 +173,76 @@ test.describe('IndexedDB Storage', () => {
     expect(result).toBe(3);
   });
 
+  test('should query key ranges forwards, backwards and with a limit', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      await db.putMany('scoreHistory', [
+        { date: '2024-01-01', score: 1, earned: 1, decay: 0 },
+        { date: '2024-01-02', score: 2, earned: 1, decay: 0 },
+        { date: '2024-01-03', score: 3, earned: 1, decay: 0 },
+        { date: '2024-01-04', score: 4, earned: 1, decay: 0 }
+      ]);
+      await db.putMany('completions', [
+        { id: 'c1', activityId: 'a', date: '2024-01-01' },
+        { id: 'c2', activityId: 'b', date: '2024-01-03' },
+        { id: 'c3', activityId: 'a', date: '2024-01-03' }
+      ]);
+
+      const visited = [];
+      await db.iterate('scoreHistory', { upper: '2024-01-03', reverse: true }, (record) => {
+        visited.push(record.date);
+        return record.date > '2024-01-02';
+      });
+
+      const dates = (records) => records.map((r) => r.date);
+      return {
+        bounded: dates(await db.getRange('scoreHistory', { lower: '2024-01-02', upper: '2024-01-03' })),
+        lowerOnly: dates(await db.getRange('scoreHistory', { lower: '2024-01-03' })),
+        latestTwo: dates(await db.getRange('scoreHistory', { reverse: true, limit: 2 })),
+        firstOne: dates(await db.getRange('scoreHistory', { limit: 1 })),
+        empty: await db.getRange('scoreHistory', { lower: '2024-01-04', upper: '2024-01-01' }),
+        byIndex: (
+          await db.getRange('completions', { index: 'date', lower: '2024-01-02', upper: '2024-01-03' })
+        ).map((c) => c.id),
+        countByIndex: await db.countRange('completions', { index: 'date', upper: '2024-01-02' }),
+        countAll: await db.countRange('scoreHistory'),
+        visited
+      };
+    });
+
+    expect(result.bounded).toEqual(['2024-01-02', '2024-01-03']);
+    expect(result.lowerOnly).toEqual(['2024-01-03', '2024-01-04']);
+    expect(result.latestTwo).toEqual(['2024-01-04', '2024-01-03']);
+    expect(result.firstOne).toEqual(['2024-01-01']);
+    expect(result.empty).toEqual([]);
+    expect(result.byIndex.sort()).toEqual(['c2', 'c3']);
+    expect(result.countByIndex).toBe(1);
+    expect(result.countAll).toBe(4);
+    expect(result.visited).toEqual(['2024-01-03', '2024-01-02']);
+  });
+
+  test('should abort a custom transaction when its callback fails', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db, requestResult } = await import('/js/storage/db.js');
+
+      let error = null;
+      try {
+        await db.transaction(['settings', 'scoreHistory'], 'readwrite', async (_tx, stores) => {
+          stores.settings.put({ key: 'mainScore', value: 99 });
+          await requestResult(stores.scoreHistory.getAll());
+          throw new Error('Stop here');
+        });
+      } catch (e) {
+        error = e.message;
+      }
+
+      return { error, mainScore: await db.get('settings', 'mainScore') };
+    });
+
+    expect(result.error).toBe('Stop here');
+    expect(result.mainScore).toBeUndefined();
+  });
+
   test('should generate unique IDs', async ({ page }) => {
     const ids = await page.evaluate(async () => {
       const { generateId } = await import('/js/storage/db.js');
@@ -213,3 +288,114 @@ test.describe('IndexedDB Storage', () => {
     expect(result.notFound).toBe(false);
   });
 });
+
+test.describe('Database Migrations', () => {
+  test('should backfill completion counts when upgrading from v2', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      await db.deleteDatabase();
+
+      // Build a v2 database by hand with a completion from before counters existed
+      await new Promise((resolve, reject) => {
+        const request = indexedDB.open('yourscore', 2);
+        request.onupgradeneeded = () => {
+          const legacy = request.result;
+          const activities = legacy.createObjectStore('activities', { keyPath: 'id' });
+          activities.createIndex('categoryId', 'categoryId', { unique: false });
+          activities.createIndex('order', 'order', { unique: false });
+          const completions = legacy.createObjectStore('completions', { keyPath: 'id' });
+          completions.createIndex('activityId', 'activityId', { unique: false });
+          completions.createIndex('date', 'date', { unique: false });
+          completions.createIndex('activityDate', ['activityId', 'date'], { unique: true });
+          completions.put({
+            id: 'legacy-completion',
+            activityId: 'act-1',
+            date: '2024-01-15',
+            completedAt: '2024-01-15T08:00:00.000Z'
+          });
+        };
+        request.onsuccess = () => {
+          request.result.close();
+          resolve();
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      await db.init();
+      return db.get('completions', 'legacy-completion');
+    });
+
+    expect(result.count).toBe(1);
+    expect(result.activityId).toBe('act-1');
+  });
+
+  test('should backfill completion snapshots when upgrading from v3', async ({ page }) => {
+    await page.goto('/');
+
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      await db.deleteDatabase();
+
+      await new Promise((resolve, reject) => {
+        const request = indexedDB.open('yourscore', 3);
+        request.onupgradeneeded = () => {
+          const legacy = request.result;
+          const categories = legacy.createObjectStore('categories', { keyPath: 'id' });
+          categories.createIndex('order', 'order', { unique: false });
+          const activities = legacy.createObjectStore('activities', { keyPath: 'id' });
+          activities.createIndex('categoryId', 'categoryId', { unique: false });
+          activities.createIndex('order', 'order', { unique: false });
+          const completions = legacy.createObjectStore('completions', { keyPath: 'id' });
+          completions.createIndex('activityId', 'activityId', { unique: false });
+          completions.createIndex('date', 'date', { unique: false });
+          completions.createIndex('activityDate', ['activityId', 'date'], { unique: true });
+
+          categories.put({ id: 'cat-1', name: 'Health', order: 0, createdAt: '2024-01-01' });
+          activities.put({
+            id: 'act-1',
+            name: 'Run',
+            points: 7,
+            categoryId: 'cat-1',
+            order: 0,
+            archived: false,
+            createdAt: '2024-01-01'
+          });
+          completions.put({
+            id: 'known',
+            activityId: 'act-1',
+            date: '2024-01-15',
+            count: 2,
+            completedAt: '2024-01-15T08:00:00.000Z'
+          });
+          completions.put({
+            id: 'orphan',
+            activityId: 'deleted-activity',
+            date: '2024-01-15',
+            count: 1,
+            completedAt: '2024-01-15T08:00:00.000Z'
+          });
+        };
+        request.onsuccess = () => {
+          request.result.close();
+          resolve();
+        };
+        request.onerror = () => reject(request.error);
+      });
+
+      await db.init();
+      return {
+        known: await db.get('completions', 'known'),
+        orphan: await db.get('completions', 'orphan')
+      };
+    });
+
+    expect(result.known.points).toBe(7);
+    expect(result.known.activityName).toBe('Run');
+    expect(result.known.categoryId).toBe('cat-1');
+    expect(result.known.categoryName).toBe('Health');
+    expect(result.known.count).toBe(2);
+    expect(result.orphan.points).toBeUndefined();
+  });
+});
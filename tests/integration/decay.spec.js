@@ -114,6 +114,73 @@ test.describe('Decay Service', () => {
     expect(result.newScore).toBe(90);
   });
 
+  test('should not start a new day before the day-start hour', async ({ page }) => {
+    await page.clock.setFixedTime(new Date(2024, 5, 15, 2, 30));
+
+    const beforeStart = await page.evaluate(async () => {
+      const { DecayService } = await import('/js/services/decay.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { getLocalDateString } = await import('/js/utils/date.js');
+
+      await SettingsModel.setMany({
+        firstUseDate: '2024-06-01',
+        lastActiveDate: '2024-06-14',
+        decayAmount: 10,
+        dayStartHour: 4
+      });
+      await ScoreModel.setScore(100);
+
+      const decayResult = await DecayService.checkAndApplyDecay();
+      return { decayResult, today: getLocalDateString(), score: await ScoreModel.getScore() };
+    });
+
+    expect(beforeStart.decayResult.applied).toBe(false);
+    expect(beforeStart.today).toBe('2024-06-14');
+    expect(beforeStart.score).toBe(100);
+
+    await page.clock.setFixedTime(new Date(2024, 5, 15, 4, 30));
+
+    const afterStart = await page.evaluate(async () => {
+      const { DecayService } = await import('/js/services/decay.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+
+      const decayResult = await DecayService.checkAndApplyDecay();
+      return {
+        decayResult,
+        score: await ScoreModel.getScore(),
+        lastActiveDate: await SettingsModel.getLastActiveDate()
+      };
+    });
+
+    expect(afterStart.decayResult.applied).toBe(true);
+    expect(afterStart.decayResult.daysAway).toBe(1);
+    expect(afterStart.score).toBe(90);
+    expect(afterStart.lastActiveDate).toBe('2024-06-15');
+  });
+
+  test('should keep the last active date when the day start moves later', async ({ page }) => {
+    await page.clock.setFixedTime(new Date(2024, 5, 15, 2, 30));
+
+    const result = await page.evaluate(async () => {
+      const { DecayService } = await import('/js/services/decay.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+
+      await SettingsModel.setMany({
+        firstUseDate: '2024-06-01',
+        lastActiveDate: '2024-06-15',
+        dayStartHour: 4
+      });
+
+      const decayResult = await DecayService.checkAndApplyDecay();
+      return { decayResult, lastActiveDate: await SettingsModel.getLastActiveDate() };
+    });
+
+    expect(result.decayResult.applied).toBe(false);
+    expect(result.lastActiveDate).toBe('2024-06-15');
+  });
+
   test('should apply accumulated decay for multiple days away', async ({ page }) => {
     const result = await page.evaluate(async () => {
       const { db } = await import('/js/storage/db.js');
@@ -243,7 +310,7 @@ test.describe('Decay Service', () => {
     expect(result.lastActiveDate).toBe(result.today);
   });
 
-  test('should record decay in today history', async ({ page }) => {
+  test('should record decay for each missed day in history', async ({ page }) => {
     const result = await page.evaluate(async () => {
       const { db } = await import('/js/storage/db.js');
       const { DecayService } = await import('/js/services/decay.js');
@@ -263,13 +330,89 @@ test.describe('Decay Service', () => {
 
       await DecayService.checkAndApplyDecay();
 
-      const todayHistory = await ScoreModel.getTodayHistory();
+      return {
+        yesterday: await ScoreModel.getHistoryByDate(getDateDaysAgo(1)),
+        today: await ScoreModel.getTodayHistory(),
+        history: await ScoreModel.getAllHistory()
+      };
+    });
 
-      return todayHistory;
+    expect(result.history).toHaveLength(2);
+    expect(result.yesterday).toMatchObject({ score: 85, earned: 0, decay: 15 });
+    expect(result.today).toMatchObject({ score: 70, earned: 0, decay: 15 });
+  });
+
+  test('should escalate decay over an absence and record the rule', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { DecayService } = await import('/js/services/decay.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+      await db.init();
+
+      await SettingsModel.setMany({
+        firstUseDate: '2024-01-01',
+        lastActiveDate: getDateDaysAgo(3),
+        decayAmount: 10,
+        decayStrategy: { type: 'escalating', step: 5 }
+      });
+      await ScoreModel.setScore(100);
+
+      const decayResult = await DecayService.checkAndApplyDecay();
+
+      return {
+        decayResult,
+        history: await ScoreModel.getAllHistory(),
+        description: DecayService.describeDecayRule((await ScoreModel.getTodayHistory()).decayRule)
+      };
+    });
+
+    expect(result.decayResult.decay).toBe(45);
+    expect(result.history.map((h) => h.decay)).toEqual([10, 15, 20]);
+    expect(result.history[2].decayRule).toEqual({
+      type: 'escalating',
+      step: 5,
+      amount: 10,
+      failedDays: 2
+    });
+    expect(result.description).toContain('5');
+  });
+
+  test('should cap decay per absence and stop at the floor', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { DecayService } = await import('/js/services/decay.js');
+
+      return {
+        capped: DecayService.simulateDecay(100, 10, 5, { type: 'capped', maxPerAbsence: 25 }),
+        percentage: DecayService.simulateDecay(100, 10, 2, { type: 'percentage', percent: 10 }),
+        floored: DecayService.simulateDecay(30, 10, 5, { type: 'flat', floor: 0 })
+      };
+    });
+
+    expect(result.capped.dailyDecay).toEqual([10, 10, 5, 0, 0]);
+    expect(result.capped.finalScore).toBe(75);
+    expect(result.percentage.dailyDecay).toEqual([10, 9]);
+    expect(result.floored.dailyDecay).toEqual([10, 10, 10, 0, 0]);
+    expect(result.floored.finalScore).toBe(0);
+  });
+
+  test('should reject invalid decay strategies', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { DecayService } = await import('/js/services/decay.js');
+      await db.init();
+
+      try {
+        await DecayService.setDecayStrategy({ type: 'percentage', percent: 150 });
+        return { error: null };
+      } catch (e) {
+        return { error: e.message, strategy: await DecayService.getDecayStrategy() };
+      }
     });
 
-    expect(result.decay).toBe(30);
-    expect(result.score).toBe(70);
+    expect(result.error).toContain('Invalid decay strategy');
+    expect(result.strategy).toEqual({ type: 'flat' });
   });
 
   test('should get and set decay amount', async ({ page }) => {
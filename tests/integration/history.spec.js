@@ -0,0 +1,316 @@
+import { test, expect } from '@playwright/test';
+
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(() => {
+    window.__TEST_MODE__ = true;
+  });
+});
+
+test.describe('History Service', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+      await db.init();
+      await db.reset();
+      await SettingsModel.initializeIfNeeded();
+      await SettingsModel.setFirstUseDate(getDateDaysAgo(5));
+    });
+  });
+
+  test('logs a forgotten completion on a past day', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { setCompletionCount } = await import('/js/services/history.js');
+      const { getDateDaysAgo, getLocalDateString } = await import('/js/utils/date.js');
+
+      const twoDaysAgo = getDateDaysAgo(2);
+      await ScoreModel.setScore(45);
+      await ScoreModel.recordHistory({ date: twoDaysAgo, score: 40, earned: 0, decay: 10 });
+      await ScoreModel.recordHistory({ date: getLocalDateString(), score: 45, earned: 5, decay: 0 });
+
+      const activity = await ActivityModel.create({ name: 'Read', points: 12 });
+      const { completion, pointChange } = await setCompletionCount(activity, twoDaysAgo, 1);
+
+      return {
+        completionDate: completion.date,
+        pointChange,
+        stored: await CompletionModel.isCompleted(activity.id, twoDaysAgo),
+        score: await ScoreModel.getScore(),
+        dayHistory: await ScoreModel.getHistoryByDate(twoDaysAgo),
+        todayHistory: await ScoreModel.getTodayHistory()
+      };
+    });
+
+    expect(result.completionDate).toBe(result.dayHistory.date);
+    expect(result.pointChange).toBe(12);
+    expect(result.stored).toBe(true);
+    expect(result.score).toBe(57);
+    expect(result.dayHistory.earned).toBe(12);
+    expect(result.dayHistory.score).toBe(52);
+    expect(result.todayHistory.earned).toBe(5);
+    expect(result.todayHistory.score).toBe(57);
+  });
+
+  test('removes a past completion using the points it was logged with', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { setCompletionCount } = await import('/js/services/history.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+
+      const yesterday = getDateDaysAgo(1);
+      const activity = await ActivityModel.create({ name: 'Read', points: 12 });
+      await setCompletionCount(activity, yesterday, 1);
+
+      const edited = await ActivityModel.update(activity.id, { points: 50 });
+      const removed = await setCompletionCount(edited, yesterday, 0);
+
+      return {
+        removed,
+        score: await ScoreModel.getScore(),
+        earned: (await ScoreModel.getHistoryByDate(yesterday)).earned
+      };
+    });
+
+    expect(result.removed.completion).toBeNull();
+    expect(result.removed.pointChange).toBe(-12);
+    expect(result.score).toBe(0);
+    expect(result.earned).toBe(0);
+  });
+
+  test('steps overlapping taps from the saved count', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { CompletionModel } = await import('/js/models/completion.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { stepCompletion } = await import('/js/services/history.js');
+      const { getLocalDateString } = await import('/js/utils/date.js');
+
+      const today = getLocalDateString();
+      const walk = await ActivityModel.create({ name: 'Walk', points: 10 });
+      const water = await ActivityModel.create({
+        name: 'Water',
+        points: 2,
+        type: 'counter',
+        dailyMax: 3
+      });
+
+      // A double tap completes and then undoes the check activity
+      await Promise.all([stepCompletion(walk, today), stepCompletion(walk, today)]);
+      await Promise.all([
+        stepCompletion(water, today, 1),
+        stepCompletion(water, today, 1),
+        stepCompletion(water, today, 1),
+        stepCompletion(water, today, 1)
+      ]);
+
+      return {
+        walkCompleted: await CompletionModel.isCompleted(walk.id, today),
+        waterCount: (await CompletionModel.findByActivityAndDate(water.id, today)).count,
+        score: await ScoreModel.getScore(),
+        todayHistory: await ScoreModel.getTodayHistory()
+      };
+    });
+
+    expect(result.walkCompleted).toBe(false);
+    expect(result.waterCount).toBe(3);
+    expect(result.score).toBe(6);
+    expect(result.todayHistory.earned).toBe(6);
+    expect(result.todayHistory.score).toBe(6);
+  });
+
+  for (const failingStore of ['settings', 'scoreHistory']) {
+    test(`saves nothing when writing ${failingStore} fails part way through`, async ({ page }) => {
+      const result = await page.evaluate(async (storeName) => {
+        const { ActivityModel } = await import('/js/models/activity.js');
+        const { CompletionModel } = await import('/js/models/completion.js');
+        const { ScoreModel } = await import('/js/models/score.js');
+        const { stepCompletion } = await import('/js/services/history.js');
+        const { getLocalDateString } = await import('/js/utils/date.js');
+
+        const today = getLocalDateString();
+        await ScoreModel.setScore(20);
+        await ScoreModel.recordHistory({ date: today, score: 20, earned: 0, decay: 0 });
+        const activity = await ActivityModel.create({ name: 'Read', points: 12 });
+
+        // Fail the write after the completion has already been put
+        const originalPut = IDBObjectStore.prototype.put;
+        IDBObjectStore.prototype.put = function (value) {
+          if (this.name === storeName) {
+            throw new Error('Simulated write failure');
+          }
+          return originalPut.call(this, value);
+        };
+
+        let error = null;
+        try {
+          await stepCompletion(activity, today);
+        } catch (e) {
+          error = e.message;
+        } finally {
+          IDBObjectStore.prototype.put = originalPut;
+        }
+
+        return {
+          error,
+          completed: await CompletionModel.isCompleted(activity.id, today),
+          score: await ScoreModel.getScore(),
+          todayHistory: await ScoreModel.getTodayHistory()
+        };
+      }, failingStore);
+
+      expect(result.error).toBe('Simulated write failure');
+      expect(result.completed).toBe(false);
+      expect(result.score).toBe(20);
+      expect(result.todayHistory.earned).toBe(0);
+      expect(result.todayHistory.score).toBe(20);
+    });
+  }
+
+  test('repairs the successful day streak', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { getSuccessfulDayStreak } = await import('/js/services/achievements.js');
+      const { setCompletionCount } = await import('/js/services/history.js');
+      const { getDateDaysAgo, getLocalDateString } = await import('/js/utils/date.js');
+
+      await ScoreModel.recordHistory({ date: getDateDaysAgo(2), score: 10, earned: 10, decay: 10 });
+      await ScoreModel.recordHistory({ date: getDateDaysAgo(1), score: 0, earned: 0, decay: 10 });
+      await ScoreModel.recordHistory({ date: getLocalDateString(), score: 10, earned: 10, decay: 0 });
+
+      const before = await getSuccessfulDayStreak();
+      const activity = await ActivityModel.create({ name: 'Walk', points: 10 });
+      await setCompletionCount(activity, getDateDaysAgo(1), 1);
+
+      return { before, after: await getSuccessfulDayStreak() };
+    });
+
+    expect(result.before).toBe(1);
+    expect(result.after).toBe(3);
+  });
+
+  test('excuses a past day, refunding its decay and keeping streaks', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { excuseDay } = await import('/js/services/history.js');
+      const { getSuccessfulDayStreak } = await import('/js/services/achievements.js');
+      const { getDateDaysAgo, getLocalDateString } = await import('/js/utils/date.js');
+
+      await ScoreModel.setScore(20);
+      await ScoreModel.recordHistory({ date: getDateDaysAgo(2), score: 10, earned: 10, decay: 10 });
+      await ScoreModel.recordHistory({ date: getDateDaysAgo(1), score: 0, earned: 0, decay: 10 });
+      await ScoreModel.recordHistory({ date: getLocalDateString(), score: 20, earned: 20, decay: 0 });
+
+      const before = await getSuccessfulDayStreak();
+      const excused = await excuseDay(getDateDaysAgo(1));
+
+      return {
+        before,
+        after: await getSuccessfulDayStreak(),
+        excused,
+        score: await ScoreModel.getScore(),
+        dayHistory: await ScoreModel.getHistoryByDate(getDateDaysAgo(1)),
+        todayHistory: await ScoreModel.getTodayHistory()
+      };
+    });
+
+    expect(result.before).toBe(1);
+    expect(result.after).toBe(2);
+    expect(result.excused.refunded).toBe(10);
+    expect(result.score).toBe(30);
+    expect(result.dayHistory).toMatchObject({ score: 10, decay: 0, excused: true });
+    expect(result.todayHistory.score).toBe(30);
+  });
+
+  test('removing an excuse charges the decay again', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { excuseDay, unexcuseDay } = await import('/js/services/history.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+
+      await ScoreModel.setScore(0);
+      await ScoreModel.recordHistory({ date: getDateDaysAgo(1), score: 0, earned: 0, decay: 10 });
+      await excuseDay(getDateDaysAgo(1));
+      await unexcuseDay(getDateDaysAgo(1));
+
+      return {
+        score: await ScoreModel.getScore(),
+        dayHistory: await ScoreModel.getHistoryByDate(getDateDaysAgo(1))
+      };
+    });
+
+    expect(result.score).toBe(0);
+    expect(result.dayHistory.decay).toBe(10);
+    expect(result.dayHistory.excused).toBeUndefined();
+  });
+
+  test('limits excused days to the monthly allowance', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { excuseDay, getExcuseAllowance } = await import('/js/services/history.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+
+      const yesterday = getDateDaysAgo(1);
+      const unlimited = await getExcuseAllowance(yesterday);
+      await SettingsModel.setExcusedDaysPerMonth(0);
+
+      let error = null;
+      try {
+        await excuseDay(yesterday);
+      } catch (e) {
+        error = e.message;
+      }
+
+      return { unlimited, error, allowance: await getExcuseAllowance(yesterday) };
+    });
+
+    expect(result.unlimited).toEqual({ allowance: null, used: 0, remaining: null });
+    expect(result.error).toContain('No excused days left');
+    expect(result.allowance).toEqual({ allowance: 0, used: 0, remaining: 0 });
+  });
+
+  test('rejects excusing today', async ({ page }) => {
+    const error = await page.evaluate(async () => {
+      const { excuseDay } = await import('/js/services/history.js');
+      const { getLocalDateString } = await import('/js/utils/date.js');
+      try {
+        await excuseDay(getLocalDateString());
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    });
+
+    expect(error).toContain('Only past days');
+  });
+
+  test('rejects dates outside the editable range', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { getEditableRange, setCompletionCount } = await import('/js/services/history.js');
+      const { getDateDaysAgo, getDateDaysFromNow } = await import('/js/utils/date.js');
+
+      const activity = await ActivityModel.create({ name: 'Read', points: 12 });
+      const errors = [];
+      for (const date of [getDateDaysAgo(6), getDateDaysFromNow(1)]) {
+        try {
+          await setCompletionCount(activity, date, 1);
+        } catch (e) {
+          errors.push(e.message);
+        }
+      }
+
+      return { range: await getEditableRange(), firstDay: getDateDaysAgo(5), errors };
+    });
+
+    expect(result.range.start).toBe(result.firstDay);
+    expect(result.errors).toHaveLength(2);
+    expect(result.errors[0]).toContain('first day');
+  });
+});
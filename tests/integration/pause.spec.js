@@ -0,0 +1,156 @@
+import { test, expect } from '@playwright/test';
+
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(() => {
+    window.__TEST_MODE__ = true;
+  });
+});
+
+test.describe('Pause Service', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      await db.init();
+      await db.reset();
+    });
+  });
+
+  test('schedules, cancels and ends pauses', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getPauses, schedulePause, pauseNow, endPause, cancelPause } = await import(
+        '/js/services/pause.js'
+      );
+      const { getDateDaysFromNow, getLocalDateString } = await import('/js/utils/date.js');
+
+      const upcoming = await schedulePause({
+        startDate: getDateDaysFromNow(5),
+        endDate: getDateDaysFromNow(10)
+      });
+      const active = await pauseNow();
+      const statuses = (await getPauses()).map((pause) => pause.status);
+
+      await cancelPause(upcoming.id);
+      const ended = await endPause(active.id);
+
+      return {
+        statuses,
+        remaining: await getPauses(),
+        ended,
+        today: getLocalDateString()
+      };
+    });
+
+    expect(result.statuses).toEqual(['upcoming', 'active']);
+    expect(result.ended.endDate).toBe(result.today);
+    expect(result.remaining).toHaveLength(1);
+    expect(result.remaining[0].status).toBe('active');
+  });
+
+  test('rejects pauses in the past, overlapping or already started', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { schedulePause, pauseNow, cancelPause } = await import('/js/services/pause.js');
+      const { getDateDaysAgo, getDateDaysFromNow } = await import('/js/utils/date.js');
+
+      const attempt = async (action) => {
+        try {
+          await action();
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      };
+
+      const open = await pauseNow();
+
+      return {
+        past: await attempt(() => schedulePause({ startDate: getDateDaysAgo(1) })),
+        backwards: await attempt(() =>
+          schedulePause({ startDate: getDateDaysFromNow(5), endDate: getDateDaysFromNow(4) })
+        ),
+        overlap: await attempt(() => schedulePause({ startDate: getDateDaysFromNow(30) })),
+        started: await attempt(() => cancelPause(open.id))
+      };
+    });
+
+    expect(result.past).toContain('cannot start in the past');
+    expect(result.backwards).toContain('cannot be before the first');
+    expect(result.overlap).toContain('overlaps');
+    expect(result.started).toContain('cannot be cancelled');
+  });
+
+  test('charges no decay on paused days of an absence', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { checkAndApplyDecay } = await import('/js/services/decay.js');
+      const { getRecalculationDiff } = await import('/js/services/recalculation.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+
+      await SettingsModel.setMany({
+        firstUseDate: getDateDaysAgo(5),
+        lastActiveDate: getDateDaysAgo(5),
+        decayAmount: 10
+      });
+      // Scheduled before the absence, so it can start in the past here
+      await db.put('pauses', {
+        id: 'holiday',
+        startDate: getDateDaysAgo(3),
+        endDate: getDateDaysAgo(1),
+        createdAt: new Date().toISOString()
+      });
+
+      const decayResult = await checkAndApplyDecay();
+
+      return {
+        decayResult,
+        history: await ScoreModel.getAllHistory(),
+        diff: await getRecalculationDiff()
+      };
+    });
+
+    expect(result.decayResult.decay).toBe(20);
+    expect(result.decayResult.pausedDays).toBe(3);
+    expect(result.decayResult.message).toContain('3 paused days were skipped');
+    expect(result.history.map((h) => h.decay)).toEqual([10, 0, 0, 0, 10]);
+    expect(result.history.map((h) => Boolean(h.paused))).toEqual([false, true, true, true, false]);
+    expect(result.diff.hasChanges).toBe(false);
+  });
+
+  test('pausing today gives back the decay already charged today', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { checkAndApplyDecay } = await import('/js/services/decay.js');
+      const { pauseNow } = await import('/js/services/pause.js');
+      const { getRecalculationDiff } = await import('/js/services/recalculation.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+
+      await SettingsModel.setMany({
+        firstUseDate: getDateDaysAgo(1),
+        lastActiveDate: getDateDaysAgo(1),
+        decayAmount: 10
+      });
+      await checkAndApplyDecay();
+      const before = await ScoreModel.getScore();
+
+      await pauseNow();
+
+      return {
+        before,
+        after: await ScoreModel.getScore(),
+        today: await ScoreModel.getTodayHistory(),
+        breakEven: await ScoreModel.getBreakEvenStatus(),
+        diff: await getRecalculationDiff()
+      };
+    });
+
+    expect(result.before).toBe(-10);
+    expect(result.after).toBe(0);
+    expect(result.today).toEqual({ date: result.today.date, score: 0, earned: 0, decay: 0, paused: true });
+    expect(result.breakEven.paused).toBe(true);
+    expect(result.breakEven.breakEven).toBe(true);
+    expect(result.diff.hasChanges).toBe(false);
+  });
+});
@@ -0,0 +1,142 @@
+import { test, expect } from '@playwright/test';
+
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(() => {
+    window.__TEST_MODE__ = true;
+  });
+});
+
+test.describe('Recalculation Service', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      await db.init();
+      await db.reset();
+    });
+  });
+
+  test('replays completions, decay and adjustments to the same score as the app', async ({
+    page
+  }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { checkAndApplyDecay } = await import('/js/services/decay.js');
+      const { setCompletionCount } = await import('/js/services/history.js');
+      const { getRecalculationDiff } = await import('/js/services/recalculation.js');
+      const { getDateDaysAgo, getLocalDateString } = await import('/js/utils/date.js');
+
+      // Used the app five days ago, then came back today
+      await SettingsModel.setMany({
+        firstUseDate: getDateDaysAgo(5),
+        lastActiveDate: getDateDaysAgo(5),
+        decayAmount: 10,
+        mainScore: 0
+      });
+      const activity = await ActivityModel.create({ name: 'Read', points: 12 });
+      await setCompletionCount(activity, getDateDaysAgo(5), 1);
+
+      await checkAndApplyDecay();
+      await setCompletionCount(activity, getLocalDateString(), 1);
+      await SettingsModel.setDecayAmount(5);
+      await ScoreModel.adjustScore(7);
+
+      return { diff: await getRecalculationDiff(), score: await ScoreModel.getScore() };
+    });
+
+    expect(result.score).toBe(-19);
+    expect(result.diff.hasChanges).toBe(false);
+    expect(result.diff.mainScore).toEqual({ current: -19, expected: -19 });
+    expect(result.diff.changes).toEqual([]);
+    expect(result.diff.history.map((h) => h.decay)).toEqual([0, 10, 10, 10, 10, 10]);
+  });
+
+  test('uses the decay amount that applied on each day', async ({ page }) => {
+    const history = await page.evaluate(async () => {
+      const { replayLedger } = await import('/js/services/recalculation.js');
+
+      return replayLedger(
+        {
+          firstUseDate: '2024-03-01',
+          lastActiveDate: '2024-03-05',
+          decayAmount: 20,
+          decayHistory: [
+            { from: '2024-03-01', amount: 10 },
+            { from: '2024-03-04', amount: 20 }
+          ],
+          activities: [{ id: 'a1', points: 15 }],
+          completions: [
+            { activityId: 'a1', date: '2024-03-02', count: 1, points: 15 },
+            { activityId: 'a1', date: '2024-02-28', count: 1, points: 15 }
+          ],
+          adjustments: [],
+          history: []
+        },
+        '2024-03-05'
+      ).history;
+    });
+
+    // The completion before the first use date is scored, without decay until then
+    expect(history).toMatchObject([
+      { date: '2024-02-28', score: 15, earned: 15, decay: 0 },
+      { date: '2024-03-02', score: 20, earned: 15, decay: 10 },
+      { date: '2024-03-03', score: 10, earned: 0, decay: 10 },
+      { date: '2024-03-04', score: -10, earned: 0, decay: 20 },
+      { date: '2024-03-05', score: -30, earned: 0, decay: 20 }
+    ]);
+  });
+
+  test('reports drift and repairs score and history', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { setCompletionCount } = await import('/js/services/history.js');
+      const { getRecalculationDiff, applyRecalculation } = await import(
+        '/js/services/recalculation.js'
+      );
+      const { getDateDaysAgo, getLocalDateString } = await import('/js/utils/date.js');
+
+      await SettingsModel.initializeIfNeeded();
+      await SettingsModel.setFirstUseDate(getDateDaysAgo(2));
+      const activity = await ActivityModel.create({ name: 'Walk', points: 20 });
+      await setCompletionCount(activity, getDateDaysAgo(2), 1);
+
+      // Simulate a partial failure and a stray record
+      await ScoreModel.setScore(500);
+      await ScoreModel.recordHistory({ date: getDateDaysAgo(30), score: 7, earned: 7, decay: 0 });
+
+      const before = await getRecalculationDiff();
+      await applyRecalculation();
+
+      return {
+        before,
+        after: await getRecalculationDiff(),
+        score: await ScoreModel.getScore(),
+        history: await ScoreModel.getAllHistory(),
+        dates: [
+          getDateDaysAgo(30),
+          getDateDaysAgo(2),
+          getDateDaysAgo(1),
+          getLocalDateString()
+        ]
+      };
+    });
+
+    expect(result.before.hasChanges).toBe(true);
+    expect(result.before.mainScore).toEqual({ current: 500, expected: 0 });
+    expect(result.before.changes).toHaveLength(3);
+    expect(result.before.changes[0].date).toBe(result.dates[0]);
+    expect(result.before.changes[0].expected).toBeNull();
+
+    expect(result.after.hasChanges).toBe(false);
+    expect(result.score).toBe(0);
+    expect(result.history).toMatchObject([
+      { date: result.dates[1], score: 20, earned: 20, decay: 0 },
+      { date: result.dates[2], score: 10, earned: 0, decay: 10 },
+      { date: result.dates[3], score: 0, earned: 0, decay: 10 }
+    ]);
+  });
+});
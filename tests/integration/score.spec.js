@@ -169,6 +169,64 @@ test.describe('Score Model', () => {
     expect(result.broken.surplus).toBe(5);
   });
 
+  test('should count bad habits against break-even status', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      await db.init();
+
+      await SettingsModel.setDecayAmount(10);
+
+      // Logged a bad habit worth -15 before earning anything
+      await ScoreModel.addEarnedToday(-15);
+      const belowZero = await ScoreModel.getBreakEvenStatus();
+
+      await ScoreModel.addEarnedToday(20);
+      const recovered = await ScoreModel.getBreakEvenStatus();
+
+      return { belowZero, recovered };
+    });
+
+    expect(result.belowZero.earned).toBe(-15);
+    expect(result.belowZero.remaining).toBe(25);
+    expect(result.belowZero.percent).toBe(0);
+    expect(result.recovered.earned).toBe(5);
+    expect(result.recovered.remaining).toBe(5);
+    expect(result.recovered.breakEven).toBe(false);
+  });
+
+  test('should break even against the decay the strategy charges today', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+      await db.init();
+
+      await SettingsModel.setMany({
+        decayAmount: 10,
+        decayStrategy: { type: 'percentage', percent: 10 }
+      });
+      await ScoreModel.setScore(205);
+      await ScoreModel.addEarnedToday(5);
+      const percentage = await ScoreModel.getBreakEvenStatus();
+
+      // Two failed days in a row before today
+      await SettingsModel.set('decayStrategy', { type: 'escalating', step: 5 });
+      await db.putMany('scoreHistory', [
+        { date: getDateDaysAgo(2), score: 195, earned: 0, decay: 10 },
+        { date: getDateDaysAgo(1), score: 180, earned: 0, decay: 15 }
+      ]);
+      const escalating = await ScoreModel.getBreakEvenStatus();
+
+      return { percentage, escalating };
+    });
+
+    expect(result.percentage).toMatchObject({ decay: 20, remaining: 15 });
+    expect(result.escalating).toMatchObject({ decay: 20, remaining: 15 });
+  });
+
   test('should get highest and lowest scores', async ({ page }) => {
     const result = await page.evaluate(async () => {
       const { db } = await import('/js/storage/db.js');
@@ -348,4 +406,52 @@ test.describe('Score Model', () => {
 
     expect(result).toBe(0);
   });
+
+  test('should add earned points to a past day and shift later days', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      await db.init();
+
+      await ScoreModel.recordHistory({ date: '2024-01-10', score: 40, earned: 10, decay: 10 });
+      await ScoreModel.recordHistory({ date: '2024-01-12', score: 45, earned: 5, decay: 10 });
+      await ScoreModel.recordHistory({ date: '2024-01-13', score: 50, earned: 5, decay: 0 });
+
+      // A day with a record and a day without one
+      await ScoreModel.addEarnedOn('2024-01-12', 3);
+      await ScoreModel.addEarnedOn('2024-01-11', 8);
+
+      return ScoreModel.getAllHistory();
+    });
+
+    expect(result).toEqual([
+      { date: '2024-01-10', score: 40, earned: 10, decay: 10 },
+      { date: '2024-01-11', score: 48, earned: 8, decay: 0 },
+      { date: '2024-01-12', score: 56, earned: 13, decay: 10 },
+      { date: '2024-01-13', score: 61, earned: 5, decay: 0 }
+    ]);
+  });
+
+  test('should record manual adjustments to the score', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      await db.init();
+
+      await ScoreModel.setScore(30);
+      const adjustment = await ScoreModel.adjustScore(-8);
+
+      return {
+        adjustment,
+        adjustments: await ScoreModel.getAdjustments(),
+        score: await ScoreModel.getScore(),
+        todayScore: (await ScoreModel.getTodayHistory()).score
+      };
+    });
+
+    expect(result.adjustment.amount).toBe(-8);
+    expect(result.adjustments).toEqual([result.adjustment]);
+    expect(result.score).toBe(22);
+    expect(result.todayScore).toBe(22);
+  });
 });
@@ -146,4 +146,34 @@ test.describe('Settings Model', () => {
     expect(result.decayAmount).toBe(result.defaults.decayAmount);
     expect(result.theme).toBe(result.defaults.theme);
   });
+
+  test('should log decay amount changes from tomorrow', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { getDateDaysAgo, getDateDaysFromNow } = await import('/js/utils/date.js');
+      await db.init();
+
+      await SettingsModel.setMany({ firstUseDate: getDateDaysAgo(10), decayAmount: 10 });
+      await SettingsModel.setDecayAmount(10);
+      const unchanged = await SettingsModel.getDecayHistory();
+      await SettingsModel.setDecayAmount(15);
+      await SettingsModel.setDecayAmount(20);
+
+      return {
+        unchanged,
+        decayHistory: await SettingsModel.getDecayHistory(),
+        decayAmount: await SettingsModel.getDecayAmount(),
+        firstUseDate: getDateDaysAgo(10),
+        tomorrow: getDateDaysFromNow(1)
+      };
+    });
+
+    expect(result.unchanged).toEqual([]);
+    expect(result.decayAmount).toBe(20);
+    expect(result.decayHistory).toEqual([
+      { from: result.firstUseDate, amount: 10, strategy: { type: 'flat' } },
+      { from: result.tomorrow, amount: 20, strategy: { type: 'flat' } }
+    ]);
+  });
 });
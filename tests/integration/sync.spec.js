@@ -0,0 +1,114 @@
+import { test, expect } from '@playwright/test';
+
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(() => {
+    window.__TEST_MODE__ = true;
+  });
+});
+
+test.describe('Tab Sync', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      await db.init();
+      await db.reset();
+    });
+  });
+
+  test('should announce a burst of writes to other tabs in one message', async ({ page }) => {
+    const messages = await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      const { startTabSync, stopTabSync } = await import('/js/services/sync.js');
+
+      const otherTab = new BroadcastChannel('yourscore-sync');
+      const received = [];
+      otherTab.onmessage = (event) => received.push(event.data);
+
+      startTabSync();
+      await db.put('settings', { key: 'decayAmount', value: 5 });
+      await db.putMany('scoreHistory', [{ date: '2024-01-01', score: 5, earned: 5, decay: 0 }]);
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      stopTabSync();
+      otherTab.close();
+      return received;
+    });
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].type).toBe('change');
+    expect(messages[0].stores.sort()).toEqual(['scoreHistory', 'settings']);
+  });
+
+  test('should pass changes from other tabs to listeners', async ({ page }) => {
+    const stores = await page.evaluate(async () => {
+      const { onRemoteChange, stopTabSync } = await import('/js/services/sync.js');
+
+      const received = new Promise((resolve) => onRemoteChange(resolve));
+      const otherTab = new BroadcastChannel('yourscore-sync');
+      otherTab.postMessage({ type: 'change', stores: ['completions'] });
+
+      const result = await received;
+      stopTabSync();
+      otherTab.close();
+      return result;
+    });
+
+    expect(stores).toEqual(['completions']);
+  });
+
+  test('should apply decay once when tabs check at the same time', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { DecayService } = await import('/js/services/decay.js');
+      const { ScoreModel } = await import('/js/models/score.js');
+      const { SettingsModel } = await import('/js/models/settings.js');
+      const { getDateDaysAgo } = await import('/js/utils/date.js');
+
+      await SettingsModel.setMany({
+        firstUseDate: '2024-01-01',
+        lastActiveDate: getDateDaysAgo(2),
+        decayAmount: 10
+      });
+      await ScoreModel.setScore(100);
+
+      const results = await Promise.all([
+        DecayService.checkAndApplyDecay(),
+        DecayService.checkAndApplyDecay()
+      ]);
+      return {
+        applied: results.filter((r) => r.applied).length,
+        score: await ScoreModel.getScore()
+      };
+    });
+
+    expect(result.applied).toBe(1);
+    expect(result.score).toBe(80);
+  });
+
+  test('should close the connection when another tab upgrades the database', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { db, DB_NAME, DB_VERSION } = await import('/js/storage/db.js');
+      await db.init();
+
+      let reportedVersion;
+      db.onVersionChange = (newVersion) => {
+        reportedVersion = newVersion;
+      };
+
+      // Open the database at a newer version, as a newer release in another tab would
+      const upgraded = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION + 1);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      const newVersion = upgraded.version;
+      upgraded.close();
+
+      db.onVersionChange = null;
+      return { closed: db.db === null, reportedVersion, newVersion };
+    });
+
+    expect(result.closed).toBe(true);
+    expect(result.reportedVersion).toBe(result.newVersion);
+  });
+});
@@ -0,0 +1,111 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Templates Service', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await page.evaluate(async () => {
+      const { db } = await import('/js/storage/db.js');
+      await db.init();
+      await db.reset();
+    });
+    await page.reload();
+    await page.waitForFunction(() => window.app);
+  });
+
+  test('provides a translated template for every locale', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { TRANSLATIONS } = await import('/js/i18n/translations.js');
+      const { TEMPLATE_CATEGORIES } = await import('/js/services/templates.js');
+
+      const lookup = (locale, key) =>
+        key.split('.').reduce((node, part) => node?.[part], TRANSLATIONS[locale]);
+
+      const missing = [];
+      for (const locale of Object.keys(TRANSLATIONS)) {
+        for (const group of TEMPLATE_CATEGORIES) {
+          const keys = [group.nameKey, ...group.templates.map((item) => item.nameKey)];
+          for (const key of keys) {
+            if (typeof lookup(locale, key) !== 'string') {
+              missing.push(`${locale}:${key}`);
+            }
+          }
+        }
+      }
+      return missing;
+    });
+
+    expect(result).toEqual([]);
+  });
+
+  test('creates activities and their suggested categories', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { CategoryModel } = await import('/js/models/category.js');
+      const { applyTemplates } = await import('/js/services/templates.js');
+
+      const created = await applyTemplates(['exercise', 'water', 'read']);
+      const categories = await CategoryModel.getAll();
+
+      return {
+        activities: created.activities.map((a) => ({
+          name: a.name,
+          points: a.points,
+          type: a.type,
+          dailyMax: a.dailyMax,
+          category: categories.find((cat) => cat.id === a.categoryId)?.name
+        })),
+        createdCategories: created.categories.map((cat) => cat.name)
+      };
+    });
+
+    expect(result.activities).toEqual([
+      { name: 'Exercise 30 min', points: 20, type: 'check', dailyMax: null, category: 'Health' },
+      { name: 'Glass of water', points: 2, type: 'counter', dailyMax: 8, category: 'Health' },
+      { name: 'Read 30 min', points: 15, type: 'check', dailyMax: null, category: 'Mind' }
+    ]);
+    expect(result.createdCategories).toEqual(['Health', 'Mind']);
+  });
+
+  test('reuses categories and skips templates that already exist', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { ActivityModel } = await import('/js/models/activity.js');
+      const { CategoryModel } = await import('/js/models/category.js');
+      const { applyTemplates, getAddedTemplateIds } = await import('/js/services/templates.js');
+
+      const health = await CategoryModel.create({ name: 'health' });
+      await ActivityModel.create({ name: 'Meditation', points: 5 });
+
+      const created = await applyTemplates(['steps', 'meditation']);
+      const addedIds = await getAddedTemplateIds();
+
+      return {
+        createdNames: created.activities.map((a) => a.name),
+        reusedCategory: created.activities[0].categoryId === health.id,
+        createdCategories: created.categories.length,
+        skipped: created.skipped,
+        added: [...addedIds].sort()
+      };
+    });
+
+    expect(result.createdNames).toEqual(['Walk 10,000 steps']);
+    expect(result.reusedCategory).toBe(true);
+    expect(result.createdCategories).toBe(0);
+    expect(result.skipped).toBe(1);
+    expect(result.added).toEqual(['meditation', 'steps']);
+  });
+
+  test('localizes template names for the current language', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { setLocale } = await import('/js/i18n/i18n.js');
+      const { getTemplateCatalog } = await import('/js/services/templates.js');
+
+      setLocale('de');
+      const [health] = getTemplateCatalog();
+      setLocale('en');
+
+      return { category: health.name, first: health.templates[0].name };
+    });
+
+    expect(result.category).toBe('Gesundheit');
+    expect(result.first).toBe('30 Min. Sport');
+  });
+});
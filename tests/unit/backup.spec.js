@@ -0,0 +1,132 @@
+import { test, expect } from '@playwright/test';
+import { LocalStorageAdapter } from '../../src/js/storage/adapters/local-storage.js';
+import { db } from '../../src/js/storage/db.js';
+import { BackupModel, MAX_LIMITED_BACKUPS } from '../../src/js/models/backup.js';
+
+// The localStorage adapter takes any Storage, so these run in Node without a page
+
+const CREATED = '2026-03-01T08:00:00.000Z';
+
+// Counts every key and value against one quota, as browsers do
+class QuotaStorage {
+  constructor(quota) {
+    this.items = new Map();
+    this.quota = quota;
+  }
+
+  get used() {
+    let used = 0;
+    for (const [key, value] of this.items) {
+      used += key.length + value.length;
+    }
+    return used;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    const replaced = this.items.has(key) ? key.length + this.items.get(key).length : 0;
+    if (this.used - replaced + key.length + String(value).length > this.quota) {
+      throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    }
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+function exportFile() {
+  const activities = [];
+  for (let i = 0; i < 40; i++) {
+    activities.push({
+      id: `a${i}`,
+      name: `Activity ${i} `.padEnd(120, '.'),
+      points: 5,
+      categoryId: 'uncategorized',
+      order: i,
+      archived: false,
+      createdAt: CREATED,
+      type: 'check',
+      dailyMax: null,
+      schedule: { type: 'daily' }
+    });
+  }
+  return { app: 'YourScore', version: 2, data: { activities } };
+}
+
+test.describe('Backups on limited storage (unit)', () => {
+  test.afterEach(() => {
+    db.adapter = null;
+    db.selection = null;
+  });
+
+  test('drops older snapshots to make room instead of failing', async () => {
+    const { importFromJSON } = await import('../../src/js/services/export.js');
+    const { getBackups } = await import('../../src/js/services/backup.js');
+    const file = exportFile();
+    const size = JSON.stringify(file).length;
+    // Room for the data and two snapshots, but not the three kept otherwise
+    const storage = new QuotaStorage(size * 3.5);
+    db.useAdapter(new LocalStorageAdapter(storage));
+
+    const results = [];
+    for (let i = 0; i < 6; i++) {
+      results.push(await importFromJSON(structuredClone(file), { merge: false }));
+    }
+
+    expect(results.map((result) => result.success)).toEqual([true, true, true, true, true, true]);
+    const backups = await getBackups();
+    expect(backups.length).toBeGreaterThan(0);
+    expect(backups.length).toBeLessThanOrEqual(MAX_LIMITED_BACKUPS);
+    expect(storage.used).toBeLessThanOrEqual(storage.quota);
+  });
+
+  test('keeps the oldest snapshot when a new one fails to save', async () => {
+    const storage = new QuotaStorage(Infinity);
+    db.useAdapter(new LocalStorageAdapter(storage));
+    for (let i = 0; i < MAX_LIMITED_BACKUPS; i++) {
+      await BackupModel.create('import', exportFile());
+    }
+    const before = (await BackupModel.getAll()).map((backup) => backup.id);
+
+    // Only writes holding the new snapshot fail
+    const setItem = storage.setItem.bind(storage);
+    storage.setItem = (key, value) => {
+      if (value.includes('"reason":"reset"')) {
+        throw new Error('Disk failure');
+      }
+      setItem(key, value);
+    };
+    const failed = BackupModel.create('reset', exportFile());
+
+    await expect(failed).rejects.toThrow('Disk failure');
+    expect((await BackupModel.getAll()).map((backup) => backup.id)).toEqual(before);
+  });
+
+  test('imports without a snapshot only when asked to', async () => {
+    const { importFromJSON, exportToJSON } = await import('../../src/js/services/export.js');
+    const file = exportFile();
+    // Room for the data, but not for a snapshot of it as well
+    db.useAdapter(new LocalStorageAdapter(new QuotaStorage(JSON.stringify(file).length * 1.5)));
+    await importFromJSON(structuredClone(file), { merge: false });
+    const changed = structuredClone(file);
+    changed.data.activities[0].name = 'Renamed';
+
+    const refused = await importFromJSON(structuredClone(changed), { merge: false });
+    const unchanged = (await exportToJSON()).data.activities[0].name;
+    const imported = await importFromJSON(structuredClone(changed), {
+      merge: false,
+      backup: false
+    });
+
+    expect(refused).toMatchObject({ success: false, backupFailed: true });
+    expect(refused.errors[0]).toContain('Quota exceeded');
+    expect(unchanged).toBe(file.data.activities[0].name);
+    expect(imported.success).toBe(true);
+    expect((await exportToJSON()).data.activities[0].name).toBe('Renamed');
+  });
+});
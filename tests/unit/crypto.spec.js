@@ -0,0 +1,114 @@
+import { test, expect } from '@playwright/test';
+import { encryptText, decryptText, ENVELOPE_FORMAT } from '../../src/js/utils/crypto.js';
+import { MemoryAdapter } from '../../src/js/storage/adapters/memory.js';
+import { db } from '../../src/js/storage/db.js';
+
+// WebCrypto is built into Node, so these run without a browser page
+
+const PASSPHRASE = 'correct horse battery';
+
+test.describe('Encryption Utils (unit)', () => {
+  test('encrypts text into an envelope that only the passphrase opens', async () => {
+    const envelope = await encryptText('{"habit":"therapy homework"}', PASSPHRASE);
+
+    expect(envelope).toMatchObject({
+      format: ENVELOPE_FORMAT,
+      version: 1,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256' },
+      cipher: { name: 'AES-GCM' }
+    });
+    expect(JSON.stringify(envelope)).not.toContain('therapy');
+    expect(await decryptText(envelope, PASSPHRASE)).toBe('{"habit":"therapy homework"}');
+
+    // Every export gets its own salt and IV
+    const again = await encryptText('{"habit":"therapy homework"}', PASSPHRASE);
+    expect(again.kdf.salt).not.toBe(envelope.kdf.salt);
+    expect(again.data).not.toBe(envelope.data);
+  });
+
+  test('tells a wrong passphrase apart from a changed file', async () => {
+    const envelope = await encryptText('secret', PASSPHRASE);
+    const flipped = envelope.data.startsWith('A')
+      ? `B${envelope.data.slice(1)}`
+      : `A${envelope.data.slice(1)}`;
+
+    await expect(decryptText(envelope, 'wrong passphrase')).rejects.toThrow('Wrong passphrase');
+    await expect(decryptText({ ...envelope, data: flipped }, PASSPHRASE)).rejects.toThrow(
+      'has been changed or damaged'
+    );
+    await expect(
+      decryptText(
+        { ...envelope, cipher: { ...envelope.cipher, iv: envelope.kdf.salt.slice(0, 16) } },
+        PASSPHRASE
+      )
+    ).rejects.toThrow('has been changed or damaged');
+  });
+
+  test('rejects damaged envelopes, newer versions and short passphrases', async () => {
+    const envelope = await encryptText('secret', PASSPHRASE);
+
+    await expect(decryptText({ ...envelope, version: 2 }, PASSPHRASE)).rejects.toThrow(
+      'newer version'
+    );
+    await expect(decryptText({ ...envelope, data: undefined }, PASSPHRASE)).rejects.toThrow(
+      'damaged or incomplete'
+    );
+    await expect(
+      decryptText({ ...envelope, kdf: { ...envelope.kdf, iterations: 1e9 } }, PASSPHRASE)
+    ).rejects.toThrow('damaged or incomplete');
+    await expect(decryptText({ ...envelope, data: '***' }, PASSPHRASE)).rejects.toThrow(
+      'damaged or incomplete'
+    );
+    await expect(encryptText('secret', 'short')).rejects.toThrow('at least 8 characters');
+  });
+});
+
+test.describe('Encrypted Export (unit)', () => {
+  test.beforeEach(() => {
+    db.useAdapter(new MemoryAdapter());
+  });
+
+  test.afterEach(() => {
+    db.adapter = null;
+    db.selection = null;
+  });
+
+  test('imports an encrypted export after asking for the passphrase', async () => {
+    const { ActivityModel } = await import('../../src/js/models/activity.js');
+    const { exportToEncryptedString, importFromJSONString } =
+      await import('../../src/js/services/export.js');
+
+    await ActivityModel.create({ name: 'Sober day', points: 10 });
+    const encrypted = await exportToEncryptedString(PASSPHRASE);
+    expect(encrypted).not.toContain('Sober day');
+
+    const asked = [];
+    const cancelled = await importFromJSONString(encrypted, {
+      merge: false,
+      requestPassphrase: async () => {
+        asked.push('cancelled');
+        return null;
+      }
+    });
+    const wrong = await importFromJSONString(encrypted, {
+      merge: false,
+      passphrase: 'not the one'
+    });
+    const imported = await importFromJSONString(encrypted, {
+      merge: false,
+      requestPassphrase: async () => {
+        asked.push('entered');
+        return PASSPHRASE;
+      }
+    });
+
+    expect(asked).toEqual(['cancelled', 'entered']);
+    expect(cancelled).toMatchObject({
+      success: false,
+      errors: ['Enter the passphrase to open this encrypted file']
+    });
+    expect(wrong).toMatchObject({ success: false, errors: ['Wrong passphrase'] });
+    expect(imported.success).toBe(true);
+    expect((await ActivityModel.getAll()).map((activity) => activity.name)).toEqual(['Sober day']);
+  });
+});
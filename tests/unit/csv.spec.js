@@ -0,0 +1,268 @@
+import { test, expect } from '@playwright/test';
+import { formatCSVTable, readCSVTable, parseCSV } from '../../src/js/services/csv.js';
+import { MemoryAdapter } from '../../src/js/storage/adapters/memory.js';
+import { db } from '../../src/js/storage/db.js';
+import { setLocale } from '../../src/js/i18n/i18n.js';
+
+// CSV is written and read as plain text, so these run in Node without a page
+
+const CREATED = '2026-03-01T08:00:00.000Z';
+
+function records() {
+  return {
+    categories: [
+      { id: 'health', name: 'Health; Body', order: 0, createdAt: CREATED },
+      { id: 'uncategorized', name: 'Uncategorized', order: 999, createdAt: CREATED }
+    ],
+    activities: [
+      {
+        id: 'water',
+        name: 'Water "glasses"',
+        points: 2,
+        categoryId: 'health',
+        order: 0,
+        archived: false,
+        createdAt: CREATED,
+        type: 'counter',
+        dailyMax: 8,
+        schedule: { type: 'daily' }
+      },
+      {
+        id: 'formula',
+        name: '=1+1',
+        points: -5,
+        categoryId: 'uncategorized',
+        order: 0,
+        archived: true,
+        createdAt: CREATED,
+        type: 'check',
+        dailyMax: null,
+        schedule: { type: 'daily' }
+      }
+    ],
+    completions: [
+      {
+        id: 'c1',
+        activityId: 'water',
+        date: '2026-03-08',
+        completedAt: '2026-03-08T09:00:00.000Z',
+        count: 3,
+        points: 2,
+        activityName: 'Water "glasses"',
+        categoryId: 'health',
+        categoryName: 'Health; Body'
+      },
+      {
+        id: 'c2',
+        activityId: 'formula',
+        date: '2026-03-09',
+        completedAt: '2026-03-09T09:00:00.000Z',
+        count: 1,
+        points: -5,
+        activityName: '=1+1',
+        categoryId: 'uncategorized',
+        categoryName: 'Uncategorized'
+      }
+    ],
+    scoreHistory: [
+      { date: '2026-03-08', score: 6, earned: 6, decay: 0 },
+      { date: '2026-03-09', score: 1, earned: -5, decay: 0, excused: true }
+    ]
+  };
+}
+
+test.describe('CSV (unit)', () => {
+  test.afterEach(() => {
+    setLocale('en');
+  });
+
+  test('writes stable keys with the chosen delimiter', () => {
+    const dialect = { delimiter: ';', headers: 'keys' };
+
+    expect(formatCSVTable('completions', records(), dialect).split('\n')).toEqual([
+      'date;activity;category;points;completedAt;count',
+      "2026-03-09;'=1+1;;-5;2026-03-09T09:00:00.000Z;1",
+      '2026-03-08;"Water ""glasses""";"Health; Body";6;2026-03-08T09:00:00.000Z;3'
+    ]);
+    expect(formatCSVTable('scoreHistory', records(), dialect).split('\n')).toEqual([
+      'date;score;earned;decay;paused;excused;frozen',
+      '2026-03-09;1;-5;0;false;true;false',
+      '2026-03-08;6;6;0;false;false;false'
+    ]);
+    expect(formatCSVTable('activities', records(), dialect).split('\n')).toEqual([
+      'name;category;points;type;dailyMax;archived',
+      '"Water ""glasses""";"Health; Body";2;counter;8;false',
+      "'=1+1;;-5;check;;true"
+    ]);
+  });
+
+  test('writes translated headers by default', () => {
+    setLocale('de');
+
+    expect(formatCSVTable('completions', records()).split('\n')[0]).toBe(
+      'Datum,Aktivität,Kategorie,Punkte,Erledigt um,Anzahl'
+    );
+  });
+
+  test('splits quoted fields, line breaks and a byte order mark', () => {
+    expect(parseCSV('﻿a,"b, ""c""\nd"\r\n\r\n1,2\n', ',')).toEqual([
+      ['a', 'b, "c"\nd'],
+      ['1', '2']
+    ]);
+  });
+
+  for (const dialect of [
+    { delimiter: ',', headers: 'keys' },
+    { delimiter: ';', headers: 'localized' }
+  ]) {
+    test(`reads back what it writes with ${dialect.headers} headers and "${dialect.delimiter}"`, () => {
+      // Written in German, read in English
+      setLocale('de');
+      const completions = formatCSVTable('completions', records(), dialect);
+      const activities = formatCSVTable('activities', records(), dialect);
+      setLocale('en');
+
+      const read = readCSVTable(completions);
+      expect(read).toMatchObject({ success: true, table: 'completions', errors: [] });
+      expect(read.data.categories).toEqual([
+        expect.objectContaining({ name: 'Health; Body', order: 0 })
+      ]);
+      expect(read.data.activities).toEqual([
+        expect.objectContaining({ name: '=1+1', points: -5, categoryId: 'uncategorized' }),
+        expect.objectContaining({ name: 'Water "glasses"', points: 2, type: 'counter' })
+      ]);
+      expect(read.data.completions).toEqual([
+        expect.objectContaining({ date: '2026-03-09', count: 1, points: -5 }),
+        expect.objectContaining({
+          date: '2026-03-08',
+          count: 3,
+          points: 2,
+          activityId: read.data.activities[1].id,
+          categoryName: 'Health; Body'
+        })
+      ]);
+
+      const readActivities = readCSVTable(activities);
+      expect(readActivities.table).toBe('activities');
+      expect(readActivities.data.activities).toEqual([
+        expect.objectContaining({ name: 'Water "glasses"', type: 'counter', dailyMax: 8 }),
+        expect.objectContaining({ name: '=1+1', archived: true, dailyMax: null })
+      ]);
+    });
+  }
+
+  test('reports each value it cannot read by row', () => {
+    const csv = [
+      'date;activity;points;count',
+      '2026-03-08;Walk;2,5;1',
+      '2026-02-30;Walk;10;1',
+      '2026-03-09;;ten;0'
+    ].join('\n');
+
+    expect(readCSVTable(csv).errors).toEqual([
+      'Invalid "points" value in row 2',
+      'Invalid "date" value in row 3',
+      'Invalid "points" value in row 4',
+      'Invalid "activity" value in row 4',
+      'Invalid "count" value in row 4'
+    ]);
+    expect(readCSVTable('date,score\n2026-03-08,5').errors).toEqual([
+      'This CSV file has none of the columns of a completions or activities export'
+    ]);
+    expect(readCSVTable('').errors).toEqual(['The CSV file is empty']);
+  });
+});
+
+test.describe('CSV Import (unit)', () => {
+  test.beforeEach(async () => {
+    db.useAdapter(new MemoryAdapter());
+    const { importFromJSON } = await import('../../src/js/services/export.js');
+    const data = records();
+    await importFromJSON(
+      {
+        app: 'YourScore',
+        version: 2,
+        data: { ...data, completions: [data.completions[0]], scoreHistory: [] }
+      },
+      { merge: false }
+    );
+  });
+
+  test.afterEach(() => {
+    db.adapter = null;
+    db.selection = null;
+  });
+
+  test('merges rows into the activities and categories with the same names', async () => {
+    const { importFromCSVString, exportToJSON, exportToCSV } =
+      await import('../../src/js/services/export.js');
+    const csv = [
+      'Date,Activity,Category,Points,Completed At,Count',
+      '2026-03-09,water "GLASSES",health; body,4,2026-03-09T10:00:00.000Z,2',
+      '2026-03-09,Stretch,Mobility,5,,1',
+      '2026-03-08,"Water ""glasses""",Health; Body,6,2026-03-08T09:00:00.000Z,3'
+    ].join('\n');
+
+    const result = await importFromCSVString(csv, { merge: false });
+    const { data } = await exportToJSON();
+
+    expect(result).toMatchObject({
+      success: true,
+      imported: { categories: 1, activities: 1, completions: 2 }
+    });
+    const byOrder = (a, b) => a.order - b.order;
+    expect(data.categories.sort(byOrder).map((category) => category.name)).toEqual([
+      'Health; Body',
+      'Mobility',
+      'Uncategorized'
+    ]);
+    const stretch = data.activities.find((activity) => activity.name === 'Stretch');
+    expect(stretch).toMatchObject({ points: 5, type: 'check' });
+    expect(data.completions.filter((completion) => completion.activityId === 'water')).toHaveLength(
+      2
+    );
+    expect(data.completions.find((c) => c.activityId === stretch.id).completedAt).toBe(
+      '2026-03-09T12:00:00.000Z'
+    );
+
+    // The export that was merged in matches the data again
+    expect((await exportToCSV({ headers: 'keys' })).split('\n')).toHaveLength(4);
+  });
+
+  test('does not import points that are not whole for each time logged', async () => {
+    const { importFromCSVString, importFromJSON, exportToJSON } =
+      await import('../../src/js/services/export.js');
+    const result = await importFromCSVString(
+      'date,activity,category,points,completedAt,count\n2020-01-01,Water,Health,5,,2'
+    );
+    const data = records();
+    const json = await importFromJSON(
+      {
+        app: 'YourScore',
+        version: 2,
+        data: { ...data, completions: [{ ...data.completions[0], points: 2.5 }] }
+      },
+      { merge: false }
+    );
+
+    expect(result).toEqual({
+      success: false,
+      imported: {},
+      errors: ["5 points in row 2 can't be split evenly over a count of 2"]
+    });
+    expect(json.errors).toEqual(['"points" value out of range at completions[0]']);
+    expect((await exportToJSON()).data.completions).toHaveLength(1);
+  });
+
+  test('does not import a file with unreadable rows', async () => {
+    const { importFromCSVString, exportToJSON } = await import('../../src/js/services/export.js');
+    const result = await importFromCSVString('date,activity,points\n2026-03-09,Stretch,');
+
+    expect(result).toEqual({
+      success: false,
+      imported: {},
+      errors: ['Invalid "points" value in row 2']
+    });
+    expect((await exportToJSON()).data.activities).toHaveLength(2);
+  });
+});
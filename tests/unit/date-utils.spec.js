@@ -40,6 +40,26 @@ test.describe('Date Utils (unit)', () => {
     expect(result.sep9).toBe('2024-09-09');
   });
 
+  test('getLocalDateString counts hours before the day start as the previous day', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { setDayStartHour, getLocalDateString, subtractDays } = await import('/js/utils/date.js');
+      setDayStartHour(4);
+      const result = {
+        beforeStart: getLocalDateString(new Date(2024, 2, 1, 3, 59)),
+        atStart: getLocalDateString(new Date(2024, 2, 1, 4, 0)),
+        lateEvening: getLocalDateString(new Date(2024, 2, 1, 23, 30)),
+        subtracted: subtractDays('2024-03-01', 1)
+      };
+      setDayStartHour(0);
+      return result;
+    });
+
+    expect(result.beforeStart).toBe('2024-02-29');
+    expect(result.atStart).toBe('2024-03-01');
+    expect(result.lateEvening).toBe('2024-03-01');
+    expect(result.subtracted).toBe('2024-02-29');
+  });
+
   test('getTimestamp returns ISO 8601 format', async ({ page }) => {
     const result = await page.evaluate(async () => {
       const { getTimestamp } = await import('/js/utils/date.js');
@@ -275,6 +295,34 @@ test.describe('Date Utils (unit)', () => {
     expect(result.todayRelative).not.toBe(result.yesterdayRelative);
   });
 
+  test('getWeekStart returns the Monday of the week', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getWeekStart } = await import('/js/utils/date.js');
+      return {
+        monday: getWeekStart('2024-01-15'),
+        wednesday: getWeekStart('2024-01-17'),
+        sunday: getWeekStart('2024-01-21'),
+        acrossMonth: getWeekStart('2024-03-02')
+      };
+    });
+
+    expect(result.monday).toBe('2024-01-15');
+    expect(result.wednesday).toBe('2024-01-15');
+    expect(result.sunday).toBe('2024-01-15');
+    expect(result.acrossMonth).toBe('2024-02-26');
+  });
+
+  test('isValidDateString accepts only real YYYY-MM-DD dates', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { isValidDateString } = await import('/js/utils/date.js');
+      return ['2024-02-29', '2023-02-29', '2024-13-01', '2024-1-5', '05/01/2024', null].map(
+        isValidDateString
+      );
+    });
+
+    expect(result).toEqual([true, false, false, false, false, false]);
+  });
+
   test('formatTimestamp returns formatted time', async ({ page }) => {
     const result = await page.evaluate(async () => {
       const { formatTimestamp } = await import('/js/utils/date.js');
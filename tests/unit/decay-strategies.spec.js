@@ -0,0 +1,164 @@
+import { test, expect } from '@playwright/test';
+
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(() => {
+    window.__TEST_MODE__ = true;
+  });
+});
+
+test.describe('Decay Strategy Utils (unit)', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('validates strategies and treats a missing one as flat', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { isValidDecayStrategy, normalizeDecayStrategy } = await import(
+        '/js/utils/decay-strategies.js'
+      );
+      return {
+        missing: isValidDecayStrategy(undefined),
+        unknown: isValidDecayStrategy({ type: 'random' }),
+        percent: isValidDecayStrategy({ type: 'percentage', percent: 5 }),
+        percentTooHigh: isValidDecayStrategy({ type: 'percentage', percent: 101 }),
+        stepZero: isValidDecayStrategy({ type: 'escalating', step: 0 }),
+        capped: isValidDecayStrategy({ type: 'capped', maxPerAbsence: 50 }),
+        badFloor: isValidDecayStrategy({ type: 'flat', floor: 1.5 }),
+        normalizedMissing: normalizeDecayStrategy(undefined),
+        normalized: normalizeDecayStrategy({ type: 'capped', maxPerAbsence: 50, step: 3, floor: 0 })
+      };
+    });
+
+    expect(result.missing).toBe(true);
+    expect(result.unknown).toBe(false);
+    expect(result.percent).toBe(true);
+    expect(result.percentTooHigh).toBe(false);
+    expect(result.stepZero).toBe(false);
+    expect(result.capped).toBe(true);
+    expect(result.badFloor).toBe(false);
+    expect(result.normalizedMissing).toEqual({ type: 'flat' });
+    expect(result.normalized).toEqual({ type: 'capped', maxPerAbsence: 50, floor: 0 });
+  });
+
+  test('calculates one day of decay for each strategy', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { calculateDayDecay } = await import('/js/utils/decay-strategies.js');
+      return {
+        flat: calculateDayDecay({ type: 'flat' }, { amount: 10, score: 50 }),
+        percentage: calculateDayDecay({ type: 'percentage', percent: 5 }, { amount: 10, score: 250 }),
+        percentageNegative: calculateDayDecay(
+          { type: 'percentage', percent: 5 },
+          { amount: 10, score: -40 }
+        ),
+        escalating: calculateDayDecay(
+          { type: 'escalating', step: 5 },
+          { amount: 10, score: 50, failedDays: 3 }
+        ),
+        cappedPartly: calculateDayDecay(
+          { type: 'capped', maxPerAbsence: 25 },
+          { amount: 10, score: 50, absenceDecay: 20 }
+        ),
+        floored: calculateDayDecay({ type: 'flat', floor: 45 }, { amount: 10, score: 50 }),
+        belowFloor: calculateDayDecay({ type: 'flat', floor: 45 }, { amount: 10, score: 30 })
+      };
+    });
+
+    expect(result.flat).toBe(10);
+    expect(result.percentage).toBe(13);
+    expect(result.percentageNegative).toBe(0);
+    expect(result.escalating).toBe(25);
+    expect(result.cappedPartly).toBe(5);
+    expect(result.floored).toBe(5);
+    expect(result.belowFloor).toBe(0);
+  });
+
+  test('counts failed days in a row, stopping at a gap or a good day', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getFailedRun } = await import('/js/utils/decay-strategies.js');
+      const history = [
+        { date: '2024-03-01', earned: 0, decay: 10 },
+        { date: '2024-03-03', earned: 30, decay: 10 },
+        { date: '2024-03-04', earned: 5, decay: 10 },
+        { date: '2024-03-05', earned: 0, decay: 15 }
+      ];
+      return {
+        run: getFailedRun(history, '2024-03-06', () => 10),
+        afterGap: getFailedRun(history, '2024-03-08', () => 10)
+      };
+    });
+
+    expect(result.run).toEqual({ failedDays: 2, absenceDecay: 25 });
+    expect(result.afterGap).toEqual({ failedDays: 0, absenceDecay: 0 });
+  });
+
+  test('skips paused days without ending a run', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getFailedRun, planDecay } = await import('/js/utils/decay-strategies.js');
+      const history = [
+        { date: '2024-03-01', earned: 0, decay: 10 },
+        { date: '2024-03-02', earned: 0, decay: 0, paused: true },
+        { date: '2024-03-03', earned: 0, decay: 15 }
+      ];
+      const getSettings = () => ({ amount: 10, strategy: { type: 'escalating', step: 5 } });
+      return {
+        run: getFailedRun(history, '2024-03-04', () => 10),
+        plan: planDecay(['2024-03-04', '2024-03-05', '2024-03-06'], {
+          score: 0,
+          history,
+          getSettings,
+          isPaused: (date) => date === '2024-03-05'
+        })
+      };
+    });
+
+    expect(result.run).toEqual({ failedDays: 2, absenceDecay: 25 });
+    expect(result.plan.map((charge) => charge.decay)).toEqual([20, 0, 25]);
+    expect(result.plan[1]).toEqual({ date: '2024-03-05', decay: 0, paused: true });
+  });
+
+  test('skips excused days without ending a run', async ({ page }) => {
+    const run = await page.evaluate(async () => {
+      const { getFailedRun } = await import('/js/utils/decay-strategies.js');
+      const history = [
+        { date: '2024-03-01', earned: 0, decay: 10 },
+        { date: '2024-03-02', earned: 0, decay: 0, excused: true },
+        { date: '2024-03-03', earned: 0, decay: 15 }
+      ];
+      return getFailedRun(history, '2024-03-04', () => 10);
+    });
+
+    expect(run).toEqual({ failedDays: 2, absenceDecay: 25 });
+  });
+
+  test('uses the settings in effect on each date', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getDecaySettingsOn, planDecay } = await import('/js/utils/decay-strategies.js');
+      const decayHistory = [
+        { from: '2024-03-01', amount: 10 },
+        { from: '2024-03-03', amount: 10, strategy: { type: 'escalating', step: 5 } }
+      ];
+      const fallback = { amount: 20, strategy: { type: 'flat' } };
+      const getSettings = (date) => getDecaySettingsOn(decayHistory, date, fallback);
+
+      return {
+        legacy: getDecaySettingsOn(decayHistory, '2024-03-02', fallback),
+        empty: getDecaySettingsOn([], '2024-03-02', fallback),
+        plan: planDecay(['2024-03-02', '2024-03-03', '2024-03-04'], {
+          score: 100,
+          getSettings
+        })
+      };
+    });
+
+    expect(result.legacy).toEqual({ amount: 10, strategy: { type: 'flat' } });
+    expect(result.empty).toEqual({ amount: 20, strategy: { type: 'flat' } });
+    expect(result.plan.map((charge) => charge.decay)).toEqual([10, 15, 20]);
+    expect(result.plan[0].decayRule).toEqual({ type: 'flat', amount: 10 });
+    expect(result.plan[2].decayRule).toEqual({
+      type: 'escalating',
+      step: 5,
+      amount: 10,
+      failedDays: 2
+    });
+  });
+});
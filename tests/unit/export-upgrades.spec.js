@@ -0,0 +1,265 @@
+import { test, expect } from '@playwright/test';
+import { upgradeExport, getLatestVersion } from '../../src/js/services/export-upgrades.js';
+import { EXPORT_VERSION } from '../../src/js/services/export.js';
+import { MemoryAdapter } from '../../src/js/storage/adapters/memory.js';
+import { db } from '../../src/js/storage/db.js';
+
+// Each historical export version has a fixture, written as that release wrote
+// its files, and the records it should import as
+
+const CREATED = '2025-01-02T08:00:00.000Z';
+
+const FIXTURES = {
+  // Written before counters, schedules, completion snapshots, pauses and
+  // streak freezes existed; every file before version 2 says version 1
+  1: {
+    file: {
+      app: 'YourScore',
+      version: 1,
+      exportedAt: '2025-01-06T20:00:00.000Z',
+      data: {
+        settings: [
+          { key: 'decayAmount', value: 5 },
+          { key: 'mainScore', value: 15 }
+        ],
+        categories: [
+          { id: 'health', name: 'Health', order: 0, createdAt: CREATED },
+          { id: 'uncategorized', name: 'Uncategorized', order: 999, createdAt: CREATED }
+        ],
+        activities: [
+          {
+            id: 'read',
+            name: 'Read',
+            points: 5,
+            categoryId: 'uncategorized',
+            order: 0,
+            archived: false,
+            createdAt: CREATED
+          },
+          {
+            id: 'walk',
+            name: 'Walk',
+            points: 10,
+            categoryId: 'health',
+            order: 0,
+            archived: false,
+            createdAt: CREATED
+          }
+        ],
+        completions: [
+          {
+            id: 'c1',
+            activityId: 'walk',
+            date: '2025-01-05',
+            completedAt: '2025-01-05T09:00:00.000Z'
+          },
+          {
+            id: 'c2',
+            activityId: 'read',
+            date: '2025-01-05',
+            completedAt: '2025-01-05T21:00:00.000Z'
+          }
+        ],
+        scoreHistory: [{ date: '2025-01-05', score: 15, earned: 15, decay: 0 }],
+        achievements: [{ id: 'first-step', unlockedAt: '2025-01-05T09:00:00.000Z' }]
+      }
+    },
+    imported: {
+      activities: [
+        {
+          id: 'read',
+          name: 'Read',
+          points: 5,
+          categoryId: 'uncategorized',
+          order: 0,
+          archived: false,
+          createdAt: CREATED,
+          type: 'check',
+          dailyMax: null,
+          schedule: { type: 'daily' }
+        },
+        {
+          id: 'walk',
+          name: 'Walk',
+          points: 10,
+          categoryId: 'health',
+          order: 0,
+          archived: false,
+          createdAt: CREATED,
+          type: 'check',
+          dailyMax: null,
+          schedule: { type: 'daily' }
+        }
+      ],
+      completions: [
+        {
+          id: 'c1',
+          activityId: 'walk',
+          date: '2025-01-05',
+          completedAt: '2025-01-05T09:00:00.000Z',
+          count: 1,
+          points: 10,
+          activityName: 'Walk',
+          categoryId: 'health',
+          categoryName: 'Health'
+        },
+        {
+          id: 'c2',
+          activityId: 'read',
+          date: '2025-01-05',
+          completedAt: '2025-01-05T21:00:00.000Z',
+          count: 1,
+          points: 5,
+          activityName: 'Read',
+          categoryId: 'uncategorized',
+          categoryName: 'Uncategorized'
+        }
+      ],
+      pauses: [],
+      streakFreezes: []
+    }
+  },
+  // Every record carries its fields, as the current release writes them
+  2: {
+    file: {
+      app: 'YourScore',
+      version: 2,
+      exportedAt: '2026-03-10T20:00:00.000Z',
+      data: {
+        settings: [{ key: 'mainScore', value: 40 }],
+        categories: [
+          { id: 'uncategorized', name: 'Uncategorized', order: 999, createdAt: CREATED }
+        ],
+        activities: [
+          {
+            id: 'water',
+            name: 'Water',
+            points: 2,
+            categoryId: 'uncategorized',
+            order: 0,
+            archived: false,
+            createdAt: CREATED,
+            type: 'counter',
+            dailyMax: 8,
+            schedule: { type: 'weekdays', days: [1, 3, 5] }
+          }
+        ],
+        completions: [
+          {
+            id: 'c1',
+            activityId: 'water',
+            date: '2026-03-09',
+            completedAt: '2026-03-09T09:00:00.000Z',
+            count: 4,
+            points: 2,
+            activityName: 'Water',
+            categoryId: 'uncategorized',
+            categoryName: 'Uncategorized'
+          }
+        ],
+        scoreHistory: [],
+        achievements: [],
+        scoreAdjustments: [
+          { id: 'a1', date: '2026-03-08', amount: 32, createdAt: '2026-03-08T12:00:00.000Z' }
+        ],
+        pauses: [
+          {
+            id: 'p1',
+            startDate: '2026-04-01',
+            endDate: null,
+            createdAt: '2026-03-10T12:00:00.000Z'
+          }
+        ],
+        excusedDays: [],
+        streakFreezes: [
+          {
+            id: 'f1',
+            earnedOn: '2026-03-07',
+            streak: 7,
+            usedOn: null,
+            createdAt: '2026-03-07T12:00:00.000Z'
+          }
+        ]
+      }
+    },
+    imported: {}
+  }
+};
+
+test.describe('Export Upgrades (unit)', () => {
+  test('has an upgrader for every version up to the current one', () => {
+    expect(getLatestVersion()).toBe(EXPORT_VERSION);
+  });
+
+  test('upgrades without changing the file it was given', () => {
+    const file = structuredClone(FIXTURES[1].file);
+    const upgraded = upgradeExport(file, EXPORT_VERSION);
+
+    expect(file).toEqual(FIXTURES[1].file);
+    expect(upgraded.version).toBe(EXPORT_VERSION);
+    expect(upgraded.data.completions[0]).toMatchObject({ count: 1, points: 10 });
+  });
+
+  test('rejects files from a newer version or without a valid version', () => {
+    const file = FIXTURES[EXPORT_VERSION].file;
+
+    expect(() => upgradeExport({ ...file, version: EXPORT_VERSION + 1 }, EXPORT_VERSION)).toThrow(
+      'exported by a newer version'
+    );
+    expect(() => upgradeExport({ ...file, version: '1' }, EXPORT_VERSION)).toThrow(
+      'Invalid or missing version number'
+    );
+    expect(() => upgradeExport({ ...file, version: 0 }, EXPORT_VERSION)).toThrow(
+      'Invalid or missing version number'
+    );
+  });
+
+  test('leaves malformed records for validation to report', () => {
+    const upgraded = upgradeExport(
+      {
+        app: 'YourScore',
+        version: 1,
+        data: { activities: 'none', completions: [null, { id: 'c1', activityId: 'gone' }] }
+      },
+      EXPORT_VERSION
+    );
+
+    expect(upgraded.data.activities).toBe('none');
+    expect(upgraded.data.completions).toEqual([null, { id: 'c1', activityId: 'gone', count: 1 }]);
+  });
+});
+
+test.describe('Export Round Trips (unit)', () => {
+  test.beforeEach(() => {
+    db.useAdapter(new MemoryAdapter());
+  });
+
+  test.afterEach(() => {
+    db.adapter = null;
+    db.selection = null;
+  });
+
+  for (let version = 1; version <= EXPORT_VERSION; version++) {
+    test(`round-trips a version ${version} export through import and export`, async () => {
+      const { exportToJSON, importFromJSON } = await import('../../src/js/services/export.js');
+      const fixture = FIXTURES[version];
+      expect(fixture, `fixture for export version ${version}`).toBeTruthy();
+
+      const imported = await importFromJSON(structuredClone(fixture.file), { merge: false });
+      expect(imported).toMatchObject({ success: true, errors: [] });
+
+      const exported = await exportToJSON();
+      expect(exported.version).toBe(EXPORT_VERSION);
+      expect(exported.data).toEqual({
+        scoreAdjustments: [],
+        excusedDays: [],
+        ...fixture.file.data,
+        ...fixture.imported
+      });
+
+      // The current format imports as it is
+      await importFromJSON(structuredClone(exported), { merge: false });
+      expect((await exportToJSON()).data).toEqual(exported.data);
+    });
+  }
+});
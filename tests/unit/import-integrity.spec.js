@@ -0,0 +1,140 @@
+import { test, expect } from '@playwright/test';
+import { checkIntegrity } from '../../src/js/services/import-integrity.js';
+import { MemoryAdapter } from '../../src/js/storage/adapters/memory.js';
+import { db } from '../../src/js/storage/db.js';
+
+// checkIntegrity() only works on plain records, so these run in Node without a page
+
+const TODAY = '2026-03-10';
+const CREATED = '2026-03-01T08:00:00.000Z';
+
+function activity(id, name, categoryId, order = 0) {
+  return {
+    id,
+    name,
+    points: 10,
+    categoryId,
+    order,
+    archived: false,
+    createdAt: CREATED,
+    type: 'check',
+    dailyMax: null,
+    schedule: { type: 'daily' }
+  };
+}
+
+function completion(id, activityId, date) {
+  return { id, activityId, date, completedAt: `${date}T09:00:00.000Z`, count: 1 };
+}
+
+function records() {
+  return {
+    categories: [{ id: 'health', name: 'Health', order: 0, createdAt: CREATED }],
+    activities: [
+      activity('walk', 'Walk', 'health'),
+      activity('read', 'Read', 'uncategorized'),
+      activity('swim', 'Swim', 'sports', 1)
+    ],
+    completions: [
+      completion('c1', 'walk', '2026-03-08'),
+      completion('c2', 'walk', '2026-03-08'),
+      completion('c3', 'gone', '2026-03-09')
+    ],
+    scoreHistory: [{ date: '2026-02-30', score: 0, earned: 0, decay: 0 }],
+    excusedDays: [{ date: '2026-03-11', refunded: 5, excusedAt: CREATED }],
+    pauses: [{ id: 'p1', startDate: '2026-04-01', endDate: null, createdAt: CREATED }]
+  };
+}
+
+test.describe('Import Integrity (unit)', () => {
+  test('reports each problem with the record it was found at', () => {
+    const { problems, repaired } = checkIntegrity(records(), { today: TODAY });
+
+    expect(problems).toEqual([
+      {
+        message: 'Invalid date in "date" at scoreHistory[0]: expected YYYY-MM-DD',
+        repairable: false
+      },
+      { message: '"date" is in the future at excusedDays[0]', repairable: false },
+      { message: 'Unknown category "sports" at activities[2]', repairable: true },
+      {
+        message: 'completions[1] logs the same activity and day as completions[0]',
+        repairable: true
+      },
+      { message: 'Unknown activity "gone" at completions[2]', repairable: false }
+    ]);
+    expect(repaired).toEqual([]);
+  });
+
+  test('moves activities to Uncategorized and drops repeated completions when repairing', () => {
+    const data = records();
+    const result = checkIntegrity(data, { repair: true, today: TODAY });
+
+    expect(result.data.activities[2]).toMatchObject({
+      id: 'swim',
+      categoryId: 'uncategorized',
+      order: 1
+    });
+    expect(result.data.completions.map((record) => record.id)).toEqual(['c1', 'c3']);
+    expect(result.repaired).toEqual([
+      'Swim was moved to Uncategorized because its category is missing.',
+      'A second completion of Walk on 2026-03-08 was dropped.'
+    ]);
+    expect(result.problems.every((problem) => !problem.repairable)).toBe(true);
+
+    // The records passed in are left as they were
+    expect(data.activities[2].categoryId).toBe('sports');
+    expect(data.completions).toHaveLength(3);
+  });
+});
+
+test.describe('Import Repair (unit)', () => {
+  test.beforeEach(() => {
+    db.useAdapter(new MemoryAdapter());
+  });
+
+  test.afterEach(() => {
+    db.adapter = null;
+    db.selection = null;
+  });
+
+  test('rejects a file with integrity problems unless asked to repair it', async () => {
+    const { importFromJSON, previewImport, exportToJSON } =
+      await import('../../src/js/services/export.js');
+    const { scoreHistory, excusedDays, ...data } = records();
+    data.completions = data.completions.slice(0, 2);
+    const file = { app: 'YourScore', version: 2, data };
+
+    const rejected = await importFromJSON(structuredClone(file), { merge: false });
+    const preview = await previewImport(structuredClone(file));
+    const repairedPreview = await previewImport(structuredClone(file), { repair: true });
+    const imported = await importFromJSON(structuredClone(file), { merge: false, repair: true });
+    const exported = (await exportToJSON()).data;
+
+    expect(rejected.success).toBe(false);
+    expect(rejected.errors).toEqual([
+      'Unknown category "sports" at activities[2]',
+      'completions[1] logs the same activity and day as completions[0]'
+    ]);
+    expect(preview).toMatchObject({ success: false, repairable: true });
+    expect(repairedPreview.success).toBe(true);
+    expect(repairedPreview.warnings).toContain(
+      'Swim was moved to Uncategorized because its category is missing.'
+    );
+    expect(repairedPreview.replace.changes.completions.added).toBe(1);
+    expect(imported.success).toBe(true);
+    expect(exported.completions.map((record) => record.id)).toEqual(['c1']);
+    expect(exported.activities.find((record) => record.id === 'swim').categoryId).toBe(
+      'uncategorized'
+    );
+  });
+
+  test('does not offer a repair when some problems cannot be repaired', async () => {
+    const { previewImport } = await import('../../src/js/services/export.js');
+    const preview = await previewImport({ app: 'YourScore', version: 2, data: records() });
+
+    expect(preview.success).toBe(false);
+    expect(preview.repairable).toBe(false);
+    expect(preview.errors).toContain('Unknown activity "gone" at completions[2]');
+  });
+});
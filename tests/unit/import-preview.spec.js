@@ -0,0 +1,164 @@
+import { test, expect } from '@playwright/test';
+import { MemoryAdapter } from '../../src/js/storage/adapters/memory.js';
+import { db } from '../../src/js/storage/db.js';
+
+// The preview and the import share their code, so each mode is previewed and
+// then imported to check that both agree
+
+const CREATED = '2026-03-01T08:00:00.000Z';
+const UNCATEGORIZED = {
+  id: 'uncategorized',
+  name: 'Uncategorized',
+  order: 999,
+  createdAt: CREATED
+};
+
+function settings(mainScore) {
+  return [
+    { key: 'mainScore', value: mainScore },
+    { key: 'decayAmount', value: 0 },
+    { key: 'firstUseDate', value: '2026-03-08' }
+  ];
+}
+
+function walk(extra = {}) {
+  return {
+    id: 'walk',
+    name: 'Walk',
+    points: 10,
+    categoryId: 'uncategorized',
+    order: 0,
+    archived: false,
+    createdAt: CREATED,
+    ...extra
+  };
+}
+
+function completion(id, activityId, date) {
+  return { id, activityId, date, completedAt: `${date}T09:00:00.000Z` };
+}
+
+const LOCAL = {
+  app: 'YourScore',
+  version: 2,
+  exportedAt: '2026-03-09T20:00:00.000Z',
+  data: {
+    settings: settings(10),
+    categories: [UNCATEGORIZED],
+    activities: [walk({ type: 'check', dailyMax: null, schedule: { type: 'daily' } })],
+    completions: [
+      {
+        ...completion('c1', 'walk', '2026-03-09'),
+        count: 1,
+        points: 10,
+        activityName: 'Walk',
+        categoryId: 'uncategorized',
+        categoryName: 'Uncategorized'
+      }
+    ],
+    scoreHistory: [{ date: '2026-03-09', score: 10, earned: 10, decay: 0 }]
+  }
+};
+
+// A file from the first export version, from a device that also logged reading
+const INCOMING = {
+  app: 'YourScore',
+  version: 1,
+  exportedAt: '2026-03-08T20:00:00.000Z',
+  data: {
+    settings: settings(5),
+    categories: [UNCATEGORIZED],
+    activities: [walk(), { ...walk(), id: 'read', name: 'Read', points: 5, order: 1 }],
+    completions: [completion('c2', 'read', '2026-03-08'), completion('c2', 'read', '2026-03-08')],
+    scoreHistory: [{ date: '2026-03-08', score: 5, earned: 5, decay: 0 }],
+    notes: []
+  }
+};
+
+test.describe('Import Preview (unit)', () => {
+  test.beforeEach(async () => {
+    db.useAdapter(new MemoryAdapter());
+    const { importFromJSON } = await import('../../src/js/services/export.js');
+    await importFromJSON(structuredClone(LOCAL), { merge: false });
+  });
+
+  test.afterEach(() => {
+    db.adapter = null;
+    db.selection = null;
+  });
+
+  test('shows what replacing and merging would each change', async () => {
+    const { previewImport } = await import('../../src/js/services/export.js');
+    const preview = await previewImport(structuredClone(INCOMING));
+
+    expect(preview.success).toBe(true);
+    expect(preview.range).toEqual({ from: '2026-03-08', to: '2026-03-08' });
+    expect(preview.mainScore).toBe(10);
+    expect(preview.warnings).toEqual([
+      'This file was made by an older version (format 1) and has been upgraded.',
+      '“notes” is not part of YourScore data and will be skipped.',
+      '1 record in completions repeats an earlier one; only the last is kept.'
+    ]);
+
+    // The upgraded Walk matches the one here, so it is not counted as updated
+    expect(preview.replace.changes).toMatchObject({
+      activities: { added: 1, updated: 0, removed: 0 },
+      completions: { added: 1, updated: 0, removed: 1 },
+      scoreHistory: { added: 1, updated: 0, removed: 1 }
+    });
+    expect(preview.replace.mainScore).toBe(5);
+    expect(preview.merge.changes).toMatchObject({
+      activities: { added: 1, updated: 0, removed: 0 },
+      completions: { added: 1, updated: 0, removed: 0 }
+    });
+    expect(preview.merge.mainScore).toBe(15);
+    expect(preview.merge.conflicts).toEqual([]);
+
+    // Nothing is saved by the preview
+    const { exportToJSON } = await import('../../src/js/services/export.js');
+    expect((await exportToJSON()).data.activities).toHaveLength(1);
+  });
+
+  for (const merge of [false, true]) {
+    test(`imports what the preview shows when ${merge ? 'merging' : 'replacing'}`, async () => {
+      const { previewImport, importFromJSON, exportToJSON } =
+        await import('../../src/js/services/export.js');
+      const before = (await exportToJSON()).data;
+      const preview = await previewImport(structuredClone(INCOMING));
+      const expected = merge ? preview.merge : preview.replace;
+
+      const imported = await importFromJSON(structuredClone(INCOMING), { merge });
+      const after = (await exportToJSON()).data;
+      expect(imported.success).toBe(true);
+
+      for (const [storeName, change] of Object.entries(expected.changes)) {
+        const keyOf = (record) => record.id ?? record.key ?? record.date;
+        const beforeKeys = new Set(before[storeName].map(keyOf));
+        const afterKeys = new Set(after[storeName].map(keyOf));
+        expect(
+          [...afterKeys].filter((key) => !beforeKeys.has(key)).length,
+          `${storeName} added`
+        ).toBe(change.added);
+        expect(
+          [...beforeKeys].filter((key) => !afterKeys.has(key)).length,
+          `${storeName} removed`
+        ).toBe(change.removed);
+      }
+      expect(after.settings.find((setting) => setting.key === 'mainScore').value).toBe(
+        expected.mainScore
+      );
+    });
+  }
+
+  test('reports why a file cannot be imported', async () => {
+    const { previewImport } = await import('../../src/js/services/export.js');
+
+    expect(await previewImport({ ...INCOMING, version: 99 })).toMatchObject({
+      success: false,
+      errors: [
+        'This file was exported by a newer version of YourScore. Update the app to import it'
+      ]
+    });
+    expect((await previewImport({ ...INCOMING, app: 'Other' })).success).toBe(false);
+  });
+});
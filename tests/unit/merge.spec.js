@@ -0,0 +1,334 @@
+import { test, expect } from '@playwright/test';
+import { mergeData } from '../../src/js/services/merge.js';
+import { MemoryAdapter } from '../../src/js/storage/adapters/memory.js';
+import { db } from '../../src/js/storage/db.js';
+
+// mergeData() only works on plain records, so these run in Node without a page
+
+const TODAY = '2026-03-10';
+
+function category(id, name, order) {
+  return { id, name, order, createdAt: '2026-03-01T08:00:00.000Z' };
+}
+
+function activity(id, name, points, categoryId, extra = {}) {
+  return {
+    id,
+    name,
+    points,
+    categoryId,
+    type: 'check',
+    order: 0,
+    archived: false,
+    createdAt: '2026-03-01T08:00:00.000Z',
+    ...extra
+  };
+}
+
+function completion(id, activityId, date, extra = {}) {
+  return { id, activityId, date, completedAt: `${date}T09:00:00.000Z`, count: 1, ...extra };
+}
+
+function settings(values) {
+  return Object.entries(values).map(([key, value]) => ({ key, value }));
+}
+
+test.describe('Merge Service (unit)', () => {
+  test('matches categories and activities by name and places new ones last', () => {
+    const local = {
+      categories: [category('uncategorized', 'Uncategorized', 999), category('h1', 'Health', 0)],
+      activities: [
+        activity('walk-1', 'Walk', 10, 'h1'),
+        activity('run-1', 'Run', 20, 'h1', { order: 1 })
+      ]
+    };
+    const incoming = {
+      categories: [
+        category('uncategorized', 'Uncategorized', 999),
+        category('h2', ' health ', 0),
+        category('w2', 'Work', 1)
+      ],
+      activities: [
+        activity('walk-2', 'walk', 10, 'h2'),
+        activity('swim-2', 'Swim', 15, 'h2', { order: 1 }),
+        activity('mail-2', 'Inbox zero', 5, 'w2')
+      ]
+    };
+
+    const plan = mergeData(local, incoming, TODAY);
+    const byName = new Map(plan.data.activities.map((record) => [record.name, record]));
+
+    expect(plan.data.categories.map((record) => [record.name, record.order])).toEqual([
+      ['Uncategorized', 999],
+      ['Health', 0],
+      ['Work', 1]
+    ]);
+    expect(plan.data.activities.map((record) => record.name)).toEqual([
+      'Walk',
+      'Run',
+      'Inbox zero',
+      'Swim'
+    ]);
+    expect(byName.get('Swim')).toMatchObject({ categoryId: 'h1', order: 2 });
+    expect(byName.get('Inbox zero')).toMatchObject({ categoryId: 'w2', order: 0 });
+    expect(plan.added).toMatchObject({ categories: 1, activities: 2 });
+    expect(plan.conflicts).toEqual([]);
+  });
+
+  test('logs each activity once a day and keeps the higher count', () => {
+    const local = {
+      activities: [
+        activity('walk-1', 'Walk', 10, 'uncategorized'),
+        activity('water-1', 'Water', 1, 'uncategorized', { type: 'counter' })
+      ],
+      completions: [
+        completion('c1', 'walk-1', '2026-03-08'),
+        completion('c2', 'water-1', '2026-03-08', { count: 3 })
+      ]
+    };
+    const incoming = {
+      activities: [
+        activity('walk-2', 'Walk', 10, 'uncategorized'),
+        activity('water-2', 'Water', 1, 'uncategorized', { type: 'counter' })
+      ],
+      completions: [
+        completion('c3', 'walk-2', '2026-03-08'),
+        completion('c4', 'walk-2', '2026-03-09'),
+        completion('c5', 'water-2', '2026-03-08', { count: 5 })
+      ]
+    };
+
+    const plan = mergeData(local, incoming, TODAY);
+
+    expect(
+      plan.data.completions.map((record) => [record.activityId, record.date, record.count])
+    ).toEqual([
+      ['walk-1', '2026-03-08', 1],
+      ['water-1', '2026-03-08', 5],
+      ['walk-1', '2026-03-09', 1]
+    ]);
+    expect(plan.added.completions).toBe(1);
+    expect(plan.duplicates).toBe(1);
+    expect(plan.conflicts).toEqual([
+      { type: 'completion', name: 'Water', date: '2026-03-08', local: 3, incoming: 5, kept: 5 }
+    ]);
+  });
+
+  test("keeps the higher count only up to the activity's daily max", () => {
+    const local = {
+      activities: [
+        activity('water-1', 'Water', 1, 'uncategorized', { type: 'counter', dailyMax: 4 })
+      ],
+      completions: [completion('c1', 'water-1', '2026-03-08', { count: 3 })]
+    };
+    const incoming = {
+      activities: [
+        activity('water-2', 'Water', 1, 'uncategorized', { type: 'counter', dailyMax: 10 })
+      ],
+      completions: [completion('c2', 'water-2', '2026-03-08', { count: 8 })]
+    };
+
+    const plan = mergeData(local, incoming, TODAY);
+
+    expect(plan.data.completions.map((record) => record.count)).toEqual([4]);
+    expect(plan.conflicts).toEqual([
+      {
+        type: 'completion',
+        name: 'Water',
+        date: '2026-03-08',
+        local: 3,
+        incoming: 8,
+        kept: 4,
+        dailyMax: 4
+      }
+    ]);
+  });
+
+  test('keeps local values and reports what differs', () => {
+    const local = {
+      settings: settings({
+        decayAmount: 5,
+        theme: 'dark',
+        firstUseDate: '2026-03-05',
+        lastActiveDate: '2026-03-08'
+      }),
+      activities: [activity('walk-1', 'Walk', 10, 'uncategorized')],
+      pauses: [
+        { id: 'p1', startDate: '2026-04-01', endDate: '2026-04-07', createdAt: '2026-03-01' }
+      ]
+    };
+    const incoming = {
+      settings: settings({
+        decayAmount: 2,
+        theme: 'light',
+        firstUseDate: '2026-03-02',
+        lastActiveDate: '2026-03-07'
+      }),
+      activities: [activity('walk-2', 'Walk', 12, 'uncategorized')],
+      pauses: [
+        { id: 'p2', startDate: '2026-04-01', endDate: '2026-04-07', createdAt: '2026-03-02' },
+        { id: 'p3', startDate: '2026-04-05', endDate: null, createdAt: '2026-03-02' }
+      ]
+    };
+
+    const plan = mergeData(local, incoming, TODAY);
+    const values = Object.fromEntries(
+      plan.data.settings.map((record) => [record.key, record.value])
+    );
+
+    expect(values).toMatchObject({
+      decayAmount: 5,
+      theme: 'dark',
+      firstUseDate: '2026-03-02',
+      lastActiveDate: '2026-03-08'
+    });
+    expect(plan.data.activities).toEqual([activity('walk-1', 'Walk', 10, 'uncategorized')]);
+    expect(plan.data.pauses.map((pause) => pause.id)).toEqual(['p1']);
+    expect(plan.conflicts).toEqual([
+      { type: 'activity', name: 'Walk', field: 'points', local: 10, incoming: 12 },
+      {
+        type: 'pause',
+        local: { startDate: '2026-04-01', endDate: '2026-04-07' },
+        incoming: { startDate: '2026-04-05', endDate: null }
+      },
+      { type: 'setting', key: 'decayAmount', local: 5, incoming: 2 }
+    ]);
+  });
+
+  test('unions achievements and keeps the earliest unlock', () => {
+    const plan = mergeData(
+      { achievements: [{ id: 'first-step', unlockedAt: '2026-03-05T10:00:00.000Z' }] },
+      {
+        achievements: [
+          { id: 'first-step', unlockedAt: '2026-03-02T10:00:00.000Z' },
+          { id: 'week-streak', unlockedAt: '2026-03-09T10:00:00.000Z' }
+        ]
+      },
+      TODAY
+    );
+
+    expect(plan.data.achievements).toEqual([
+      { id: 'first-step', unlockedAt: '2026-03-02T10:00:00.000Z' },
+      { id: 'week-streak', unlockedAt: '2026-03-09T10:00:00.000Z' }
+    ]);
+    expect(plan.added.achievements).toBe(1);
+  });
+
+  test('replays the score history and main score from the merged records', () => {
+    const local = {
+      settings: settings({
+        mainScore: 30,
+        decayAmount: 0,
+        firstUseDate: '2026-03-08',
+        lastActiveDate: TODAY
+      }),
+      activities: [activity('walk-1', 'Walk', 10, 'uncategorized')],
+      completions: [
+        completion('c1', 'walk-1', '2026-03-08'),
+        completion('c2', 'walk-1', '2026-03-09')
+      ],
+      scoreHistory: [{ date: '2026-03-09', score: 30, earned: 10, decay: 0 }]
+    };
+    const incoming = {
+      settings: settings({
+        mainScore: 25,
+        decayAmount: 0,
+        firstUseDate: '2026-03-07',
+        lastActiveDate: '2026-03-09'
+      }),
+      activities: [
+        activity('walk-2', 'Walk', 10, 'uncategorized'),
+        activity('read-2', 'Read', 5, 'uncategorized')
+      ],
+      completions: [
+        completion('c3', 'walk-2', '2026-03-09'),
+        completion('c4', 'read-2', '2026-03-07')
+      ],
+      scoreAdjustments: [
+        { id: 'a1', date: '2026-03-07', amount: 10, createdAt: '2026-03-07T12:00:00.000Z' }
+      ]
+    };
+
+    const plan = mergeData(local, incoming, TODAY);
+
+    expect(plan.mainScore).toEqual({ current: 30, merged: 35 });
+    expect(plan.data.settings).toContainEqual({ key: 'mainScore', value: 35 });
+    expect(plan.data.scoreHistory.map((record) => [record.date, record.score])).toEqual([
+      ['2026-03-07', 15],
+      ['2026-03-08', 25],
+      ['2026-03-09', 35],
+      ['2026-03-10', 35]
+    ]);
+  });
+
+  test('scores records from before the first use date', () => {
+    const local = {
+      settings: settings({
+        mainScore: 10,
+        decayAmount: 0,
+        firstUseDate: '2026-03-08',
+        lastActiveDate: TODAY
+      }),
+      activities: [activity('walk-1', 'Walk', 10, 'uncategorized')],
+      completions: [completion('c1', 'walk-1', '2026-03-08')]
+    };
+    // A CSV file brings no settings
+    const incoming = {
+      activities: [activity('walk-2', 'Walk', 10, 'uncategorized')],
+      completions: [completion('c2', 'walk-2', '2026-03-01')],
+      excusedDays: [{ date: '2026-02-27', refunded: 0, excusedAt: '2026-02-27T20:00:00.000Z' }]
+    };
+
+    const plan = mergeData(local, incoming, TODAY);
+    const fresh = mergeData({}, incoming, TODAY);
+
+    expect(plan.data.settings).toContainEqual({ key: 'firstUseDate', value: '2026-03-08' });
+    expect(plan.mainScore).toEqual({ current: 10, merged: 20 });
+    expect(plan.data.scoreHistory[0]).toMatchObject({ date: '2026-02-27', excused: true });
+    expect(fresh.mainScore.merged).toBe(10);
+  });
+});
+
+test.describe('Merge Import (unit)', () => {
+  test.beforeEach(() => {
+    db.useAdapter(new MemoryAdapter());
+  });
+
+  test.afterEach(() => {
+    db.adapter = null;
+    db.selection = null;
+  });
+
+  test('charges no decay for the days before the first use date', async () => {
+    const { SettingsModel } = await import('../../src/js/models/settings.js');
+    const { ActivityModel } = await import('../../src/js/models/activity.js');
+    const { ScoreModel } = await import('../../src/js/models/score.js');
+    const { setCompletionCount } = await import('../../src/js/services/history.js');
+    const { importFromCSVString } = await import('../../src/js/services/export.js');
+    const { getDateDaysAgo, getLocalDateString } = await import('../../src/js/utils/date.js');
+
+    await SettingsModel.setMany({
+      firstUseDate: getDateDaysAgo(3),
+      lastActiveDate: getLocalDateString(),
+      decayAmount: 10,
+      mainScore: 0
+    });
+    const read = await ActivityModel.create({ name: 'Read', points: 20 });
+    await setCompletionCount(read, getDateDaysAgo(3), 1);
+
+    const result = await importFromCSVString(
+      `date,activity,category,points,count\n${getDateDaysAgo(400)},Read,,20,1`
+    );
+
+    // 20 on the first day and 20 from the file, less 10 decay on each day since
+    expect(result.success).toBe(true);
+    expect(await ScoreModel.getScore()).toBe(10);
+    expect(await SettingsModel.getFirstUseDate()).toBe(getDateDaysAgo(3));
+    expect((await ScoreModel.getAllHistory())[0]).toMatchObject({
+      date: getDateDaysAgo(400),
+      score: 20,
+      earned: 20,
+      decay: 0
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import { test, expect } from '@playwright/test';
+
+test.beforeEach(async ({ page }) => {
+  await page.addInitScript(() => {
+    window.__TEST_MODE__ = true;
+  });
+});
+
+test.describe('Schedule Utils (unit)', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+  });
+
+  test('treats activities without a schedule as daily', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { getSchedule, isScheduledOn, isValidSchedule } = await import('/js/utils/schedule.js');
+      const activity = { id: 'a', name: 'Legacy' };
+      return {
+        schedule: getSchedule(activity),
+        scheduled: isScheduledOn(activity, '2024-01-15'),
+        valid: isValidSchedule(undefined)
+      };
+    });
+
+    expect(result.schedule).toEqual({ type: 'daily' });
+    expect(result.scheduled).toBe(true);
+    expect(result.valid).toBe(true);
+  });
+
+  test('matches weekday schedules by day of week', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { isScheduledOn } = await import('/js/utils/schedule.js');
+      // Monday, Wednesday, Friday
+      const gym = { schedule: { type: 'weekdays', days: [1, 3, 5] } };
+      return {
+        monday: isScheduledOn(gym, '2024-01-15'),
+        tuesday: isScheduledOn(gym, '2024-01-16'),
+        friday: isScheduledOn(gym, '2024-01-19'),
+        sunday: isScheduledOn(gym, '2024-01-21')
+      };
+    });
+
+    expect(result).toEqual({ monday: true, tuesday: false, friday: true, sunday: false });
+  });
+
+  test('matches interval schedules from the start date', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { isScheduledOn } = await import('/js/utils/schedule.js');
+      const plants = { schedule: { type: 'interval', every: 3, startDate: '2024-01-30' } };
+      return {
+        beforeStart: isScheduledOn(plants, '2024-01-27'),
+        start: isScheduledOn(plants, '2024-01-30'),
+        nextDay: isScheduledOn(plants, '2024-01-31'),
+        acrossMonth: isScheduledOn(plants, '2024-02-02')
+      };
+    });
+
+    expect(result).toEqual({ beforeStart: false, start: true, nextDay: false, acrossMonth: true });
+  });
+
+  test('keeps weekly quotas due until met', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { isDueOn, isScheduledOn } = await import('/js/utils/schedule.js');
+      const run = { schedule: { type: 'weekly', timesPerWeek: 2 } };
+      return {
+        fresh: isDueOn(run, '2024-01-17', 0),
+        once: isDueOn(run, '2024-01-17', 1),
+        met: isDueOn(run, '2024-01-17', 2),
+        fixedDay: isScheduledOn(run, '2024-01-17')
+      };
+    });
+
+    expect(result).toEqual({ fresh: true, once: true, met: false, fixedDay: false });
+  });
+
+  test('requires weekly quotas once the rest of the week is needed to meet them', async ({
+    page
+  }) => {
+    const result = await page.evaluate(async () => {
+      const { isRequiredOn } = await import('/js/utils/schedule.js');
+      const run = { schedule: { type: 'weekly', timesPerWeek: 2 } };
+      // The week of Monday 2024-01-15 ends on Sunday 2024-01-21
+      return {
+        monday: isRequiredOn(run, '2024-01-15', 0),
+        saturday: isRequiredOn(run, '2024-01-20', 0),
+        saturdayOnceDone: isRequiredOn(run, '2024-01-20', 1),
+        sundayOnceDone: isRequiredOn(run, '2024-01-21', 1),
+        sundayMet: isRequiredOn(run, '2024-01-21', 2),
+        sundayMissed: isRequiredOn(run, '2024-01-21', 0)
+      };
+    });
+
+    expect(result).toEqual({
+      monday: false,
+      saturday: true,
+      saturdayOnceDone: false,
+      sundayOnceDone: true,
+      sundayMet: false,
+      sundayMissed: true
+    });
+  });
+
+  test('validates and normalizes schedules', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { isValidSchedule, normalizeSchedule } = await import('/js/utils/schedule.js');
+      return {
+        invalid: [
+          isValidSchedule({ type: 'monthly' }),
+          isValidSchedule({ type: 'weekdays', days: [] }),
+          isValidSchedule({ type: 'weekdays', days: [7] }),
+          isValidSchedule({ type: 'interval', every: 0 }),
+          isValidSchedule({ type: 'interval', every: 2, startDate: 'tomorrow' }),
+          isValidSchedule({ type: 'weekly', timesPerWeek: 8 })
+        ],
+        weekdays: normalizeSchedule({ type: 'weekdays', days: [5, 1, 5], extra: true }),
+        interval: normalizeSchedule({ type: 'interval', every: 2 }, '2024-03-01')
+      };
+    });
+
+    expect(result.invalid).toEqual([false, false, false, false, false, false]);
+    expect(result.weekdays).toEqual({ type: 'weekdays', days: [1, 5] });
+    expect(result.interval).toEqual({ type: 'interval', every: 2, startDate: '2024-03-01' });
+  });
+});
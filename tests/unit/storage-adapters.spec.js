@@ -0,0 +1,304 @@
+import { test, expect } from '@playwright/test';
+import { MemoryAdapter } from '../../src/js/storage/adapters/memory.js';
+import { LocalStorageAdapter } from '../../src/js/storage/adapters/local-storage.js';
+import { db, requestResult } from '../../src/js/storage/db.js';
+
+// These run in Node without a browser page: the memory and localStorage
+// adapters need neither IndexedDB nor the DOM.
+
+class FakeStorage {
+  constructor(quota = Infinity) {
+    this.items = new Map();
+    this.quota = quota;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    if (String(value).length > this.quota) {
+      throw new DOMException('Quota exceeded', 'QuotaExceededError');
+    }
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+test.describe('Memory Storage Adapter (unit)', () => {
+  test('orders range queries the way IndexedDB does', async () => {
+    const adapter = new MemoryAdapter();
+    await adapter.putMany('completions', [
+      { id: 'c3', activityId: 'b', date: '2026-03-03' },
+      { id: 'c1', activityId: 'a', date: '2026-03-01' },
+      { id: 'c2', activityId: 'b', date: '2026-03-01' },
+      { id: 'c4', activityId: 'a', date: '2026-03-04' }
+    ]);
+
+    const ids = (records) => records.map((record) => record.id);
+
+    expect(ids(await adapter.getAll('completions'))).toEqual(['c1', 'c2', 'c3', 'c4']);
+    expect(
+      ids(
+        await adapter.getRange('completions', {
+          index: 'date',
+          lower: '2026-03-01',
+          upper: '2026-03-03'
+        })
+      )
+    ).toEqual(['c1', 'c2', 'c3']);
+    expect(
+      ids(await adapter.getRange('completions', { index: 'date', reverse: true, limit: 3 }))
+    ).toEqual(['c4', 'c3', 'c2']);
+    expect(
+      ids(await adapter.getRange('completions', { lower: '2026-12-31', upper: '2026-01-01' }))
+    ).toEqual([]);
+    expect(await adapter.countRange('completions', { index: 'date', upper: '2026-03-02' })).toBe(2);
+    expect((await adapter.getOneByIndex('completions', 'activityDate', ['b', '2026-03-03'])).id).toBe(
+      'c3'
+    );
+
+    const visited = [];
+    await adapter.iterate('completions', { index: 'date', reverse: true }, (record) => {
+      visited.push(record.id);
+      return visited.length < 2;
+    });
+    expect(visited).toEqual(['c4', 'c3']);
+  });
+
+  test('leaves records with boolean index values out of the index', async () => {
+    const adapter = new MemoryAdapter();
+    await adapter.put('activities', { id: 'a1', categoryId: 'x', order: 0, archived: true });
+    await adapter.put('activities', { id: 'a2', categoryId: 'x', order: 1 });
+
+    expect(await adapter.getRange('activities', { index: 'archived' })).toEqual([]);
+    expect((await adapter.getByIndex('activities', 'categoryId', 'x')).length).toBe(2);
+  });
+
+  test('hands out copies so callers cannot change stored records', async () => {
+    const adapter = new MemoryAdapter();
+    const record = { key: 'mainScore', value: 10 };
+    await adapter.put('settings', record);
+    record.value = 99;
+    (await adapter.get('settings', 'mainScore')).value = 50;
+
+    expect((await adapter.get('settings', 'mainScore')).value).toBe(10);
+  });
+
+  test('rejects a record that breaks a unique index', async () => {
+    const adapter = new MemoryAdapter();
+    await adapter.put('completions', { id: 'c1', activityId: 'a', date: '2026-03-01' });
+
+    await expect(
+      adapter.put('completions', { id: 'c2', activityId: 'a', date: '2026-03-01' })
+    ).rejects.toThrow(/ConstraintError/);
+    await adapter.put('completions', { id: 'c1', activityId: 'a', date: '2026-03-02' });
+    await adapter.put('completions', { id: 'c2', activityId: 'a', date: '2026-03-01' });
+    expect(await adapter.count('completions')).toBe(2);
+  });
+
+  test('saves nothing from a transaction whose callback fails', async () => {
+    const adapter = new MemoryAdapter();
+    await adapter.put('settings', { key: 'mainScore', value: 10 });
+    const changes = [];
+    adapter.onChange = (storeNames) => changes.push(storeNames);
+
+    await expect(
+      adapter.transaction(['settings', 'scoreHistory'], 'readwrite', async (_tx, stores) => {
+        const current = await requestResult(stores.settings.get('mainScore'));
+        stores.settings.put({ key: 'mainScore', value: current.value + 5 });
+        stores.scoreHistory.put({ date: '2026-03-01', score: 15, earned: 5, decay: 0 });
+        throw new Error('Stop here');
+      })
+    ).rejects.toThrow('Stop here');
+
+    expect((await adapter.get('settings', 'mainScore')).value).toBe(10);
+    expect(await adapter.count('scoreHistory')).toBe(0);
+    expect(changes).toEqual([]);
+  });
+
+  test('runs overlapping write transactions one after another', async () => {
+    const adapter = new MemoryAdapter();
+    await adapter.put('settings', { key: 'mainScore', value: 0 });
+
+    const increment = () =>
+      adapter.transaction('settings', 'readwrite', async (_tx, store) => {
+        const current = await requestResult(store.get('mainScore'));
+        await requestResult(store.put({ key: 'mainScore', value: current.value + 1 }));
+      });
+    await Promise.all([increment(), increment(), increment()]);
+
+    expect((await adapter.get('settings', 'mainScore')).value).toBe(3);
+  });
+
+  test('reads key ranges inside a transaction', async () => {
+    const adapter = new MemoryAdapter();
+    await adapter.putMany('scoreHistory', [
+      { date: '2026-03-01', score: 1 },
+      { date: '2026-03-02', score: 2 },
+      { date: '2026-03-04', score: 4 }
+    ]);
+
+    const [previous, later] = await adapter.transaction(
+      'scoreHistory',
+      'readwrite',
+      async (_tx, store) => {
+        const before = await adapter.getRangeIn(store, {
+          upper: '2026-03-02',
+          reverse: true,
+          limit: 1
+        });
+        store.put({ date: '2026-03-03', score: 3 });
+        return [before, await adapter.getRangeIn(store, { lower: '2026-03-03' })];
+      }
+    );
+
+    expect(previous).toEqual([{ date: '2026-03-02', score: 2 }]);
+    expect(later.map((record) => record.date)).toEqual(['2026-03-03', '2026-03-04']);
+  });
+});
+
+test.describe('localStorage Storage Adapter (unit)', () => {
+  test('keeps data for the next adapter opened on the same storage', async () => {
+    const storage = new FakeStorage();
+    const first = new LocalStorageAdapter(storage);
+    await first.put('scoreHistory', { date: '2026-03-01', score: 15, earned: 15, decay: 0 });
+
+    const second = new LocalStorageAdapter(storage);
+    expect(await second.getAll('scoreHistory')).toEqual([
+      { date: '2026-03-01', score: 15, earned: 15, decay: 0 }
+    ]);
+
+    // A write from the second adapter is seen by the first on its next read
+    await second.put('settings', { key: 'mainScore', value: 15 });
+    expect((await first.get('settings', 'mainScore')).value).toBe(15);
+  });
+
+  test('puts back stores already saved when another runs out of space', async () => {
+    const storage = new FakeStorage(80);
+    const adapter = new LocalStorageAdapter(storage);
+    await adapter.put('scoreHistory', { date: '2026-03-01', score: 1 });
+    await adapter.put('settings', { key: 'mainScore', value: 1 });
+
+    await expect(
+      adapter.transaction(['scoreHistory', 'settings'], 'readwrite', (_tx, stores) => {
+        stores.scoreHistory.put({ date: '2026-03-02', score: 2 });
+        stores.settings.put({ key: 'note', value: 'x'.repeat(100) });
+      })
+    ).rejects.toMatchObject({ name: 'QuotaExceededError' });
+
+    expect(await adapter.getAll('scoreHistory')).toEqual([{ date: '2026-03-01', score: 1 }]);
+    expect(await adapter.get('settings', 'note')).toBeUndefined();
+  });
+
+  test('is unavailable when storage refuses writes', async () => {
+    const storage = new FakeStorage();
+    storage.setItem = () => {
+      throw new DOMException('Denied', 'SecurityError');
+    };
+
+    expect(LocalStorageAdapter.isAvailable(storage)).toBe(false);
+    expect(LocalStorageAdapter.isAvailable(new FakeStorage())).toBe(true);
+  });
+});
+
+test.describe('Database facade (unit)', () => {
+  test.afterEach(() => {
+    db.adapter = null;
+    db.selection = null;
+  });
+
+  test('runs the models on a chosen adapter', async () => {
+    db.useAdapter(new MemoryAdapter());
+    const { ActivityModel } = await import('../../src/js/models/activity.js');
+    const { ScoreModel } = await import('../../src/js/models/score.js');
+    const { stepCompletion } = await import('../../src/js/services/history.js');
+    const { getLocalDateString } = await import('../../src/js/utils/date.js');
+
+    const activity = await ActivityModel.create({ name: 'Walk', points: 10 });
+    await stepCompletion(activity, getLocalDateString());
+
+    expect(db.backend).toBe('memory');
+    expect(db.persistent).toBe(false);
+    expect(await ScoreModel.getScore()).toBe(10);
+  });
+
+  test('moves only the history from an edited past day on', async () => {
+    db.useAdapter(new MemoryAdapter());
+    const { ActivityModel } = await import('../../src/js/models/activity.js');
+    const { ScoreModel } = await import('../../src/js/models/score.js');
+    const { SettingsModel } = await import('../../src/js/models/settings.js');
+    const { setCompletionCount } = await import('../../src/js/services/history.js');
+    const { getDateDaysAgo } = await import('../../src/js/utils/date.js');
+
+    const activity = await ActivityModel.create({ name: 'Walk', points: 10 });
+    await SettingsModel.setFirstUseDate(getDateDaysAgo(5));
+    await db.putMany('scoreHistory', [
+      { date: getDateDaysAgo(5), score: 5, earned: 5, decay: 0 },
+      { date: getDateDaysAgo(2), score: 8, earned: 3, decay: 0 }
+    ]);
+
+    await setCompletionCount(activity, getDateDaysAgo(3), 2);
+
+    expect(await ScoreModel.getAllHistory()).toEqual([
+      { date: getDateDaysAgo(5), score: 5, earned: 5, decay: 0 },
+      { date: getDateDaysAgo(3), score: 25, earned: 20, decay: 0 },
+      { date: getDateDaysAgo(2), score: 28, earned: 3, decay: 0 }
+    ]);
+    expect(await ScoreModel.getScore()).toBe(20);
+  });
+
+  test('excuses a day and takes the excuse back in one write each', async () => {
+    db.useAdapter(new MemoryAdapter());
+    const { ScoreModel } = await import('../../src/js/models/score.js');
+    const { SettingsModel } = await import('../../src/js/models/settings.js');
+    const { excuseDay, unexcuseDay } = await import('../../src/js/services/history.js');
+    const { getDateDaysAgo } = await import('../../src/js/utils/date.js');
+
+    await SettingsModel.setFirstUseDate(getDateDaysAgo(5));
+    await ScoreModel.setScore(80);
+    const history = [
+      { date: getDateDaysAgo(3), score: 90, earned: 0, decay: 10 },
+      { date: getDateDaysAgo(2), score: 80, earned: 0, decay: 10 }
+    ];
+    await db.putMany('scoreHistory', history);
+    const changes = [];
+    db.onChange = (storeNames) => changes.push([...storeNames].sort());
+
+    const excused = await excuseDay(getDateDaysAgo(3));
+    const excusedScore = await ScoreModel.getScore();
+    await unexcuseDay(getDateDaysAgo(3));
+
+    expect(excused).toMatchObject({ date: getDateDaysAgo(3), refunded: 10 });
+    expect(excusedScore).toBe(90);
+    expect(await ScoreModel.getScore()).toBe(80);
+    expect(await ScoreModel.getAllHistory()).toEqual(history);
+    expect(changes).toEqual([
+      ['excusedDays', 'scoreHistory', 'settings'],
+      ['excusedDays', 'scoreHistory', 'settings']
+    ]);
+    db.onChange = null;
+  });
+
+  test('checks the monthly excuse allowance in the same transaction as the excuse', async () => {
+    db.useAdapter(new MemoryAdapter());
+    const { SettingsModel } = await import('../../src/js/models/settings.js');
+    const { ExcusedDayModel } = await import('../../src/js/models/excused-day.js');
+    const { excuseDay } = await import('../../src/js/services/history.js');
+    const { getDateDaysAgo, getLocalDateString, subtractDays } =
+      await import('../../src/js/utils/date.js');
+
+    // Two days of last month, so both are in the past on any day of this one
+    const month = subtractDays(`${getLocalDateString().slice(0, 7)}-01`, 1).slice(0, 7);
+    await SettingsModel.setFirstUseDate(getDateDaysAgo(70));
+    await SettingsModel.setExcusedDaysPerMonth(1);
+
+    const results = await Promise.allSettled([excuseDay(`${month}-01`), excuseDay(`${month}-02`)]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(await ExcusedDayModel.countInMonth(`${month}-01`)).toBe(1);
+  });
+});